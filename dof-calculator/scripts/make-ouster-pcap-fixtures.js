@@ -0,0 +1,146 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Writes the small Ouster captures used by the PCAP tests:
+// an OS1-16 recording in the legacy and RNG19 packet profiles with
+// FRAME_IDS.length frames of PACKETS_PER_FRAME packets. Every packet's last
+// column is invalid and every fourth beam has no return, so each packet
+// decodes to (COLUMNS - 1) * (CHANNELS - CHANNELS / 4) points.
+// Lidar packets are larger than the 1500 byte MTU and are written as IPv4 fragments.
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const outputDir = path.resolve(__dirname, '../src/utils/__fixtures__');
+
+const CHANNELS = 16;
+const COLUMNS = 16;
+const WIDTH = 1024;
+const PACKETS_PER_FRAME = 2;
+const FRAME_IDS = [4200, 4201, 4202];
+const LIDAR_PORT = 7502;
+const OTHER_PORT = 9999;
+const MTU = 1500;
+
+// Ouster channel data block: range, reflectivity, signal, NIR
+const writeChannel = (view, offset, column, beam, legacy) => {
+  const range = beam % 4 === 3 ? 0 : 5000 + beam * 100 + column;
+  view.setUint32(offset, range, true);
+  if (legacy) {
+    view.setUint16(offset + 4, 10 + beam, true);
+  } else {
+    view.setUint8(offset + 4, 10 + beam);
+  }
+  view.setUint16(offset + 6, 100 + beam, true);
+  view.setUint16(offset + 8, 50 + beam, true);
+};
+
+const columnTimestamp = (frame, packet, column) => {
+  return 1000000000000n + BigInt(((frame * PACKETS_PER_FRAME + packet) * COLUMNS + column) * 97656);
+};
+
+// 16 byte header, channel blocks, 4 byte status per column
+const makeLegacyPacket = (frame, packet) => {
+  const columnSize = 20 + CHANNELS * 12;
+  const view = new DataView(new ArrayBuffer(COLUMNS * columnSize));
+  for (let column = 0; column < COLUMNS; column++) {
+    const base = column * columnSize;
+    view.setBigUint64(base, columnTimestamp(frame, packet, column), true);
+    view.setUint16(base + 8, packet * COLUMNS + column, true);
+    view.setUint16(base + 10, FRAME_IDS[frame], true);
+    view.setUint32(base + 12, Math.round((packet * COLUMNS + column) * 90112 / WIDTH), true);
+    for (let beam = 0; beam < CHANNELS; beam++) {
+      writeChannel(view, base + 16 + beam * 12, column, beam, true);
+    }
+    view.setUint32(base + 16 + CHANNELS * 12, column === COLUMNS - 1 ? 0 : 0xFFFFFFFF, true);
+  }
+  return new Uint8Array(view.buffer);
+};
+
+// 32 byte packet header, 12 byte column headers with channel blocks, 32 byte footer
+const makeRng19Packet = (frame, packet) => {
+  const columnSize = 12 + CHANNELS * 12;
+  const view = new DataView(new ArrayBuffer(64 + COLUMNS * columnSize));
+  view.setUint16(0, 0x1, true); // packet type
+  view.setUint16(2, FRAME_IDS[frame], true);
+  for (let column = 0; column < COLUMNS; column++) {
+    const base = 32 + column * columnSize;
+    view.setBigUint64(base, columnTimestamp(frame, packet, column), true);
+    view.setUint16(base + 8, packet * COLUMNS + column, true);
+    view.setUint16(base + 10, column === COLUMNS - 1 ? 0 : 0x1, true);
+    for (let beam = 0; beam < CHANNELS; beam++) {
+      writeChannel(view, base + 12 + beam * 12, column, beam, false);
+    }
+  }
+  return new Uint8Array(view.buffer);
+};
+
+// Ethernet frames carrying one UDP datagram, fragmented to fit the MTU
+let identification = 1;
+const makeEthernetFrames = (payload, dstPort) => {
+  const udp = new Uint8Array(8 + payload.length);
+  const udpView = new DataView(udp.buffer);
+  udpView.setUint16(0, LIDAR_PORT, false);
+  udpView.setUint16(2, dstPort, false);
+  udpView.setUint16(4, udp.length, false);
+  udp.set(payload, 8);
+
+  const maxData = Math.floor((MTU - 20) / 8) * 8;
+  const id = identification++;
+  const frames = [];
+  for (let offset = 0; offset < udp.length; offset += maxData) {
+    const data = udp.subarray(offset, Math.min(udp.length, offset + maxData));
+    const more = offset + data.length < udp.length;
+    const frame = new Uint8Array(14 + 20 + data.length);
+    const view = new DataView(frame.buffer);
+    view.setUint16(12, 0x0800, false);
+    frame[14] = 0x45;
+    view.setUint16(16, 20 + data.length, false);
+    view.setUint16(18, id, false);
+    view.setUint16(20, (more ? 0x2000 : 0) | (offset / 8), false);
+    frame[22] = 64;
+    frame[23] = 17;
+    view.setUint32(26, 0xC0A80164, false); // 192.168.1.100
+    view.setUint32(30, 0xC0A80101, false); // 192.168.1.1
+    frame.set(data, 34);
+    frames.push(frame);
+  }
+  return frames;
+};
+
+const writePcap = (fileName, makePacket) => {
+  const frames = [];
+  // A datagram that is not lidar data, which the processor should skip
+  frames.push(...makeEthernetFrames(new Uint8Array(100), OTHER_PORT));
+  FRAME_IDS.forEach((_, frame) => {
+    for (let packet = 0; packet < PACKETS_PER_FRAME; packet++) {
+      frames.push(...makeEthernetFrames(makePacket(frame, packet), LIDAR_PORT));
+    }
+  });
+
+  const size = 24 + frames.reduce((sum, frame) => sum + 16 + frame.length, 0);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, 0xA1B2C3D4, true);
+  view.setUint16(4, 2, true);
+  view.setUint16(6, 4, true);
+  view.setUint32(16, 65535, true);
+  view.setUint32(20, 1, true); // Ethernet
+
+  let offset = 24;
+  frames.forEach((frame, index) => {
+    view.setUint32(offset, 1700000000, true);
+    view.setUint32(offset + 4, index * 1000, true);
+    view.setUint32(offset + 8, frame.length, true);
+    view.setUint32(offset + 12, frame.length, true);
+    bytes.set(frame, offset + 16);
+    offset += 16 + frame.length;
+  });
+
+  fs.ensureDirSync(outputDir);
+  fs.writeFileSync(path.join(outputDir, fileName), bytes);
+  console.log(`Wrote ${fileName} (${frames.length} frames, ${size} bytes)`);
+};
+
+writePcap('ouster-os1-16-legacy.pcap', makeLegacyPacket);
+writePcap('ouster-os1-16-rng19.pcap', makeRng19Packet);
@@ -29,6 +29,7 @@ const Tab = styled.button`
 
 function App() {
   const [activeTab, setActiveTab] = useState('three'); // Default to Three.js view
+  const [missionGeofences, setMissionGeofences] = useState([]); // Planner geofence in WGS84 for the globe
 
   return (
     <div className="App">
@@ -48,9 +49,9 @@ function App() {
       </TabsContainer>
       
       {activeTab === 'three' ? (
-        <MainLayout />
+        <MainLayout onGeofenceVolumesChange={setMissionGeofences} />
       ) : (
-        <CesiumTestPage />
+        <CesiumTestPage geofences={missionGeofences} />
       )}
     </div>
   );
@@ -39,8 +39,9 @@ const Button = styled.button`
 
 /**
  * Test page for Cesium Viewer integration
+ * @param {Array<Object>} geofences - Mission planner geofence volumes from getGeofenceVolumes
  */
-const CesiumTestPage = () => {
+const CesiumTestPage = ({ geofences = [] }) => {
   // You can modify these coordinates to test different locations
   const testLocations = [
     { name: 'San Francisco', latitude: 37.7749, longitude: -122.4194, height: 10000 },
@@ -48,7 +49,20 @@ const CesiumTestPage = () => {
     { name: 'Tokyo', latitude: 35.6762, longitude: 139.6503, height: 10000 }
   ];
   
-  const [currentLocation, setCurrentLocation] = React.useState(testLocations[0]);
+  // Start over the mission geofence when the planner has one
+  const missionLocation = React.useMemo(() => {
+    const positions = geofences.flatMap(volume => volume.positions);
+    if (positions.length === 0) return null;
+    return {
+      name: 'Mission Area',
+      longitude: positions.reduce((sum, [lon]) => sum + lon, 0) / positions.length,
+      latitude: positions.reduce((sum, [, lat]) => sum + lat, 0) / positions.length,
+      height: 2000
+    };
+  }, [geofences]);
+  const locations = missionLocation ? [missionLocation, ...testLocations] : testLocations;
+  
+  const [currentLocation, setCurrentLocation] = React.useState(locations[0]);
   
   const handleLocationChange = (location) => {
     setCurrentLocation(location);
@@ -59,7 +73,7 @@ const CesiumTestPage = () => {
       <Header>
         <h2>Cesium Integration Test</h2>
         <div>
-          {testLocations.map(location => (
+          {locations.map(location => (
             <Button 
               key={location.name}
               onClick={() => handleLocationChange(location)}
@@ -80,6 +94,7 @@ const CesiumTestPage = () => {
             longitude: currentLocation.longitude,
             height: currentLocation.height
           }}
+          geofences={geofences}
         />
       </ViewerContainer>
     </PageContainer>
@@ -23,11 +23,16 @@ const LoadingIndicator = styled.div`
   z-index: 1000;
 `;
 
+// Height in meters drawn for geofences without a ceiling
+const DEFAULT_GEOFENCE_HEIGHT = 120;
+
 /**
  * CesiumViewer component that initializes and manages a Cesium globe
+ * Geofence volumes (see Geofence.getGeofenceVolumes) are drawn as translucent prisms
  */
 const CesiumViewer = ({ 
   style,
+  geofences = [],
   initialView = {
     latitude: 37.7749, // San Francisco by default
     longitude: -122.4194,
@@ -37,6 +42,8 @@ const CesiumViewer = ({
   // Create refs to store component state
   const cesiumViewerRef = useRef(null);
   const cesiumContainerRef = useRef(null);
+  const cesiumRef = useRef(null); // Cesium module once loaded
+  const geofenceEntitiesRef = useRef([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -62,6 +69,7 @@ const CesiumViewer = ({
         
         // Import the full Cesium module
         const Cesium = await import('cesium');
+        cesiumRef.current = Cesium;
         
         // Import Cesium CSS
         await import('cesium/Build/Cesium/Widgets/widgets.css');
@@ -206,6 +214,43 @@ const CesiumViewer = ({
     };
   }, [initialView]);
 
+  // Redraw the geofence volumes when they change or the viewer finishes loading
+  useEffect(() => {
+    const viewer = cesiumViewerRef.current;
+    const Cesium = cesiumRef.current;
+    if (loading || !viewer || !Cesium) return;
+
+    geofenceEntitiesRef.current.forEach(entity => viewer.entities.remove(entity));
+    geofenceEntitiesRef.current = [];
+
+    try {
+      geofenceEntitiesRef.current = geofences.map(volume => {
+        const color = volume.type === 'inclusion' ? Cesium.Color.LIME : Cesium.Color.RED;
+        // AGL ceilings sit on the terrain, AMSL ceilings are absolute heights
+        const heightReference = volume.ceilingReference === 'AMSL'
+          ? Cesium.HeightReference.NONE
+          : Cesium.HeightReference.RELATIVE_TO_GROUND;
+        return viewer.entities.add({
+          name: volume.name,
+          polygon: {
+            hierarchy: Cesium.Cartesian3.fromDegreesArray(volume.positions.flat()),
+            height: 0,
+            heightReference: volume.ceilingReference === 'AMSL'
+              ? Cesium.HeightReference.CLAMP_TO_GROUND
+              : Cesium.HeightReference.RELATIVE_TO_GROUND,
+            extrudedHeight: volume.ceiling ?? DEFAULT_GEOFENCE_HEIGHT,
+            extrudedHeightReference: heightReference,
+            material: color.withAlpha(volume.type === 'inclusion' ? 0.15 : 0.35),
+            outline: true,
+            outlineColor: color
+          }
+        });
+      });
+    } catch (error) {
+      console.error('Error drawing geofences:', error);
+    }
+  }, [geofences, loading]);
+
   return (
     <CesiumContainer style={style} ref={cesiumContainerRef} className="cesiumContainer">
       {loading && <LoadingIndicator>Loading Cesium globe...</LoadingIndicator>}
@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
-import { getDOFCalculations } from '../utils/dofCalculations';
+import React, { useState, useEffect, useMemo } from 'react';
+import { getDOFCalculations, solveInverseDOF } from '../utils/dofCalculations';
+import { getFocalRange, isZoomLens, getLensAtFocalLength, formatFocalRange } from '../utils/ZoomLens';
 import DOFVisualization from './DOFVisualization';
 import SkunkworksLogo from './SkunkworksLogo';
 import cameraLensData from '../data/cameraLensData.json';
@@ -16,15 +17,18 @@ const feetToMeters = (feet) => feet / 3.28084;
 // Threshold to display infinity symbol (when distance is larger than this multiple of focus distance)
 const INFINITY_DISPLAY_THRESHOLD = 15;
 
-const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount = 0 }) => {
+const DOFCalculator = ({ onUpdate, onApplyToMission, deviceCapabilities = null, contextLostCount = 0 }) => {
   // State for selected values
   const [selectedSensorSize, setSelectedSensorSize] = useState('');
   const [selectedCamera, setSelectedCamera] = useState('');
   const [selectedLens, setSelectedLens] = useState('');
+  const [zoomFocalLength, setZoomFocalLength] = useState(null); // mm within a zoom's range, null for the catalog default
   const [selectedAperture, setSelectedAperture] = useState(8);
   const [focusDistance, setFocusDistance] = useState(5); // Always stored in meters internally
   const [dofCalculations, setDofCalculations] = useState(null);
   const [distanceUnit, setDistanceUnit] = useState('m'); // 'm' for meters, 'ft' for feet
+  const [bandNear, setBandNear] = useState(''); // Sharp band for the inverse solver, in the display unit
+  const [bandFar, setBandFar] = useState('');
   
   // State for active tab
   const [activeTab, setActiveTab] = useState('dof'); // 'dof', 'photogrammetry', or 'scenePreview'
@@ -38,10 +42,29 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
     ? cameraLensData.cameras.find(cam => cam.id === selectedCamera) 
     : null;
   
-  const selectedLensDetails = selectedLens 
+  const catalogLensDetails = selectedLens 
     ? cameraLensData.lenses.find(lens => lens.id === selectedLens) 
     : null;
   
+  // Zooms are set to the chosen focal length so every calculation sees that setting
+  const selectedLensDetails = useMemo(
+    () => (catalogLensDetails ? getLensAtFocalLength(catalogLensDetails, zoomFocalLength) : null),
+    [catalogLensDetails, zoomFocalLength]
+  );
+  
+  // Start each newly selected zoom at its catalog focal length
+  useEffect(() => {
+    setZoomFocalLength(null);
+  }, [selectedLens]);
+  
+  // Zooms close down toward the tele end; move the aperture into the lens's range
+  useEffect(() => {
+    if (selectedLensDetails && selectedAperture < selectedLensDetails.maxAperture) {
+      const widest = cameraLensData.apertures.find(ap => ap >= selectedLensDetails.maxAperture);
+      if (widest) setSelectedAperture(widest);
+    }
+  }, [selectedLensDetails, selectedAperture]);
+  
   // Notify parent components when camera, lens, or calculations change
   useEffect(() => {
     if (typeof onUpdate === 'function') {
@@ -182,7 +205,12 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
         focusDistance,
         selectedLensDetails.focalLength,
         selectedAperture,
-        selectedCameraDetails.cropFactor
+        selectedCameraDetails.cropFactor,
+        {
+          sensorWidth: selectedCameraDetails.sensorWidth,
+          imageWidth: selectedCameraDetails.imageWidth,
+          lensMtf50: selectedLensDetails.mtf50
+        }
       );
       
       // Add focus distance to the calculation results
@@ -196,6 +224,47 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
     }
   }, [selectedCameraDetails, selectedLensDetails, selectedAperture, focusDistance]);
 
+  // Every aperture and focus distance that keeps the requested band sharp, best first
+  const getInverseSolutions = () => {
+    if (!selectedCameraDetails || !selectedLensDetails || bandNear === '' || bandFar === '') return null;
+    
+    const toMeters = (value) => (distanceUnit === 'm' ? parseFloat(value) : feetToMeters(parseFloat(value)));
+    try {
+      const solutions = solveInverseDOF({
+        nearDistance: toMeters(bandNear),
+        farDistance: toMeters(bandFar),
+        focalLength: selectedLensDetails.focalLength,
+        cropFactor: selectedCameraDetails.cropFactor,
+        sensorWidth: selectedCameraDetails.sensorWidth,
+        imageWidth: selectedCameraDetails.imageWidth,
+        apertures: cameraLensData.apertures.filter(
+          ap => ap >= selectedLensDetails.maxAperture && ap <= selectedLensDetails.minAperture
+        )
+      });
+      return { solutions, error: solutions.length === 0 ? 'No aperture on this lens keeps the whole band sharp' : null };
+    } catch (error) {
+      console.error("Error solving for the sharp band:", error);
+      return { solutions: [], error: error.message };
+    }
+  };
+  
+  // Use a solved focus distance and aperture in the calculator
+  const applyInverseSolution = (solution) => {
+    setSelectedAperture(solution.aperture);
+    setFocusDistance(Math.min(solution.focusDistance, 100));
+  };
+  
+  // Send a solved focus distance and aperture, with the camera and lens, to the mission planner
+  const applyInverseSolutionToMission = (solution) => {
+    applyInverseSolution(solution);
+    onApplyToMission({
+      camera: selectedCameraDetails,
+      lens: selectedLensDetails,
+      aperture: solution.aperture,
+      focusDistance: solution.focusDistance
+    });
+  };
+  
   // Toggle between meters and feet
   const toggleDistanceUnit = () => {
     setDistanceUnit(distanceUnit === 'm' ? 'ft' : 'm');
@@ -356,6 +425,8 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
     return distanceUnit === 'm' ? 0.1 : 0.5;
   };
   
+  const inverseSolutions = getInverseSolutions();
+  
   return (
     <div className="dof-calculator">
       <div className="calculator-header">
@@ -422,8 +493,8 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
                       <option value="">Select Lens</option>
                       {filteredLenses.map(lens => (
                         <option key={lens.id} value={lens.id}>
-                          {lens.model.includes("Mavic 2 Zoom") 
-                            ? `${lens.model} (Zoom range: 24-48mm)` 
+                          {isZoomLens(lens) 
+                            ? `${lens.model} (Zoom range: ${formatFocalRange(lens)})` 
                             : `${lens.model} (${lens.focalLength}mm f/${lens.maxAperture})`}
                         </option>
                       ))}
@@ -432,6 +503,35 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
                       <small className="form-tip">{filteredLenses.length} compatible lenses</small>
                     )}
                   </div>
+                  
+                  {isZoomLens(catalogLensDetails) && (
+                    <div className="input-group">
+                      <label htmlFor="zoom-focal-length">Focal Length:</label>
+                      <div className="range-value">
+                        <input
+                          type="number"
+                          min={getFocalRange(catalogLensDetails).min}
+                          max={getFocalRange(catalogLensDetails).max}
+                          step="1"
+                          value={selectedLensDetails.focalLength}
+                          onChange={(e) => setZoomFocalLength(parseFloat(e.target.value))}
+                        />
+                        <span>mm</span>
+                      </div>
+                      <input
+                        type="range"
+                        id="zoom-focal-length"
+                        min={getFocalRange(catalogLensDetails).min}
+                        max={getFocalRange(catalogLensDetails).max}
+                        step="1"
+                        value={selectedLensDetails.focalLength}
+                        onChange={(e) => setZoomFocalLength(parseFloat(e.target.value))}
+                      />
+                      <small className="form-tip">
+                        Widest aperture at {selectedLensDetails.focalLength}mm: f/{selectedLensDetails.maxAperture.toFixed(1)}
+                      </small>
+                    </div>
+                  )}
                 </div>
                 
                 <div className="input-section">
@@ -535,6 +635,53 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
                     )}
                   </div>
                   
+                  {selectedCameraDetails && selectedLensDetails && (
+                    <div className="input-group">
+                      <label htmlFor="band-near">Solve for Sharp Band:</label>
+                      <div className="range-value">
+                        <input
+                          type="number"
+                          id="band-near"
+                          min="0.1"
+                          step={getStepValue()}
+                          placeholder="Near"
+                          value={bandNear}
+                          onChange={(e) => setBandNear(e.target.value)}
+                        />
+                        <span>to</span>
+                        <input
+                          type="number"
+                          id="band-far"
+                          min="0.1"
+                          step={getStepValue()}
+                          placeholder="Far"
+                          value={bandFar}
+                          onChange={(e) => setBandFar(e.target.value)}
+                        />
+                        <span>{distanceUnit}</span>
+                      </div>
+                      {inverseSolutions?.error && (
+                        <small className="form-tip">{inverseSolutions.error}</small>
+                      )}
+                      {inverseSolutions?.solutions.length > 0 && (
+                        <ul className="inverse-solutions">
+                          {inverseSolutions.solutions.map(solution => (
+                            <li key={solution.aperture}>
+                              f/{solution.aperture} focused at {formatDistance(solution.focusDistance, 2)}
+                              {' '}(sharp {formatDistance(solution.nearLimit, 1)} to {formatDistance(solution.farLimit, 1, solution.focusDistance)}
+                              {solution.diffractionBlur !== null && `, ${solution.diffractionBlur.toFixed(1)} px diffraction`}
+                              {solution.exposureCost > 0 && `, ${solution.exposureCost.toFixed(1)} stops slower`})
+                              <button onClick={() => applyInverseSolution(solution)}>Apply</button>
+                              {onApplyToMission && (
+                                <button onClick={() => applyInverseSolutionToMission(solution)}>Apply to Mission</button>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
+                  
                   {selectedCameraDetails && selectedLensDetails && (
                     <div className="selected-equipment">
                       <div className="equipment-badge">
@@ -605,6 +752,19 @@ const DOFCalculator = ({ onUpdate, deviceCapabilities = null, contextLostCount =
                         </p>
                       </div>
                       
+                      {dofCalculations.sharpness && (
+                        <div className="result-card">
+                          <h3>Diffraction Blur</h3>
+                          <p>{dofCalculations.sharpness.diffractionBlur.toFixed(1)} px</p>
+                          <small>
+                            {(dofCalculations.sharpness.pixelPitch * 1000).toFixed(2)}µm pixels,
+                            {selectedAperture > dofCalculations.sharpness.diffractionLimitedAperture
+                              ? ` diffraction-limited past f/${dofCalculations.sharpness.diffractionLimitedAperture.toFixed(1)}`
+                              : ` sharp up to f/${dofCalculations.sharpness.diffractionLimitedAperture.toFixed(1)}`}
+                          </small>
+                        </div>
+                      )}
+                      
                       <div className="result-card">
                         <h3>Field of View</h3>
                         <p>{calculateFieldOfView(selectedLensDetails?.focalLength, selectedCameraDetails?.sensorWidth).toFixed(1)}°</p>
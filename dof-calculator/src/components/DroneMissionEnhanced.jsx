@@ -2,6 +2,62 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import * as THREE from 'three';
 import { Html, Line, Text } from '@react-three/drei';
 import { extend, useFrame } from '@react-three/fiber';
+import { transformUtility } from '../utils/CoordinateTransform';
+import { downloadQGCPlan } from '../utils/QGCPlanExporter';
+import { downloadWpmlKmz } from '../utils/DJIWpmlExporter';
+import { getFootprintHalfExtents, getCameraFootprint } from '../utils/CameraFootprint';
+import { getDistortionModel } from '../utils/LensDistortion';
+import { downloadGeoJSON, downloadKML } from '../utils/GisExporter';
+import {
+  saveMission,
+  findMissions,
+  loadMission,
+  deleteMission,
+  listRevisions,
+  diffRevisions,
+  restoreRevision
+} from '../utils/MissionFinder';
+import { trajectoryToMissionData, missionDataToTrajectory, getPathLength, toDeckGLTrajectory } from '../utils/TrajectoryUtils';
+import { CSV_PRESETS, downloadWaypointCsv, importWaypointCsv } from '../utils/WaypointCsvCodec';
+import {
+  createSurveyArea,
+  getSurveyAreaSize,
+  getSurveyAreaBounds,
+  isPointInSurveyArea,
+  generatePolygonSurvey,
+  importSurveyAreaGeoJSON
+} from '../utils/PolygonSurvey';
+import {
+  groupFacesByNormal,
+  getFaceVertices,
+  getPatchExtents,
+  solveStandoff,
+  generateFacadePasses
+} from '../utils/FacadeInspection';
+import { getStructureBounds, generateStructureScan } from '../utils/StructureScan';
+import { OBLIQUE_ORDERINGS, getObliqueOffset, generateObliquePasses } from '../utils/ObliqueSurvey';
+import { createElevationGrid, rasterizePointClouds, loadElevationFile, sampleElevation } from '../utils/ElevationGrid';
+import { followTerrain } from '../utils/TerrainFollowing';
+import { getRouteStations, getRouteSignature, reorderTrajectory } from '../utils/RouteOptimizer';
+import { getRouteWorkerPool } from '../utils/WorkerPool';
+import { getBatteryProfile, estimateMissionEnergy, splitIntoSorties } from '../utils/BatteryModel';
+import { getLocalWind, getCrosswindFreeGridAngle, getMaxCaptureSpeed, analyzeWindLegs } from '../utils/WindModel';
+import { LIGHT_PRESETS, planExposure, formatShutterTime } from '../utils/ExposurePlanner';
+import { buildObstacleIndex, validateClearance, repairClearance } from '../utils/ClearanceValidator';
+import {
+  createGeofence,
+  hasGeofence,
+  clipToGeofence,
+  rerouteAroundFences,
+  findFenceViolations,
+  importGeofenceGeoJSON,
+  importGeofenceKML,
+  getGeofenceVolumes
+} from '../utils/Geofence';
+import { isZoomLens, getFocalRange, getLensAtFocalLength, optimizeFocalLengthForGsd } from '../utils/ZoomLens';
+import DeckGLTrajectoryViewer from './DeckGLTrajectoryViewer';
+import DroneModels from '../data/drone-models';
+import droneData from '../data/droneData.json';
 
 // Import specific THREE classes we need to reference
 const { Matrix3, Vector3, Box3, Quaternion, MathUtils } = THREE;
@@ -25,19 +81,72 @@ console.log("THREE namespace in DroneMissionEnhanced:", {
 // Add new constants for mission planning algorithms
 const MISSION_TYPES = {
   GRID: 'grid',
+  OBLIQUE: 'oblique',
+  POLYGON: 'polygon',
+  FACADE: 'facade',
   PERIMETER: 'perimeter',
   ORBIT: 'orbit',
+  STRUCTURE_SCAN: 'structureScan',
   TERRAIN_FOLLOWING: 'terrainFollowing'
 };
 
+// Missions whose capture order can be optimised; line surveys keep their lawnmower order
+const ROUTE_OPTIMIZABLE_TYPES = [
+  MISSION_TYPES.PERIMETER,
+  MISSION_TYPES.FACADE,
+  MISSION_TYPES.STRUCTURE_SCAN
+];
+
+// Vertical rate limits (m/s) used when no airframe is selected
+const DEFAULT_CLIMB_RATE = 3;
+const DEFAULT_DESCENT_RATE = 3;
+
+// Highest standoff in meters the zoom optimiser flies without a geofence ceiling (typical AGL limit)
+const DEFAULT_MAX_STANDOFF = 120;
+
+// Airframes with battery data for energy estimates and sortie splitting
+const BATTERY_DRONES = droneData.drones.filter(drone => drone.battery);
+
+// Labels for the waypoint fields a CSV column can be mapped to
+const CSV_FIELD_LABELS = {
+  latitude: 'Latitude',
+  longitude: 'Longitude',
+  altitude: 'Altitude (m)',
+  heading: 'Heading (°)',
+  gimbalPitch: 'Gimbal Pitch (°)',
+  speed: 'Speed (m/s)',
+  actions: 'Actions'
+};
+
+// Quiet period after the last parameter or equipment edit before it is recorded as a revision
+const REVISION_DEBOUNCE_MS = 3000;
+
+// Pointer travel in pixels past which a press on the 3D view is an orbit drag, not a click
+const CLICK_DRAG_TOLERANCE = 4;
+
+// Planning overlays are flagged with userData.missionOverlay on the object or one of its parents
+const isMissionOverlay = (object) => {
+  for (let current = object; current; current = current.parent) {
+    if (current.userData?.missionOverlay) return true;
+  }
+  return false;
+};
+
 // Component for selecting 3D objects and planning drone missions
 const DroneMissionEnhanced = ({ 
   cameraDetails, 
-  lensDetails, 
+  lensDetails: catalogLensDetails, 
   dofCalculations,
   sceneObjects = [],
   onUpdateTrajectory,
-  scene // Pass scene as a prop instead of using useThree
+  onUpdateOverlay, // Receives { surveyArea, geofence, draftRing } to draw in the 3D view
+  onUpdateGeofenceVolumes, // Receives the geofence zones in WGS84 for the globe view
+  scene, // Pass scene as a prop instead of using useThree
+  camera = null, // Camera of the 3D view, used to pick faces and boundary points
+  canvas = null, // Canvas element of the 3D view that receives the picking clicks
+  transform = transformUtility, // Local (feet) to WGS84 transform used for exports
+  droneModel = null, // Selected entry from data/drone-models.js
+  aperture = null // f-number chosen in the DOF calculator
 }) => {
   // Remove useThree hook, scene should be passed as prop
   // const { scene } = useThree();
@@ -55,6 +164,48 @@ const DroneMissionEnhanced = ({
   const [previewTrajectory, setPreviewTrajectory] = useState(null);
   const [isPreviewVisible, setIsPreviewVisible] = useState(true);
   const [optimalAltitude, setOptimalAltitude] = useState(null);
+  const [generatedTrajectory, setGeneratedTrajectory] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [exportWarnings, setExportWarnings] = useState([]);
+  const [originDraft, setOriginDraft] = useState({ lat: '', lon: '', alt: '0', heading: '0' });
+  const [originError, setOriginError] = useState(null);
+  const [csvPreset, setCsvPreset] = useState('litchi');
+  const [csvColumnMap, setCsvColumnMap] = useState({}); // header names typed over the preset's column names
+  const [importErrors, setImportErrors] = useState([]);
+  const [showPlayback, setShowPlayback] = useState(false);
+  const [missionName, setMissionName] = useState('');
+  const [librarySearch, setLibrarySearch] = useState('');
+  const [libraryType, setLibraryType] = useState('');
+  const [libraryMissions, setLibraryMissions] = useState([]);
+  const [libraryError, setLibraryError] = useState(null);
+  const [activeMission, setActiveMission] = useState(null); // { id, name } of the loaded/saved mission
+  const [revisions, setRevisions] = useState([]);
+  const [diffFromId, setDiffFromId] = useState('');
+  const [diffToId, setDiffToId] = useState('');
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [boundaryDrawMode, setBoundaryDrawMode] = useState(null); // 'outer', 'hole', 'inclusion' or 'exclusion' while clicking points
+  const [draftRing, setDraftRing] = useState([]);
+  const [boundaryErrors, setBoundaryErrors] = useState([]);
+  const [geofenceImportType, setGeofenceImportType] = useState('exclusion'); // zone type for imported polygons without one
+  const [geofenceErrors, setGeofenceErrors] = useState([]);
+  const [zoomWarnings, setZoomWarnings] = useState([]);
+  const [elevationRaster, setElevationRaster] = useState(null); // { raster, source } DEM/DSM for terrain following
+  const [elevationEpsg, setElevationEpsg] = useState('4326'); // CRS for rasters that do not carry one
+  const [elevationOffset, setElevationOffset] = useState(0); // meters from raster heights to the origin's datum
+  const [elevationError, setElevationError] = useState(null);
+  const [isElevationLoading, setIsElevationLoading] = useState(false);
+  const [pointCloudMode, setPointCloudMode] = useState('max'); // 'max' builds a DSM, 'min' a DEM
+  const [pointCloudCellSize, setPointCloudCellSize] = useState(1); // meters
+  const [routeOptimization, setRouteOptimization] = useState(null); // { key, order, before, after } from the route worker
+  const [routeStatus, setRouteStatus] = useState(null); // { pass } while the route worker runs
+  const [routeError, setRouteError] = useState(null);
+  const [obstacleIndex, setObstacleIndex] = useState(null); // BVH and voxel index of the scene for clearance checks
+  const [clearanceError, setClearanceError] = useState(null);
+  const [batteryDroneId, setBatteryDroneId] = useState(BATTERY_DRONES[0]?.id || '');
+  const [exportSortie, setExportSortie] = useState('all'); // 'all' or the index of one sortie to export
+  const [wpmlDroneId, setWpmlDroneId] = useState(
+    droneModel?.wpml ? droneModel.id : (DroneModels.find(d => d.wpml)?.id || '')
+  );
   
   // Enhanced mission planning parameters
   const [missionParams, setMissionParams] = useState({
@@ -66,15 +217,51 @@ const DroneMissionEnhanced = ({
     gsd: 0, // cm/pixel (calculated)
     captureRate: 2, // seconds
     safetyBuffer: 2, // meters from obstacles
+    clearanceRepair: 'none', // 'none', 'lift' over or 'detour' around legs closer than the safety buffer
     terrainFollowDistance: 5, // meters above terrain
+    terrainTolerance: 1, // meters the path may deviate from the follow height between waypoints
+    terrainSampleSpacing: 2, // meters between elevation samples along each leg
     orbitRadius: 10, // meters for orbit missions
     orbitAltitude: 15, // meters for orbit height
+    turnaroundDistance: 5, // meters flown past the survey boundary before turning
+    surveyArea: null, // { outer, holes } ground polygon for polygon surveys
+    geofence: null, // { inclusions, exclusions, ceiling, ceilingReference } limits every mission must respect
+    origin: null, // { lat, lon, alt } WGS84 position of the local origin, required before export
+    heading: 0, // degrees clockwise from true north to the local +Y axis
+    targetGsd: 0.3, // cm/pixel on the surface for facade inspections and zoom fitting
+    facadeAngleTolerance: 15, // degrees between face normals in one facade patch
+    scanStandoff: 10, // meters from the structure surface for structure scans
+    scanTopCap: true, // add an oblique ring and nadir shot over the top of the structure
+    obliqueTilt: 45, // degrees from nadir for the four oblique passes
+    obliqueOrdering: 'perPass', // 'perPass' flies five grids, 'combined' shoots all views per station
+    routeStart: 'first', // 'first' keeps the first capture first, 'home' starts at the take-off point, 'free'
+    routeEnd: 'free', // 'last' keeps the last capture last, 'home' returns to the take-off point, 'free'
+    routeTurnRate: 45, // degrees per second of yaw when costing heading changes
+    windSpeed: 0, // m/s mean wind
+    windDirection: 0, // degrees true the wind blows from
+    windGust: 0, // m/s peak gust
+    shutterSpeed: 1000, // 1/x seconds exposure at capture, solved from the light level unless it is 'manual'
+    maxBlur: 1, // pixels of motion blur allowed at capture
+    aperture: aperture || 8, // f-number for exposure planning
+    focalLength: null, // mm within a zoom lens's range, null for the lens's own focal length
+    lightLevel: 'sunny', // LIGHT_PRESETS key, 'lux' for a measured level or 'manual' to set the shutter by hand
+    lux: 50000, // measured illuminance when lightLevel is 'lux'
+    isoMin: 100, // base ISO
+    isoMax: 3200, // highest ISO allowed to freeze motion
+    payloadWeight: 2, // kg of camera, lens and gimbal for battery estimates
+    splitSorties: true, // split missions that do not fit one battery into sorties
     capturePoints: true, // enable/disable photo capture points
     followTerrain: false, // enable terrain following
     optimizeForDOF: true, // integrate DoF in planning
     coverageDisplay: true, // show coverage visualization
   });
   
+  // Zooms are set to the mission's focal length so every generator sees that setting
+  const lensDetails = useMemo(
+    () => getLensAtFocalLength(catalogLensDetails, missionParams.focalLength),
+    [catalogLensDetails, missionParams.focalLength]
+  );
+  
   // Current workflow step
   const [workflowStep, setWorkflowStep] = useState(0);
   const workflowSteps = [
@@ -89,6 +276,46 @@ const DroneMissionEnhanced = ({
   const mouse = useRef(new THREE.Vector2());
   const coverageMapRef = useRef(null);
   
+  // Keep the shared transform on the mission's origin so exports and rasters are placed correctly
+  useEffect(() => {
+    if (missionParams.origin) {
+      transform.setOrigin(missionParams.origin);
+    }
+    transform.setHeading(missionParams.heading || 0);
+  }, [transform, missionParams.origin, missionParams.heading]);
+  
+  // Share the survey boundary, geofence and ring being drawn with the 3D view
+  useEffect(() => {
+    if (onUpdateOverlay) {
+      onUpdateOverlay({ surveyArea: missionParams.surveyArea, geofence: missionParams.geofence, draftRing });
+    }
+  }, [onUpdateOverlay, missionParams.surveyArea, missionParams.geofence, draftRing]);
+  
+  // Share the geofence with the globe view once the mission origin places it on the earth
+  useEffect(() => {
+    if (onUpdateGeofenceVolumes) {
+      onUpdateGeofenceVolumes(missionParams.origin ? getGeofenceVolumes(missionParams.geofence, { transform }) : []);
+    }
+  }, [onUpdateGeofenceVolumes, missionParams.geofence, missionParams.origin, missionParams.heading, transform]);
+  
+  // Elevation grid for terrain following, rebuilt when its CRS or datum offset changes
+  const elevation = useMemo(() => {
+    if (!elevationRaster) return { grid: null, error: null };
+    try {
+      const grid = createElevationGrid(elevationRaster.raster, {
+        transform,
+        epsg: Number(elevationEpsg) || null,
+        verticalOffset: elevationOffset,
+        source: elevationRaster.source
+      });
+      return { grid, error: null };
+    } catch (error) {
+      console.error("Error preparing elevation grid:", error);
+      return { grid: null, error: error.message };
+    }
+  }, [elevationRaster, elevationEpsg, elevationOffset, transform]);
+  const elevationGrid = elevation.grid;
+  
   // Calculate GSD based on camera parameters and altitude
   useEffect(() => {
     if (cameraDetails && lensDetails && missionParams.altitude) {
@@ -109,6 +336,67 @@ const DroneMissionEnhanced = ({
     }
   }, [cameraDetails, lensDetails, missionParams.altitude, dofCalculations, missionParams.optimizeForDOF]);
   
+  // Shutter, ISO and the fastest speed that keeps motion blur under the limit at this GSD
+  const exposure = useMemo(() => {
+    const gsd = parseFloat(missionParams.gsd);
+    if (!(gsd > 0)) return null;
+    
+    if (missionParams.lightLevel === 'manual') {
+      const shutterTime = missionParams.shutterSpeed > 0 ? 1 / missionParams.shutterSpeed : null;
+      return shutterTime
+        ? { shutterTime, maxSpeed: getMaxCaptureSpeed(gsd, shutterTime, missionParams.maxBlur), warnings: [] }
+        : null;
+    }
+    
+    try {
+      return planExposure({
+        aperture: missionParams.aperture,
+        light: missionParams.lightLevel === 'lux' ? { lux: missionParams.lux } : { preset: missionParams.lightLevel },
+        isoMin: missionParams.isoMin,
+        isoMax: missionParams.isoMax,
+        gsd,
+        speed: missionParams.speed,
+        maxBlur: missionParams.maxBlur
+      });
+    } catch (error) {
+      console.error("Error planning exposure:", error);
+      return { error: error.message, warnings: [] };
+    }
+  }, [
+    missionParams.gsd,
+    missionParams.lightLevel,
+    missionParams.lux,
+    missionParams.aperture,
+    missionParams.isoMin,
+    missionParams.isoMax,
+    missionParams.speed,
+    missionParams.maxBlur,
+    missionParams.shutterSpeed
+  ]);
+  
+  // Zooms close down toward the tele end; keep the exposure aperture within the lens's range
+  useEffect(() => {
+    if (lensDetails?.maxAperture && missionParams.aperture < lensDetails.maxAperture) {
+      setMissionParams(prev => ({ ...prev, aperture: lensDetails.maxAperture }));
+    }
+  }, [lensDetails, missionParams.aperture]);
+  
+  // Use the solved shutter for capture blur checks and cap the flight speed at what it can freeze
+  useEffect(() => {
+    if (!exposure || exposure.error) return;
+    
+    setMissionParams(prev => {
+      const next = { ...prev };
+      if (prev.lightLevel !== 'manual') {
+        next.shutterSpeed = Math.round(1 / exposure.shutterTime);
+      }
+      if (prev.speed > exposure.maxSpeed) {
+        next.speed = Math.max(0.5, Math.floor(exposure.maxSpeed * 10) / 10);
+      }
+      return next.shutterSpeed === prev.shutterSpeed && next.speed === prev.speed ? prev : next;
+    });
+  }, [exposure]);
+  
   // Calculate the optimal altitude based on depth of field
   const calculateOptimalAltitude = () => {
     if (!dofCalculations || !cameraDetails || !lensDetails) return;
@@ -158,9 +446,15 @@ const DroneMissionEnhanced = ({
     }
   };
   
+  // Polygon surveys are planned from the drawn boundary, everything else from selected faces
+  const hasMissionArea = () => {
+    if (missionType === MISSION_TYPES.POLYGON) return !!missionParams.surveyArea;
+    return selectedFaces.length > 0;
+  };
+  
   // Generate preview trajectory whenever parameters change
   useEffect(() => {
-    if (selectedFaces.length > 0 && isWorkflowOpen && workflowStep >= 2) {
+    if (hasMissionArea() && isWorkflowOpen && workflowStep >= 2) {
       const trajectory = generateTrajectory(true); // Generate preview
       setPreviewTrajectory(trajectory);
       
@@ -168,7 +462,7 @@ const DroneMissionEnhanced = ({
         generateCoverageMap(trajectory);
       }
     }
-  }, [missionParams, selectedFaces, missionType, workflowStep, isWorkflowOpen]);
+  }, [missionParams, selectedFaces, missionType, workflowStep, isWorkflowOpen, elevationGrid, routeOptimization, batteryDroneId, obstacleIndex]);
   
   // Generate a coverage map visualization based on camera footprints
   const generateCoverageMap = (trajectory) => {
@@ -177,29 +471,40 @@ const DroneMissionEnhanced = ({
     // Create a coverage map as a grid of points
     const { capturePoints } = trajectory;
     const coveragePoints = [];
-    const gridSize = 0.5; // meters between sample points
+    const surveyArea = trajectory.type === MISSION_TYPES.POLYGON ? trajectory.params.surveyArea : null;
     
-    // Find the bounds of the selected area
-    const selectedPoints = selectedFaces.map(face => face.point);
-    const bbox = new THREE.Box3().setFromPoints(selectedPoints);
+    // Ground coverage does not apply to passes that look at a facade
+    if (trajectory.type === MISSION_TYPES.FACADE) {
+      setCoverageMap(null);
+      return;
+    }
+    
+    // Find the bounds of the selected area, or of the survey polygon on the ground plane
+    let bbox;
+    if (surveyArea) {
+      const bounds = getSurveyAreaBounds(surveyArea);
+      bbox = new THREE.Box3(
+        new THREE.Vector3(bounds.min.x, bounds.min.y, 0),
+        new THREE.Vector3(bounds.max.x, bounds.max.y, 0)
+      );
+    } else {
+      const selectedPoints = selectedFaces.map(face => face.point);
+      bbox = new THREE.Box3().setFromPoints(selectedPoints);
+    }
     const size = new THREE.Vector3();
     bbox.getSize(size);
     const center = new THREE.Vector3();
     bbox.getCenter(center);
     
+    // Large polygons would need millions of samples at 0.5 m; keep to about 10k
+    const gridSize = surveyArea
+      ? Math.max(0.5, Math.sqrt(getSurveyAreaSize(surveyArea) / 10000))
+      : 0.5; // meters between sample points
+    
     // Create a ground plane grid for coverage testing
     const xCount = Math.ceil(size.x / gridSize) + 5; // Add padding
     const yCount = Math.ceil(size.y / gridSize) + 5;
     
-    // Calculate camera parameters
-    const altitude = missionParams.altitude;
-    const halfFovRadiansH = Math.atan((cameraDetails.sensorWidth / 2) / lensDetails.focalLength);
-    const halfFovRadiansV = Math.atan((cameraDetails.sensorHeight / 2) / lensDetails.focalLength);
-    
-    // Calculate footprint size at the given altitude
-    const footprintWidthHalf = Math.tan(halfFovRadiansH) * altitude;
-    const footprintHeightHalf = Math.tan(halfFovRadiansV) * altitude;
-    
     // Sample grid points
     const gridPoints = [];
     const coverage = [];
@@ -210,79 +515,113 @@ const DroneMissionEnhanced = ({
         const yPos = (y - yCount/2) * gridSize + center.y;
         const zPos = center.z; // Assume flat ground for simplicity
         
+        // Only sample inside the survey polygon so the estimate ignores the rest of the box
+        if (surveyArea && !isPointInSurveyArea(xPos, yPos, surveyArea)) continue;
+        
         const point = new THREE.Vector3(xPos, yPos, zPos);
         gridPoints.push(point);
         coverage.push(0); // 0 = not covered yet
       }
     }
     
-    // Check coverage for each capture point
+    // Check coverage for each capture point against its projected ground footprint,
+    // which is a trapezoid for tilted (oblique) views and has curved edges for distorted lenses
     capturePoints.forEach(capture => {
-      const camPosition = capture.position;
-      const lookAt = capture.lookAt || new THREE.Vector3(camPosition.x, camPosition.y, 0); // Default look down
+      const height = capture.position.z - center.z;
+      if (height <= 0) return;
       
-      // Calculate camera viewing direction
-      const direction = new THREE.Vector3().subVectors(lookAt, camPosition).normalize();
+      const footprint = getCameraFootprint(
+        capture,
+        getFootprintHalfExtents(cameraDetails, lensDetails, height),
+        center.z
+      );
+      if (!footprint) return; // Looking at the horizon or away from the ground
       
-      // Create camera right and up vectors
-      const right = new THREE.Vector3(1, 0, 0);
-      right.applyAxisAngle(new THREE.Vector3(0, 0, 1), Math.atan2(direction.y, direction.x));
-      const up = new THREE.Vector3().crossVectors(direction, right).normalize();
+      const quad = { outer: footprint.corners.map(corner => [corner.x, corner.y]), holes: [] };
+      const bounds = new THREE.Box2().setFromPoints(footprint.corners.map(corner => new THREE.Vector2(corner.x, corner.y)));
       
       // Check which grid points are covered by this camera position
       gridPoints.forEach((point, index) => {
-        // Vector from camera to point
-        const toPoint = new THREE.Vector3().subVectors(point, camPosition);
-        
-        // Check if point is in front of camera
-        const dotProduct = toPoint.dot(direction);
-        if (dotProduct <= 0) return; // Behind camera
-        
-        // Project point onto camera plane
-        const distanceToPlane = toPoint.dot(direction);
-        const projectedPoint = new THREE.Vector3().addVectors(
-          camPosition,
-          new THREE.Vector3().copy(direction).multiplyScalar(distanceToPlane)
-        );
-        
-        // Get offset from center of projection
-        const offset = new THREE.Vector3().subVectors(projectedPoint, point);
-        
-        // Get right/up components
-        const rightComponent = offset.dot(right);
-        const upComponent = offset.dot(up);
-        
-        // Check if point is within footprint
-        const inFootprintH = Math.abs(rightComponent) <= footprintWidthHalf;
-        const inFootprintV = Math.abs(upComponent) <= footprintHeightHalf;
-        
-        if (inFootprintH && inFootprintV) {
+        if (point.x < bounds.min.x || point.x > bounds.max.x || point.y < bounds.min.y || point.y > bounds.max.y) return;
+        if (isPointInSurveyArea(point.x, point.y, quad)) {
           coverage[index] += 1; // Increase coverage count
         }
       });
     });
     
     // Create visualization objects
+    const coveredCount = coverage.filter(count => count > 0).length;
+    const overlappedCount = coverage.filter(count => count > 1).length;
     setCoverageMap({
       points: gridPoints,
       coverage: coverage,
-      maxCoverage: Math.max(...coverage)
+      maxCoverage: Math.max(...coverage),
+      coveredFraction: gridPoints.length > 0 ? coveredCount / gridPoints.length : 0,
+      overlappedFraction: gridPoints.length > 0 ? overlappedCount / gridPoints.length : 0 // seen by two or more images
     });
   };
   
   // Generate trajectory based on mission type and parameters
   const generateTrajectory = (isPreview = false) => {
-    if (selectedFaces.length === 0) return null;
+    if (!hasMissionArea()) return null;
+    
+    let trajectory = generateMissionTrajectory(isPreview);
+    
+    // Apply the optimised capture order while it still matches the generated stations
+    if (trajectory && routeOptimization && ROUTE_OPTIMIZABLE_TYPES.includes(missionType)) {
+      const stations = getRouteStations(trajectory);
+      if (getRouteKey(stations, getRouteOptions()) === routeOptimization.key) {
+        trajectory = {
+          ...reorderTrajectory(trajectory, stations, routeOptimization.order),
+          route: { before: routeOptimization.before, after: routeOptimization.after }
+        };
+      }
+    }
+    
+    trajectory = rerouteForGeofence(trajectory);
+    trajectory = applyClearance(trajectory);
+    trajectory = checkGeofence(trajectory);
+    trajectory = applyWindModel(trajectory);
+    trajectory = applyBatteryModel(trajectory);
+    
+    // If this is a final generation (not preview), keep it for export and send to parent
+    if (!isPreview) {
+      setGeneratedTrajectory(trajectory);
+      setExportSortie('all');
+      if (onUpdateTrajectory) {
+        onUpdateTrajectory(trajectory);
+      }
+      if (trajectory && activeMission) {
+        recordRevision(trajectory);
+      }
+    }
     
+    return trajectory;
+  };
+  
+  // Run the generator for the selected mission type
+  const generateMissionTrajectory = (isPreview = false) => {
     let trajectory;
     
     switch (missionType) {
+      case MISSION_TYPES.POLYGON:
+        trajectory = generatePolygonTrajectory(isPreview);
+        break;
+      case MISSION_TYPES.OBLIQUE:
+        trajectory = generateObliqueTrajectory(isPreview);
+        break;
+      case MISSION_TYPES.FACADE:
+        trajectory = generateFacadeTrajectory(isPreview);
+        break;
       case MISSION_TYPES.PERIMETER:
         trajectory = generatePerimeterTrajectory(isPreview);
         break;
       case MISSION_TYPES.ORBIT:
         trajectory = generateOrbitTrajectory(isPreview);
         break;
+      case MISSION_TYPES.STRUCTURE_SCAN:
+        trajectory = generateStructureScanTrajectory(isPreview);
+        break;
       case MISSION_TYPES.TERRAIN_FOLLOWING:
         trajectory = generateTerrainFollowingTrajectory(isPreview);
         break;
@@ -292,16 +631,174 @@ const DroneMissionEnhanced = ({
         break;
     }
     
-    // If this is a final generation (not preview), send to parent
-    if (!isPreview && onUpdateTrajectory) {
-      onUpdateTrajectory(trajectory);
+    // Sweep lines and orbits stop at the fences and stay under the ceiling
+    if (trajectory && hasGeofence(missionParams.geofence)) {
+      const clip = clipToGeofence(trajectory, missionParams.geofence, getGeofenceOptions());
+      trajectory = { ...clip.trajectory, geofence: { removed: clip.removed, clamped: clip.clamped } };
     }
     
     return trajectory;
   };
   
+  // Ceiling and reroute options for the geofence; AGL ceilings follow the elevation grid when there is one
+  const getGeofenceOptions = () => ({
+    transform,
+    margin: missionParams.safetyBuffer * transform.METERS_TO_FEET,
+    getGroundHeight: elevationGrid ? (x, y) => sampleElevation(elevationGrid, x, y) : null
+  });
+  
+  // Take legs that cross a no-fly zone or leave the inclusion area around the fence
+  const rerouteForGeofence = (trajectory) => {
+    if (!trajectory || !hasGeofence(missionParams.geofence)) return trajectory;
+    
+    const { trajectory: rerouted, rerouted: legs, unresolved } = rerouteAroundFences(
+      trajectory,
+      missionParams.geofence,
+      getGeofenceOptions()
+    );
+    return { ...rerouted, geofence: { ...trajectory.geofence, rerouted: legs, unresolved } };
+  };
+  
+  // List what still breaks the geofence once every repair has run; export is blocked until it is empty
+  const checkGeofence = (trajectory) => {
+    if (!trajectory || !hasGeofence(missionParams.geofence)) return trajectory;
+    
+    const violations = findFenceViolations(trajectory, missionParams.geofence, getGeofenceOptions());
+    return {
+      ...trajectory,
+      geofence: { ...trajectory.geofence, fence: missionParams.geofence, violations }
+    };
+  };
+  
+  // Route optimiser options in local units (feet); the take-off point is the local origin
+  const getRouteOptions = () => {
+    const limits = droneModel?.limits || {};
+    const home = [0, 0, 0];
+    return {
+      speed: missionParams.speed * transform.METERS_TO_FEET,
+      climbRate: (limits.maxClimbRate || DEFAULT_CLIMB_RATE) * transform.METERS_TO_FEET,
+      descentRate: (limits.maxDescentRate || DEFAULT_DESCENT_RATE) * transform.METERS_TO_FEET,
+      turnRate: missionParams.routeTurnRate,
+      start: missionParams.routeStart === 'home' ? home : missionParams.routeStart === 'first' ? 'first' : null,
+      end: missionParams.routeEnd === 'home' ? home : missionParams.routeEnd === 'last' ? 'last' : null
+    };
+  };
+  
+  // Check every leg against the indexed scene, repairing close legs when asked
+  const applyClearance = (trajectory) => {
+    if (!trajectory || !obstacleIndex) return trajectory;
+    
+    const buffer = missionParams.safetyBuffer * transform.METERS_TO_FEET;
+    try {
+      let repaired = [];
+      if (missionParams.clearanceRepair !== 'none') {
+        const repair = repairClearance(trajectory, obstacleIndex, { buffer, mode: missionParams.clearanceRepair });
+        trajectory = repair.trajectory;
+        repaired = repair.repaired;
+      }
+      const violations = validateClearance(trajectory, obstacleIndex, buffer);
+      return { ...trajectory, clearance: { buffer, violations, repaired } };
+    } catch (error) {
+      console.error("Error checking obstacle clearance:", error);
+      return { ...trajectory, clearance: { buffer, violations: [], repaired: [], error: error.message } };
+    }
+  };
+  
+  // Mean and gust wind in local axes, or null in calm air
+  const getLocalWindParams = () => {
+    const { windSpeed, windDirection, windGust } = missionParams;
+    if (!(windSpeed > 0) && !(windGust > 0)) return null;
+    return getLocalWind({ speed: windSpeed || 0, direction: windDirection || 0, gust: windGust || 0 }, transform);
+  };
+  
+  // Ground speed, crab angle and capture blur for every leg in the reported wind
+  const applyWindModel = (trajectory) => {
+    const wind = getLocalWindParams();
+    if (!trajectory || !wind) return trajectory;
+    
+    const analysis = analyzeWindLegs(trajectory, {
+      airspeed: missionParams.speed,
+      wind,
+      gsd: parseFloat(missionParams.gsd),
+      shutterTime: missionParams.shutterSpeed > 0 ? 1 / missionParams.shutterSpeed : 0,
+      maxBlur: missionParams.maxBlur,
+      metersPerUnit: transform.FEET_TO_METERS
+    });
+    return {
+      ...trajectory,
+      wind: { ...analysis, local: wind, suggestedGridAngle: getCrosswindFreeGridAngle(wind) }
+    };
+  };
+  
+  // Estimate battery use for the selected airframe and split the mission into
+  // sorties, each returning home, when it does not fit one battery
+  const applyBatteryModel = (trajectory) => {
+    const drone = BATTERY_DRONES.find(d => d.id === batteryDroneId);
+    if (!trajectory || !drone) return trajectory;
+    
+    try {
+      const limits = droneModel?.limits || {};
+      const profile = getBatteryProfile(drone, missionParams.payloadWeight);
+      const options = {
+        profile,
+        speed: missionParams.speed,
+        climbRate: limits.maxClimbRate || DEFAULT_CLIMB_RATE,
+        descentRate: limits.maxDescentRate || DEFAULT_DESCENT_RATE,
+        metersPerUnit: transform.FEET_TO_METERS,
+        home: { x: 0, y: 0, z: 0 }, // Take-off point is the local origin
+        wind: getLocalWindParams()
+      };
+      const estimate = estimateMissionEnergy(trajectory, options);
+      const battery = { ...options, ...estimate, drone: `${drone.brand} ${drone.model}`, warnings: [...profile.warnings] };
+      
+      if (!missionParams.splitSorties || estimate.energy <= profile.usableWh) {
+        return { ...trajectory, battery };
+      }
+      const { sorties, warnings } = splitIntoSorties(trajectory, options);
+      battery.warnings.push(...warnings);
+      return { ...trajectory, battery, sorties };
+    } catch (error) {
+      console.error("Error estimating battery use:", error);
+      return { ...trajectory, battery: { error: error.message } };
+    }
+  };
+  
+  // An optimised order only applies to the same stations and route options
+  const getRouteKey = (stations, options) => `${getRouteSignature(stations)}|${JSON.stringify(options)}`;
+  
+  // Order the capture stations in the route worker so large missions do not block the UI
+  const handleOptimizeRoute = () => {
+    const trajectory = generateMissionTrajectory(true);
+    if (!trajectory) return;
+    
+    const stations = getRouteStations(trajectory);
+    const options = getRouteOptions();
+    const key = getRouteKey(stations, options);
+    setRouteError(null);
+    setRouteStatus({ pass: 0 });
+    
+    try {
+      const pool = getRouteWorkerPool();
+      pool.executeTask('optimize_route', { positions: stations.map(station => station.position), options }, {
+        onProgress: ({ pass }) => setRouteStatus({ pass })
+      }).then(result => {
+        setRouteOptimization({ key, ...result });
+        setRouteStatus(null);
+      }).catch(error => {
+        console.error("Error optimising route:", error);
+        setRouteError(error.message);
+        setRouteStatus(null);
+      });
+    } catch (poolError) {
+      console.error("Failed to start route optimisation:", poolError);
+      setRouteError(poolError.message);
+      setRouteStatus(null);
+    }
+  };
+  
   // Grid pattern trajectory generation (original algorithm, enhanced)
-  const generateGridTrajectory = (isPreview = false) => {
+  // margin widens the grid on every side, e.g. for combined oblique stations
+  const generateGridTrajectory = (isPreview = false, margin = 0) => {
     // Extract geometry information from selected faces
     const selectedPoints = selectedFaces.map(face => face.point);
     
@@ -311,19 +808,24 @@ const DroneMissionEnhanced = ({
     bbox.getCenter(center);
     const size = new THREE.Vector3();
     bbox.getSize(size);
+    size.x += 2 * margin;
+    size.y += 2 * margin;
     
     // Calculate flight parameters based on mission settings
-    const altitude = missionParams.altitude;
+    // Local coordinates are feet; the altitude is entered in meters
+    const altitude = missionParams.altitude * transform.METERS_TO_FEET;
     const overlap = missionParams.overlap / 100;
     const sideOverlap = missionParams.sideOverlap / 100;
     
-    // Calculate camera footprint at the given altitude
-    const cameraFootprintWidth = cameraDetails?.sensorWidth * altitude / lensDetails?.focalLength * 1000 || 10;
-    const cameraFootprintHeight = cameraDetails?.sensorHeight * altitude / lensDetails?.focalLength * 1000 || 7.5;
+    // Same footprint extents as the CameraFootprints preview and coverage map
+    const hasCamera = cameraDetails?.sensorWidth && lensDetails?.focalLength;
+    const { halfWidth, halfHeight } = hasCamera
+      ? getFootprintHalfExtents(cameraDetails, lensDetails, altitude)
+      : { halfWidth: 5, halfHeight: 3.75 };
     
     // Calculate distance between flight lines based on overlap
-    const lineSpacing = cameraFootprintWidth * (1 - sideOverlap);
-    const captureSpacing = cameraFootprintHeight * (1 - overlap);
+    const lineSpacing = 2 * halfWidth * (1 - sideOverlap);
+    const captureSpacing = 2 * halfHeight * (1 - overlap);
     
     // Generate grid pattern
     const gridAngleRad = missionParams.gridAngle * Math.PI / 180;
@@ -394,6 +896,153 @@ const DroneMissionEnhanced = ({
     return trajectory;
   };
   
+  // Oblique photogrammetry - nadir grid plus four passes at a fixed gimbal tilt
+  const generateObliqueTrajectory = (isPreview = false) => {
+    const { altitude, gridAngle, obliqueTilt, obliqueOrdering } = missionParams;
+    
+    // The grid flies at altitude above the centre of the selection
+    const groundZ = new THREE.Box3()
+      .setFromPoints(selectedFaces.map(face => face.point))
+      .getCenter(new THREE.Vector3()).z;
+    
+    // Combined stations must reach past the area so the oblique footprints still cover its edges
+    const margin = obliqueOrdering === 'combined'
+      ? getObliqueOffset(altitude * transform.METERS_TO_FEET, obliqueTilt)
+      : 0;
+    const grid = generateGridTrajectory(true, margin);
+    
+    try {
+      const { waypoints, capturePoints, passes } = generateObliquePasses(grid.waypoints, {
+        tilt: obliqueTilt,
+        gridAngle,
+        groundZ,
+        ordering: obliqueOrdering
+      });
+      
+      return {
+        type: MISSION_TYPES.OBLIQUE,
+        waypoints,
+        params: { ...missionParams },
+        capturePoints,
+        passes
+      };
+    } catch (error) {
+      console.error("Error generating oblique passes:", error);
+      return null;
+    }
+  };
+  
+  // Polygon survey - lawnmower lines clipped to the drawn or imported boundary
+  const generatePolygonTrajectory = (isPreview = false) => {
+    const { surveyArea, gridAngle } = missionParams;
+    const overlap = missionParams.overlap / 100;
+    const sideOverlap = missionParams.sideOverlap / 100;
+    
+    // Local coordinates are feet; altitude and turnaround are entered in meters
+    const altitude = missionParams.altitude * transform.METERS_TO_FEET;
+    const turnaroundDistance = missionParams.turnaroundDistance * transform.METERS_TO_FEET;
+    
+    // Same footprint extents as the CameraFootprints preview and coverage map, at the flown height
+    const hasCamera = cameraDetails?.sensorWidth && lensDetails?.focalLength;
+    const { halfWidth, halfHeight } = hasCamera
+      ? getFootprintHalfExtents(cameraDetails, lensDetails, altitude)
+      : { halfWidth: 5, halfHeight: 3.75 };
+    
+    try {
+      const { waypoints, captures } = generatePolygonSurvey(surveyArea, {
+        altitude,
+        lineSpacing: 2 * halfWidth * (1 - sideOverlap),
+        captureSpacing: 2 * halfHeight * (1 - overlap),
+        gridAngle,
+        turnaroundDistance
+      });
+      
+      return {
+        type: MISSION_TYPES.POLYGON,
+        waypoints,
+        params: { ...missionParams },
+        capturePoints: captures.map(point => ({
+          position: point.clone(),
+          lookAt: new THREE.Vector3(point.x, point.y, 0) // Point camera down
+        }))
+      };
+    } catch (error) {
+      console.error("Error generating polygon survey:", error);
+      return null;
+    }
+  };
+  
+  // Facade inspection - vertical passes in front of each planar patch of the selected faces
+  const generateFacadeTrajectory = (isPreview = false) => {
+    const overlap = missionParams.overlap / 100;
+    const sideOverlap = missionParams.sideOverlap / 100;
+    
+    // Fly around the structure instead of crossing it between patches
+    const patches = groupFacesByNormal(selectedFaces, { angleTolerance: missionParams.facadeAngleTolerance })
+      .sort((a, b) => Math.atan2(a.normal.y, a.normal.x) - Math.atan2(b.normal.y, b.normal.x));
+    
+    // Local coordinates are feet; standoff, GSD and DOF limits are solved in meters
+    const safetyHeight = missionParams.safetyBuffer * transform.METERS_TO_FEET;
+    const transitHeight = Math.max(...selectedFaces.map(face => face.point.z)) + safetyHeight;
+    
+    const waypoints = [];
+    const capturePoints = [];
+    const warnings = [];
+    const patchSummaries = [];
+    
+    try {
+      patches.forEach((patch, index) => {
+        const { depthRange } = getPatchExtents(patch);
+        const solution = solveStandoff({
+          cameraDetails,
+          lensDetails,
+          targetGsd: missionParams.targetGsd,
+          dofCalculations,
+          depthRange: depthRange * transform.FEET_TO_METERS
+        });
+        solution.warnings.forEach(warning => warnings.push(`Patch ${index + 1}: ${warning}`));
+        
+        const standoff = solution.standoff * transform.METERS_TO_FEET;
+        const { halfWidth, halfHeight } = getFootprintHalfExtents(cameraDetails, lensDetails, standoff);
+        const passes = generateFacadePasses(patch, {
+          standoff,
+          columnSpacing: 2 * halfWidth * (1 - sideOverlap),
+          captureSpacing: 2 * halfHeight * (1 - overlap),
+          minHeight: safetyHeight
+        });
+        
+        // Climb above the selection before moving on to the next patch
+        if (waypoints.length > 0) {
+          const last = waypoints[waypoints.length - 1];
+          const next = passes.waypoints[0];
+          if (last.z < transitHeight) waypoints.push(new THREE.Vector3(last.x, last.y, transitHeight));
+          if (next.z < transitHeight) waypoints.push(new THREE.Vector3(next.x, next.y, transitHeight));
+        }
+        
+        waypoints.push(...passes.waypoints);
+        capturePoints.push(...passes.capturePoints);
+        patchSummaries.push({
+          faceCount: patch.faceCount,
+          standoff: solution.standoff,
+          gsd: solution.gsd,
+          limitedBy: solution.limitedBy
+        });
+      });
+    } catch (error) {
+      console.error("Error generating facade inspection:", error);
+      return null;
+    }
+    
+    return {
+      type: MISSION_TYPES.FACADE,
+      waypoints,
+      params: { ...missionParams },
+      capturePoints,
+      patches: patchSummaries,
+      warnings
+    };
+  };
+  
   // Perimeter trajectory - follows the boundary of the selected area
   const generatePerimeterTrajectory = (isPreview = false) => {
     // Extract geometry information from selected faces
@@ -406,8 +1055,9 @@ const DroneMissionEnhanced = ({
     const size = new THREE.Vector3();
     bbox.getSize(size);
     
-    const altitude = missionParams.altitude;
-    const safety = missionParams.safetyBuffer;
+    // Local coordinates are feet; altitude and safety buffer are entered in meters
+    const altitude = missionParams.altitude * transform.METERS_TO_FEET;
+    const safety = missionParams.safetyBuffer * transform.METERS_TO_FEET;
     
     // Generate perimeter waypoints
     const waypoints = [];
@@ -445,8 +1095,9 @@ const DroneMissionEnhanced = ({
     const center = new THREE.Vector3();
     bbox.getCenter(center);
     
-    const radius = missionParams.orbitRadius;
-    const altitude = missionParams.orbitAltitude;
+    // Local coordinates are feet; radius and height are entered in meters
+    const radius = missionParams.orbitRadius * transform.METERS_TO_FEET;
+    const altitude = missionParams.orbitAltitude * transform.METERS_TO_FEET;
     const segments = 16; // Number of points in the orbit
     
     // Generate orbit waypoints
@@ -473,6 +1124,39 @@ const DroneMissionEnhanced = ({
     return trajectory;
   };
   
+  // Structure scan - stacked orbit rings from the base to the top of the selection
+  const generateStructureScanTrajectory = (isPreview = false) => {
+    // Local coordinates are feet; standoff and safety buffer are entered in meters
+    const standoff = missionParams.scanStandoff * transform.METERS_TO_FEET;
+    const hasCamera = cameraDetails?.sensorWidth && lensDetails?.focalLength;
+    const halfExtents = hasCamera
+      ? getFootprintHalfExtents(cameraDetails, lensDetails, standoff)
+      : { halfWidth: 5, halfHeight: 3.75 };
+    
+    try {
+      const structure = getStructureBounds(selectedFaces.flatMap(getFaceVertices));
+      const scan = generateStructureScan(structure, {
+        standoff,
+        halfExtents,
+        horizontalOverlap: missionParams.overlap / 100,
+        verticalOverlap: missionParams.sideOverlap / 100,
+        minHeight: missionParams.safetyBuffer * transform.METERS_TO_FEET,
+        topCap: missionParams.scanTopCap
+      });
+      
+      return {
+        type: MISSION_TYPES.STRUCTURE_SCAN,
+        waypoints: scan.waypoints,
+        params: { ...missionParams },
+        capturePoints: scan.capturePoints,
+        rings: scan.rings
+      };
+    } catch (error) {
+      console.error("Error generating structure scan:", error);
+      return null;
+    }
+  };
+  
   // Terrain following trajectory - adjusts altitude based on terrain
   const generateTerrainFollowingTrajectory = (isPreview = false) => {
     // First generate a grid trajectory
@@ -481,7 +1165,52 @@ const DroneMissionEnhanced = ({
     if (!baseTrajectory) return null;
     
     const { waypoints } = baseTrajectory;
-    const followDistance = missionParams.terrainFollowDistance;
+    // Local coordinates are feet; follow distance and tolerances are set in meters
+    const followDistance = missionParams.terrainFollowDistance * transform.METERS_TO_FEET;
+    
+    // An imported elevation grid is sampled along every leg, not just at the waypoints
+    if (elevationGrid) {
+      try {
+        const limits = droneModel?.limits || {};
+        const fitted = followTerrain(waypoints, elevationGrid, {
+          followDistance,
+          tolerance: missionParams.terrainTolerance * transform.METERS_TO_FEET,
+          sampleSpacing: missionParams.terrainSampleSpacing * transform.METERS_TO_FEET,
+          maxClimbRate: limits.maxClimbRate || DEFAULT_CLIMB_RATE,
+          maxDescentRate: limits.maxDescentRate || DEFAULT_DESCENT_RATE,
+          speed: missionParams.speed
+        });
+        
+        const warnings = [...fitted.warnings];
+        if (fitted.maxLift > missionParams.terrainTolerance * transform.METERS_TO_FEET) {
+          warnings.push(`Climb and descent limits hold the aircraft up to ${(fitted.maxLift * transform.FEET_TO_METERS).toFixed(1)} m above the follow height`);
+        }
+        
+        // Captures stay on the grid stations; inserted waypoints only shape the climb
+        const capturePoints = fitted.waypointIndices.map(index => {
+          const point = fitted.waypoints[index];
+          return {
+            position: point.clone(),
+            lookAt: new THREE.Vector3(point.x, point.y, fitted.terrainHeights[index])
+          };
+        });
+        
+        return {
+          type: MISSION_TYPES.TERRAIN_FOLLOWING,
+          waypoints: fitted.waypoints,
+          params: { ...missionParams },
+          capturePoints,
+          terrain: {
+            source: elevationGrid.source,
+            insertedCount: fitted.insertedCount
+          },
+          warnings
+        };
+      } catch (error) {
+        console.error("Error fitting trajectory to elevation grid:", error);
+        return { ...baseTrajectory, warnings: [error.message] };
+      }
+    }
     
     // Validate scene before using it
     const isValidScene = scene && (scene instanceof THREE.Scene) && Array.isArray(scene.children);
@@ -491,8 +1220,7 @@ const DroneMissionEnhanced = ({
     }
     
     try {
-      // Get terrain heights - would normally use actual terrain data
-      // Here we'll simulate it by raytracing down from each waypoint
+      // Without an elevation grid, raytrace down from each waypoint into the scene
       const adjustedWaypoints = waypoints.map(point => {
         // Create a raycaster pointing downward from this waypoint
         const origin = point.clone();
@@ -594,55 +1322,25 @@ const DroneMissionEnhanced = ({
     if (!previewTrajectory || !previewTrajectory.capturePoints || !isPreviewVisible) return null;
     
     const { capturePoints } = previewTrajectory;
-    const altitude = missionParams.altitude;
-    
-    // Calculate footprint dimensions based on camera and lens properties
-    const halfFovRadiansH = Math.atan((cameraDetails?.sensorWidth / 2) / lensDetails?.focalLength);
-    const halfFovRadiansV = Math.atan((cameraDetails?.sensorHeight / 2) / lensDetails?.focalLength);
-    
-    const footprintWidthHalf = Math.tan(halfFovRadiansH) * altitude;
-    const footprintHeightHalf = Math.tan(halfFovRadiansV) * altitude;
     
     return (
       <group>
         {capturePoints.map((point, index) => {
           const position = point.position;
-          const lookAt = point.lookAt || new THREE.Vector3(position.x, position.y, 0);
+          if (!point.targetNormal && position.z <= 0) return null;
           
-          // Calculate direction vectors
-          const direction = new THREE.Vector3().subVectors(lookAt, position).normalize();
-          const right = new THREE.Vector3(1, 0, 0);
-          right.applyAxisAngle(new THREE.Vector3(0, 0, 1), Math.atan2(direction.y, direction.x));
-          const up = new THREE.Vector3().crossVectors(direction, right).normalize();
-          
-          // Calculate corners of footprint on the ground
-          const groundZ = 0; // Assumed ground plane
-          const rayLength = (position.z - groundZ) / direction.z;
-          const rayCenter = new THREE.Vector3().copy(position).add(
-            new THREE.Vector3().copy(direction).multiplyScalar(rayLength)
-          );
+          // Footprints are sized at each capture's height above the ground, facade captures at their standoff
+          const footprint = getCameraFootprint(point, getFootprintHalfExtents(
+            cameraDetails,
+            lensDetails,
+            point.targetNormal ? position.distanceTo(point.lookAt) : position.z
+          ));
+          if (!footprint) return null;
           
-          // Calculate the four corners
-          const cornerPoints = [
-            new THREE.Vector3().copy(rayCenter)
-              .add(new THREE.Vector3().copy(right).multiplyScalar(footprintWidthHalf))
-              .add(new THREE.Vector3().copy(up).multiplyScalar(footprintHeightHalf)),
-            
-            new THREE.Vector3().copy(rayCenter)
-              .add(new THREE.Vector3().copy(right).multiplyScalar(-footprintWidthHalf))
-              .add(new THREE.Vector3().copy(up).multiplyScalar(footprintHeightHalf)),
-              
-            new THREE.Vector3().copy(rayCenter)
-              .add(new THREE.Vector3().copy(right).multiplyScalar(-footprintWidthHalf))
-              .add(new THREE.Vector3().copy(up).multiplyScalar(-footprintHeightHalf)),
-              
-            new THREE.Vector3().copy(rayCenter)
-              .add(new THREE.Vector3().copy(right).multiplyScalar(footprintWidthHalf))
-              .add(new THREE.Vector3().copy(up).multiplyScalar(-footprintHeightHalf)),
-          ];
+          const rayCenter = footprint.center;
           
           // Add the first point again to close the loop
-          cornerPoints.push(cornerPoints[0].clone());
+          const cornerPoints = [...footprint.corners, footprint.corners[0]];
           
           // Convert to array format for Line component
           const linePoints = cornerPoints.map(p => [p.x, p.y, p.z]);
@@ -689,9 +1387,11 @@ const DroneMissionEnhanced = ({
       return;
     }
     
-    // Calculate mouse position in normalized device coordinates
-    mouse.current.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouse.current.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    // Calculate mouse position in normalized device coordinates of the clicked canvas
+    const rect = event.currentTarget?.getBoundingClientRect?.()
+      || { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    mouse.current.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.current.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
     // Validate camera
     if (!camera) {
@@ -703,8 +1403,20 @@ const DroneMissionEnhanced = ({
       // Update the picking ray with the camera and mouse position
       raycaster.current.setFromCamera(mouse.current, camera);
       
-      // Find intersected objects
-      const intersects = raycaster.current.intersectObjects(scene.children, true);
+      // Find intersected surfaces, skipping planning overlays such as the trajectory and fences
+      const intersects = raycaster.current.intersectObjects(scene.children, true)
+        .filter(hit => (hit.object.isMesh || hit.object.isPoints) && !isMissionOverlay(hit.object));
+      
+      // While drawing a survey boundary, clicks add ring points on the ground plane
+      if (boundaryDrawMode) {
+        const ground = intersects.length > 0
+          ? intersects[0].point
+          : raycaster.current.ray.intersectPlane(new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), new THREE.Vector3());
+        if (ground) {
+          setDraftRing([...draftRing, [ground.x, ground.y]]);
+        }
+        return;
+      }
       
       if (intersects.length > 0) {
         // Check if we hit a mesh with faces
@@ -737,6 +1449,32 @@ const DroneMissionEnhanced = ({
     }
   };
   
+  // Clicks on the 3D view go to the latest handler while the planner is open
+  const sceneClickRef = useRef(null);
+  sceneClickRef.current = isPlannerOpen ? handleSceneClick : null;
+  
+  useEffect(() => {
+    if (!canvas || !camera) return;
+    
+    // Orbit drags end with a click too, so only short presses pick
+    let pressedAt = null;
+    const handlePointerDown = (event) => {
+      pressedAt = [event.clientX, event.clientY];
+    };
+    const handleClick = (event) => {
+      if (!sceneClickRef.current) return;
+      if (pressedAt && Math.hypot(event.clientX - pressedAt[0], event.clientY - pressedAt[1]) > CLICK_DRAG_TOLERANCE) return;
+      sceneClickRef.current(event, camera);
+    };
+    
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('click', handleClick);
+    return () => {
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('click', handleClick);
+    };
+  }, [canvas, camera]);
+  
   // Handle mouse move for highlighting faces
   const handleMouseMove = (event, camera) => {
     // Validate scene before attempting to use it
@@ -798,46 +1536,651 @@ const DroneMissionEnhanced = ({
     }));
   };
   
+  // Highest distance to the subject the mission may fly, from the geofence ceiling when there is one
+  const getMaxSafeStandoff = () => {
+    const fence = missionParams.geofence;
+    if (!fence || fence.ceiling === null) return DEFAULT_MAX_STANDOFF;
+    return fence.ceilingReference === 'AMSL'
+      ? fence.ceiling - (transform.origin?.alt || 0)
+      : fence.ceiling;
+  };
+  
+  // Set the zoom to the focal length that reaches the target GSD from the highest safe standoff
+  const handleFitZoomToGsd = () => {
+    try {
+      const fit = optimizeFocalLengthForGsd({
+        cameraDetails,
+        lensDetails: catalogLensDetails,
+        targetGsd: missionParams.targetGsd,
+        maxStandoff: getMaxSafeStandoff(),
+        minStandoff: missionParams.safetyBuffer
+      });
+      const standoff = Math.round(fit.standoff * 10) / 10;
+      setMissionParams(prev => ({
+        ...prev,
+        focalLength: fit.focalLength,
+        ...(missionType === MISSION_TYPES.STRUCTURE_SCAN ? { scanStandoff: standoff } : { altitude: standoff })
+      }));
+      setZoomWarnings(fit.warnings);
+    } catch (error) {
+      console.error("Error fitting zoom to target GSD:", error);
+      setZoomWarnings([error.message]);
+    }
+  };
+  
   // Handle mission type change
   const handleMissionTypeChange = (type) => {
     setMissionType(type);
   };
   
-  // Step through the workflow
-  const nextWorkflowStep = () => {
-    if (workflowStep === workflowSteps.length - 1) {
-      // Generate the mission in the final step
-      generateTrajectory();
-      setIsWorkflowOpen(false);
-      setWorkflowStep(0);
-    } else {
-      setWorkflowStep(workflowStep + 1);
+  // Start clicking points for the survey boundary or for a hole in it
+  const startBoundaryDrawing = (mode) => {
+    setBoundaryErrors([]);
+    setDraftRing([]);
+    setBoundaryDrawMode(mode);
+  };
+  
+  // Close the ring being drawn and add it to the survey area
+  const finishBoundaryRing = () => {
+    if (boundaryDrawMode === 'inclusion' || boundaryDrawMode === 'exclusion') {
+      finishGeofenceRing();
+      return;
+    }
+    
+    try {
+      const { surveyArea } = missionParams;
+      const area = boundaryDrawMode === 'hole'
+        ? createSurveyArea(surveyArea.outer, [...surveyArea.holes, draftRing])
+        : createSurveyArea(draftRing, surveyArea?.holes || []);
+      
+      handleParamChange('surveyArea', area);
+      setMissionType(MISSION_TYPES.POLYGON);
+      setBoundaryErrors([]);
+      setBoundaryDrawMode(null);
+      setDraftRing([]);
+    } catch (error) {
+      console.error("Error closing survey boundary:", error);
+      setBoundaryErrors([error.message]);
     }
   };
   
-  const prevWorkflowStep = () => {
-    if (workflowStep === 0) {
-      setIsWorkflowOpen(false);
-    } else {
-      setWorkflowStep(workflowStep - 1);
+  // Remove the survey polygon and any ring in progress
+  const clearSurveyArea = () => {
+    handleParamChange('surveyArea', null);
+    setBoundaryDrawMode(null);
+    setDraftRing([]);
+    setBoundaryErrors([]);
+  };
+  
+  // Replace parts of the geofence, dropping it when nothing is left to limit
+  const updateGeofence = (changes) => {
+    const fence = createGeofence({ ...(missionParams.geofence || {}), ...changes });
+    handleParamChange('geofence', hasGeofence(fence) ? fence : null);
+  };
+  
+  // Close the ring being drawn and add it as an inclusion area or no-fly zone
+  const finishGeofenceRing = () => {
+    const key = boundaryDrawMode === 'inclusion' ? 'inclusions' : 'exclusions';
+    const zones = missionParams.geofence?.[key] || [];
+    const name = `${boundaryDrawMode === 'inclusion' ? 'Inclusion' : 'No-fly zone'} ${zones.length + 1}`;
+    try {
+      updateGeofence({ [key]: [...zones, { name, ring: draftRing }] });
+      setGeofenceErrors([]);
+      setBoundaryDrawMode(null);
+      setDraftRing([]);
+    } catch (error) {
+      console.error("Error closing geofence:", error);
+      setGeofenceErrors([error.message]);
     }
   };
   
-  // Start the mission planning workflow
-  const startMissionPlanning = () => {
-    setSelectedFaces([]);
-    setWorkflowStep(0);
-    setIsWorkflowOpen(true);
+  // Remove one inclusion area or no-fly zone
+  const removeGeofenceZone = (key, index) => {
+    updateGeofence({ [key]: missionParams.geofence[key].filter((_, i) => i !== index) });
   };
   
-  // The mission planning workflow popup
-  const renderWorkflowPopup = () => {
-    if (!isWorkflowOpen) return null;
-    
-    return (
-      <div className="popup-container">
-        <h2>Drone Mission Planning</h2>
-        <p>Step {workflowStep + 1} of {workflowSteps.length}: {workflowSteps[workflowStep]}</p>
+  // Set the altitude ceiling in meters, or clear it with an empty value
+  const handleGeofenceCeilingChange = (value, reference = missionParams.geofence?.ceilingReference || 'AGL') => {
+    try {
+      updateGeofence({ ceiling: value === '' || value === null ? null : parseFloat(value), ceilingReference: reference });
+      setGeofenceErrors([]);
+    } catch (error) {
+      console.error("Error setting geofence ceiling:", error);
+      setGeofenceErrors([error.message]);
+    }
+  };
+  
+  // Import inclusion areas and no-fly zones from GeoJSON or KML polygons
+  const handleImportGeofence = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const options = { transform, type: geofenceImportType };
+        const { inclusions, exclusions, warnings } = /\.kml$/i.test(file.name)
+          ? importGeofenceKML(e.target.result, options)
+          : importGeofenceGeoJSON(e.target.result, options);
+        const fence = missionParams.geofence;
+        updateGeofence({
+          inclusions: [...(fence?.inclusions || []), ...inclusions],
+          exclusions: [...(fence?.exclusions || []), ...exclusions]
+        });
+        setGeofenceErrors(warnings);
+      } catch (error) {
+        console.error("Error importing geofence:", error);
+        setGeofenceErrors([error.message]);
+      }
+    };
+    reader.readAsText(file);
+    
+    // Allow the same file to be picked again after fixing it
+    event.target.value = '';
+  };
+  
+  // Import a GeoTIFF or ESRI ASCII grid DEM/DSM for terrain following
+  const handleImportElevation = async (event) => {
+    const file = event.target.files[0];
+    // Allow the same file to be picked again after fixing it
+    event.target.value = '';
+    if (!file) return;
+    
+    setIsElevationLoading(true);
+    setElevationError(null);
+    try {
+      const raster = await loadElevationFile(file);
+      setElevationRaster({ raster, source: file.name });
+    } catch (error) {
+      console.error("Error importing elevation grid:", error);
+      setElevationError(error.message);
+    } finally {
+      setIsElevationLoading(false);
+    }
+  };
+  
+  // Build an elevation grid from the point clouds in the scene
+  // Highest point per cell gives a surface model (DSM), lowest point bare ground (DEM)
+  const buildElevationFromPointCloud = () => {
+    try {
+      const raster = rasterizePointClouds(scene?.children || [], {
+        cellSize: pointCloudCellSize * transform.METERS_TO_FEET,
+        mode: pointCloudMode
+      });
+      setElevationRaster({ raster, source: `Point cloud ${pointCloudMode === 'min' ? 'DEM' : 'DSM'}` });
+      setElevationError(null);
+    } catch (error) {
+      console.error("Error building elevation grid from point cloud:", error);
+      setElevationError(error.message);
+    }
+  };
+  
+  // Index the meshes and point clouds in the scene so every leg can be checked against them
+  const handleIndexObstacles = () => {
+    try {
+      const index = buildObstacleIndex(scene?.children || [], {
+        voxelSize: missionParams.safetyBuffer * transform.METERS_TO_FEET
+      });
+      setObstacleIndex(index);
+      setClearanceError(null);
+    } catch (error) {
+      console.error("Error indexing obstacles:", error);
+      setObstacleIndex(null);
+      setClearanceError(error.message);
+    }
+  };
+  
+  // Import a survey boundary (with holes) from a GeoJSON polygon
+  const handleImportBoundary = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const { area, warnings } = importSurveyAreaGeoJSON(e.target.result, { transform });
+        handleParamChange('surveyArea', area);
+        setMissionType(MISSION_TYPES.POLYGON);
+        setBoundaryDrawMode(null);
+        setDraftRing([]);
+        setBoundaryErrors(warnings);
+      } catch (error) {
+        console.error("Error importing survey boundary:", error);
+        setBoundaryErrors([error.message]);
+      }
+    };
+    reader.readAsText(file);
+    
+    // Allow the same file to be picked again after fixing it
+    event.target.value = '';
+  };
+  
+  // Step through the workflow
+  const nextWorkflowStep = () => {
+    if (workflowStep === workflowSteps.length - 1) {
+      // Generate the mission in the final step
+      generateTrajectory();
+      setIsWorkflowOpen(false);
+      setWorkflowStep(0);
+    } else {
+      setWorkflowStep(workflowStep + 1);
+    }
+  };
+  
+  const prevWorkflowStep = () => {
+    if (workflowStep === 0) {
+      setIsWorkflowOpen(false);
+    } else {
+      setWorkflowStep(workflowStep - 1);
+    }
+  };
+  
+  // The whole generated trajectory, or the sortie picked for export, with its file name stem
+  // Throws while the trajectory still breaks the geofence so nothing unsafe leaves the planner
+  const getExportTarget = () => {
+    if (!missionParams.origin) {
+      throw new Error('Export blocked: set the mission origin (latitude and longitude) before exporting');
+    }
+    
+    const violations = generatedTrajectory.geofence?.violations || [];
+    if (violations.length > 0) {
+      throw new Error(
+        `Export blocked: the mission breaks the geofence in ${violations.length} place(s)\n` +
+        violations.map(violation => `- ${violation.message}`).join('\n')
+      );
+    }
+    
+    const sortie = exportSortie !== 'all' ? generatedTrajectory.sorties?.[exportSortie] : null;
+    return sortie
+      ? { trajectory: sortie, name: `${generatedTrajectory.type}-mission-sortie-${sortie.sortie.index + 1}` }
+      : { trajectory: generatedTrajectory, name: `${generatedTrajectory.type}-mission` };
+  };
+  
+  // Place the local origin on the globe; altitude is in meters, heading in degrees from true north
+  const handleSetOrigin = () => {
+    const lat = parseFloat(originDraft.lat);
+    const lon = parseFloat(originDraft.lon);
+    const alt = parseFloat(originDraft.alt) || 0;
+    const heading = parseFloat(originDraft.heading) || 0;
+    
+    if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+      setOriginError('Latitude must be between -90 and 90 degrees');
+      return;
+    }
+    if (!Number.isFinite(lon) || lon < -180 || lon > 180) {
+      setOriginError('Longitude must be between -180 and 180 degrees');
+      return;
+    }
+    
+    setOriginError(null);
+    setMissionParams(prev => ({ ...prev, origin: { lat, lon, alt }, heading: ((heading % 360) + 360) % 360 }));
+  };
+  
+  // Export the last generated trajectory as a QGroundControl plan
+  const handleExportQGCPlan = (firmware) => {
+    try {
+      setExportError(null);
+      setExportWarnings([]);
+      const { trajectory, name } = getExportTarget();
+      downloadQGCPlan(trajectory, `${name}.plan`, {
+        transform,
+        firmware
+      });
+    } catch (error) {
+      console.error("Error exporting QGroundControl plan:", error);
+      setExportError(error.message);
+    }
+  };
+  
+  // Export the last generated trajectory as a DJI WPML KMZ for the chosen airframe
+  const handleExportWpml = (captureMode) => {
+    try {
+      setExportError(null);
+      const drone = DroneModels.find(d => d.id === wpmlDroneId);
+      const { trajectory, name } = getExportTarget();
+      const warnings = downloadWpmlKmz(trajectory, `${name}.kmz`, {
+        transform,
+        drone,
+        captureMode
+      });
+      setExportWarnings(warnings);
+    } catch (error) {
+      console.error("Error exporting DJI WPML mission:", error);
+      setExportError(error.message);
+    }
+  };
+  
+  // Export flight path, capture points and footprints for GIS tools
+  const handleExportGis = (format) => {
+    try {
+      setExportError(null);
+      const download = format === 'kml' ? downloadKML : downloadGeoJSON;
+      const { trajectory, name } = getExportTarget();
+      const warnings = download(trajectory, `${name}.${format}`, {
+        transform,
+        cameraDetails,
+        lensDetails
+      });
+      setExportWarnings(warnings);
+    } catch (error) {
+      console.error(`Error exporting ${format.toUpperCase()}:`, error);
+      setExportError(error.message);
+    }
+  };
+  
+  // Column overrides from the mapping form; empty fields keep the preset's names
+  const getCsvColumns = () => Object.fromEntries(
+    Object.entries(csvColumnMap)
+      .map(([field, name]) => [field, name.trim()])
+      .filter(([, name]) => name)
+  );
+  
+  // Switching format starts the mapping over from the new preset's names
+  const handleCsvPresetChange = (preset) => {
+    setCsvPreset(preset);
+    setCsvColumnMap({});
+  };
+  
+  // Export the last generated trajectory as a Litchi or generic waypoint CSV
+  const handleExportCsv = () => {
+    try {
+      setExportError(null);
+      setExportWarnings([]);
+      const { trajectory, name } = getExportTarget();
+      downloadWaypointCsv(trajectory, `${name}-${csvPreset}.csv`, {
+        transform,
+        preset: csvPreset,
+        columns: getCsvColumns()
+      });
+    } catch (error) {
+      console.error("Error exporting waypoint CSV:", error);
+      setExportError(error.message);
+    }
+  };
+  
+  // Paths and timed waypoints for the deck.gl playback of the current trajectory
+  const playback = useMemo(() => toDeckGLTrajectory(generatedTrajectory), [generatedTrajectory]);
+  
+  // Import a waypoint CSV; invalid rows are listed by line number and left out
+  const handleImportCsv = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const { trajectory, errors } = importWaypointCsv(e.target.result, {
+          transform,
+          preset: csvPreset,
+          columns: getCsvColumns(),
+          defaultSpeed: missionParams.speed
+        });
+        setImportErrors(errors);
+        
+        if (trajectory.waypoints.length > 0) {
+          setGeneratedTrajectory(trajectory);
+          if (onUpdateTrajectory) {
+            onUpdateTrajectory(trajectory);
+          }
+        }
+      } catch (error) {
+        console.error("Error importing waypoint CSV:", error);
+        setImportErrors([{ line: 1, message: error.message }]);
+      }
+    };
+    reader.readAsText(file);
+    
+    // Allow the same file to be picked again after fixing it
+    event.target.value = '';
+  };
+  
+  // Search the saved mission library
+  const refreshMissionLibrary = async () => {
+    try {
+      setLibraryError(null);
+      const missions = await findMissions({
+        name: librarySearch || undefined,
+        missionType: libraryType || undefined
+      });
+      setLibraryMissions(missions);
+    } catch (error) {
+      console.error("Error searching mission library:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // List saved missions whenever the planner sidebar is opened
+  useEffect(() => {
+    if (isPlannerOpen) {
+      refreshMissionLibrary();
+    }
+  }, [isPlannerOpen]);
+  
+  // Build library mission data from the current planner state
+  const buildMissionData = (id, name, trajectory = generatedTrajectory) => {
+    return {
+      ...trajectoryToMissionData(trajectory, {
+        transform,
+        name,
+        drone: droneModel ? { id: droneModel.id, name: droneModel.name } : null,
+        camera: cameraDetails ? {
+          id: cameraDetails.id,
+          name: `${cameraDetails.brand} ${cameraDetails.model}`,
+          sensorWidth: cameraDetails.sensorWidth,
+          sensorHeight: cameraDetails.sensorHeight,
+          imageWidth: cameraDetails.imageWidth
+        } : null,
+        lens: lensDetails ? {
+          id: lensDetails.id,
+          name: `${lensDetails.brand} ${lensDetails.model}`,
+          focalLength: lensDetails.focalLength
+        } : null
+      }),
+      // Record the planner parameters, including edits not yet regenerated
+      params: { ...trajectory.params, ...missionParams },
+      ...(id ? { id } : {})
+    };
+  };
+  
+  // Refresh the revision list of the active mission
+  const refreshRevisions = async (missionId = activeMission?.id) => {
+    if (!missionId) {
+      setRevisions([]);
+      return;
+    }
+    const list = await listRevisions(missionId);
+    setRevisions(list);
+    setRevisionDiff(null);
+    if (list.length > 0) {
+      setDiffToId(list[list.length - 1].id);
+      setDiffFromId(list[Math.max(0, list.length - 2)].id);
+    }
+  };
+  
+  // Save the last generated trajectory to the mission library
+  // asNew starts a separate mission instead of adding a revision to the active one
+  const handleSaveMission = async (asNew = false) => {
+    try {
+      setLibraryError(null);
+      const target = asNew ? null : activeMission;
+      const name = missionName || target?.name || undefined;
+      const saved = await saveMission(buildMissionData(target?.id, name), { note: asNew ? 'Created' : undefined });
+      setActiveMission({ id: saved.id, name: saved.name });
+      setMissionName('');
+      await refreshMissionLibrary();
+      await refreshRevisions(saved.id);
+    } catch (error) {
+      console.error("Error saving mission:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Record the planner state as a revision of the active mission
+  const recordRevision = async (trajectory = generatedTrajectory) => {
+    if (!trajectory || !activeMission) return;
+    try {
+      const saved = await saveMission(buildMissionData(activeMission.id, activeMission.name, trajectory));
+      // Keep the open comparison when the plan was unchanged and no revision was added
+      if (saved.revision !== revisions[revisions.length - 1]?.number) {
+        await refreshRevisions(activeMission.id);
+      }
+    } catch (error) {
+      console.error("Error recording mission revision:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Record parameter and equipment edits once they settle. Regenerated waypoints are
+  // recorded by generateTrajectory, and saveMission skips plans that did not change.
+  const recordRevisionRef = useRef(null);
+  recordRevisionRef.current = recordRevision;
+  useEffect(() => {
+    if (!activeMission) return;
+    const timer = setTimeout(() => recordRevisionRef.current(), REVISION_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [activeMission, missionParams, cameraDetails, lensDetails, droneModel]);
+  
+  // Put a stored mission into the planner without recording it as an edit
+  const applyMissionToPlanner = (mission) => {
+    const trajectory = missionDataToTrajectory(mission);
+    
+    if (Object.values(MISSION_TYPES).includes(trajectory.type)) {
+      setMissionType(trajectory.type);
+    }
+    setMissionParams(prev => ({ ...prev, ...trajectory.params }));
+    const origin = trajectory.params?.origin;
+    setOriginDraft({
+      lat: origin ? String(origin.lat) : '',
+      lon: origin ? String(origin.lon) : '',
+      alt: String(origin?.alt ?? 0),
+      heading: String(trajectory.params?.heading ?? 0)
+    });
+    setGeneratedTrajectory(trajectory);
+    setActiveMission({ id: mission.id, name: mission.name });
+    if (onUpdateTrajectory) {
+      onUpdateTrajectory(trajectory);
+    }
+  };
+  
+  // Load a saved mission back into the planner
+  const handleLoadMission = async (id) => {
+    try {
+      setLibraryError(null);
+      const mission = await loadMission(id);
+      if (!mission) {
+        setLibraryError('Mission no longer exists');
+        await refreshMissionLibrary();
+        return;
+      }
+      
+      applyMissionToPlanner(mission);
+      await refreshRevisions(mission.id);
+    } catch (error) {
+      console.error("Error loading mission:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Remove a mission from the library
+  const handleDeleteMission = async (id) => {
+    try {
+      setLibraryError(null);
+      await deleteMission(id);
+      if (activeMission?.id === id) {
+        setActiveMission(null);
+        setRevisions([]);
+        setRevisionDiff(null);
+      }
+      await refreshMissionLibrary();
+    } catch (error) {
+      console.error("Error deleting mission:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Compare the two selected revisions
+  const handleCompareRevisions = async () => {
+    try {
+      setLibraryError(null);
+      setRevisionDiff(await diffRevisions(diffFromId, diffToId));
+    } catch (error) {
+      console.error("Error comparing revisions:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Bring back an earlier revision; the restore is recorded as a new revision
+  const handleRestoreRevision = async (revisionId) => {
+    try {
+      setLibraryError(null);
+      const mission = await restoreRevision(revisionId);
+      applyMissionToPlanner(mission);
+      await refreshRevisions(mission.id);
+      await refreshMissionLibrary();
+    } catch (error) {
+      console.error("Error restoring revision:", error);
+      setLibraryError(error.message);
+    }
+  };
+  
+  // Format a numeric delta with its sign
+  const formatDelta = (value, digits = 0, unit = '') => {
+    if (value === null || value === undefined) return 'n/a';
+    return `${value > 0 ? '+' : ''}${value.toFixed(digits)}${unit}`;
+  };
+  
+  // Render a structured revision diff
+  const renderRevisionDiff = (diff) => {
+    if (!diff.hasChanges) {
+      return <div className="info-box">No changes between these revisions</div>;
+    }
+    
+    const { added, removed, moved } = diff.waypoints;
+    const { delta } = diff.metrics;
+    
+    return (
+      <div className="info-box revision-diff">
+        <p>
+          Waypoints: {added.length} added, {removed.length} removed, {moved.length} moved
+          {moved.length > 0 && ` (max ${Math.max(...moved.map(m => m.distance)).toFixed(1)} ft)`}
+        </p>
+        {diff.params.length > 0 && (
+          <ul>
+            {diff.params.map(change => (
+              <li key={`param-${change.key}`}>
+                {change.key}: {JSON.stringify(change.before)} → {JSON.stringify(change.after)}
+              </li>
+            ))}
+          </ul>
+        )}
+        {diff.equipment.map(change => (
+          <p key={`equipment-${change.key}`}>
+            {change.key}: {change.before?.name || 'none'} → {change.after?.name || 'none'}
+          </p>
+        ))}
+        <p>
+          Images: {formatDelta(delta.imageCount)} | Flight time: {formatDelta(delta.flightTime, 0, ' s')} | GSD: {formatDelta(delta.gsd, 2, ' cm/px')}
+        </p>
+      </div>
+    );
+  };
+  
+  // Start the mission planning workflow
+  const startMissionPlanning = () => {
+    setSelectedFaces([]);
+    clearSurveyArea();
+    setWorkflowStep(0);
+    setIsWorkflowOpen(true);
+  };
+  
+  // The mission planning workflow popup
+  const renderWorkflowPopup = () => {
+    if (!isWorkflowOpen) return null;
+    
+    return (
+      <div className="popup-container">
+        <h2>Drone Mission Planning</h2>
+        <p>Step {workflowStep + 1} of {workflowSteps.length}: {workflowSteps[workflowStep]}</p>
         
         {workflowStep === 0 && (
           <div>
@@ -848,11 +2191,119 @@ const DroneMissionEnhanced = ({
             <div>
               Selected faces: {selectedFaces.length}
             </div>
+            
+            <h3 className="section-title">Survey Polygon</h3>
+            <div className="info-box">
+              Or click points on the ground to draw a boundary, with holes for areas to skip.
+              Only the inside of the polygon is photographed.
+            </div>
+            {boundaryDrawMode ? (
+              <div>
+                <p>
+                  Drawing {boundaryDrawMode === 'outer' ? 'boundary' : boundaryDrawMode === 'exclusion' ? 'no-fly zone' : boundaryDrawMode}:
+                  {' '}{draftRing.length} points
+                </p>
+                <div className="button-group">
+                  <button onClick={finishBoundaryRing}>Close Ring</button>
+                  <button onClick={() => startBoundaryDrawing(null)}>Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <div className="button-group">
+                <button onClick={() => startBoundaryDrawing('outer')}>
+                  {missionParams.surveyArea ? 'Redraw Boundary' : 'Draw Boundary'}
+                </button>
+                {missionParams.surveyArea && (
+                  <button onClick={() => startBoundaryDrawing('hole')}>Add Hole</button>
+                )}
+                {missionParams.surveyArea && (
+                  <button onClick={clearSurveyArea}>Clear</button>
+                )}
+              </div>
+            )}
+            <div className="form-group">
+              <label className="label">Import Boundary (GeoJSON)</label>
+              <input type="file" accept=".geojson,.json,application/geo+json" onChange={handleImportBoundary} />
+            </div>
+            {missionParams.surveyArea && (
+              <div>
+                Boundary: {missionParams.surveyArea.outer.length} points, {missionParams.surveyArea.holes.length} holes,
+                area {getSurveyAreaSize(missionParams.surveyArea).toFixed(0)} sq ft
+              </div>
+            )}
+            {boundaryErrors.map((message, index) => (
+              <div key={`boundary-error-${index}`} className="info-box">{message}</div>
+            ))}
+
+            <h3 className="section-title">Geofence</h3>
+            <div className="info-box">
+              Every mission stays inside the inclusion areas, out of no-fly zones and under the ceiling.
+              Missions that still break the fence cannot be exported.
+            </div>
+            {!boundaryDrawMode && (
+              <div className="button-group">
+                <button onClick={() => startBoundaryDrawing('inclusion')}>Draw Inclusion</button>
+                <button onClick={() => startBoundaryDrawing('exclusion')}>Draw No-Fly Zone</button>
+              </div>
+            )}
+            <div className="form-group">
+              <label className="label">Import Fences (GeoJSON/KML)</label>
+              <select value={geofenceImportType} onChange={(e) => setGeofenceImportType(e.target.value)}>
+                <option value="exclusion">Untyped polygons are no-fly zones</option>
+                <option value="inclusion">Untyped polygons are inclusion areas</option>
+              </select>
+              <input
+                type="file"
+                accept=".geojson,.json,.kml,application/geo+json,application/vnd.google-earth.kml+xml"
+                onChange={handleImportGeofence}
+              />
+            </div>
+            <div className="form-group">
+              <label className="label">Altitude Ceiling (m)</label>
+              <input
+                type="number"
+                min="1"
+                placeholder="None"
+                value={missionParams.geofence?.ceiling ?? ''}
+                onChange={(e) => handleGeofenceCeilingChange(e.target.value)}
+              />
+              <select
+                value={missionParams.geofence?.ceilingReference || 'AGL'}
+                onChange={(e) => handleGeofenceCeilingChange(missionParams.geofence?.ceiling ?? null, e.target.value)}
+              >
+                <option value="AGL">Above ground (AGL)</option>
+                <option value="AMSL">Above sea level (AMSL)</option>
+              </select>
+            </div>
+            {['inclusions', 'exclusions'].map(key => (missionParams.geofence?.[key] || []).map((zone, index) => (
+              <div key={`${key}-${index}`} className="button-group">
+                <span>{key === 'inclusions' ? 'Inclusion' : 'No-fly'}: {zone.name} ({zone.ring.length} points)</span>
+                <button onClick={() => removeGeofenceZone(key, index)}>Remove</button>
+              </div>
+            )))}
+            {geofenceErrors.map((message, index) => (
+              <div key={`geofence-error-${index}`} className="info-box">{message}</div>
+            ))}
           </div>
         )}
         
         {workflowStep === 1 && (
           <div>
+            <div className="form-group">
+              <label className="label">Mission Type</label>
+              <select value={missionType} onChange={(e) => handleMissionTypeChange(e.target.value)}>
+                {Object.values(MISSION_TYPES).map(type => (
+                  <option
+                    key={type}
+                    value={type}
+                    disabled={type === MISSION_TYPES.POLYGON && !missionParams.surveyArea}
+                  >
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            
             <div className="form-group">
               <label className="label">Flight Altitude (m)</label>
               <input 
@@ -864,6 +2315,43 @@ const DroneMissionEnhanced = ({
               />
             </div>
             
+            {isZoomLens(catalogLensDetails) && (
+              <div className="form-group">
+                <label className="label">Zoom Focal Length (mm)</label>
+                <input 
+                  type="number" 
+                  value={lensDetails.focalLength}
+                  onChange={(e) => handleParamChange('focalLength', parseFloat(e.target.value))}
+                  min={getFocalRange(catalogLensDetails).min}
+                  max={getFocalRange(catalogLensDetails).max}
+                  step="1"
+                />
+                <small className="form-tip">
+                  {getFocalRange(catalogLensDetails).min}-{getFocalRange(catalogLensDetails).max}mm,
+                  widest aperture f/{lensDetails.maxAperture.toFixed(1)} at this setting
+                </small>
+                <label className="label">Target GSD (cm/pixel)</label>
+                <input 
+                  type="number" 
+                  value={missionParams.targetGsd}
+                  onChange={(e) => handleParamChange('targetGsd', parseFloat(e.target.value))}
+                  min="0.01"
+                  step="0.05"
+                />
+                <button onClick={handleFitZoomToGsd}>Fit Zoom to Target GSD</button>
+                <small className="form-tip">
+                  Picks the longest focal length that reaches the target GSD within {getMaxSafeStandoff()} m
+                </small>
+                {zoomWarnings.length > 0 && (
+                  <div className="info-box warning">
+                    {zoomWarnings.map((warning, index) => (
+                      <div key={`zoom-warning-${index}`}>{warning}</div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+            
             <div className="form-group">
               <label className="label">Flight Speed (m/s)</label>
               <input 
@@ -871,9 +2359,14 @@ const DroneMissionEnhanced = ({
                 value={missionParams.speed}
                 onChange={(e) => handleParamChange('speed', parseFloat(e.target.value))}
                 min="0.5"
-                max="20"
+                max={exposure?.maxSpeed ? Math.min(20, exposure.maxSpeed) : 20}
                 step="0.5"
               />
+              {exposure?.maxSpeed !== undefined && (
+                <small className="form-tip">
+                  Capped at {exposure.maxSpeed.toFixed(1)} m/s to keep motion blur under {missionParams.maxBlur} px
+                </small>
+              )}
             </div>
             
             <div className="form-group">
@@ -909,6 +2402,305 @@ const DroneMissionEnhanced = ({
               />
             </div>
             
+            <div className="form-group">
+              <label className="label">Wind Speed (m/s)</label>
+              <input 
+                type="number" 
+                value={missionParams.windSpeed}
+                onChange={(e) => handleParamChange('windSpeed', parseFloat(e.target.value))}
+                min="0"
+                max="25"
+                step="0.5"
+              />
+            </div>
+            
+            <div className="form-group">
+              <label className="label">Wind From (degrees true)</label>
+              <input 
+                type="number" 
+                value={missionParams.windDirection}
+                onChange={(e) => handleParamChange('windDirection', parseFloat(e.target.value))}
+                min="0"
+                max="359"
+              />
+            </div>
+            
+            <div className="form-group">
+              <label className="label">Gusts (m/s)</label>
+              <input 
+                type="number" 
+                value={missionParams.windGust}
+                onChange={(e) => handleParamChange('windGust', parseFloat(e.target.value))}
+                min="0"
+                max="30"
+                step="0.5"
+              />
+            </div>
+            
+            <div className="form-group">
+              <label className="label">Light Level</label>
+              <select value={missionParams.lightLevel} onChange={(e) => handleParamChange('lightLevel', e.target.value)}>
+                {Object.entries(LIGHT_PRESETS).map(([key, preset]) => (
+                  <option key={key} value={key}>{preset.label} (EV {preset.ev})</option>
+                ))}
+                <option value="lux">Measured (lux)</option>
+                <option value="manual">Set shutter by hand</option>
+              </select>
+            </div>
+            
+            {missionParams.lightLevel === 'lux' && (
+              <div className="form-group">
+                <label className="label">Illuminance (lux)</label>
+                <input 
+                  type="number" 
+                  value={missionParams.lux}
+                  onChange={(e) => handleParamChange('lux', parseFloat(e.target.value))}
+                  min="1"
+                  step="1000"
+                />
+              </div>
+            )}
+            
+            {missionParams.lightLevel !== 'manual' && (
+              <div className="form-group">
+                <label className="label">Aperture (f/) and ISO Range</label>
+                <input 
+                  type="number" 
+                  value={missionParams.aperture}
+                  onChange={(e) => handleParamChange('aperture', parseFloat(e.target.value))}
+                  min={lensDetails?.maxAperture || 1}
+                  step="0.1"
+                />
+                <input 
+                  type="number" 
+                  value={missionParams.isoMin}
+                  onChange={(e) => handleParamChange('isoMin', parseFloat(e.target.value))}
+                  min="25"
+                  step="50"
+                />
+                <input 
+                  type="number" 
+                  value={missionParams.isoMax}
+                  onChange={(e) => handleParamChange('isoMax', parseFloat(e.target.value))}
+                  min="25"
+                  step="100"
+                />
+              </div>
+            )}
+            
+            <div className="form-group">
+              <label className="label">Capture Shutter Speed (1/x s)</label>
+              <input 
+                type="number" 
+                value={missionParams.shutterSpeed}
+                onChange={(e) => handleParamChange('shutterSpeed', parseFloat(e.target.value))}
+                disabled={missionParams.lightLevel !== 'manual'}
+                min="1"
+                step="50"
+              />
+            </div>
+            
+            <div className="form-group">
+              <label className="label">Max Motion Blur (pixels)</label>
+              <input 
+                type="number" 
+                value={missionParams.maxBlur}
+                onChange={(e) => handleParamChange('maxBlur', parseFloat(e.target.value))}
+                min="0.1"
+                step="0.1"
+              />
+            </div>
+            
+            {exposure && (
+              <div className="info-box">
+                {exposure.error ? exposure.error : (
+                  <>
+                    Exposure: {formatShutterTime(exposure.shutterTime)}
+                    {exposure.iso !== undefined && ` at f/${missionParams.aperture}, ISO ${Math.round(exposure.iso)}`}
+                    {exposure.blur !== undefined && `, ${exposure.blur.toFixed(2)} px motion blur at ${missionParams.speed} m/s`}
+                  </>
+                )}
+                {exposure.warnings.map((warning, index) => (
+                  <div key={`exposure-warning-${index}`}>{warning}</div>
+                ))}
+              </div>
+            )}
+            
+            {previewTrajectory?.wind && previewTrajectory.wind.suggestedGridAngle !== null && (
+              <div className="info-box">
+                Grid angle {previewTrajectory.wind.suggestedGridAngle.toFixed(0)}° flies lines up and downwind with no crosswind
+                {' '}<button onClick={() => handleParamChange('gridAngle', Math.round(previewTrajectory.wind.suggestedGridAngle))}>
+                  Use
+                </button>
+              </div>
+            )}
+            
+            {missionType === MISSION_TYPES.POLYGON && (
+              <div className="form-group">
+                <label className="label">Turnaround Distance (m)</label>
+                <input 
+                  type="number" 
+                  value={missionParams.turnaroundDistance}
+                  onChange={(e) => handleParamChange('turnaroundDistance', parseFloat(e.target.value))}
+                  min="0"
+                  max="100"
+                />
+              </div>
+            )}
+            
+            {missionType === MISSION_TYPES.OBLIQUE && (
+              <div>
+                <div className="form-group">
+                  <label className="label">Oblique Tilt from Nadir (degrees)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.obliqueTilt}
+                    onChange={(e) => handleParamChange('obliqueTilt', parseFloat(e.target.value))}
+                    min="10"
+                    max="60"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Pass Ordering</label>
+                  <select
+                    value={missionParams.obliqueOrdering}
+                    onChange={(e) => handleParamChange('obliqueOrdering', e.target.value)}
+                  >
+                    {OBLIQUE_ORDERINGS.map(ordering => (
+                      <option key={ordering} value={ordering}>
+                        {ordering === 'combined' ? 'Combined (5 views per station)' : 'Per pass (5 grids)'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            )}
+            
+            {missionType === MISSION_TYPES.STRUCTURE_SCAN && (
+              <div>
+                <div className="form-group">
+                  <label className="label">Standoff from Structure (m)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.scanStandoff}
+                    onChange={(e) => handleParamChange('scanStandoff', parseFloat(e.target.value))}
+                    min="1"
+                    max="200"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">
+                    <input
+                      type="checkbox"
+                      checked={missionParams.scanTopCap}
+                      onChange={(e) => handleParamChange('scanTopCap', e.target.checked)}
+                    />
+                    Top Cap
+                  </label>
+                </div>
+                <div className="info-box">
+                  Forward overlap sets the spacing around each ring, side overlap the spacing between rings.
+                </div>
+              </div>
+            )}
+            
+            {missionType === MISSION_TYPES.FACADE && (
+              <div>
+                <div className="form-group">
+                  <label className="label">Target GSD on Surface (cm/pixel)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.targetGsd}
+                    onChange={(e) => handleParamChange('targetGsd', parseFloat(e.target.value))}
+                    min="0.01"
+                    max="10"
+                    step="0.05"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Patch Angle Tolerance (degrees)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.facadeAngleTolerance}
+                    onChange={(e) => handleParamChange('facadeAngleTolerance', parseFloat(e.target.value))}
+                    min="1"
+                    max="45"
+                  />
+                </div>
+              </div>
+            )}
+            
+            {missionType === MISSION_TYPES.TERRAIN_FOLLOWING && (
+              <div>
+                <div className="form-group">
+                  <label className="label">Height Above Terrain (m)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.terrainFollowDistance}
+                    onChange={(e) => handleParamChange('terrainFollowDistance', parseFloat(e.target.value))}
+                    min="1"
+                    max="500"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Height Tolerance (m)</label>
+                  <input 
+                    type="number" 
+                    value={missionParams.terrainTolerance}
+                    onChange={(e) => handleParamChange('terrainTolerance', parseFloat(e.target.value))}
+                    min="0.1"
+                    max="50"
+                    step="0.1"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Import Elevation (GeoTIFF or ASCII grid)</label>
+                  <input type="file" accept=".tif,.tiff,.asc" onChange={handleImportElevation} disabled={isElevationLoading} />
+                </div>
+                <div className="form-group">
+                  <label className="label">Elevation CRS (EPSG, if the file has none)</label>
+                  <input 
+                    type="text" 
+                    value={elevationEpsg}
+                    onChange={(e) => setElevationEpsg(e.target.value)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Elevation Datum Offset (m)</label>
+                  <input 
+                    type="number" 
+                    value={elevationOffset}
+                    onChange={(e) => setElevationOffset(parseFloat(e.target.value) || 0)}
+                    step="0.1"
+                  />
+                </div>
+                <div className="form-group">
+                  <label className="label">Build from Scene Point Cloud</label>
+                  <select value={pointCloudMode} onChange={(e) => setPointCloudMode(e.target.value)}>
+                    <option value="max">Surface (DSM)</option>
+                    <option value="min">Ground (DEM)</option>
+                  </select>
+                  <input 
+                    type="number" 
+                    value={pointCloudCellSize}
+                    onChange={(e) => setPointCloudCellSize(parseFloat(e.target.value))}
+                    min="0.1"
+                    max="50"
+                    step="0.1"
+                  />
+                  <button onClick={buildElevationFromPointCloud}>Build Grid</button>
+                </div>
+                <div className="info-box">
+                  {isElevationLoading ? 'Loading elevation grid...'
+                    : elevationGrid ? `Elevation: ${elevationGrid.source} (${elevationGrid.raster.width} x ${elevationGrid.raster.height})`
+                    : 'No elevation grid, heights come from the scene below each waypoint'}
+                </div>
+                {(elevationError || elevation.error) && (
+                  <div className="info-box">{elevationError || elevation.error}</div>
+                )}
+              </div>
+            )}
+            
             <div className="info-box">
               Calculated GSD: {missionParams.gsd} cm/pixel
               {cameraDetails && lensDetails ? (
@@ -924,7 +2716,234 @@ const DroneMissionEnhanced = ({
           <div>
             <h3 className="section-title">Mission Summary</h3>
             <div>
-              <p>Selected area: {selectedFaces.length} surfaces</p>
+              {missionType === MISSION_TYPES.POLYGON && missionParams.surveyArea ? (
+                <p>Survey polygon: {getSurveyAreaSize(missionParams.surveyArea).toFixed(0)} sq ft</p>
+              ) : (
+                <p>Selected area: {selectedFaces.length} surfaces</p>
+              )}
+              {previewTrajectory && (
+                <p>
+                  Images: {previewTrajectory.capturePoints.length} | Flight length: {(getPathLength(previewTrajectory.waypoints) * transform.FEET_TO_METERS).toFixed(0)} m
+                </p>
+              )}
+              {previewTrajectory?.passes && (
+                <p>
+                  Passes: {previewTrajectory.passes.map(pass => `${pass.name} ${pass.imageCount}`).join(', ')}
+                </p>
+              )}
+              {previewTrajectory?.rings && (
+                <p>
+                  Rings: {previewTrajectory.rings.length}, {previewTrajectory.rings[0].imageCount} images per ring
+                </p>
+              )}
+              {previewTrajectory?.terrain && (
+                <p>
+                  Terrain: {previewTrajectory.terrain.source}, {previewTrajectory.terrain.insertedCount} waypoints added for slope
+                </p>
+              )}
+              {previewTrajectory?.patches?.map((patch, index) => (
+                <p key={`patch-${index}`}>
+                  Facade patch {index + 1}: {patch.faceCount} faces, standoff {patch.standoff.toFixed(1)} m,
+                  GSD {patch.gsd.toFixed(2)} cm/pixel
+                </p>
+              ))}
+              {previewTrajectory?.warnings?.map((warning, index) => (
+                <div key={`plan-warning-${index}`} className="info-box">{warning}</div>
+              ))}
+              {missionType === MISSION_TYPES.FACADE && !previewTrajectory && (
+                <div className="info-box">Select a camera and lens to plan facade passes</div>
+              )}
+              <div className="form-group">
+                <label className="label">Battery Airframe</label>
+                <select value={batteryDroneId} onChange={(e) => setBatteryDroneId(e.target.value)}>
+                  <option value="">None</option>
+                  {BATTERY_DRONES.map(drone => (
+                    <option key={drone.id} value={drone.id}>{drone.brand} {drone.model}</option>
+                  ))}
+                </select>
+              </div>
+              {batteryDroneId && (
+                <div>
+                  <div className="form-group">
+                    <label className="label">Payload Weight (kg)</label>
+                    <input 
+                      type="number" 
+                      value={missionParams.payloadWeight}
+                      onChange={(e) => handleParamChange('payloadWeight', parseFloat(e.target.value))}
+                      min="0"
+                      step="0.1"
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label className="label">
+                      <input 
+                        type="checkbox" 
+                        checked={missionParams.splitSorties}
+                        onChange={(e) => handleParamChange('splitSorties', e.target.checked)}
+                      />
+                      Split into sorties when one battery is not enough
+                    </label>
+                  </div>
+                </div>
+              )}
+              <div className="form-group">
+                <label className="label">Safety Buffer (m)</label>
+                <input 
+                  type="number" 
+                  value={missionParams.safetyBuffer}
+                  onChange={(e) => handleParamChange('safetyBuffer', parseFloat(e.target.value))}
+                  min="0.5"
+                  step="0.5"
+                />
+              </div>
+              <div className="form-group">
+                <label className="label">Clearance Repair</label>
+                <select value={missionParams.clearanceRepair} onChange={(e) => handleParamChange('clearanceRepair', e.target.value)}>
+                  <option value="none">Report only</option>
+                  <option value="lift">Lift over obstacles</option>
+                  <option value="detour">Detour around obstacles</option>
+                </select>
+              </div>
+              <button onClick={handleIndexObstacles}>
+                {obstacleIndex ? 'Re-index Scene Obstacles' : 'Check Clearance Against Scene'}
+              </button>
+              {obstacleIndex && (
+                <p>
+                  Obstacles: {obstacleIndex.meshCount} meshes, {obstacleIndex.pointCount.toLocaleString()} cloud points
+                </p>
+              )}
+              {clearanceError && <div className="info-box">{clearanceError}</div>}
+              {previewTrajectory?.clearance && (
+                <div>
+                  {previewTrajectory.clearance.repaired.length > 0 && (
+                    <p>{previewTrajectory.clearance.repaired.length} legs repaired with transit waypoints</p>
+                  )}
+                  {previewTrajectory.clearance.error && (
+                    <div className="info-box">{previewTrajectory.clearance.error}</div>
+                  )}
+                  {previewTrajectory.clearance.violations.length === 0 ? (
+                    <p>All legs clear by at least {missionParams.safetyBuffer} m</p>
+                  ) : (
+                    <div className="info-box">
+                      {previewTrajectory.clearance.violations.length} legs closer than {missionParams.safetyBuffer} m:
+                      <ul>
+                        {previewTrajectory.clearance.violations.map((violation, index) => (
+                          <li key={`violation-${index}`}>
+                            Leg {violation.segment + 1}-{violation.segment + 2}: {(violation.distance * transform.FEET_TO_METERS).toFixed(1)} m
+                            {' '}from {violation.objectName} at ({violation.pathPoint.x.toFixed(0)}, {violation.pathPoint.y.toFixed(0)}, {violation.pathPoint.z.toFixed(0)}) ft
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+              {previewTrajectory?.geofence?.violations && (
+                <div>
+                  {(previewTrajectory.geofence.removed > 0 || previewTrajectory.geofence.clamped > 0) && (
+                    <p>
+                      Geofence: {previewTrajectory.geofence.removed} waypoints outside the fence removed,
+                      {' '}{previewTrajectory.geofence.clamped} lowered to the ceiling
+                    </p>
+                  )}
+                  {previewTrajectory.geofence.rerouted.length > 0 && (
+                    <p>{previewTrajectory.geofence.rerouted.length} legs rerouted around the fence</p>
+                  )}
+                  {previewTrajectory.geofence.violations.length === 0 ? (
+                    <p>All waypoints and legs are inside the geofence</p>
+                  ) : (
+                    <div className="info-box">
+                      {previewTrajectory.geofence.violations.length} geofence violations, export is blocked:
+                      <ul>
+                        {previewTrajectory.geofence.violations.map((violation, index) => (
+                          <li key={`fence-violation-${index}`}>{violation.message}</li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              )}
+              {previewTrajectory?.wind && (
+                <p>
+                  Wind: {Number.isFinite(previewTrajectory.wind.time)
+                    ? `${(previewTrajectory.wind.time / 60).toFixed(1)} min flying legs (${(previewTrajectory.wind.stillAirTime / 60).toFixed(1)} min in still air)`
+                    : 'some legs cannot be flown'},
+                  {' '}crab up to {previewTrajectory.wind.maxCrabAngle.toFixed(0)}°
+                  {previewTrajectory.wind.maxCaptureSpeed !== null && (
+                    `, blur up to ${previewTrajectory.wind.worstBlur.toFixed(2)} px (limit ${previewTrajectory.wind.maxCaptureSpeed.toFixed(1)} m/s over ground)`
+                  )}
+                </p>
+              )}
+              {previewTrajectory?.wind?.warnings.map((warning, index) => (
+                <div key={`wind-warning-${index}`} className="info-box">{warning}</div>
+              ))}
+              {previewTrajectory?.battery && !previewTrajectory.battery.error && (
+                <p>
+                  Battery: {(previewTrajectory.battery.time / 60).toFixed(1)} min,
+                  {' '}{previewTrajectory.battery.energy.toFixed(0)} Wh
+                  {' '}({(previewTrajectory.battery.fraction * 100).toFixed(0)}% of {previewTrajectory.battery.usableWh.toFixed(0)} Wh usable)
+                  {previewTrajectory.sorties && `, ${previewTrajectory.sorties.length} sorties`}
+                </p>
+              )}
+              {previewTrajectory?.sorties?.map(sortie => (
+                <p key={`sortie-${sortie.sortie.index}`}>
+                  Sortie {sortie.sortie.index + 1}: waypoints {sortie.sortie.startWaypoint + 1}-{sortie.sortie.endWaypoint + 1},
+                  {' '}{(sortie.sortie.time / 60).toFixed(1)} min, {sortie.sortie.energy.toFixed(0)} Wh
+                </p>
+              ))}
+              {previewTrajectory?.battery?.error && (
+                <div className="info-box">{previewTrajectory.battery.error}</div>
+              )}
+              {previewTrajectory?.battery?.warnings?.map((warning, index) => (
+                <div key={`battery-warning-${index}`} className="info-box">{warning}</div>
+              ))}
+              {coverageMap && missionParams.coverageDisplay && (
+                <p>
+                  Estimated coverage: {(coverageMap.coveredFraction * 100).toFixed(0)}%,
+                  {' '}{(coverageMap.overlappedFraction * 100).toFixed(0)}% seen by two or more images
+                  {getDistortionModel(lensDetails) && ' (distorted footprints)'}
+                </p>
+              )}
+              {ROUTE_OPTIMIZABLE_TYPES.includes(missionType) && (
+                <div>
+                  <div className="form-group">
+                    <label className="label">Route Start</label>
+                    <select value={missionParams.routeStart} onChange={(e) => handleParamChange('routeStart', e.target.value)}>
+                      <option value="first">First capture</option>
+                      <option value="home">Home (take-off point)</option>
+                      <option value="free">Any capture</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="label">Route End</label>
+                    <select value={missionParams.routeEnd} onChange={(e) => handleParamChange('routeEnd', e.target.value)}>
+                      <option value="free">Any capture</option>
+                      <option value="last">Last capture</option>
+                      <option value="home">Home (take-off point)</option>
+                    </select>
+                  </div>
+                  <div className="form-group">
+                    <label className="label">Yaw Rate for Turns (degrees/s)</label>
+                    <input 
+                      type="number" 
+                      value={missionParams.routeTurnRate}
+                      onChange={(e) => handleParamChange('routeTurnRate', parseFloat(e.target.value))}
+                      min="5"
+                      max="180"
+                    />
+                  </div>
+                  <button onClick={handleOptimizeRoute} disabled={!!routeStatus}>
+                    {routeStatus ? `Optimising route (pass ${routeStatus.pass})...` : 'Optimise Route'}
+                  </button>
+                  {previewTrajectory?.route && (
+                    <p>
+                      Flight time: {(previewTrajectory.route.before.time / 60).toFixed(1)} min before,
+                      {' '}{(previewTrajectory.route.after.time / 60).toFixed(1)} min after optimisation
+                    </p>
+                  )}
+                  {routeError && <div className="info-box">{routeError}</div>}
+                </div>
+              )}
               <p>Flight altitude: {missionParams.altitude} m</p>
               <p>Forward overlap: {missionParams.overlap}%</p>
               <p>Side overlap: {missionParams.sideOverlap}%</p>
@@ -969,6 +2988,252 @@ const DroneMissionEnhanced = ({
         </button>
         
         {/* Mission statistics would go here */}
+        
+        <div className="mission-library">
+          <h4>Mission Library</h4>
+          {activeMission && <p>Editing: {activeMission.name}</p>}
+          {generatedTrajectory && (
+            <div className="form-group">
+              <label className="label">Mission Name</label>
+              <input
+                type="text"
+                value={missionName}
+                placeholder={activeMission?.name || 'Untitled mission'}
+                onChange={(e) => setMissionName(e.target.value)}
+              />
+              <div className="button-group">
+                <button onClick={() => handleSaveMission(false)}>
+                  {activeMission ? 'Save Revision' : 'Save Mission'}
+                </button>
+                {activeMission && (
+                  <button onClick={() => handleSaveMission(true)}>Save as New Mission</button>
+                )}
+              </div>
+            </div>
+          )}
+          <div className="form-group">
+            <label className="label">Search</label>
+            <input
+              type="text"
+              value={librarySearch}
+              placeholder="Mission name"
+              onChange={(e) => setLibrarySearch(e.target.value)}
+            />
+            <select value={libraryType} onChange={(e) => setLibraryType(e.target.value)}>
+              <option value="">All types</option>
+              {Object.values(MISSION_TYPES).map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            <button onClick={refreshMissionLibrary}>Search</button>
+          </div>
+          {libraryError && <div className="info-box">{libraryError}</div>}
+          <ul className="mission-list">
+            {libraryMissions.map(mission => (
+              <li key={mission.id}>
+                <span>{mission.name} ({mission.missionType}, {new Date(mission.modified).toLocaleDateString()})</span>
+                <button onClick={() => handleLoadMission(mission.id)}>Load</button>
+                <button onClick={() => handleDeleteMission(mission.id)}>Delete</button>
+              </li>
+            ))}
+          </ul>
+          
+          {activeMission && revisions.length > 0 && (
+            <div className="mission-revisions">
+              <h4>Revision History</h4>
+              <ul className="mission-list">
+                {revisions.slice().reverse().map(revision => (
+                  <li key={revision.id}>
+                    <span>
+                      r{revision.number} ({new Date(revision.created).toLocaleString()}): {revision.note}
+                    </span>
+                    <button onClick={() => handleRestoreRevision(revision.id)}>Restore</button>
+                  </li>
+                ))}
+              </ul>
+              {revisions.length > 1 && (
+                <div className="form-group">
+                  <label className="label">Compare</label>
+                  <select value={diffFromId} onChange={(e) => setDiffFromId(e.target.value)}>
+                    {revisions.map(revision => (
+                      <option key={revision.id} value={revision.id}>r{revision.number}</option>
+                    ))}
+                  </select>
+                  <select value={diffToId} onChange={(e) => setDiffToId(e.target.value)}>
+                    {revisions.map(revision => (
+                      <option key={revision.id} value={revision.id}>r{revision.number}</option>
+                    ))}
+                  </select>
+                  <button onClick={handleCompareRevisions}>Compare</button>
+                </div>
+              )}
+              {revisionDiff && renderRevisionDiff(revisionDiff)}
+            </div>
+          )}
+        </div>
+        
+        <div className="mission-import">
+          <h4>Waypoint CSV</h4>
+          <div className="form-group">
+            <label className="label">CSV Format</label>
+            <select value={csvPreset} onChange={(e) => handleCsvPresetChange(e.target.value)}>
+              {Object.entries(CSV_PRESETS).map(([id, preset]) => (
+                <option key={id} value={id}>{preset.name}</option>
+              ))}
+            </select>
+          </div>
+          {CSV_PRESETS[csvPreset].header ? (
+            <div className="info-box">{CSV_PRESETS[csvPreset].name} files use a fixed column layout</div>
+          ) : (
+            Object.entries(CSV_PRESETS[csvPreset].columns).map(([field, name]) => (
+              <div className="form-group" key={`csv-column-${field}`}>
+                <label className="label">{CSV_FIELD_LABELS[field]} Column</label>
+                <input
+                  type="text"
+                  placeholder={name}
+                  value={csvColumnMap[field] || ''}
+                  onChange={(e) => setCsvColumnMap(prev => ({ ...prev, [field]: e.target.value }))}
+                />
+              </div>
+            ))
+          )}
+          <div className="form-group">
+            <label className="label">Import CSV</label>
+            <input type="file" accept=".csv,text/csv" onChange={handleImportCsv} />
+          </div>
+          {importErrors.length > 0 && (
+            <div className="info-box">
+              {importErrors.length} problem(s) found, affected rows were not imported:
+              <ul>
+                {importErrors.map((error, index) => (
+                  <li key={`import-error-${index}`}>Line {error.line}: {error.message}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {generatedTrajectory && (
+            <div className="form-group">
+              <button onClick={() => setShowPlayback(prev => !prev)}>
+                {showPlayback ? 'Hide Playback' : 'Play Back Mission'}
+              </button>
+              {showPlayback && (
+                <div style={{ position: 'relative', height: '240px', marginTop: '8px' }}>
+                  <DeckGLTrajectoryViewer
+                    trajectories={playback.trajectories}
+                    waypoints={playback.waypoints}
+                    animate
+                  />
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+        
+        {generatedTrajectory && (
+          <div className="mission-export">
+            <h4>Export Mission</h4>
+            <p>{generatedTrajectory.waypoints.length} waypoints ({generatedTrajectory.type})</p>
+            <div className="form-group">
+              <label className="label">Origin Latitude / Longitude (°)</label>
+              <input
+                type="number"
+                step="0.000001"
+                placeholder="Latitude"
+                value={originDraft.lat}
+                onChange={(e) => setOriginDraft(prev => ({ ...prev, lat: e.target.value }))}
+              />
+              <input
+                type="number"
+                step="0.000001"
+                placeholder="Longitude"
+                value={originDraft.lon}
+                onChange={(e) => setOriginDraft(prev => ({ ...prev, lon: e.target.value }))}
+              />
+            </div>
+            <div className="form-group">
+              <label className="label">Origin Altitude (m) / Heading of +Y (°)</label>
+              <input
+                type="number"
+                step="0.1"
+                value={originDraft.alt}
+                onChange={(e) => setOriginDraft(prev => ({ ...prev, alt: e.target.value }))}
+              />
+              <input
+                type="number"
+                step="1"
+                min="0"
+                max="359"
+                value={originDraft.heading}
+                onChange={(e) => setOriginDraft(prev => ({ ...prev, heading: e.target.value }))}
+              />
+            </div>
+            <div className="button-group">
+              <button onClick={handleSetOrigin}>Set Origin</button>
+            </div>
+            <div className="info-box">
+              {missionParams.origin
+                ? `Origin ${missionParams.origin.lat.toFixed(6)}, ${missionParams.origin.lon.toFixed(6)} at ${missionParams.origin.alt} m, +Y heading ${missionParams.heading}°`
+                : 'Set the mission origin before exporting; waypoints are placed relative to it'}
+            </div>
+            {originError && <div className="info-box">{originError}</div>}
+            {generatedTrajectory.sorties && (
+              <div className="form-group">
+                <label className="label">Sortie</label>
+                <select value={exportSortie} onChange={(e) => setExportSortie(e.target.value === 'all' ? 'all' : Number(e.target.value))}>
+                  <option value="all">Whole mission</option>
+                  {generatedTrajectory.sorties.map(sortie => (
+                    <option key={sortie.sortie.index} value={sortie.sortie.index}>
+                      Sortie {sortie.sortie.index + 1} of {sortie.sortie.count}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="button-group">
+              <button onClick={() => handleExportQGCPlan('px4')}>
+                QGC Plan (PX4)
+              </button>
+              <button onClick={() => handleExportQGCPlan('ardupilot')}>
+                QGC Plan (ArduPilot)
+              </button>
+            </div>
+            <div className="form-group">
+              <label className="label">DJI Airframe</label>
+              <select value={wpmlDroneId} onChange={(e) => setWpmlDroneId(e.target.value)}>
+                {DroneModels.filter(d => d.wpml).map(d => (
+                  <option key={d.id} value={d.id}>{d.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="button-group">
+              <button onClick={() => handleExportWpml('waypoint')}>
+                DJI KMZ (photo per waypoint)
+              </button>
+              <button onClick={() => handleExportWpml('interval')}>
+                DJI KMZ (every {missionParams.captureRate}s)
+              </button>
+            </div>
+            <div className="button-group">
+              <button onClick={handleExportCsv}>
+                CSV ({CSV_PRESETS[csvPreset].name})
+              </button>
+            </div>
+            <div className="button-group">
+              <button onClick={() => handleExportGis('geojson')}>
+                GeoJSON
+              </button>
+              <button onClick={() => handleExportGis('kml')}>
+                KML
+              </button>
+            </div>
+            {exportError && (
+              <div className="info-box" style={{ whiteSpace: 'pre-line' }}>Export failed: {exportError}</div>
+            )}
+            {exportWarnings.map((warning, index) => (
+              <div key={`export-warning-${index}`} className="info-box">{warning}</div>
+            ))}
+          </div>
+        )}
       </div>
       
       {/* Workflow popup */}
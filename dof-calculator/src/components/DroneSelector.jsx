@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import droneData from '../data/droneData.json';
 import cameraLensData from '../data/cameraLensData.json';
+import { getFocalRange, isZoomLens, getLensAtFocalLength } from '../utils/ZoomLens';
 import styled from 'styled-components';
 
 const SelectorContainer = styled.div`
@@ -59,6 +60,7 @@ const DroneSelector = ({ onDroneConfigSelected, dronePosition, droneRotation, on
   const [filteredCameras, setFilteredCameras] = useState([]);
   const [cameras, setCameras] = useState(cameraLensData.cameras);
   const [distanceToObject, setDistanceToObject] = useState(30); // Default distance in feet
+  const [zoomFocalLength, setZoomFocalLength] = useState(null); // mm within a zoom's range, null for the catalog default
   const [initialSelectionDone, setInitialSelectionDone] = useState(false);
 
   const getCompatibleCameras = (selectedDroneString) => {
@@ -375,11 +377,11 @@ const DroneSelector = ({ onDroneConfigSelected, dronePosition, droneRotation, on
           };
         }
         
-        // Prepare the config object
+        // Prepare the config object, with zooms set to the chosen focal length
         const config = {
           drone: drone,
           camera: camera,
-          lens: lens,
+          lens: getLensAtFocalLength(lens, zoomFocalLength),
           distanceToObject
         };
         
@@ -389,7 +391,15 @@ const DroneSelector = ({ onDroneConfigSelected, dronePosition, droneRotation, on
     } catch (err) {
       console.error("Error sending drone configuration:", err);
     }
-  }, [selectedDrone, selectedCamera, selectedLens, compatibleLenses, onDroneConfigSelected, droneData, cameraLensData, distanceToObject]);
+  }, [selectedDrone, selectedCamera, selectedLens, compatibleLenses, onDroneConfigSelected, droneData, cameraLensData, distanceToObject, zoomFocalLength]);
+  
+  // Start each newly selected zoom at its catalog focal length
+  useEffect(() => {
+    setZoomFocalLength(null);
+  }, [selectedLens]);
+  
+  const selectedLensDetails = compatibleLenses.find(l => `${l.brand} ${l.model} ${l.focalLength}mm` === selectedLens);
+  const zoomedLensDetails = getLensAtFocalLength(selectedLensDetails, zoomFocalLength);
 
   // Handle distance to object change
   const handleDistanceChange = (e) => {
@@ -406,7 +416,7 @@ const DroneSelector = ({ onDroneConfigSelected, dronePosition, droneRotation, on
         onDroneConfigSelected({
           drone,
           camera,
-          lens,
+          lens: getLensAtFocalLength(lens, zoomFocalLength),
           distanceToObject: value
         });
       }
@@ -471,6 +481,25 @@ const DroneSelector = ({ onDroneConfigSelected, dronePosition, droneRotation, on
         </Select>
       </SelectGroup>
       
+      {/* Focal length within a zoom's range */}
+      {isZoomLens(selectedLensDetails) && (
+        <SelectGroup>
+          <Label>Focal Length: {zoomedLensDetails.focalLength}mm</Label>
+          <input
+            type="range"
+            min={getFocalRange(selectedLensDetails).min}
+            max={getFocalRange(selectedLensDetails).max}
+            step="1"
+            value={zoomedLensDetails.focalLength}
+            onChange={(e) => setZoomFocalLength(parseFloat(e.target.value))}
+            style={{ width: '100%' }}
+          />
+          <InfoText>
+            Widest aperture f/{zoomedLensDetails.maxAperture.toFixed(1)} at this setting
+          </InfoText>
+        </SelectGroup>
+      )}
+      
       {/* Distance to Object */}
       <SelectGroup>
         <Label>Distance to Object (feet)</Label>
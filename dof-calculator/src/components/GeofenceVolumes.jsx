@@ -0,0 +1,62 @@
+import { useEffect, useMemo } from 'react';
+import * as THREE from 'three';
+import { Line } from '@react-three/drei';
+import { transformUtility } from '../utils/CoordinateTransform';
+import { getCeilingZ } from '../utils/Geofence';
+
+// Height in feet drawn for fences without a ceiling
+const DEFAULT_VOLUME_HEIGHT = 400;
+
+// Translucent prisms for geofence zones: green inclusion areas, red no-fly zones,
+// extruded from the ground up to the ceiling
+const GeofenceVolumes = ({ fence, transform = transformUtility }) => {
+  // AGL ceilings are drawn from the origin's ground height
+  const ceilingZ = fence ? getCeilingZ(fence, 0, 0, { transform }) : Infinity;
+  const height = Number.isFinite(ceilingZ) && ceilingZ > 0 ? ceilingZ : DEFAULT_VOLUME_HEIGHT;
+
+  const volumes = useMemo(() => {
+    if (!fence) return [];
+    const toVolume = (type) => (zone) => {
+      const shape = new THREE.Shape(zone.ring.map(([x, y]) => new THREE.Vector2(x, y)));
+      return {
+        key: `${type}-${zone.name}`,
+        type,
+        geometry: new THREE.ExtrudeGeometry(shape, { depth: height, bevelEnabled: false }),
+        outline: [...zone.ring, zone.ring[0]].map(([x, y]) => [x, y, height])
+      };
+    };
+    return [
+      ...fence.inclusions.map(toVolume('inclusion')),
+      ...fence.exclusions.map(toVolume('exclusion'))
+    ];
+  }, [fence, height]);
+
+  // Extruded geometries are built here, so free them when the fence changes
+  useEffect(() => () => volumes.forEach(volume => volume.geometry.dispose()), [volumes]);
+
+  if (volumes.length === 0) return null;
+
+  return (
+    <group userData={{ missionOverlay: true }}>
+      {volumes.map(volume => {
+        const color = volume.type === 'inclusion' ? '#22aa44' : '#dd2222';
+        return (
+          <group key={volume.key}>
+            <mesh geometry={volume.geometry} renderOrder={1}>
+              <meshBasicMaterial
+                color={color}
+                opacity={volume.type === 'inclusion' ? 0.08 : 0.25}
+                transparent
+                depthWrite={false}
+                side={THREE.DoubleSide}
+              />
+            </mesh>
+            <Line points={volume.outline} color={color} lineWidth={1} />
+          </group>
+        );
+      })}
+    </group>
+  );
+};
+
+export default GeofenceVolumes;
@@ -15,7 +15,6 @@ import ModelLoaderUtils from './ModelLoaderUtils'; // Import ModelLoaderUtils se
 import * as THREE from 'three';
 import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
 import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader';
-import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader';
 import { FiChevronLeft, FiChevronRight, FiMenu } from 'react-icons/fi';
 import { IoWarningOutline, IoCheckmarkCircleOutline, IoInformationCircleOutline, IoAirplane } from 'react-icons/io5';
 import { 
@@ -29,74 +28,6 @@ import * as PotreeUtils from '../utils/PotreeUtils'; // Import fixed PotreeUtils
 // Import our shared error boundary components
 import { ModelErrorBoundary, CanvasErrorBoundary, ErrorBoundary } from './ErrorBoundaries.jsx';
 
-// Define a robust OusterPcapProcessor to prevent crashes
-const OusterPcapProcessor = function(options) {
-  console.log('Using enhanced mock OusterPcapProcessor with options:', options);
-  
-  // Store options safely
-  this.options = {
-    sensorType: options?.sensorType || 'OS1-64',
-    frameCount: parseInt(options?.frameCount || 1),
-    skipFrames: parseInt(options?.skipFrames || 0),
-    pointLimit: 2000000
-  };
-  
-  // Process file method with proper error handling
-  this.processFile = function(file, onProgress) {
-    console.log('OusterPcapProcessor.processFile called with:', file);
-    
-    if (!file) {
-      return Promise.reject(new Error('No file provided'));
-    }
-    
-    return new Promise((resolve, reject) => {
-      try {
-        // Simulate progress updates
-        let processed = 0;
-        const total = 100;
-        const interval = setInterval(() => {
-          processed += 10;
-          if (processed > total) {
-            clearInterval(interval);
-            return;
-          }
-          
-          if (typeof onProgress === 'function') {
-            onProgress({ processed, total });
-          }
-        }, 300);
-        
-        // Simulate completion after 3 seconds
-        setTimeout(() => {
-          clearInterval(interval);
-          
-          // Generate sample point cloud data
-          const pointCount = 10000;
-          const positions = new Array(pointCount * 3).fill(0).map(() => (Math.random() - 0.5) * 10);
-          const colors = new Array(pointCount * 3).fill(0).map(() => Math.random());
-          const intensity = new Array(pointCount).fill(0).map(() => Math.random());
-          
-          resolve({
-            positions,
-            colors,
-            intensity,
-            metadata: { 
-              pointCount, 
-              fileName: file.name,
-              sensorType: this.options.sensorType,
-              frameCount: this.options.frameCount,
-              processingTime: 3000
-            }
-          });
-        }, 3000);
-      } catch (error) {
-        console.error("Error in mock PCAP processing:", error);
-        reject(error);
-      }
-    });
-  };
-};
-
 // Define CSS variables 
 const StyledVars = styled.div`
   --bg-light: #232323;
@@ -634,569 +565,6 @@ function Drone({ position }) {
   );
 }
 
-// Point cloud loader component with improved robustness
-function PointCloudLoader({ 
-  cloudUrl, 
-  pointSize = 0.05, 
-  color = '#4f88e3', 
-  scale = 1, 
-  position = [0, 0, 0], 
-  opacity = 1, 
-  metadata = null, 
-  onLoaded 
-}) {
-  const [loadError, setLoadError] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [loadedGeometry, setLoadedGeometry] = useState(null);
-  const [debugInfo, setDebugInfo] = useState(null);
-  const pointsRef = useRef();
-  
-  // Use a custom loader pattern instead of useLoader to handle errors better
-  useEffect(() => {
-    let isMounted = true;
-    setIsLoading(true);
-    console.log("PointCloudLoader: Starting to load file:", cloudUrl);
-    console.log("PointCloudLoader: Using metadata:", metadata);
-    
-    // First try to use PotreeUtils if available
-    try {
-      if (PotreeUtils && typeof PotreeUtils.loadPointCloud === 'function') {
-        console.log("PointCloudLoader: Attempting to use PotreeUtils loader");
-        
-        PotreeUtils.loadPointCloud(cloudUrl, (progress) => {
-          console.log(`Loading point cloud: ${progress}%`);
-        }).then(pointCloud => {
-          if (!isMounted) return;
-          
-          console.log("PointCloudLoader: Loaded successfully with PotreeUtils:", pointCloud);
-          
-          // Optimize if needed
-          if (PotreeUtils.optimizePointCloud) {
-            PotreeUtils.optimizePointCloud(pointCloud);
-          }
-          
-          // Create a wrapper geometry for compatibility
-          const dummyGeometry = new THREE.BufferGeometry();
-          setLoadedGeometry(dummyGeometry);
-          setIsLoading(false);
-          
-          // Add the point cloud to our points ref
-          if (pointsRef.current) {
-            // Clear any existing children
-            while (pointsRef.current.children.length > 0) {
-              pointsRef.current.remove(pointsRef.current.children[0]);
-            }
-            
-            // Add the new point cloud
-            pointsRef.current.add(pointCloud);
-          }
-          
-          // Set debug info
-          setDebugInfo({
-            vertices: pointCloud.pointCount || 'unknown',
-            hasColors: true,
-            dimensions: pointCloud.boundingBox 
-              ? {
-                  x: pointCloud.boundingBox.max.x - pointCloud.boundingBox.min.x,
-                  y: pointCloud.boundingBox.max.y - pointCloud.boundingBox.min.y,
-                  z: pointCloud.boundingBox.max.z - pointCloud.boundingBox.min.z
-                }
-              : {},
-            metadata: metadata || {},
-            loaderType: 'PotreeUtils'
-          });
-          
-          // Call onLoaded callback
-          if (onLoaded && typeof onLoaded === 'function') {
-            onLoaded({ pointCloud, debugInfo });
-          }
-          
-        }).catch(error => {
-          console.error("PointCloudLoader: PotreeUtils loader failed, falling back to legacy loaders:", error);
-    
-    // Check if it's a PCAP-derived point cloud (special handling)
-    const isPcapDerived = metadata && metadata.fileType === 'pcap';
-    
-    if (isPcapDerived) {
-      // For PCAP-derived point clouds, load the data from the blob URL
-      loadPcapDerivedPointCloud(cloudUrl);
-    } else {
-      // For regular PLY files, use the PLYLoader
-      loadPlyFile(cloudUrl);
-          }
-        });
-      } else {
-        // Check if it's a PCAP-derived point cloud (special handling)
-        const isPcapDerived = metadata && metadata.fileType === 'pcap';
-        
-        if (isPcapDerived) {
-          // For PCAP-derived point clouds, load the data from the blob URL
-          loadPcapDerivedPointCloud(cloudUrl);
-        } else {
-          // For regular PLY files, use the PLYLoader
-          loadPlyFile(cloudUrl);
-        }
-      }
-    } catch (err) {
-      console.error("PointCloudLoader: Error with PotreeUtils, falling back to legacy loaders:", err);
-      
-      // Check if it's a PCAP-derived point cloud (special handling)
-      const isPcapDerived = metadata && metadata.fileType === 'pcap';
-      
-      if (isPcapDerived) {
-        // For PCAP-derived point clouds, load the data from the blob URL
-        loadPcapDerivedPointCloud(cloudUrl);
-      } else {
-        // For regular PLY files, use the PLYLoader
-        loadPlyFile(cloudUrl);
-      }
-    }
-    
-    // Load a PCAP-derived point cloud from a blob URL
-    function loadPcapDerivedPointCloud(url) {
-      console.log("PointCloudLoader: Loading PCAP-derived point cloud");
-      
-      if (!url || typeof url !== 'string') {
-        const error = new Error("Invalid URL provided for PCAP point cloud");
-        console.error(error);
-        setLoadError(error);
-        setIsLoading(false);
-        return;
-      }
-      
-      try {
-        fetch(url)
-          .then(response => {
-            if (!response.ok) {
-              throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
-            }
-            return response.json();
-          })
-          .then(data => {
-            if (!isMounted) return;
-            
-            try {
-              if (!data || typeof data !== 'object') {
-                throw new Error("Invalid point cloud data format");
-              }
-              
-              console.log("PointCloudLoader: PCAP data loaded successfully", {
-                hasPositions: !!data.positions,
-                positionsLength: data.positions?.length || 0,
-                hasColors: !!data.colors,
-                hasMetadata: !!data.metadata
-              });
-              
-              // Create a new geometry from the serialized data
-              const geometry = new THREE.BufferGeometry();
-              
-              // Add position attribute
-              if (data.positions && Array.isArray(data.positions) && data.positions.length > 0) {
-                try {
-                  if (data.positions.length % 3 !== 0) {
-                    console.warn("Position array length not divisible by 3, truncating...");
-                    // Truncate to ensure it's divisible by 3
-                    const truncLength = Math.floor(data.positions.length / 3) * 3;
-                    data.positions = data.positions.slice(0, truncLength);
-                  }
-                  
-                  const positions = new Float32Array(data.positions);
-                  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-                } catch (posError) {
-                  console.error("Error creating position attribute:", posError);
-                  throw new Error("Failed to create position attribute");
-                }
-              } else {
-                throw new Error("Invalid point cloud data: missing or invalid positions array");
-              }
-              
-              // Add color attribute if available
-              if (data.colors && Array.isArray(data.colors) && data.colors.length > 0) {
-                try {
-                  if (data.colors.length % 3 !== 0) {
-                    console.warn("Color array length not divisible by 3, truncating...");
-                    const truncLength = Math.floor(data.colors.length / 3) * 3;
-                    data.colors = data.colors.slice(0, truncLength);
-                  }
-                  
-                  // Ensure the color array is not longer than the position array
-                  const maxColorLength = (geometry.attributes.position.count * 3);
-                  if (data.colors.length > maxColorLength) {
-                    console.warn(`Color array too long (${data.colors.length}), truncating to ${maxColorLength}`);
-                    data.colors = data.colors.slice(0, maxColorLength);
-                  }
-                  
-                  const colors = new Float32Array(data.colors);
-                  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-                } catch (colorError) {
-                  console.warn("Warning: Could not add color attribute:", colorError);
-                  // Don't throw - colors are optional
-                }
-              }
-              
-              // Add intensity attribute if available
-              if (data.intensity && Array.isArray(data.intensity) && data.intensity.length > 0) {
-                try {
-                  const intensity = new Float32Array(data.intensity);
-                  geometry.setAttribute('intensity', new THREE.BufferAttribute(intensity, 1));
-                } catch (intensityError) {
-                  console.warn("Warning: Could not add intensity attribute:", intensityError);
-                  // Don't throw - intensity is optional
-                }
-              }
-              
-              // Compute bounding box
-              try {
-                geometry.computeBoundingBox();
-              } catch (boxError) {
-                console.warn("Warning: Could not compute bounding box:", boxError);
-                // Create default bounding box
-                geometry.boundingBox = new THREE.Box3(new THREE.Vector3(-1, -1, -1), new THREE.Vector3(1, 1, 1));
-              }
-              
-              // Set the loaded geometry
-              setLoadedGeometry(geometry);
-              setIsLoading(false);
-              
-              // Create debug info
-              const vertexCount = geometry.attributes.position.count;
-              const hasColors = geometry.attributes.color !== undefined;
-              const size = new THREE.Vector3();
-              geometry.boundingBox.getSize(size);
-              
-              setDebugInfo({
-                vertices: vertexCount,
-                hasColors: hasColors,
-                dimensions: {
-                  x: size.x.toFixed(2),
-                  y: size.y.toFixed(2),
-                  z: size.z.toFixed(2)
-                },
-                metadata: metadata || {}
-              });
-              
-              // Call onLoaded callback
-              if (onLoaded && typeof onLoaded === 'function') {
-                try {
-                  onLoaded({ 
-                    geometry, 
-                    size, 
-                    debugInfo: { 
-                      vertices: vertexCount, 
-                      hasColors, 
-                      size,
-                      metadata: metadata || {}
-                    } 
-                  });
-                } catch (callbackError) {
-                  console.error("Error in onLoaded callback:", callbackError);
-                }
-              }
-            } catch (error) {
-              console.error("PointCloudLoader: Error processing PCAP-derived point cloud:", error);
-              setLoadError(error);
-              setIsLoading(false);
-            }
-          })
-          .catch(error => {
-            if (!isMounted) return;
-            console.error("PointCloudLoader: Error loading PCAP-derived point cloud:", error);
-            setLoadError(error);
-            setIsLoading(false);
-          });
-      } catch (fetchError) {
-        console.error("PointCloudLoader: Failed to initiate fetch:", fetchError);
-        setLoadError(fetchError);
-        setIsLoading(false);
-      }
-    }
-    
-    // Load a regular PLY file
-    function loadPlyFile(url) {
-      const loader = new PLYLoader();
-      
-      try {
-        loader.load(
-          url,
-          // Success callback
-          (geometry) => {
-            if (!isMounted) return;
-            console.log("PointCloudLoader: PLY file loaded successfully", geometry);
-            
-            try {
-              // Ensure geometry has attributes
-              if (!geometry.attributes || !geometry.attributes.position) {
-                console.error("PointCloudLoader: Invalid geometry - missing position attribute");
-                setLoadError(new Error("Invalid PLY file - missing position data"));
-                setIsLoading(false);
-                return;
-              }
-              
-              // Log detailed information about the geometry
-              const vertexCount = geometry.attributes.position.count;
-              console.log(`PointCloudLoader: Point cloud has ${vertexCount} vertices`);
-              
-              // Check if color attributes exist
-              const hasColors = geometry.attributes.color !== undefined;
-              console.log(`PointCloudLoader: Point cloud has colors: ${hasColors}`);
-              
-              // Scale down the geometry if it's too large
-              const maxPoints = 1000000; // Increased limit for performance
-              if (geometry.attributes.position.count > maxPoints) {
-                console.warn(`PointCloudLoader: Point cloud has ${geometry.attributes.position.count} points, which may affect performance.`);
-                // We could implement a decimation algorithm here if needed
-              }
-              
-              // Apply transformations based on metadata
-              if (metadata) {
-                // Handle unit conversion if needed (adjust scale in the parent component)
-                console.log(`PointCloudLoader: Using unit type: ${metadata.units} with scale factor: ${metadata.scaleFactor}`);
-                
-                // Apply Y-axis inversion if needed
-                if (metadata.invertY) {
-                  console.log("PointCloudLoader: Inverting Y-axis");
-                  const positionAttr = geometry.attributes.position;
-                  for (let i = 0; i < positionAttr.count; i++) {
-                    const index = i * 3 + 1; // Y is the second component (index 1)
-                    positionAttr.array[index] = -positionAttr.array[index];
-                  }
-                  positionAttr.needsUpdate = true;
-                }
-                
-                // If using custom coloring modes, we may need to prepare for that
-                if (metadata.colorMode && metadata.colorMode !== 'default') {
-                  console.log(`PointCloudLoader: Using custom color mode: ${metadata.colorMode}`);
-                  
-                  // For height-based coloring, we need to compute the height range
-                  if (metadata.colorMode === 'height') {
-                    const positionAttr = geometry.attributes.position;
-                    let minY = Infinity;
-                    let maxY = -Infinity;
-                    
-                    // Find min/max Y values
-                    for (let i = 0; i < positionAttr.count; i++) {
-                      const y = positionAttr.array[i * 3 + 1];
-                      minY = Math.min(minY, y);
-                      maxY = Math.max(maxY, y);
-                    }
-                    
-                    // Create color attribute if it doesn't exist
-                    if (!geometry.attributes.color) {
-                      const colorArray = new Float32Array(positionAttr.count * 3);
-                      geometry.setAttribute('color', new THREE.BufferAttribute(colorArray, 3));
-                    }
-                    
-                    // Set colors based on height
-                    const colorAttr = geometry.attributes.color;
-                    const heightRange = maxY - minY;
-                    
-                    for (let i = 0; i < positionAttr.count; i++) {
-                      const y = positionAttr.array[i * 3 + 1];
-                      const normalizedHeight = heightRange > 0 ? (y - minY) / heightRange : 0.5;
-                      
-                      // Create a simple blue-to-red gradient based on height
-                      colorAttr.array[i * 3] = normalizedHeight; // Red (increases with height)
-                      colorAttr.array[i * 3 + 1] = 0.2 + normalizedHeight * 0.6; // Green (mid-range)
-                      colorAttr.array[i * 3 + 2] = 1.0 - normalizedHeight; // Blue (decreases with height)
-                    }
-                    
-                    colorAttr.needsUpdate = true;
-                  }
-                }
-              }
-              
-              // Compute bounding box if not already computed
-              if (!geometry.boundingBox) {
-                geometry.computeBoundingBox();
-              }
-              
-              // Optional centering of geometry based on bounding box
-              if (geometry.boundingBox) {
-                const size = new THREE.Vector3();
-                geometry.boundingBox.getSize(size);
-                
-                // Log size information
-                console.log(`PointCloudLoader: Point cloud dimensions: ${size.x.toFixed(2)} x ${size.y.toFixed(2)} x ${size.z.toFixed(2)}`);
-                
-                // Center the geometry if it's not centered
-                if (Math.abs(geometry.boundingBox.min.x) > 0.001 || 
-                    Math.abs(geometry.boundingBox.min.y) > 0.001 || 
-                    Math.abs(geometry.boundingBox.min.z) > 0.001) {
-                  const center = new THREE.Vector3();
-                  geometry.boundingBox.getCenter(center);
-                  console.log(`PointCloudLoader: Centering point cloud from ${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)}`);
-                  geometry.translate(-center.x, -center.y, -center.z);
-                }
-                
-                // Store debug information
-                setDebugInfo({
-                  vertices: vertexCount,
-                  hasColors: hasColors,
-                  dimensions: {
-                    x: size.x.toFixed(2),
-                    y: size.y.toFixed(2),
-                    z: size.z.toFixed(2)
-                  },
-                  metadata: metadata
-                });
-                
-                // Notify about size and completion
-                if (onLoaded) {
-                  onLoaded({ 
-                    geometry, 
-                    size, 
-                    debugInfo: { 
-                      vertices: vertexCount, 
-                      hasColors, 
-                      size,
-                      metadata 
-                    } 
-                  });
-                }
-              }
-              
-              setLoadedGeometry(geometry);
-              setIsLoading(false);
-              
-            } catch (error) {
-              console.error("PointCloudLoader: Error processing point cloud geometry:", error);
-              setLoadError(error);
-              setIsLoading(false);
-            }
-          },
-          // Progress callback
-          (xhr) => {
-            const progress = Math.round(xhr.loaded / xhr.total * 100);
-            console.log(`PointCloudLoader: ${progress}% loaded`);
-          },
-          // Error callback
-          (error) => {
-            if (!isMounted) return;
-            console.error("PointCloudLoader: Error loading PLY file:", error);
-            setLoadError(error);
-            setIsLoading(false);
-          }
-        );
-      } catch (error) {
-        if (isMounted) {
-          console.error("PointCloudLoader: Error initializing PLY loader:", error);
-          setLoadError(error);
-          setIsLoading(false);
-        }
-      }
-    }
-    
-    return () => {
-      isMounted = false;
-    };
-  }, [cloudUrl, metadata]);
-  
-  // Skip rendering if there's an error or still loading
-  if (loadError) {
-    console.error("PointCloudLoader: Error rendering point cloud:", loadError);
-    return (
-      <Html position={[0, 2, 0]}>
-        <div style={{ 
-          background: 'rgba(255,50,50,0.8)', 
-          color: 'white', 
-          padding: '10px',
-          borderRadius: '5px',
-          maxWidth: '200px',
-          textAlign: 'center'
-        }}>
-          Error loading point cloud:<br />
-          {loadError.message || 'Unknown error'}
-        </div>
-      </Html>
-    );
-  }
-  
-  if (isLoading || !loadedGeometry) {
-    return (
-      <Html position={[0, 2, 0]}>
-        <div style={{ 
-          background: 'rgba(0,0,0,0.7)', 
-          color: 'white', 
-          padding: '10px',
-          borderRadius: '5px',
-          maxWidth: '200px',
-          textAlign: 'center'
-        }}>
-          Loading point cloud...
-        </div>
-      </Html>
-    );
-  }
-  
-  // Check if the geometry has a valid position attribute
-  if (!loadedGeometry.attributes || !loadedGeometry.attributes.position) {
-    console.error("PointCloudLoader: Invalid PLY geometry: missing position attribute");
-    return null;
-  }
-  
-  // Determine if we should use custom colors or vertex colors
-  const useVertexColors = loadedGeometry.hasAttribute('color');
-  const useCustomColorMode = metadata && metadata.colorMode && metadata.colorMode !== 'default';
-  
-  console.log("PointCloudLoader: Rendering point cloud with", 
-    loadedGeometry.attributes.position.count, "points, size:", pointSize, 
-    "opacity:", opacity, "position:", position, "scale:", scale,
-    "using vertex colors:", useVertexColors);
-  
-  return (
-    <group>
-      <points ref={pointsRef} position={position} scale={[scale, scale, scale]}>
-        <primitive object={loadedGeometry} attach="geometry" />
-        <pointsMaterial 
-          size={pointSize} 
-          color={useVertexColors || useCustomColorMode ? 'white' : color} 
-          sizeAttenuation 
-          transparent={opacity < 1}
-          opacity={opacity}
-          vertexColors={useVertexColors || useCustomColorMode}
-          alphaTest={0.1}
-          precision="highp"
-        />
-      </points>
-      
-      {/* Scale indicator for debugging */}
-      <Html position={[0, -1, 0]} style={{ display: 'none' }}> {/* Hidden by default */}
-        <div style={{
-          background: 'rgba(0,0,0,0.7)',
-          color: 'white',
-          padding: '4px 8px',
-          borderRadius: '4px',
-          fontSize: '10px'
-        }}>
-          Scale: {scale.toFixed(3)}x
-        </div>
-      </Html>
-      
-      {/* Metadata display for debugging (hidden by default) */}
-      {debugInfo && metadata && (
-        <Html position={[0, 5, 0]}>
-          <div style={{ 
-            background: 'rgba(0,0,0,0.7)', 
-            color: 'white', 
-            padding: '5px',
-            borderRadius: '3px',
-            fontSize: '10px',
-            maxWidth: '150px',
-            display: 'none' // Hidden by default, set to 'block' to show
-          }}>
-            Points: {debugInfo.vertices}<br/>
-            Colors: {debugInfo.hasColors ? 'Yes' : 'No'}<br/>
-            Size: {debugInfo.dimensions.x} x {debugInfo.dimensions.y} x {debugInfo.dimensions.z}<br/>
-            Units: {metadata.units}<br/>
-            Scale: {metadata.scaleFactor}<br/>
-            Color Mode: {metadata.colorMode}
-          </div>
-        </Html>
-      )}
-    </group>
-  );
-}
-
 function BoundsControl({ children }) {
   const api = useBounds();
   
@@ -1826,8 +1194,9 @@ const SimplifiedLayout = () => {
 };
 
 // Main layout for the application
-function MainLayout() {
+function MainLayout({ onGeofenceVolumesChange = null } = {}) {
   const [activeTab, setActiveTab] = useState('mission');
+  const [dofMissionSettings, setDofMissionSettings] = useState(null); // Applied from the DOF calculator
   const [contextLost, setContextLost] = useState(false);
   const [contextLostCount, setContextLostCount] = useState(0);
   const [recoveryAttempted, setRecoveryAttempted] = useState(false);
@@ -2172,6 +1541,8 @@ function MainLayout() {
                     key={`mission-planner-${contextLostCount}`} 
                     contextLostCount={contextLostCount}
                     deviceCapabilities={deviceCapabilities}
+                    dofSettings={dofMissionSettings}
+                    onGeofenceVolumesChange={onGeofenceVolumesChange}
                   />
                 </ErrorBoundary>
               </React.Suspense>
@@ -2205,6 +1576,10 @@ function MainLayout() {
                     <DOFCalculator 
                       key={`dof-calculator-${contextLostCount}`}
                       deviceCapabilities={deviceCapabilities}
+                      onApplyToMission={(settings) => {
+                        setDofMissionSettings(settings);
+                        setActiveTab('mission');
+                      }}
                     />
                   </ErrorBoundary>
                 </React.Suspense>
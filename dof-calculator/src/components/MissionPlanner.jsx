@@ -15,6 +15,11 @@ import { useRef as R3FuseRef } from 'react'; // Change this to import from React
 import { createMetadataEnrichedBlobUrl as createBlobUrl, getUserFriendlyErrorMessage as getErrorMessage, detectFileFormat } from '../utils/FileImportUtils';
 import { PointCloud } from './SimplePointCloud';
 import PotreePointCloud from './PotreePointCloud';
+import PointCloudLoader, { DEFAULT_STREAM_POINTS } from './PointCloudLoader';
+import OusterPcapProcessor from './OusterPcapProcessor';
+import { loadOusterMetadata } from '../utils/OusterMetadata';
+import { poseTrackToDeckGL } from '../utils/LidarDeskew';
+import DeckGLTrajectoryViewer from './DeckGLTrajectoryViewer';
 import { createMetadataEnrichedBlobUrl, getUserFriendlyErrorMessage } from '../utils/ModelLoaderUtils';
 // Import Button from Material-UI - needed for the views
 import { Button } from '@mui/material';
@@ -22,6 +27,11 @@ import DroneModels from '../data/drone-models';
 import { AxisArrows, UnitCube } from './UIHelpers';
 import styled, { createGlobalStyle } from 'styled-components';
 import DroneSelector from './DroneSelector'; // Import DroneSelector component
+import DroneMissionEnhanced from './DroneMissionEnhanced';
+import MissionPlannerIntegration from './MissionPlannerIntegration';
+import SurveyBoundaryPreview from './SurveyBoundaryPreview';
+import { getLensAtFocalLength } from '../utils/ZoomLens';
+import { transformUtility } from '../utils/CoordinateTransform';
 import { FiChevronLeft, FiChevronRight } from 'react-icons/fi';
 import CameraModels from '../data/camera-models';
 import DepthOfFieldCalculator from '../utils/depth-of-field';
@@ -681,8 +691,20 @@ function BackgroundColorUpdater({ color }) {
   return null;
 }
 
+// Report the scene, camera and canvas to the mission planner sidebar, which lives outside the Canvas
+function ThreeContextReporter({ onChange }) {
+  const { scene, camera, gl } = useThree();
+  
+  useEffect(() => {
+    onChange({ scene, camera, canvas: gl.domElement });
+  }, [scene, camera, gl, onChange]);
+  
+  return null;
+}
+
 // Camera Frustum component to visualize field of view
-function CameraFrustum({ cameraDetails, lensDetails, position = [0, 0, 0], rotation = [0, 0, 0], scale = 1.0, distanceToObject = 30 }) {
+// focalLength sets zooms within their range; the lens's own focal length is used when it is omitted
+function CameraFrustum({ cameraDetails, lensDetails, focalLength = null, aperture = null, position = [0, 0, 0], rotation = [0, 0, 0], scale = 1.0, distanceToObject = 30 }) {
   const frustumRef = useRef(null);
   const [hovered, setHovered] = useState(false);
   
@@ -704,11 +726,11 @@ function CameraFrustum({ cameraDetails, lensDetails, position = [0, 0, 0], rotat
 
   // Calculate FOV based on sensor size and focal length
   const { sensorWidth, sensorHeight } = cameraDetails;
-  const { focalLength } = lensDetails;
+  const lensFocalLength = getLensAtFocalLength(lensDetails, focalLength).focalLength;
 
   // Calculate horizontal and vertical FOV in radians
-  const horizontalFOV = 2 * Math.atan(sensorWidth / (2 * focalLength));
-  const verticalFOV = 2 * Math.atan(sensorHeight / (2 * focalLength));
+  const horizontalFOV = 2 * Math.atan(sensorWidth / (2 * lensFocalLength));
+  const verticalFOV = 2 * Math.atan(sensorHeight / (2 * lensFocalLength));
 
   // Convert distance to object from feet to a scale that fits the scene
   // We'll use a scale factor to convert from feet to units in the scene
@@ -719,6 +741,11 @@ function CameraFrustum({ cameraDetails, lensDetails, position = [0, 0, 0], rotat
   const coverageWidthFeet = 2 * distanceToObject * Math.tan(horizontalFOV / 2);
   const coverageHeightFeet = 2 * distanceToObject * Math.tan(verticalFOV / 2);
   
+  // Sharp band around the focus distance once an aperture is set; the calculator works in meters
+  const depthOfField = aperture
+    ? DepthOfFieldCalculator(cameraDetails, { ...lensDetails, focalLength: lensFocalLength }, aperture, distanceToObject * transformUtility.FEET_TO_METERS)
+    : null;
+  
   // Calculate near and far planes
   const nearPlane = 0.5;
   const farPlane = distanceInScene;   // Use the distance to object as the far plane
@@ -917,8 +944,14 @@ function CameraFrustum({ cameraDetails, lensDetails, position = [0, 0, 0], rotat
           <div style={{ fontSize: '16px', marginBottom: '4px', color: '#60d0ff' }}>
             {coverageWidthFeet.toFixed(1)} ft × {coverageHeightFeet.toFixed(1)} ft
           </div>
+          {depthOfField && (
+            <div style={{ marginBottom: '4px' }}>
+              f/{depthOfField.aperture} sharp from {(depthOfField.nearPoint * transformUtility.METERS_TO_FEET).toFixed(1)} ft to{' '}
+              {depthOfField.farPoint === Infinity ? '∞' : `${(depthOfField.farPoint * transformUtility.METERS_TO_FEET).toFixed(1)} ft`}
+            </div>
+          )}
           <div style={{ fontSize: '0.9em', opacity: 0.8, borderTop: '1px solid rgba(255,255,255,0.2)', paddingTop: '4px', marginTop: '4px' }}>
-            {cameraDetails.brand} {cameraDetails.model} + {lensDetails.brand} {lensDetails.focalLength}mm
+            {cameraDetails.brand} {cameraDetails.model} + {lensDetails.brand} {lensFocalLength}mm
           </div>
         </div>
       </Html>
@@ -2702,7 +2735,7 @@ function getContrastTextColor(hexColor) {
 }
 
 // Main MissionPlanner component
-function MissionPlanner() {
+function MissionPlanner({ dofSettings = null, onGeofenceVolumesChange = null } = {}) {
   // Add all necessary state variables
   const [menuCollapsed, setMenuCollapsed] = useState(false);
   const [viewMode, setViewMode] = useState('perspective');
@@ -2721,9 +2754,20 @@ function MissionPlanner() {
   const [modelOpacity, setModelOpacity] = useState(1.0);
   const [loadedModelPath, setLoadedModelPath] = useState(null);
   const [loadedPointCloudPath, setLoadedPointCloudPath] = useState(null);
+  const [pcapCapture, setPcapCapture] = useState(null); // PointCloudLoader metadata of a streamed Ouster PCAP
+  const [pcapMaxPoints, setPcapMaxPoints] = useState(DEFAULT_STREAM_POINTS); // Points kept in view while streaming
+  const [pcapStreaming, setPcapStreaming] = useState(true); // Stream the whole capture, or decode a few frames
+  const [pcapFrameCount, setPcapFrameCount] = useState(1);
+  const [pcapSkipFrames, setPcapSkipFrames] = useState(0);
+  const [pcapGeometry, setPcapGeometry] = useState(null); // Frames decoded by OusterPcapProcessor
+  const [pcapPoseTrack, setPcapPoseTrack] = useState([]); // Per-frame sensor poses from the IMU de-skew
   const [distanceToObject, setDistanceToObject] = useState(30);
+  const [aperture, setAperture] = useState(null); // f-number applied from the DOF calculator
   const [frustumScale, setFrustumScale] = useState(1.0);
   const [showStats, setShowStats] = useState(false);
+  const [threeContext, setThreeContext] = useState(null); // { scene, camera, canvas } of the 3D view
+  const [missionTrajectory, setMissionTrajectory] = useState(null); // Trajectory generated by the mission planner
+  const [missionOverlay, setMissionOverlay] = useState(null); // Survey boundary, geofence and ring being drawn
   
   // Scene options state
   const [smallGridSize, setSmallGridSize] = useState(200);
@@ -2755,6 +2799,7 @@ function MissionPlanner() {
   // Refs for file inputs
   const fileInputRef = useRef(null);
   const pointCloudInputRef = useRef(null);
+  const pcapProcessorRef = useRef(null);
   
   // Auto-select default drone configuration on mount
   useEffect(() => {
@@ -2806,14 +2851,119 @@ function MissionPlanner() {
     setLoadedModelPath(URL.createObjectURL(file));
   };
   
-  const handlePointCloudFileChange = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const handlePointCloudFileChange = async (event) => {
+    // An Ouster capture may be picked together with the sensor metadata JSON recorded with it
+    const files = Array.from(event.target.files);
+    const file = files.find(candidate => !/\.json$/i.test(candidate.name));
+    if (!file) {
+      if (files.length > 0) {
+        setLoadError('Select the PCAP capture together with its metadata JSON');
+      }
+      return;
+    }
     
+    setLoadError(null);
     setLoadInfo(`Loading point cloud: ${file.name}`);
+    
+    // PCAP captures stream frame by frame through PointCloudLoader instead of a blob URL,
+    // or have just the requested frames decoded
+    if (/\.pcap$/i.test(file.name)) {
+      const metadataFile = files.find(candidate => /\.json$/i.test(candidate.name)) || null;
+      setLoadedPointCloudPath(null);
+      setPcapGeometry(null);
+      setPcapPoseTrack([]);
+      if (!pcapStreaming) {
+        setPcapCapture(null);
+        decodePcapFrames(file, metadataFile);
+        return;
+      }
+      
+      let sensorMetadata = null;
+      if (metadataFile) {
+        try {
+          sensorMetadata = await loadOusterMetadata(metadataFile);
+        } catch (error) {
+          console.error("Error reading sensor metadata:", error);
+          setLoadError(error.message);
+          return;
+        }
+      }
+      setPcapCapture({
+        fileType: 'pcap',
+        file,
+        fileSize: file.size,
+        maxPoints: pcapMaxPoints,
+        pcapOptions: sensorMetadata ? { metadata: sensorMetadata } : {},
+        importTime: new Date().toISOString()
+      });
+      return;
+    }
+    
+    setPcapCapture(null);
+    setPcapGeometry(null);
+    setPcapPoseTrack([]);
     setLoadedPointCloudPath(URL.createObjectURL(file));
   };
   
+  // Decode frameCount frames after skipFrames of an Ouster capture into one point cloud;
+  // the metadata JSON, when given, replaces the sensor table's beam intrinsics
+  const decodePcapFrames = async (file, metadataFile = null) => {
+    pcapProcessorRef.current?.cancel();
+    setLoadError(null);
+    
+    const processor = new OusterPcapProcessor({
+      frameCount: pcapFrameCount,
+      skipFrames: pcapSkipFrames,
+      maxPoints: pcapMaxPoints,
+      onProgress: (percent, stage = 'Decoding lidar packets') => setLoadInfo(`${stage}: ${file.name} ${percent}%`)
+    });
+    pcapProcessorRef.current = processor;
+    
+    try {
+      const geometry = await processor.processFile(file, metadataFile);
+      setPcapGeometry(geometry);
+      setPcapPoseTrack(geometry.userData.poseTrack || []);
+      setLoadInfo(`Decoded ${geometry.getAttribute('position').count.toLocaleString()} points from ${file.name}`);
+      reportPcapCalibration(geometry.userData.pcapMetadata);
+    } catch (error) {
+      console.error("Error decoding PCAP capture:", error);
+      setLoadError(error.message);
+    } finally {
+      if (pcapProcessorRef.current === processor) {
+        pcapProcessorRef.current = null;
+      }
+    }
+  };
+  
+  // Say which beam intrinsics a capture was projected with and flag metadata mismatches
+  const reportPcapCalibration = (summary) => {
+    if (!summary) return;
+    if (summary.warnings?.length > 0) {
+      setLoadError(summary.warnings.join('; '));
+    } else if (summary.calibration === 'table') {
+      setLoadError('No sensor metadata JSON selected; beam angles come from the approximate sensor table');
+    }
+  };
+  
+  // Streamed captures report their calibration once the whole file has been read
+  const handlePcapLoaded = ({ geometry }) => {
+    setPcapPoseTrack([...(geometry.userData.poseTrack || [])]);
+    reportPcapCalibration(geometry.userData.pcapMetadata);
+  };
+  
+  // Sensor path and frame markers of the de-skewed capture for the deck.gl viewer
+  const pcapPoseTrackLayers = useMemo(() => poseTrackToDeckGL(pcapPoseTrack), [pcapPoseTrack]);
+  
+  // Stop a running PCAP decode when the planner unmounts
+  useEffect(() => {
+    return () => pcapProcessorRef.current?.cancel();
+  }, []);
+  
+  // Free the GPU buffers of decoded frames once they are replaced
+  useEffect(() => {
+    return () => pcapGeometry?.dispose();
+  }, [pcapGeometry]);
+  
   const handleDroneConfigSelected = (config) => {
     console.log("Drone config selected:", config);
     if (config) {
@@ -2835,6 +2985,16 @@ function MissionPlanner() {
     }
   };
   
+  // Focus distance, aperture and equipment applied from the DOF calculator's sharp-band solver
+  useEffect(() => {
+    if (!dofSettings) return;
+    if (dofSettings.camera) setCameraDetails(dofSettings.camera);
+    if (dofSettings.lens) setLensDetails(dofSettings.lens);
+    if (dofSettings.aperture) setAperture(dofSettings.aperture);
+    // The solver works in meters, the scene in feet
+    setDistanceToObject(dofSettings.focusDistance * transformUtility.METERS_TO_FEET);
+  }, [dofSettings]);
+  
   // Return the main component
   return (
     <>
@@ -2869,15 +3029,59 @@ function MissionPlanner() {
               {/* LiDAR Point Cloud Import */}
               <ImportButton onClick={handleImportPointCloud}>
                 <PointCloudIcon />
-                Import Point Cloud (PLY/PCD)
+                Import Point Cloud (PLY/PCD/PCAP)
               </ImportButton>
               <FileInput
                 type="file"
-                accept=".ply,.pcd,.las,.laz"
+                accept=".ply,.pcd,.las,.laz,.pcap,.json"
+                multiple
                 ref={pointCloudInputRef}
                 onChange={handlePointCloudFileChange}
               />
               
+              {/* Ouster PCAP import: stream the whole capture or decode a few frames */}
+              <CheckboxLabel>
+                <input
+                  type="checkbox"
+                  checked={pcapStreaming}
+                  onChange={(e) => setPcapStreaming(e.target.checked)}
+                />
+                <span>Stream Whole PCAP Capture</span>
+              </CheckboxLabel>
+              {!pcapStreaming && (
+                <SliderContainer>
+                  <SliderLabel>PCAP Frames / Skipped Frames</SliderLabel>
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px' }}>
+                    <NumberInput
+                      type="number"
+                      min="1"
+                      step="1"
+                      value={pcapFrameCount}
+                      onChange={(e) => setPcapFrameCount(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                    />
+                    <NumberInput
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={pcapSkipFrames}
+                      onChange={(e) => setPcapSkipFrames(Math.max(0, parseInt(e.target.value, 10) || 0))}
+                    />
+                  </div>
+                </SliderContainer>
+              )}
+              
+              {/* Memory bound for PCAP imports; past it streaming drops the oldest frames */}
+              <SliderContainer>
+                <SliderLabel>PCAP Point Limit</SliderLabel>
+                <NumberInput
+                  type="number"
+                  min="100000"
+                  step="100000"
+                  value={pcapMaxPoints}
+                  onChange={(e) => setPcapMaxPoints(Math.max(100000, parseInt(e.target.value, 10) || DEFAULT_STREAM_POINTS))}
+                />
+              </SliderContainer>
+              
               {/* Show import status if available */}
               {loadInfo && (
                 <ImportStatusMessage error={false}>
@@ -2895,6 +3099,20 @@ function MissionPlanner() {
               )}
             </MenuSection>
             
+            {/* Per-frame sensor poses recovered while de-skewing a PCAP capture */}
+            {pcapPoseTrack.length > 1 && (
+              <MenuSection>
+                <SectionTitle>LiDAR Pose Track</SectionTitle>
+                <div style={{ position: 'relative', height: '220px', borderRadius: '8px', overflow: 'hidden' }}>
+                  <DeckGLTrajectoryViewer
+                    trajectories={pcapPoseTrackLayers.trajectories}
+                    waypoints={pcapPoseTrackLayers.waypoints}
+                    animate
+                  />
+                </div>
+              </MenuSection>
+            )}
+            
             {/* Drone Configuration Section */}
             <MenuSection>
               <SectionTitle>Drone Configuration</SectionTitle>
@@ -2908,7 +3126,7 @@ function MissionPlanner() {
             </MenuSection>
             
             {/* Model Controls Section */}
-            {(loadedModelPath || loadedPointCloudPath) && (
+            {(loadedModelPath || loadedPointCloudPath || pcapCapture || pcapGeometry) && (
               <MenuSection>
                 <SectionTitle>Model Controls</SectionTitle>
                 
@@ -3479,6 +3697,7 @@ function MissionPlanner() {
               >
                 {/* Background color updater - ensures color changes are applied */}
                 <BackgroundColorUpdater color={backgroundColor} />
+                <ThreeContextReporter onChange={setThreeContext} />
                 
                 {/* Camera controls for navigation */}
                 <CameraControls 
@@ -3511,6 +3730,30 @@ function MissionPlanner() {
                   </Suspense>
                 )}
                 
+                {/* Ouster PCAP capture streamed into a growing geometry */}
+                {pcapCapture && modelVisible && (
+                  <PointCloudLoader
+                    key={pcapCapture.importTime}
+                    metadata={pcapCapture}
+                    scale={modelScale}
+                    opacity={modelOpacity}
+                    onLoaded={handlePcapLoaded}
+                  />
+                )}
+                
+                {/* Frames decoded from an Ouster PCAP capture */}
+                {pcapGeometry && modelVisible && (
+                  <points geometry={pcapGeometry} scale={[modelScale, modelScale, modelScale]}>
+                    <pointsMaterial
+                      size={0.05}
+                      vertexColors
+                      sizeAttenuation
+                      transparent={modelOpacity < 1}
+                      opacity={modelOpacity}
+                    />
+                  </points>
+                )}
+                
                 {/* Drone model with camera frustum */}
                 <DroneModel 
                   position={dronePosition} 
@@ -3526,10 +3769,21 @@ function MissionPlanner() {
                     rotation={droneRotation}
                     scale={frustumScale || 1.0}
                     distanceToObject={distanceToObject}
-                    key={`frustum-${cameraDetails.model}-${lensDetails.focalLength}-${distanceToObject}`} 
+                    aperture={aperture}
+                    key={`frustum-${cameraDetails.model}-${lensDetails.focalLength}-${distanceToObject}-${aperture}`} 
                   />
                 )}
                 
+                {/* Planned mission and the survey boundary being drawn, in local mission coordinates */}
+                <MissionPlannerIntegration
+                  trajectory={missionTrajectory}
+                  isVisible={!!missionTrajectory}
+                  cameraDetails={cameraDetails}
+                  lensDetails={lensDetails}
+                />
+                {/* The boundary preview owns the geofence overlay; the mission overlay draws the flight only */}
+                {missionOverlay && <SurveyBoundaryPreview {...missionOverlay} />}
+                
                 {/* FPS stats in development mode */}
                 {process.env.NODE_ENV === 'development' && showStats && (
                   <Stats />
@@ -3540,6 +3794,19 @@ function MissionPlanner() {
               {enablePostprocessing && <PostProcessingEffects />}
             </Suspense>
           </Canvas>
+          
+          {/* Mission planner sidebar, picking faces and boundary points on the canvas */}
+          <DroneMissionEnhanced
+            cameraDetails={cameraDetails}
+            lensDetails={lensDetails}
+            aperture={aperture}
+            scene={threeContext?.scene}
+            camera={threeContext?.camera}
+            canvas={threeContext?.canvas}
+            onUpdateTrajectory={setMissionTrajectory}
+            onUpdateOverlay={setMissionOverlay}
+            onUpdateGeofenceVolumes={onGeofenceVolumesChange}
+          />
         </ViewerContainer>
       </LayoutContainer>
     </>
@@ -3,6 +3,9 @@ import * as THREE from 'three';
 import { useThree, useFrame } from '@react-three/fiber';
 import { Html, Sphere, Line } from '@react-three/drei';
 import { sanitizeGeometry } from '../utils/geometryUtils';
+import { estimateMissionEnergy, getLegCost } from '../utils/BatteryModel';
+import { transformUtility } from '../utils/CoordinateTransform';
+import { getFootprintHalfExtents, getCameraFootprint } from '../utils/CameraFootprint';
 
 // Component to visualize the drone's trajectory and provide playback controls
 const MissionPlannerIntegration = ({ 
@@ -19,6 +22,7 @@ const MissionPlannerIntegration = ({
   const [totalTime, setTotalTime] = useState(0);
   const [cameraPosition, setCameraPosition] = useState(null);
   const [showFootprints, setShowFootprints] = useState(true);
+  const [sortieIndex, setSortieIndex] = useState('all'); // 'all' or the index of one sortie to play
   
   // References
   const droneRef = useRef();
@@ -26,28 +30,57 @@ const MissionPlannerIntegration = ({
   const pausedTimeRef = useRef(0);
   const { scene, camera } = useThree();
   
-  // Calculate the total mission time and waypoint timings
-  useEffect(() => {
-    if (!trajectory || !trajectory.waypoints || trajectory.waypoints.length === 0) return;
-    
-    const { waypoints, params } = trajectory;
-    const { speed } = params;
+  // Play the whole mission or a single sortie, which flies out from and back to home
+  const activeTrajectory = useMemo(() => {
+    if (!trajectory || sortieIndex === 'all') return trajectory;
+    return trajectory.sorties?.[sortieIndex] || trajectory;
+  }, [trajectory, sortieIndex]);
+  
+  // Path flown during playback and the time at which each of its points is reached
+  const playback = useMemo(() => {
+    if (!activeTrajectory || !activeTrajectory.waypoints || activeTrajectory.waypoints.length === 0) return null;
     
-    // Calculate distances between waypoints
-    let totalDistance = 0;
-    let waypointDistances = [];
+    const { waypoints, params = {}, home } = activeTrajectory;
+    const battery = trajectory.battery && !trajectory.battery.error ? trajectory.battery : {};
+    const legOptions = {
+      speed: battery.speed || params.speed,
+      climbRate: battery.climbRate,
+      descentRate: battery.descentRate,
+      profile: battery.profile || null,
+      metersPerUnit: transformUtility.FEET_TO_METERS,
+      home
+    };
+    const estimate = estimateMissionEnergy(activeTrajectory, legOptions);
     
-    for (let i = 1; i < waypoints.length; i++) {
-      const prevPoint = waypoints[i-1];
-      const currPoint = waypoints[i];
-      const distance = prevPoint.distanceTo(currPoint);
-      waypointDistances.push(distance);
-      totalDistance += distance;
+    // Waypoints are left once any hover there has finished
+    const points = [];
+    const times = [];
+    let time = 0;
+    const homePoint = home ? new THREE.Vector3(home.x, home.y, home.z) : null;
+    if (homePoint) {
+      points.push(homePoint);
+      times.push(0);
+      time = getLegCost(homePoint, waypoints[0], legOptions).time;
+    }
+    waypoints.forEach((point, index) => {
+      if (index > 0) time += estimate.legTimes[index - 1];
+      points.push(point, point);
+      times.push(time, time + estimate.hoverTimes[index]);
+      time += estimate.hoverTimes[index];
+    });
+    if (homePoint) {
+      points.push(homePoint);
+      times.push(estimate.time);
     }
     
-    // Calculate estimated total time
-    const estimatedTime = totalDistance / speed;
-    setTotalTime(estimatedTime);
+    return { points, times, waypointOffset: homePoint ? 1 : 0, totalTime: Math.max(estimate.time, time), estimate };
+  }, [activeTrajectory, trajectory]);
+  
+  // Calculate the total mission time and waypoint timings
+  useEffect(() => {
+    if (!playback) return;
+    
+    setTotalTime(playback.totalTime);
     
     // Reset playback state when trajectory changes
     setPlaybackState('stopped');
@@ -55,6 +88,11 @@ const MissionPlannerIntegration = ({
     setProgressPercentage(0);
     timeRef.current = 0;
     pausedTimeRef.current = 0;
+  }, [playback]);
+  
+  // Go back to the whole mission when a new trajectory arrives
+  useEffect(() => {
+    setSortieIndex('all');
   }, [trajectory]);
   
   // Handle playback state changes
@@ -67,15 +105,15 @@ const MissionPlannerIntegration = ({
       setElapsedTime(0);
       
       // Reset drone position to the starting point
-      if (trajectory && trajectory.waypoints && trajectory.waypoints.length > 0) {
-        setCameraPosition(trajectory.waypoints[0]);
+      if (playback) {
+        setCameraPosition(playback.points[0]);
       }
     }
-  }, [playbackState, trajectory]);
+  }, [playbackState, playback]);
   
   // Animation loop for the playback
   useFrame((state, delta) => {
-    if (!trajectory || !trajectory.waypoints || trajectory.waypoints.length < 2 || playbackState !== 'playing') return;
+    if (!playback || playback.points.length < 2 || playbackState !== 'playing') return;
     
     // Update elapsed time
     timeRef.current += delta;
@@ -87,23 +125,33 @@ const MissionPlannerIntegration = ({
     const progress = Math.min(newElapsedTime / totalMissionTime, 1);
     setProgressPercentage(progress);
     
-    // Calculate the current waypoint and position based on progress
-    const totalPoints = trajectory.waypoints.length - 1;
-    const pointIndex = Math.min(Math.floor(progress * totalPoints), totalPoints - 1);
+    // Find the leg being flown at the elapsed time
+    const { points, times, waypointOffset } = playback;
+    const time = progress * totalMissionTime;
+    let pointIndex = 0;
+    while (pointIndex < points.length - 2 && times[pointIndex + 1] <= time) {
+      pointIndex++;
+    }
     
-    if (pointIndex !== currentWaypointIndex) {
-      setCurrentWaypointIndex(pointIndex);
+    // Each waypoint appears twice in the path, arriving and leaving after any hover
+    const waypointIndex = Math.max(0, Math.min(
+      Math.floor((pointIndex - waypointOffset) / 2),
+      activeTrajectory.waypoints.length - 1
+    ));
+    if (waypointIndex !== currentWaypointIndex) {
+      setCurrentWaypointIndex(waypointIndex);
     }
     
     // Interpolate between waypoints for smooth motion
-    const startPoint = trajectory.waypoints[pointIndex];
-    const endPoint = trajectory.waypoints[Math.min(pointIndex + 1, totalPoints)];
+    const startPoint = points[pointIndex];
+    const endPoint = points[pointIndex + 1];
+    const legTime = times[pointIndex + 1] - times[pointIndex];
     
-    const pointProgress = (progress * totalPoints) - pointIndex;
+    const pointProgress = legTime > 0 ? (time - times[pointIndex]) / legTime : 1;
     const interpolatedPosition = new THREE.Vector3().lerpVectors(
       startPoint,
       endPoint,
-      Math.min(pointProgress, 1)
+      Math.max(0, Math.min(pointProgress, 1))
     );
     
     // Update drone position
@@ -141,36 +189,28 @@ const MissionPlannerIntegration = ({
     return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
   };
   
-  // Calculate the camera footprint at the current position
+  // Calculate the nadir camera footprint at the current position, traced through
+  // the lens distortion when the lens has a profile
   const calculateCameraFootprint = (position) => {
-    if (!cameraDetails || !lensDetails || !position) return null;
-    
-    const { sensorWidth, sensorHeight } = cameraDetails;
-    const { focalLength } = lensDetails;
+    if (!cameraDetails || !lensDetails || !position || position.z <= 0) return null;
     
-    // Calculate the ground footprint (in meters)
-    const altitude = position.z;
-    const footprintWidth = (sensorWidth * altitude) / (focalLength / 1000);
-    const footprintHeight = (sensorHeight * altitude) / (focalLength / 1000);
-    
-    // Create the corners of the footprint
-    const halfWidth = footprintWidth / 2;
-    const halfHeight = footprintHeight / 2;
+    const footprint = getCameraFootprint(
+      { position },
+      getFootprintHalfExtents(cameraDetails, lensDetails, position.z)
+    );
+    if (!footprint) return null;
     
-    return [
-      new THREE.Vector3(position.x - halfWidth, position.y - halfHeight, 0),
-      new THREE.Vector3(position.x + halfWidth, position.y - halfHeight, 0),
-      new THREE.Vector3(position.x + halfWidth, position.y + halfHeight, 0),
-      new THREE.Vector3(position.x - halfWidth, position.y + halfHeight, 0),
-      new THREE.Vector3(position.x - halfWidth, position.y - halfHeight, 0) // Close the loop
-    ];
+    // Close the loop
+    return [...footprint.corners, footprint.corners[0]];
   };
   
   // Generate line points for the trajectory
   const trajectoryLinePoints = useMemo(() => {
-    if (!trajectory || !trajectory.waypoints) return [];
-    return trajectory.waypoints;
-  }, [trajectory]);
+    if (!activeTrajectory || !activeTrajectory.waypoints) return [];
+    return activeTrajectory.home
+      ? [activeTrajectory.home, ...activeTrajectory.waypoints, activeTrajectory.home].map(p => new THREE.Vector3(p.x, p.y, p.z))
+      : activeTrajectory.waypoints;
+  }, [activeTrajectory]);
   
   // Calculate camera footprint at current position
   const currentFootprint = useMemo(() => {
@@ -180,8 +220,9 @@ const MissionPlannerIntegration = ({
   // Don't render anything if the component is not visible
   if (!isVisible || !trajectory || !trajectory.waypoints) return null;
   
+  // Planning overlays are flagged so clearance checks do not treat them as obstacles
   return (
-    <>
+    <group userData={{ missionOverlay: true }}>
       {/* Trajectory line */}
       <Line
         points={trajectoryLinePoints}
@@ -190,7 +231,7 @@ const MissionPlannerIntegration = ({
       />
       
       {/* Waypoint markers */}
-      {trajectory.waypoints.map((point, index) => (
+      {activeTrajectory.waypoints.map((point, index) => (
         <Sphere 
           key={`waypoint-${index}`} 
           position={point} 
@@ -204,6 +245,25 @@ const MissionPlannerIntegration = ({
         </Sphere>
       ))}
       
+      {/* Legs closer to obstacles than the safety buffer */}
+      {activeTrajectory === trajectory && trajectory.clearance?.violations.map((violation, index) => (
+        <group key={`clearance-${index}`}>
+          <Line
+            points={[trajectory.waypoints[violation.segment], trajectory.waypoints[violation.segment + 1]]}
+            color="#ff0000"
+            lineWidth={4}
+          />
+          <Line
+            points={[violation.pathPoint, violation.obstaclePoint]}
+            color="#ff00ff"
+            lineWidth={2}
+          />
+          <Sphere position={violation.pathPoint} args={[0.5]}>
+            <meshBasicMaterial color="#ff0000" />
+          </Sphere>
+        </group>
+      ))}
+      
       {/* Current drone position */}
       {cameraPosition && (
         <group ref={droneRef} position={cameraPosition}>
@@ -260,6 +320,29 @@ const MissionPlannerIntegration = ({
             {formatTime(elapsedTime)} / {formatTime(totalTime)}
           </span>
           
+          {playback?.estimate.fraction !== null && playback?.estimate.fraction !== undefined && (
+            <span className="mission-stats">
+              {playback.estimate.energy.toFixed(0)} Wh ({(playback.estimate.fraction * 100).toFixed(0)}% battery)
+            </span>
+          )}
+          
+          {trajectory.sorties && (
+            <select
+              value={sortieIndex}
+              onChange={(e) => {
+                setSortieIndex(e.target.value === 'all' ? 'all' : Number(e.target.value));
+                setPlaybackState('stopped');
+              }}
+            >
+              <option value="all">Whole mission</option>
+              {trajectory.sorties.map(sortie => (
+                <option key={sortie.sortie.index} value={sortie.sortie.index}>
+                  Sortie {sortie.sortie.index + 1} of {sortie.sortie.count}
+                </option>
+              ))}
+            </select>
+          )}
+          
           <button
             className={showFootprints ? 'active' : ''}
             onClick={() => setShowFootprints(!showFootprints)}
@@ -268,7 +351,7 @@ const MissionPlannerIntegration = ({
           </button>
         </div>
       </Html>
-    </>
+    </group>
   );
 };
 
@@ -1,8 +1,12 @@
 import * as THREE from 'three';
+import PcapDecoder from '../utils/OusterPcapProcessor';
+import { loadOusterMetadata } from '../utils/OusterMetadata';
 
 /**
  * Ouster PCAP Processor
  * Handles conversion of Ouster PCAP files to Three.js point cloud geometry
+ * Decoding is done by utils/OusterPcapProcessor; this wrapper adds the
+ * percentage progress/completion callbacks and height coloring used by the UI
  */
 class OusterPcapProcessor {
   constructor(options = {}) {
@@ -12,138 +16,127 @@ class OusterPcapProcessor {
       colorMode: 'intensity',
       sensorType: 'OS1',
       maxPoints: 1000000, // Limit points for performance
+      frameCount: 1,
+      skipFrames: 0,
       ...options
     };
-    
+
     this.progress = 0;
     this.onProgress = options.onProgress || (() => {});
     this.onComplete = options.onComplete || (() => {});
     this.onError = options.onError || (() => {});
+    this.decoder = null;
   }
-  
+
   /**
    * Process a PCAP file and return a Three.js BufferGeometry
    * @param {File} file - The PCAP file to process
+   * @param {File} metadataFile - Optional sensor metadata JSON recorded with the PCAP;
+   *                              its beam intrinsics replace the sensorType table
    * @returns {Promise<THREE.BufferGeometry>} - The resulting geometry
    */
-  async processFile(file) {
+  async processFile(file, metadataFile = null) {
     try {
       this.onProgress(0);
-      
-      // IMPORTANT: This is a placeholder implementation
-      // In a real implementation, we would:
-      // 1. Use a PCAP parsing library to read the file
-      // 2. Extract Ouster-specific data packets
-      // 3. Parse LiDAR data according to Ouster format specifications
-      // 4. Convert to 3D points with intensity/other attributes
-      
-      // For now, we'll simulate processing with delays to show the UI flow
-      await this.simulateProcessing(file);
-      
-      // Create a sample point cloud geometry as a placeholder
-      const geometry = this.createSampleGeometry();
-      
+
+      const metadata = metadataFile
+        ? await loadOusterMetadata(metadataFile)
+        : (this.options.metadata || null);
+
+      // A bare family name ('OS1') means the common 64 beam model
+      const sensorType = /^OS\d$/.test(this.options.sensorType)
+        ? `${this.options.sensorType}-64`
+        : this.options.sensorType;
+
+      this.decoder = new PcapDecoder({
+        sensorType,
+        frameCount: this.options.frameCount,
+        skipFrames: this.options.skipFrames,
+        pointLimit: this.options.fullResolution ? this.options.maxPoints : Math.min(this.options.maxPoints, 100000),
+        colorMode: this.options.colorMode === 'height' ? 'intensity' : this.options.colorMode,
+        udpProfile: this.options.udpProfile || 'auto',
+        lidarPort: this.options.lidarPort || null,
+        metadata,
+        deskew: this.options.deskew || 'full',
+        imuPort: this.options.imuPort || null,
+        initialVelocity: this.options.initialVelocity || [0, 0, 0],
+        sensorConfig: this.options.sensorConfig || null
+      });
+
+      const data = await this.decoder.processFile(file, ({ processed, total }) => {
+        // Reserve the last 10% for building the geometry
+        this.progress = total ? Math.round((processed / total) * 90) : 0;
+        this.onProgress(this.progress, 'Decoding lidar packets');
+      });
+
+      this.onProgress(90, 'Building point cloud');
+      const geometry = this.decoder.toBufferGeometry(data);
+      if (this.options.colorMode === 'height') {
+        this.applyHeightColors(geometry);
+      }
+      geometry.userData.pcapMetadata = data.metadata;
+
       this.onProgress(100);
       this.onComplete(geometry);
       return geometry;
-      
+
     } catch (error) {
       console.error('Error processing PCAP file:', error);
       this.onError(error);
       throw error;
+    } finally {
+      this.decoder = null;
+    }
+  }
+
+  /**
+   * Process files picked together, pairing the PCAP with its metadata JSON
+   * @param {FileList|Array<File>} files - Selected files
+   * @returns {Promise<THREE.BufferGeometry>} - The resulting geometry
+   */
+  async processFiles(files) {
+    const list = Array.from(files);
+    const pcap = list.find(file => /\.pcap$/i.test(file.name));
+    if (!pcap) {
+      const error = new Error('No .pcap file selected');
+      this.onError(error);
+      throw error;
     }
+    const metadataFile = list.find(file => /\.json$/i.test(file.name)) || null;
+    return this.processFile(pcap, metadataFile);
   }
-  
+
   /**
-   * Simulate processing steps with delays
-   * This would be replaced with actual PCAP processing in a real implementation
+   * Cancel an in-progress processFile call
    */
-  async simulateProcessing(file) {
-    const fileSize = file.size;
-    const steps = [
-      { name: 'Reading PCAP header', progress: 10, delay: 500 },
-      { name: 'Parsing packet structure', progress: 20, delay: 500 },
-      { name: 'Extracting LiDAR packets', progress: 40, delay: 1000 },
-      { name: 'Decoding point data', progress: 60, delay: 1000 },
-      { name: 'Building point cloud', progress: 80, delay: 1000 },
-      { name: 'Finalizing geometry', progress: 90, delay: 500 }
-    ];
-    
-    for (const step of steps) {
-      console.log(`[PCAP Processor] ${step.name}...`);
-      this.progress = step.progress;
-      this.onProgress(step.progress, step.name);
-      await new Promise(resolve => setTimeout(resolve, step.delay));
+  cancel() {
+    if (this.decoder) {
+      this.decoder.cancel();
     }
-    
-    console.log('[PCAP Processor] Processing complete');
   }
-  
+
   /**
-   * Create a sample point cloud geometry for testing
-   * In a real implementation, this would be replaced with actual parsed PCAP data
+   * Color points by height with a blue-green-red gradient
+   * @param {THREE.BufferGeometry} geometry - Geometry with a position attribute
    */
-  createSampleGeometry() {
-    // Create a simple placeholder point cloud (a sphere of points)
-    const geometry = new THREE.BufferGeometry();
-    const numPoints = this.options.fullResolution ? 100000 : 10000;
-    
-    const positions = new Float32Array(numPoints * 3);
-    const colors = new Float32Array(numPoints * 3);
-    const intensity = new Float32Array(numPoints);
-    
-    // Create points distributed in a spherical pattern
-    for (let i = 0; i < numPoints; i++) {
-      // Spherical coordinates for position
-      const radius = 5 * (0.8 + 0.2 * Math.random()); // 4-6 units radius
-      const theta = Math.random() * Math.PI * 2; // 0-2π
-      const phi = Math.random() * Math.PI; // 0-π
-      
-      // Convert to cartesian coordinates
-      const x = radius * Math.sin(phi) * Math.cos(theta);
-      const y = radius * Math.sin(phi) * Math.sin(theta);
-      const z = radius * Math.cos(phi);
-      
-      // Set position
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-      
-      // Set color (based on height in this example)
-      const heightNormalized = (y + 5) / 10; // -5 to 5 normalized to 0-1
-      
-      if (this.options.colorMode === 'height') {
-        // Height-based color gradient (blue-green-red)
-        colors[i * 3] = Math.max(0, heightNormalized * 2 - 1); // R: upper half
-        colors[i * 3 + 1] = heightNormalized < 0.5 ? heightNormalized * 2 : 2 - heightNormalized * 2; // G: middle
-        colors[i * 3 + 2] = Math.max(0, 1 - heightNormalized * 2); // B: lower half
-      } else if (this.options.colorMode === 'intensity') {
-        // For intensity mode, use a grayscale value
-        const intensityValue = 0.3 + 0.7 * Math.random(); // Random intensity
-        colors[i * 3] = intensityValue;
-        colors[i * 3 + 1] = intensityValue;
-        colors[i * 3 + 2] = intensityValue;
-        
-        // Store intensity value
-        intensity[i] = intensityValue;
-      } else {
-        // Default color
-        colors[i * 3] = 0.5;
-        colors[i * 3 + 1] = 0.5;
-        colors[i * 3 + 2] = 0.8;
-      }
+  applyHeightColors(geometry) {
+    const positions = geometry.getAttribute('position');
+    if (!positions) return;
+
+    geometry.computeBoundingBox();
+    const { min, max } = geometry.boundingBox;
+    const span = max.z - min.z || 1;
+    const colors = new Float32Array(positions.count * 3);
+
+    for (let i = 0; i < positions.count; i++) {
+      const heightNormalized = (positions.getZ(i) - min.z) / span;
+      colors[i * 3] = Math.max(0, heightNormalized * 2 - 1); // R: upper half
+      colors[i * 3 + 1] = heightNormalized < 0.5 ? heightNormalized * 2 : 2 - heightNormalized * 2; // G: middle
+      colors[i * 3 + 2] = Math.max(0, 1 - heightNormalized * 2); // B: lower half
     }
-    
-    // Add attributes to geometry
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
     geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-    geometry.setAttribute('intensity', new THREE.BufferAttribute(intensity, 1));
-    
-    // Compute bounding box
-    geometry.computeBoundingBox();
-    
-    return geometry;
   }
 }
 
-export default OusterPcapProcessor; 
\ No newline at end of file
+export default OusterPcapProcessor;
@@ -1,4 +1,7 @@
 import React, { useState, useEffect } from 'react';
+import { findOptimalAperture } from '../utils/dofCalculations';
+import { LIGHT_PRESETS, planExposure, formatShutterTime } from '../utils/ExposurePlanner';
+import cameraLensData from '../data/cameraLensData.json';
 
 const PhotogrammetryPlanner = ({ 
   groundCoverage, 
@@ -15,6 +18,14 @@ const PhotogrammetryPlanner = ({
   const [surfaceDepth, setSurfaceDepth] = useState(0); // Optional for 3D objects
   const [horizontalOverlap, setHorizontalOverlap] = useState(60); // Default 60% overlap
   const [verticalOverlap, setVerticalOverlap] = useState(60); // Default 60% overlap
+  const [sharpNear, setSharpNear] = useState(''); // Nearest distance to keep sharp, '' spans the subject depth
+  const [sharpFar, setSharpFar] = useState(''); // Farthest distance to keep sharp
+  const [lightLevel, setLightLevel] = useState('sunny'); // LIGHT_PRESETS key or 'lux'
+  const [lux, setLux] = useState(50000);
+  const [isoMin, setIsoMin] = useState(100);
+  const [isoMax, setIsoMax] = useState(3200);
+  const [flightSpeed, setFlightSpeed] = useState(5); // m/s past the subject while capturing
+  const [maxBlur, setMaxBlur] = useState(1); // pixels of motion blur allowed
   
   // State for results
   const [numImagesRequired, setNumImagesRequired] = useState(0);
@@ -29,19 +40,58 @@ const PhotogrammetryPlanner = ({
     return pixelsPerMM;
   };
   
-  // Calculate recommended aperture for photogrammetry
-  const getRecommendedAperture = () => {
-    if (!lensDetails) return null;
+  // Depth band that must be sharp, in meters
+  // Without explicit limits it spans the subject depth centred on the focus distance
+  const getSharpBand = () => {
+    const toMeters = (value) => (distanceUnit === 'ft' ? value / 3.28084 : value);
+    const halfDepth = toMeters(surfaceDepth) / 2;
+    const near = sharpNear !== '' ? toMeters(parseFloat(sharpNear)) : Math.max(focusDistance - halfDepth, focusDistance / 10);
+    const far = sharpFar !== '' ? toMeters(parseFloat(sharpFar)) : focusDistance + halfDepth;
+    return { near, far };
+  };
+  
+  // Solve for the aperture that keeps the whole depth band sharpest, trading defocus
+  // at the band ends against diffraction from the sensor's pixel pitch
+  const getApertureSolution = () => {
+    if (!cameraDetails || !lensDetails || !focusDistance) return null;
     
-    // For photogrammetry, usually f/8-f/11 is recommended for best depth of field
-    // while maintaining sharpness
-    const recommendedApertures = [8, 11, 16].filter(
+    const apertures = cameraLensData.apertures.filter(
       ap => ap >= lensDetails.maxAperture && ap <= lensDetails.minAperture
     );
-    
-    return recommendedApertures.length > 0 ? recommendedApertures[0] : lensDetails.maxAperture;
+    const { near, far } = getSharpBand();
+    try {
+      return findOptimalAperture({
+        focalLength: lensDetails.focalLength,
+        nearDistance: near,
+        farDistance: far,
+        sensorWidth: cameraDetails.sensorWidth,
+        imageWidth: cameraDetails.imageWidth,
+        lensMtf50: lensDetails.mtf50,
+        apertures: apertures.length > 0 ? apertures : [lensDetails.maxAperture]
+      });
+    } catch (error) {
+      console.error("Error solving for the optimal aperture:", error);
+      return null;
+    }
   };
   
+  // Calculate recommended aperture for photogrammetry
+  const getRecommendedAperture = () => {
+    if (!lensDetails) return null;
+    return apertureSolution ? apertureSolution.aperture : lensDetails.maxAperture;
+  };
+  
+  // Worst-case blur across the depth band and what it is made of, in pixels
+  const formatBlurBudget = (solution) => {
+    const { defocus, diffraction, lens, total } = solution.blur;
+    const parts = [`defocus ${defocus.toFixed(1)}`, `diffraction ${diffraction.toFixed(1)}`];
+    if (lens > 0) parts.push(`lens ${lens.toFixed(1)}`);
+    return `${total.toFixed(1)} px worst case (${parts.join(', ')} px)`;
+  };
+  
+  // Focus distance in the selected unit
+  const formatFocus = (meters) => (distanceUnit === 'ft' ? (meters * 3.28084).toFixed(1) : meters.toFixed(1));
+  
   // Parse ground coverage from string (e.g. "16.0 × 12.0ft")
   const parseGroundCoverage = () => {
     if (!groundCoverage) return { width: 0, height: 0 };
@@ -128,6 +178,27 @@ const PhotogrammetryPlanner = ({
     return gsdMM;
   };
   
+  // Shutter and ISO for the current aperture and light, and the motion blur at the capture speed
+  const getExposurePlan = () => {
+    const gsdMM = calculateGSD();
+    if (!gsdMM || !aperture) return null;
+    
+    try {
+      return planExposure({
+        aperture,
+        light: lightLevel === 'lux' ? { lux } : { preset: lightLevel },
+        isoMin,
+        isoMax,
+        gsd: gsdMM / 10,
+        speed: flightSpeed,
+        maxBlur
+      });
+    } catch (error) {
+      console.error("Error planning exposure:", error);
+      return { error: error.message, exposedCleanly: false, warnings: [error.message] };
+    }
+  };
+  
   // Calculate estimated storage requirements
   const calculateEstimatedStorage = () => {
     if (!cameraDetails) return { raw: 0, jpeg: 0 };
@@ -174,8 +245,10 @@ const PhotogrammetryPlanner = ({
     (gsd < 10 ? `${gsd.toFixed(2)} mm/pixel` : `${(gsd / 10).toFixed(2)} cm/pixel`) 
     : 'N/A';
   
+  const apertureSolution = getApertureSolution();
   const recommendedAperture = getRecommendedAperture();
   const pixelDensity = calculatePixelDensity();
+  const exposurePlan = getExposurePlan();
   const estimatedStorage = calculateEstimatedStorage();
   
   // Render a simpler version of the planner when in compact mode
@@ -314,7 +387,13 @@ const PhotogrammetryPlanner = ({
           <ul className="tips-list">
             <li>60-80% overlap is typically recommended for optimal results</li>
             <li>For 3D objects, capture images at multiple heights</li>
-            <li>Consider using aperture f/{recommendedAperture || 8}-f/11 for depth of field</li>
+            <li>
+              Use f/{recommendedAperture || 8} for the sharpest images across the depth band
+              {apertureSolution && `: ${formatBlurBudget(apertureSolution)}`}
+            </li>
+            {exposurePlan && !exposurePlan.exposedCleanly && exposurePlan.warnings.map((warning, index) => (
+              <li key={`exposure-warning-${index}`} className="exposure-warning">{warning}</li>
+            ))}
           </ul>
         </div>
       </div>
@@ -379,6 +458,42 @@ const PhotogrammetryPlanner = ({
           </div>
         </div>
         
+        <div className="input-section">
+          <h4>Sharp Depth Band</h4>
+          <div className="input-group">
+            <label htmlFor="sharp-near">Nearest:</label>
+            <div className="range-value">
+              <input
+                type="number"
+                id="sharp-near"
+                min="0.1"
+                step="0.1"
+                placeholder={focusDistance ? formatFocus(getSharpBand().near) : ''}
+                value={sharpNear}
+                onChange={(e) => setSharpNear(e.target.value)}
+              />
+              <span>{distanceUnit}</span>
+            </div>
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="sharp-far">Farthest:</label>
+            <div className="range-value">
+              <input
+                type="number"
+                id="sharp-far"
+                min="0.1"
+                step="0.1"
+                placeholder={focusDistance ? formatFocus(getSharpBand().far) : ''}
+                value={sharpFar}
+                onChange={(e) => setSharpFar(e.target.value)}
+              />
+              <span>{distanceUnit}</span>
+            </div>
+            <small className="form-tip">Leave empty to span the subject depth around the focus distance</small>
+          </div>
+        </div>
+        
         <div className="input-section">
           <h4>Overlap Settings</h4>
           <div className="input-group">
@@ -429,6 +544,89 @@ const PhotogrammetryPlanner = ({
             />
           </div>
         </div>
+        
+        <div className="input-section">
+          <h4>Exposure & Motion</h4>
+          <div className="input-group">
+            <label htmlFor="light-level">Light:</label>
+            <select id="light-level" value={lightLevel} onChange={(e) => setLightLevel(e.target.value)}>
+              {Object.entries(LIGHT_PRESETS).map(([key, preset]) => (
+                <option key={key} value={key}>{preset.label} (EV {preset.ev})</option>
+              ))}
+              <option value="lux">Measured (lux)</option>
+            </select>
+          </div>
+          
+          {lightLevel === 'lux' && (
+            <div className="input-group">
+              <label htmlFor="light-lux">Illuminance:</label>
+              <div className="range-value">
+                <input
+                  type="number"
+                  id="light-lux"
+                  min="1"
+                  step="1000"
+                  value={lux}
+                  onChange={(e) => setLux(parseFloat(e.target.value) || 0)}
+                />
+                <span>lux</span>
+              </div>
+            </div>
+          )}
+          
+          <div className="input-group">
+            <label htmlFor="iso-min">ISO Range:</label>
+            <div className="range-value">
+              <input
+                type="number"
+                id="iso-min"
+                min="25"
+                step="50"
+                value={isoMin}
+                onChange={(e) => setIsoMin(parseFloat(e.target.value) || 0)}
+              />
+              <span>to</span>
+              <input
+                type="number"
+                id="iso-max"
+                min="25"
+                step="100"
+                value={isoMax}
+                onChange={(e) => setIsoMax(parseFloat(e.target.value) || 0)}
+              />
+            </div>
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="flight-speed">Capture Speed:</label>
+            <div className="range-value">
+              <input
+                type="number"
+                id="flight-speed"
+                min="0"
+                step="0.5"
+                value={flightSpeed}
+                onChange={(e) => setFlightSpeed(parseFloat(e.target.value) || 0)}
+              />
+              <span>m/s</span>
+            </div>
+          </div>
+          
+          <div className="input-group">
+            <label htmlFor="max-blur">Max Motion Blur:</label>
+            <div className="range-value">
+              <input
+                type="number"
+                id="max-blur"
+                min="0.1"
+                step="0.1"
+                value={maxBlur}
+                onChange={(e) => setMaxBlur(parseFloat(e.target.value) || 0)}
+              />
+              <span>px</span>
+            </div>
+          </div>
+        </div>
       </div>
       
       <div className="planner-results">
@@ -507,6 +705,28 @@ const PhotogrammetryPlanner = ({
             <span className="detail-label">Recommended Aperture:</span>
             <span className="detail-value">{recommendedAperture ? `f/${recommendedAperture}` : 'N/A'}</span>
             <small>{aperture !== recommendedAperture && recommendedAperture ? `Current: f/${aperture}` : ''}</small>
+            {apertureSolution && (
+              <small>
+                Blur {formatBlurBudget(apertureSolution)}, focused at {formatFocus(apertureSolution.focusDistance)} {distanceUnit}
+              </small>
+            )}
+          </div>
+          
+          <div className="detail-item">
+            <span className="detail-label">Exposure:</span>
+            <span className="detail-value">
+              {exposurePlan && !exposurePlan.error
+                ? `${formatShutterTime(exposurePlan.shutterTime)} at ISO ${Math.round(exposurePlan.iso)}`
+                : 'N/A'}
+            </span>
+            {exposurePlan && !exposurePlan.error && (
+              <small>
+                {exposurePlan.blur.toFixed(2)} px blur at {flightSpeed} m/s, up to {exposurePlan.maxSpeed.toFixed(1)} m/s for {maxBlur} px
+              </small>
+            )}
+            {exposurePlan?.warnings.map((warning, index) => (
+              <small key={`exposure-warning-${index}`} className="exposure-warning">{warning}</small>
+            ))}
           </div>
           
           <div className="detail-item storage-estimate">
@@ -533,7 +753,7 @@ const PhotogrammetryPlanner = ({
           <li>60-80% overlap is typically recommended for optimal results</li>
           <li>For 3D objects, capture images at multiple heights around the object</li>
           <li>For shiny or transparent surfaces, consider using polarizing filters</li>
-          <li>Consider using aperture f/{recommendedAperture || 8}-f/11 to maximize depth of field</li>
+          <li>Stopping down past the diffraction limit softens every image; f/{recommendedAperture || 8} balances it against depth of field</li>
           <li>Maintain a consistent GSD (pixel size) throughout your capture session</li>
         </ul>
       </div>
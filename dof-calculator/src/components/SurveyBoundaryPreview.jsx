@@ -0,0 +1,37 @@
+import { Line } from '@react-three/drei';
+import GeofenceVolumes from './GeofenceVolumes';
+
+// Close a [x, y] ring on the ground plane for drawing
+const toLinePoints = (ring, closed = true) => {
+  const points = ring.map(([x, y]) => [x, y, 0]);
+  return closed ? [...points, points[0]] : points;
+};
+
+// Outline of the survey polygon, its holes, the geofence and the ring being drawn,
+// in local mission coordinates (feet, Z up)
+const SurveyBoundaryPreview = ({ surveyArea = null, geofence = null, draftRing = [] }) => {
+  if (!surveyArea && !geofence && draftRing.length === 0) return null;
+
+  return (
+    <group userData={{ missionOverlay: true }}>
+      {surveyArea && (
+        <Line points={toLinePoints(surveyArea.outer)} color="#ff8800" lineWidth={2} />
+      )}
+      {surveyArea?.holes.map((hole, index) => (
+        <Line key={`hole-${index}`} points={toLinePoints(hole)} color="#ff4444" lineWidth={2} dashed />
+      ))}
+      {geofence && <GeofenceVolumes fence={geofence} />}
+      {draftRing.length > 1 && (
+        <Line points={toLinePoints(draftRing, false)} color="#ffffff" lineWidth={1} />
+      )}
+      {draftRing.map(([x, y], index) => (
+        <mesh key={`draft-${index}`} position={[x, y, 0]}>
+          <sphereGeometry args={[0.3, 8, 8]} />
+          <meshBasicMaterial color="#ffffff" />
+        </mesh>
+      ))}
+    </group>
+  );
+};
+
+export default SurveyBoundaryPreview;
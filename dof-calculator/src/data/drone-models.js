@@ -20,6 +20,14 @@ const DroneModels = [
       model: 'Mavic Pro Lens',
       focalLength: 4.7, // in mm
       aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 5, // m/s vertical ascent
+      maxDescentRate: 3, // m/s vertical descent
+      gimbalPitchRange: [-90, 30], // degrees
+      minPhotoInterval: 2, // seconds between captures
+      maxWaypoints: 99
     }
   },
   {
@@ -38,6 +46,14 @@ const DroneModels = [
       model: 'Mavic Air 2 Lens',
       focalLength: 4.5, // in mm
       aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 12, // m/s in waypoint missions
+      maxClimbRate: 4, // m/s vertical ascent
+      maxDescentRate: 3, // m/s vertical descent
+      gimbalPitchRange: [-90, 0], // degrees
+      minPhotoInterval: 2, // seconds between captures
+      maxWaypoints: 99
     }
   },
   {
@@ -56,6 +72,14 @@ const DroneModels = [
       model: 'Phantom 4 Pro Lens',
       focalLength: 8.8, // in mm
       aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 6, // m/s vertical ascent
+      maxDescentRate: 4, // m/s vertical descent
+      gimbalPitchRange: [-90, 30], // degrees
+      minPhotoInterval: 2, // seconds between captures
+      maxWaypoints: 99
     }
   },
   {
@@ -74,6 +98,108 @@ const DroneModels = [
       model: 'Olympus M.Zuiko 12mm f/2.0',
       focalLength: 12, // in mm
       aperture: 2.0
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 5, // m/s vertical ascent
+      maxDescentRate: 4, // m/s vertical descent
+      gimbalPitchRange: [-90, 30], // degrees
+      minPhotoInterval: 1, // seconds between captures
+      maxWaypoints: 99
+    }
+  },
+  {
+    id: 'mavic-3-enterprise',
+    name: 'DJI Mavic 3 Enterprise',
+    brand: 'DJI',
+    camera: {
+      brand: 'DJI',
+      model: 'Mavic 3E Wide Camera',
+      sensorWidth: 17.3,  // in mm
+      sensorHeight: 13.0, // in mm
+      resolution: [5280, 3956]
+    },
+    lens: {
+      brand: 'DJI',
+      model: 'Mavic 3E Wide 24mm equiv.',
+      focalLength: 12.29, // in mm
+      aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 6, // m/s vertical ascent
+      maxDescentRate: 6, // m/s vertical descent
+      gimbalPitchRange: [-90, 35], // degrees
+      minPhotoInterval: 0.7, // seconds between captures
+      maxWaypoints: 65535
+    },
+    // Enum values DJI Pilot 2 expects in WPML missionConfig
+    wpml: {
+      droneEnumValue: 77,
+      droneSubEnumValue: 0,
+      payloadEnumValue: 66
+    }
+  },
+  {
+    id: 'matrice-30',
+    name: 'DJI Matrice 30',
+    brand: 'DJI',
+    camera: {
+      brand: 'DJI',
+      model: 'M30 Wide Camera',
+      sensorWidth: 6.4,  // in mm
+      sensorHeight: 4.8, // in mm
+      resolution: [4000, 3000]
+    },
+    lens: {
+      brand: 'DJI',
+      model: 'M30 Wide 24mm equiv.',
+      focalLength: 4.5, // in mm
+      aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 6, // m/s vertical ascent
+      maxDescentRate: 5, // m/s vertical descent
+      gimbalPitchRange: [-90, 35], // degrees
+      minPhotoInterval: 2, // seconds between captures
+      maxWaypoints: 65535
+    },
+    wpml: {
+      droneEnumValue: 67,
+      droneSubEnumValue: 0,
+      payloadEnumValue: 52
+    }
+  },
+  {
+    id: 'matrice-350-p1',
+    name: 'DJI Matrice 350 RTK with P1',
+    brand: 'DJI',
+    camera: {
+      brand: 'DJI',
+      model: 'Zenmuse P1',
+      sensorWidth: 35.9,  // in mm
+      sensorHeight: 24.0, // in mm
+      resolution: [8192, 5460]
+    },
+    lens: {
+      brand: 'DJI',
+      model: 'DL 35mm f/2.8 LS ASPH',
+      focalLength: 35, // in mm
+      aperture: 2.8
+    },
+    limits: {
+      maxSpeed: 15, // m/s in waypoint missions
+      maxClimbRate: 6, // m/s vertical ascent
+      maxDescentRate: 5, // m/s vertical descent
+      gimbalPitchRange: [-90, 30], // degrees
+      minPhotoInterval: 0.7, // seconds between captures
+      maxWaypoints: 65535
+    },
+    wpml: {
+      droneEnumValue: 89,
+      droneSubEnumValue: 0,
+      payloadEnumValue: 50
     }
   }
 ];
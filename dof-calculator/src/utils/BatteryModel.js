@@ -0,0 +1,265 @@
+/**
+ * BatteryModel.js
+ * Flight time and energy estimates from per-airframe battery data (data/droneData.json),
+ * and splitting of long missions into sorties that each fit one battery
+ */
+
+import { getCaptureForWaypoint } from './TrajectoryUtils';
+import { getGroundSpeed } from './WindModel';
+
+// Local coordinates are feet
+const FEET_TO_METERS = 0.3048;
+const KG_PER_LB = 0.45359237;
+
+// Horizontal distance (m) below which a leg is flown as a vertical climb or descent
+const VERTICAL_LEG_EPSILON = 0.1;
+
+/**
+ * Interpolate a power table at a payload weight
+ * @param {Array<Object>} table - Entries { payloadKg, watts }
+ * @param {number} payloadKg - Payload weight in kg
+ * @returns {number} - Power in watts, clamped to the ends of the table
+ */
+export const getPowerForPayload = (table, payloadKg) => {
+  const sorted = [...table].sort((a, b) => a.payloadKg - b.payloadKg);
+  if (payloadKg <= sorted[0].payloadKg) return sorted[0].watts;
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (payloadKg <= sorted[i].payloadKg) {
+      const t = (payloadKg - sorted[i - 1].payloadKg) / (sorted[i].payloadKg - sorted[i - 1].payloadKg);
+      return sorted[i - 1].watts + (sorted[i].watts - sorted[i - 1].watts) * t;
+    }
+  }
+  return sorted[sorted.length - 1].watts;
+};
+
+/**
+ * Resolve an airframe's battery data for a payload
+ * @param {Object} drone - Entry from data/droneData.json with battery data
+ * @param {number} payloadKg - Payload weight in kg
+ * @param {number} reservePercent - Optional override of the airframe's landing reserve
+ * @returns {Object} - { usableWh, capacityWh, reservePercent, hoverWatts, cruiseWatts, warnings }
+ */
+export const getBatteryProfile = (drone, payloadKg = 0, reservePercent) => {
+  const battery = drone?.battery;
+  if (!battery?.capacityWh || !battery.hoverPower?.length || !battery.cruisePower?.length) {
+    throw new Error(`No battery data for ${drone ? `${drone.brand} ${drone.model}` : 'this airframe'}`);
+  }
+
+  const warnings = [];
+  const maxPayload = parseFloat(drone.maxPayload);
+  const maxPayloadKg = drone.payloadUnit === 'lbs' ? maxPayload * KG_PER_LB : maxPayload;
+  if (maxPayloadKg > 0 && payloadKg > maxPayloadKg) {
+    warnings.push(`Payload of ${payloadKg} kg is over the ${maxPayloadKg.toFixed(1)} kg limit of the ${drone.brand} ${drone.model}`);
+  }
+
+  const reserve = reservePercent ?? battery.reservePercent ?? 0;
+  return {
+    capacityWh: battery.capacityWh,
+    reservePercent: reserve,
+    usableWh: battery.capacityWh * (1 - reserve / 100),
+    hoverWatts: getPowerForPayload(battery.hoverPower, payloadKg),
+    cruiseWatts: getPowerForPayload(battery.cruisePower, payloadKg),
+    warnings
+  };
+};
+
+/**
+ * Time and energy for one leg
+ * Horizontal and vertical motion happen together, so the slower of the two sets
+ * the time; near-vertical legs are flown at hover power
+ * With wind, speed is the airspeed and the leg is flown at the resulting ground speed
+ * @param {Object} from - Start position { x, y, z } in local units
+ * @param {Object} to - End position { x, y, z } in local units
+ * @param {Object} options - { speed, climbRate, descentRate } in m/s, profile, metersPerUnit,
+ *                           wind ({ x, y } m/s in local axes, see WindModel.getLocalWind)
+ * @returns {Object} - { time (s), energy (Wh) }
+ */
+export const getLegCost = (from, to, options) => {
+  const { speed, climbRate = 3, descentRate = 3, profile = null, metersPerUnit = FEET_TO_METERS, wind = null } = options;
+  const horizontal = Math.hypot(to.x - from.x, to.y - from.y) * metersPerUnit;
+  const vertical = (to.z - from.z) * metersPerUnit;
+
+  let groundSpeed = speed;
+  if (wind && horizontal >= VERTICAL_LEG_EPSILON) {
+    const solution = getGroundSpeed({ x: to.x - from.x, y: to.y - from.y }, speed, wind);
+    if (!solution.flyable) {
+      throw new Error(`Wind is too strong to fly a leg at ${speed} m/s airspeed`);
+    }
+    groundSpeed = solution.groundSpeed;
+  }
+
+  const time = Math.max(
+    horizontal / groundSpeed,
+    vertical > 0 ? vertical / climbRate : -vertical / descentRate
+  );
+  const watts = !profile ? 0 : horizontal < VERTICAL_LEG_EPSILON ? profile.hoverWatts : profile.cruiseWatts;
+
+  return { time, energy: watts * time / 3600 };
+};
+
+/**
+ * Seconds spent hovering at a waypoint from its hover actions
+ * @param {Object} trajectory - Trajectory object
+ * @param {number} index - Waypoint index
+ * @returns {number} - Seconds
+ */
+const getHoverTime = (trajectory, index) => {
+  return (trajectory.waypointActions?.[index] || [])
+    .filter(action => action.type === 'hover')
+    .reduce((total, action) => total + (action.value || 0), 0);
+};
+
+/**
+ * Estimate flight time and energy for a trajectory, including the legs from and back to home
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} options - Leg options for getLegCost plus home ({ x, y, z }, local units)
+ * @returns {Object} - { time (s), energy (Wh), legTimes (s, per leg between waypoints),
+ *                      hoverTimes (s, per waypoint), usableWh, fraction }
+ */
+export const estimateMissionEnergy = (trajectory, options) => {
+  const { home = null, profile = null } = options;
+  const { waypoints = [] } = trajectory;
+  const hoverWatts = profile ? profile.hoverWatts : 0;
+
+  let time = 0;
+  let energy = 0;
+  const add = (cost) => {
+    time += cost.time;
+    energy += cost.energy;
+  };
+
+  const legTimes = [];
+  const hoverTimes = [];
+  waypoints.forEach((waypoint, index) => {
+    if (index > 0) {
+      const cost = getLegCost(waypoints[index - 1], waypoint, options);
+      legTimes.push(cost.time);
+      add(cost);
+    }
+    const hover = getHoverTime(trajectory, index);
+    hoverTimes.push(hover);
+    add({ time: hover, energy: hoverWatts * hover / 3600 });
+  });
+
+  if (home && waypoints.length > 0) {
+    add(getLegCost(home, waypoints[0], options));
+    add(getLegCost(waypoints[waypoints.length - 1], home, options));
+  }
+
+  return {
+    time,
+    energy,
+    legTimes,
+    hoverTimes,
+    usableWh: profile ? profile.usableWh : null,
+    fraction: profile ? energy / profile.usableWh : null
+  };
+};
+
+/**
+ * Build the trajectory for one sortie from a waypoint range
+ * @param {Object} trajectory - Full trajectory
+ * @param {number} start - First waypoint index
+ * @param {number} end - Last waypoint index
+ * @returns {Object} - Trajectory holding only the range
+ */
+const sliceTrajectory = (trajectory, start, end) => {
+  const { waypoints, capturePoints = [], waypointActions } = trajectory;
+  const indices = Array.from({ length: end - start + 1 }, (_, i) => start + i);
+
+  // Generators emit one capture per waypoint; otherwise keep the captures matched by position
+  const sliceCaptures = capturePoints.length === waypoints.length
+    ? capturePoints.slice(start, end + 1)
+    : indices.map(index => getCaptureForWaypoint(trajectory, index)).filter(Boolean);
+
+  return {
+    type: trajectory.type,
+    params: { ...(trajectory.params || {}) },
+    waypoints: indices.map(index => waypoints[index].clone()),
+    capturePoints: sliceCaptures,
+    ...(waypointActions ? { waypointActions: waypointActions.slice(start, end + 1) } : {})
+  };
+};
+
+/**
+ * Split a trajectory into sorties that each fit the usable battery energy,
+ * including the flight out from home and the return-to-home leg
+ * Sorties end only after a capture, and never between views taken from the
+ * same position, so the next sortie resumes at the following waypoint
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} options - Leg options for getLegCost, profile and home ({ x, y, z })
+ * @returns {Object} - { sorties: [trajectory with sortie { index, count, startWaypoint, endWaypoint, time, energy }], warnings }
+ */
+export const splitIntoSorties = (trajectory, options) => {
+  const { profile, home } = options;
+  if (!profile || !home) {
+    throw new Error('Battery profile and home point are needed to split sorties');
+  }
+
+  const { waypoints = [] } = trajectory;
+  const warnings = [];
+  const ranges = [];
+  const hoverEnergy = (index) => profile.hoverWatts * getHoverTime(trajectory, index) / 3600;
+
+  // A sortie may end after a capturing waypoint unless the next view is from the same spot
+  const isResumePoint = (index) => index === waypoints.length - 1 || (
+    !!getCaptureForWaypoint(trajectory, index) &&
+    waypoints[index].distanceTo(waypoints[index + 1]) > 1e-3
+  );
+
+  let start = 0;
+  while (start < waypoints.length) {
+    let energy = getLegCost(home, waypoints[start], options).energy;
+    let end = null;
+
+    for (let i = start; i < waypoints.length; i++) {
+      if (i > start) energy += getLegCost(waypoints[i - 1], waypoints[i], options).energy;
+      energy += hoverEnergy(i);
+      const withReturn = energy + getLegCost(waypoints[i], home, options).energy;
+
+      if (withReturn > profile.usableWh) {
+        if (end === null) {
+          if (i === start) {
+            throw new Error(`Waypoint ${start + 1} cannot be reached and returned from on one battery`);
+          }
+          // No capture boundary fits; end before the waypoint that runs out
+          end = i - 1;
+          warnings.push(`Sortie ${ranges.length + 1} ends between captures at waypoint ${end + 1}`);
+        }
+        break;
+      }
+      if (isResumePoint(i)) end = i;
+    }
+
+    ranges.push({ start, end });
+    start = end + 1;
+  }
+
+  const sorties = ranges.map(({ start: first, end: last }, index) => {
+    const sortie = sliceTrajectory(trajectory, first, last);
+    const estimate = estimateMissionEnergy(sortie, options);
+    return {
+      ...sortie,
+      home: { x: home.x, y: home.y, z: home.z },
+      sortie: {
+        index,
+        count: ranges.length,
+        startWaypoint: first,
+        endWaypoint: last,
+        time: estimate.time,
+        energy: estimate.energy
+      }
+    };
+  });
+
+  return { sorties, warnings };
+};
+
+export default {
+  getPowerForPayload,
+  getBatteryProfile,
+  getLegCost,
+  estimateMissionEnergy,
+  splitIntoSorties
+};
@@ -0,0 +1,165 @@
+/**
+ * CameraFootprint.js
+ * Ground footprint and GSD calculations for mission capture points
+ * Shared by the CameraFootprints preview and the GIS exporters
+ */
+
+import * as THREE from 'three';
+import { traceSensorOutline } from './LensDistortion';
+
+// Pinhole image corners as fractions of the half extents, counter-clockwise from top-right
+const PINHOLE_OUTLINE = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+/**
+ * Calculate half the footprint width and height for a camera/lens at a given distance
+ * Lenses with a distortion profile also carry the true image outline; their half
+ * extents are the rectangle the distorted image is sure to cover, so line and
+ * capture spacing keep the requested overlap at the image corners
+ * @param {Object} cameraDetails - Camera with sensorWidth and sensorHeight in mm
+ * @param {Object} lensDetails - Lens with focalLength in mm and optional distortion
+ * @param {number} distance - Distance to the subject
+ * @returns {Object} - { halfWidth, halfHeight } in the same units as distance, plus
+ *                     outline [x, y] fractions of them for distorted lenses
+ */
+export const getFootprintHalfExtents = (cameraDetails, lensDetails, distance) => {
+  const traced = cameraDetails?.sensorWidth && lensDetails?.focalLength
+    ? traceSensorOutline(cameraDetails, lensDetails)
+    : null;
+  if (traced) {
+    return {
+      halfWidth: traced.tanHalfWidth * distance,
+      halfHeight: traced.tanHalfHeight * distance,
+      outline: traced.outline.map(([x, y]) => [x / traced.tanHalfWidth, y / traced.tanHalfHeight])
+    };
+  }
+
+  const halfFovRadiansH = Math.atan((cameraDetails?.sensorWidth / 2) / lensDetails?.focalLength);
+  const halfFovRadiansV = Math.atan((cameraDetails?.sensorHeight / 2) / lensDetails?.focalLength);
+
+  return {
+    halfWidth: Math.tan(halfFovRadiansH) * distance,
+    halfHeight: Math.tan(halfFovRadiansV) * distance
+  };
+};
+
+/**
+ * Cast the image outline rays onto a plane
+ * @param {THREE.Vector3} position - Camera position
+ * @param {THREE.Vector3} direction - Unit view direction
+ * @param {THREE.Vector3} right - Unit image x axis
+ * @param {THREE.Vector3} up - Unit image y axis
+ * @param {number} tanHalfWidth - Tangent of half the horizontal field of view
+ * @param {number} tanHalfHeight - Tangent of half the vertical field of view
+ * @param {THREE.Plane} plane - Plane to project onto
+ * @param {Array<Array<number>>} outline - Image outline as fractions of the half tangents
+ * @returns {Array<THREE.Vector3>|null} - Corners, or null if an outline ray misses the plane (horizon in view)
+ */
+const castCorners = (position, direction, right, up, tanHalfWidth, tanHalfHeight, plane, outline = PINHOLE_OUTLINE) => {
+  const corners = outline.map(([sx, sy]) => {
+    const cornerDirection = direction.clone()
+      .addScaledVector(right, sx * tanHalfWidth)
+      .addScaledVector(up, sy * tanHalfHeight)
+      .normalize();
+    return new THREE.Ray(position, cornerDirection).intersectPlane(plane, new THREE.Vector3());
+  });
+  return corners.some(corner => !corner) ? null : corners;
+};
+
+/**
+ * Project a view onto the surface a facade capture looks at
+ * @param {THREE.Vector3} position - Camera position
+ * @param {THREE.Vector3} lookAt - Target point on the surface
+ * @param {Array<number>} targetNormal - Surface normal [x, y, z]
+ * @param {Object} halfExtents - { halfWidth, halfHeight } from getFootprintHalfExtents
+ * @returns {Object|null} - { center, corners } or null if the camera faces away from the surface
+ */
+const getSurfaceFootprint = (position, lookAt, targetNormal, halfExtents) => {
+  const normal = new THREE.Vector3().fromArray(targetNormal).normalize();
+  const direction = new THREE.Vector3().subVectors(lookAt, position).normalize();
+  if (direction.dot(normal) >= 0) return null;
+
+  const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal, lookAt);
+  const center = new THREE.Ray(position, direction).intersectPlane(plane, new THREE.Vector3());
+  if (!center) return null;
+
+  // Keep the image horizon level; straight up or down views fall back to the x axis
+  const right = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 0, 1));
+  if (right.lengthSq() < 1e-6) right.set(1, 0, 0);
+  right.normalize();
+  const up = new THREE.Vector3().crossVectors(right, direction).normalize();
+
+  // Cast the corner rays so an oblique surface gets a stretched footprint
+  const { halfWidth, halfHeight } = halfExtents;
+  const distance = position.distanceTo(center);
+  const corners = castCorners(
+    position, direction, right, up, halfWidth / distance, halfHeight / distance, plane, halfExtents.outline
+  );
+
+  return corners ? { center, corners } : null;
+};
+
+/**
+ * Project a capture point's view onto a horizontal ground plane, or onto the
+ * surface it looks at when the capture carries a targetNormal (facade passes)
+ * Ground footprints of tilted cameras are trapezoids; halfExtents are taken to be
+ * measured at the camera's height above the ground, as for a nadir view. Distorted
+ * lenses give one corner per outline sample, tracing the curved image edges
+ * @param {Object} capturePoint - Capture point with position, optional lookAt and targetNormal
+ * @param {Object} halfExtents - { halfWidth, halfHeight } from getFootprintHalfExtents
+ * @param {number} groundZ - Height of the ground plane
+ * @returns {Object|null} - { center, corners } or null if the camera does not look down at
+ *                          the ground or the horizon is in view
+ */
+export const getCameraFootprint = (capturePoint, halfExtents, groundZ = 0) => {
+  const position = capturePoint.position;
+  const lookAt = capturePoint.lookAt || new THREE.Vector3(position.x, position.y, groundZ);
+
+  if (Array.isArray(capturePoint.targetNormal) && capturePoint.lookAt) {
+    return getSurfaceFootprint(position, lookAt, capturePoint.targetNormal, halfExtents);
+  }
+
+  // Calculate direction vectors
+  const direction = new THREE.Vector3().subVectors(lookAt, position).normalize();
+  if (direction.z >= 0) return null;
+
+  // Nadir views keep the image x axis on local x; tilted views keep the horizon level
+  const right = Math.hypot(direction.x, direction.y) < 1e-6
+    ? new THREE.Vector3(1, 0, 0)
+    : new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 0, 1)).normalize();
+  const up = new THREE.Vector3().crossVectors(direction, right).normalize();
+
+  // Intersect the view ray with the ground plane
+  const height = position.z - groundZ;
+  const rayLength = -height / direction.z;
+  const center = position.clone().addScaledVector(direction, rayLength);
+
+  const { halfWidth, halfHeight } = halfExtents;
+  const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -groundZ);
+  const corners = castCorners(
+    position, direction, right, up, halfWidth / height, halfHeight / height, plane, halfExtents.outline
+  );
+
+  return corners ? { center, corners } : null;
+};
+
+/**
+ * Calculate the Ground Sample Distance for a camera/lens at a given distance
+ * @param {number} distance - Distance to the subject in meters
+ * @param {Object} cameraDetails - Camera with sensorWidth (mm) and imageWidth (px)
+ * @param {Object} lensDetails - Lens with focalLength in mm
+ * @returns {number|null} - GSD in cm/pixel, or null if the camera data is incomplete
+ */
+export const calculateGSD = (distance, cameraDetails, lensDetails) => {
+  if (!distance || !cameraDetails?.sensorWidth || !cameraDetails?.imageWidth || !lensDetails?.focalLength) {
+    return null;
+  }
+
+  const pixelSizeMM = cameraDetails.sensorWidth / cameraDetails.imageWidth;
+  return (pixelSizeMM * distance * 1000) / lensDetails.focalLength / 10;
+};
+
+export default {
+  getFootprintHalfExtents,
+  getCameraFootprint,
+  calculateGSD
+};
@@ -0,0 +1,439 @@
+/**
+ * ClearanceValidator.js
+ * Checks every leg of a trajectory against the meshes (through a BVH) and point
+ * clouds (through a voxel index) in the scene, and repairs legs that come closer
+ * than the safety buffer by lifting over or detouring around the obstacle
+ */
+
+import * as THREE from 'three';
+import { MeshBVH, INTERSECTED, NOT_INTERSECTED } from 'three-mesh-bvh';
+
+// BVHs are built once per geometry and reused across checks
+const bvhCache = new WeakMap();
+
+// Largest number of cloud points indexed, to keep memory bounded
+const MAX_INDEXED_POINTS = 20000000;
+
+/**
+ * Collect the obstacles under a set of objects
+ * Hidden objects and anything flagged with userData.missionOverlay (waypoint markers,
+ * footprints and other planning helpers) are skipped along with their children
+ * @param {Array<THREE.Object3D>} objects - Scene objects to search
+ * @returns {Object} - { meshes, clouds }
+ */
+const collectObstacles = (objects) => {
+  const meshes = [];
+  const clouds = [];
+  const visit = (object) => {
+    if (!object.visible || object.userData?.missionOverlay) return;
+    if (object.isMesh && object.geometry?.attributes?.position && !object.isInstancedMesh) {
+      meshes.push(object);
+    } else if (object.isPoints && object.geometry?.attributes?.position) {
+      clouds.push(object);
+    }
+    object.children.forEach(visit);
+  };
+  objects.forEach(visit);
+  return { meshes, clouds };
+};
+
+/**
+ * Get or build the BVH for a mesh geometry
+ * Built indirect so the geometry's index, and with it face selections, stay untouched
+ * @param {THREE.BufferGeometry} geometry - Mesh geometry
+ * @returns {MeshBVH} - Bounding volume hierarchy
+ */
+const getBoundsTree = (geometry) => {
+  if (geometry.boundsTree) return geometry.boundsTree;
+  let bvh = bvhCache.get(geometry);
+  if (!bvh) {
+    bvh = new MeshBVH(geometry, { indirect: true });
+    bvhCache.set(geometry, bvh);
+  }
+  return bvh;
+};
+
+/**
+ * Key of the voxel holding a position given in cell units
+ * @param {number} cx - X in cell units
+ * @param {number} cy - Y in cell units
+ * @param {number} cz - Z in cell units
+ * @returns {string} - Cell key
+ */
+const getCellKey = (cx, cy, cz) => `${Math.floor(cx)},${Math.floor(cy)},${Math.floor(cz)}`;
+
+/**
+ * Build a voxel index over point cloud positions in world coordinates
+ * Points are bucketed by cell so a query only touches the cells around a leg
+ * @param {Array<THREE.Points>} clouds - Point clouds
+ * @param {number} cellSize - Voxel edge length
+ * @returns {Object|null} - { cellSize, positions, cells (key -> [start, count]), order, count, bounds }
+ */
+const buildVoxelIndex = (clouds, cellSize) => {
+  const count = clouds.reduce((total, cloud) => total + cloud.geometry.attributes.position.count, 0);
+  if (count === 0) return null;
+  if (count > MAX_INDEXED_POINTS) {
+    throw new Error(`Point clouds hold ${count} points, more than the ${MAX_INDEXED_POINTS} that can be indexed for clearance checks`);
+  }
+
+  const positions = new Float32Array(count * 3);
+  const bounds = new THREE.Box3();
+  const point = new THREE.Vector3();
+  let offset = 0;
+  clouds.forEach(cloud => {
+    cloud.updateWorldMatrix(true, false);
+    const position = cloud.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++, offset += 3) {
+      point.fromBufferAttribute(position, i).applyMatrix4(cloud.matrixWorld);
+      bounds.expandByPoint(point);
+      positions[offset] = point.x;
+      positions[offset + 1] = point.y;
+      positions[offset + 2] = point.z;
+    }
+  });
+
+  // Counting sort of point indices by cell key
+  const keys = new Array(count);
+  const cells = new Map();
+  for (let i = 0; i < count; i++) {
+    const key = getCellKey(positions[i * 3] / cellSize, positions[i * 3 + 1] / cellSize, positions[i * 3 + 2] / cellSize);
+    keys[i] = key;
+    const cell = cells.get(key);
+    if (cell) cell[1]++;
+    else cells.set(key, [0, 1]);
+  }
+
+  let start = 0;
+  cells.forEach(cell => {
+    cell[0] = start;
+    start += cell[1];
+    cell[1] = 0;
+  });
+
+  const order = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    const cell = cells.get(keys[i]);
+    order[cell[0] + cell[1]++] = i;
+  }
+
+  return { cellSize, positions, cells, order, count, bounds };
+};
+
+/**
+ * Index the obstacles in the scene for clearance checks
+ * @param {Array<THREE.Object3D>} objects - Scene objects to search for meshes and point clouds
+ * @param {Object} options - Index options
+ * @param {number} options.voxelSize - Voxel edge length for point clouds, in local units
+ * @returns {Object} - Obstacle index { meshes, voxels, meshCount, pointCount }
+ */
+export const buildObstacleIndex = (objects, options = {}) => {
+  const { voxelSize = 5 } = options;
+  if (!(voxelSize > 0)) {
+    throw new Error('Voxel size must be greater than zero');
+  }
+
+  const { meshes, clouds } = collectObstacles(objects);
+  if (meshes.length === 0 && clouds.length === 0) {
+    throw new Error('No meshes or point clouds are loaded in the scene');
+  }
+
+  const indexedMeshes = meshes.map(mesh => {
+    mesh.updateWorldMatrix(true, false);
+    const elements = mesh.matrixWorld.elements;
+    return {
+      mesh,
+      bvh: getBoundsTree(mesh.geometry),
+      matrixWorld: mesh.matrixWorld.clone(),
+      inverseMatrix: mesh.matrixWorld.clone().invert(),
+      // Shortest world length of a unit local vector, to turn world buffers into local ones
+      minScale: Math.min(
+        Math.hypot(elements[0], elements[1], elements[2]),
+        Math.hypot(elements[4], elements[5], elements[6]),
+        Math.hypot(elements[8], elements[9], elements[10])
+      )
+    };
+  });
+  const voxels = buildVoxelIndex(clouds, voxelSize);
+
+  return {
+    meshes: indexedMeshes,
+    voxels,
+    meshCount: indexedMeshes.length,
+    pointCount: voxels ? voxels.count : 0
+  };
+};
+
+/**
+ * Whether a segment passes through a box grown by a margin (slab test)
+ * @param {THREE.Vector3} start - Segment start
+ * @param {THREE.Vector3} end - Segment end
+ * @param {THREE.Box3} box - Box
+ * @param {number} margin - Distance added on every side of the box
+ * @returns {boolean} - True when the segment touches the grown box
+ */
+const segmentTouchesBox = (start, end, box, margin) => {
+  let tMin = 0;
+  let tMax = 1;
+  for (const axis of ['x', 'y', 'z']) {
+    const min = box.min[axis] - margin;
+    const max = box.max[axis] + margin;
+    const delta = end[axis] - start[axis];
+    if (Math.abs(delta) < 1e-12) {
+      if (start[axis] < min || start[axis] > max) return false;
+      continue;
+    }
+    let t1 = (min - start[axis]) / delta;
+    let t2 = (max - start[axis]) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return false;
+  }
+  return true;
+};
+
+/**
+ * Closest approach of a segment to an indexed mesh
+ * @param {Object} entry - Indexed mesh from buildObstacleIndex
+ * @param {THREE.Line3} segment - Segment in world coordinates
+ * @param {number} buffer - Search distance in world units
+ * @returns {Object|null} - { distance, pathPoint, obstaclePoint } in world coordinates, or null beyond the buffer
+ */
+const getMeshClearance = (entry, segment, buffer) => {
+  const local = segment.clone().applyMatrix4(entry.inverseMatrix);
+  const localBuffer = buffer / (entry.minScale || 1);
+  const ray = new THREE.Ray(local.start, local.delta(new THREE.Vector3()).normalize());
+  const length = local.distance();
+  const onTriangle = new THREE.Vector3();
+  const onSegment = new THREE.Vector3();
+  const hit = new THREE.Vector3();
+
+  let best = null;
+  let bestDistance = localBuffer;
+  entry.bvh.shapecast({
+    intersectsBounds: (box) => segmentTouchesBox(local.start, local.end, box, bestDistance) ? INTERSECTED : NOT_INTERSECTED,
+    intersectsTriangle: (triangle) => {
+      // A leg through the face is missed by the edge/end point distances
+      const [a, b, c] = triangle.points;
+      if (length > 0 && ray.intersectTriangle(a, b, c, false, hit) && hit.distanceTo(local.start) <= length) {
+        best = { distance: 0, pathPoint: hit.clone(), obstaclePoint: hit.clone() };
+        bestDistance = 0;
+        return true;
+      }
+      const distance = triangle.closestPointToSegment(local, onTriangle, onSegment);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { distance, pathPoint: onSegment.clone(), obstaclePoint: onTriangle.clone() };
+      }
+      return false;
+    }
+  });
+
+  if (!best) return null;
+  best.pathPoint.applyMatrix4(entry.matrixWorld);
+  best.obstaclePoint.applyMatrix4(entry.matrixWorld);
+  best.distance = best.pathPoint.distanceTo(best.obstaclePoint);
+  return best.distance < buffer ? best : null;
+};
+
+/**
+ * Closest approach of a segment to the indexed point clouds
+ * @param {Object} voxels - Voxel index from buildVoxelIndex
+ * @param {THREE.Line3} segment - Segment in world coordinates
+ * @param {number} buffer - Search distance
+ * @returns {Object|null} - { distance, pathPoint, obstaclePoint }, or null beyond the buffer
+ */
+const getPointClearance = (voxels, segment, buffer) => {
+  const { cellSize, positions, cells, order, bounds } = voxels;
+  if (!segmentTouchesBox(segment.start, segment.end, bounds, buffer)) return null;
+  const reach = Math.ceil(buffer / cellSize);
+
+  // Cells within the buffer of samples spaced at most one cell apart along the leg
+  const visited = new Set();
+  const length = segment.distance();
+  const steps = Math.max(1, Math.ceil(length / cellSize));
+  const sample = new THREE.Vector3();
+  const candidates = [];
+  for (let s = 0; s <= steps; s++) {
+    segment.at(s / steps, sample);
+    const cx = Math.floor(sample.x / cellSize);
+    const cy = Math.floor(sample.y / cellSize);
+    const cz = Math.floor(sample.z / cellSize);
+    for (let i = cx - reach - 1; i <= cx + reach + 1; i++) {
+      for (let j = cy - reach - 1; j <= cy + reach + 1; j++) {
+        for (let k = cz - reach - 1; k <= cz + reach + 1; k++) {
+          const key = getCellKey(i, j, k);
+          if (visited.has(key)) continue;
+          visited.add(key);
+          const cell = cells.get(key);
+          if (cell) candidates.push(cell);
+        }
+      }
+    }
+  }
+
+  const point = new THREE.Vector3();
+  const closest = new THREE.Vector3();
+  let best = null;
+  let bestDistance = buffer;
+  candidates.forEach(([start, count]) => {
+    for (let n = start; n < start + count; n++) {
+      const index = order[n] * 3;
+      point.set(positions[index], positions[index + 1], positions[index + 2]);
+      segment.closestPointToPoint(point, true, closest);
+      const distance = closest.distanceTo(point);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = { distance, pathPoint: closest.clone(), obstaclePoint: point.clone() };
+      }
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Closest obstacle to a single leg
+ * @param {Object} index - Obstacle index from buildObstacleIndex
+ * @param {THREE.Vector3} start - Leg start
+ * @param {THREE.Vector3} end - Leg end
+ * @param {number} buffer - Required clearance
+ * @returns {Object|null} - { distance, pathPoint, obstaclePoint, source, objectName }, or null when clear
+ */
+export const checkSegment = (index, start, end, buffer) => {
+  const segment = new THREE.Line3(start, end);
+  let best = null;
+
+  index.meshes.forEach(entry => {
+    const hit = getMeshClearance(entry, segment, best ? best.distance : buffer);
+    if (hit) best = { ...hit, source: 'mesh', objectName: entry.mesh.name || 'mesh' };
+  });
+  if (index.voxels) {
+    const hit = getPointClearance(index.voxels, segment, best ? best.distance : buffer);
+    if (hit) best = { ...hit, source: 'points', objectName: 'point cloud' };
+  }
+
+  return best;
+};
+
+/**
+ * Check every leg of a trajectory against the obstacle index
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} index - Obstacle index from buildObstacleIndex
+ * @param {number} buffer - Required clearance in local units
+ * @returns {Array<Object>} - Violations { segment (index of the leg's first waypoint), distance,
+ *                            pathPoint, obstaclePoint, source, objectName }
+ */
+export const validateClearance = (trajectory, index, buffer) => {
+  const { waypoints = [] } = trajectory;
+  const violations = [];
+  for (let i = 1; i < waypoints.length; i++) {
+    const hit = checkSegment(index, waypoints[i - 1], waypoints[i], buffer);
+    if (hit) violations.push({ segment: i - 1, ...hit });
+  }
+  return violations;
+};
+
+/**
+ * Whether a chain of points stays clear of every obstacle
+ * @param {Object} index - Obstacle index
+ * @param {Array<THREE.Vector3>} points - Chain of points
+ * @param {number} buffer - Required clearance
+ * @returns {boolean} - True when every link is clear
+ */
+const isChainClear = (index, points, buffer) => {
+  for (let i = 1; i < points.length; i++) {
+    if (checkSegment(index, points[i - 1], points[i], buffer)) return false;
+  }
+  return true;
+};
+
+/**
+ * Find transit points that take a blocked leg around its obstacles
+ * Lift-over climbs straight up at the leg start, flies level and descends at the end;
+ * detour shifts the leg sideways, trying both sides at growing offsets
+ * @param {Object} index - Obstacle index
+ * @param {THREE.Vector3} start - Leg start
+ * @param {THREE.Vector3} end - Leg end
+ * @param {Object} options - { buffer, mode: 'lift' | 'detour', step, maxOffset }
+ * @returns {Array<THREE.Vector3>|null} - Points to insert between start and end, or null if none clear
+ */
+const findBypass = (index, start, end, options) => {
+  const { buffer, mode, step, maxOffset } = options;
+  const side = new THREE.Vector3(-(end.y - start.y), end.x - start.x, 0);
+  if (mode === 'detour' && side.lengthSq() === 0) return null;
+  side.normalize();
+
+  for (let offset = step; offset <= maxOffset + 1e-9; offset += step) {
+    const shifts = mode === 'lift'
+      ? [new THREE.Vector3(0, 0, offset)]
+      : [side.clone().multiplyScalar(offset), side.clone().multiplyScalar(-offset)];
+
+    for (const shift of shifts) {
+      const bypass = [start.clone().add(shift), end.clone().add(shift)];
+      if (isChainClear(index, [start, ...bypass, end], buffer)) return bypass;
+    }
+  }
+  return null;
+};
+
+/**
+ * Repair the legs of a trajectory that come closer to obstacles than the buffer
+ * Inserted waypoints are transit points with no capture or actions
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} index - Obstacle index from buildObstacleIndex
+ * @param {Object} options - Repair options (local units)
+ * @param {number} options.buffer - Required clearance
+ * @param {string} options.mode - 'lift' to climb over obstacles, 'detour' to go around them
+ * @param {number} options.maxOffset - Largest lift or sideways offset to try
+ * @returns {Object} - { trajectory, repaired (leg indices), unresolved (leg indices) }
+ */
+export const repairClearance = (trajectory, index, options) => {
+  const { buffer, mode = 'lift', maxOffset = buffer * 20 } = options;
+  const { waypoints = [], waypointActions } = trajectory;
+  const step = Math.max(buffer / 2, 1e-3);
+
+  const repaired = [];
+  const unresolved = [];
+  const newWaypoints = waypoints.length > 0 ? [waypoints[0].clone()] : [];
+  const newActions = waypointActions ? [waypointActions[0] || []] : null;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const start = waypoints[i - 1];
+    const end = waypoints[i];
+    if (checkSegment(index, start, end, buffer)) {
+      const bypass = findBypass(index, start, end, { buffer, mode, step, maxOffset });
+      if (bypass) {
+        newWaypoints.push(...bypass);
+        if (newActions) newActions.push(...bypass.map(() => []));
+        repaired.push(i - 1);
+      } else {
+        unresolved.push(i - 1);
+      }
+    }
+    newWaypoints.push(end.clone());
+    if (newActions) newActions.push(waypointActions[i] || []);
+  }
+
+  if (repaired.length === 0) {
+    return { trajectory, repaired, unresolved };
+  }
+
+  // Captures are matched by position once the waypoint and capture counts differ
+  return {
+    trajectory: {
+      ...trajectory,
+      waypoints: newWaypoints,
+      ...(newActions ? { waypointActions: newActions } : {})
+    },
+    repaired,
+    unresolved
+  };
+};
+
+export default {
+  buildObstacleIndex,
+  checkSegment,
+  validateClearance,
+  repairClearance
+};
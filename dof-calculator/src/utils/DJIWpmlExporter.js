@@ -0,0 +1,440 @@
+/**
+ * DJIWpmlExporter.js
+ * Converts DroneMissionEnhanced trajectories into DJI WPML waypoint missions
+ * (template.kml + waylines.wpml packaged as a KMZ) for DJI Pilot 2 / FlightHub
+ */
+
+import { transformUtility } from './CoordinateTransform';
+import { getTrajectoryItems, getPathLength, downloadFile } from './TrajectoryUtils';
+import { createZip } from './ZipWriter';
+
+const WPML_NAMESPACE = 'http://www.dji.com/wpmz/1.0.2';
+const KML_NAMESPACE = 'http://www.opengis.net/kml/2.2';
+
+// DJI requires waypoint speeds of at least 1 m/s
+const MIN_WAYPOINT_SPEED = 1;
+
+// Minimum change in gimbal pitch (degrees) before a new gimbalRotate action is emitted
+const GIMBAL_ANGLE_TOLERANCE = 0.5;
+
+/**
+ * Escape text for inclusion in XML
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Format a number for WPML output
+ * @param {number} value - Number to format
+ * @param {number} digits - Maximum decimal places
+ * @returns {string} - Formatted number without trailing zeros
+ */
+const num = (value, digits = 6) => String(Number(value.toFixed(digits)));
+
+/**
+ * Convert a 0-360 heading into the -180..180 range WPML expects
+ * @param {number} heading - Heading in degrees
+ * @returns {number} - Signed heading
+ */
+const toSignedHeading = (heading) => (heading > 180 ? heading - 360 : heading);
+
+/**
+ * Check a trajectory against the limits of a DJI airframe
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {Object} drone - Drone entry from data/drone-models.js
+ * @param {Object} options - Export options (see createWpmlDocuments)
+ * @returns {Object} - { errors, warnings } as arrays of messages
+ */
+export const validateWpmlMission = (trajectory, drone, options = {}) => {
+  const { transform = transformUtility, captureMode = 'waypoint' } = options;
+  const errors = [];
+  const warnings = [];
+
+  if (!drone) {
+    errors.push('No drone selected');
+    return { errors, warnings };
+  }
+
+  if (!drone.wpml) {
+    errors.push(`${drone.name} does not support WPML waypoint missions`);
+  }
+
+  const waypoints = trajectory?.waypoints || [];
+  if (waypoints.length < 2) {
+    errors.push('A WPML mission needs at least two waypoints');
+    return { errors, warnings };
+  }
+
+  const limits = drone.limits || {};
+  const params = trajectory.params || {};
+
+  if (limits.maxWaypoints && waypoints.length > limits.maxWaypoints) {
+    errors.push(`${waypoints.length} waypoints exceeds the ${drone.name} limit of ${limits.maxWaypoints}`);
+  }
+
+  const items = getTrajectoryItems(trajectory, transform);
+
+  items.forEach(item => {
+    if (typeof item.speed !== 'number') return;
+    if (item.speed < MIN_WAYPOINT_SPEED) {
+      errors.push(`Waypoint ${item.index}: speed ${item.speed} m/s is below the DJI minimum of ${MIN_WAYPOINT_SPEED} m/s`);
+    } else if (limits.maxSpeed && item.speed > limits.maxSpeed) {
+      errors.push(`Waypoint ${item.index}: speed ${item.speed} m/s exceeds the ${drone.name} limit of ${limits.maxSpeed} m/s`);
+    }
+  });
+
+  if (limits.gimbalPitchRange) {
+    const [minPitch, maxPitch] = limits.gimbalPitchRange;
+    items.filter(item => item.isCapture).forEach(item => {
+      if (item.gimbalPitch < minPitch - 1e-6 || item.gimbalPitch > maxPitch + 1e-6) {
+        errors.push(`Waypoint ${item.index}: gimbal pitch ${item.gimbalPitch.toFixed(1)}° is outside the ${drone.name} range of ${minPitch}° to ${maxPitch}°`);
+      }
+    });
+  }
+
+  if (captureMode === 'interval' && limits.minPhotoInterval &&
+      params.captureRate < limits.minPhotoInterval) {
+    errors.push(`Capture rate of ${params.captureRate}s is faster than the ${drone.name} minimum photo interval of ${limits.minPhotoInterval}s`);
+  }
+
+  if (items.some(item => item.relativeAltitude < 0)) {
+    warnings.push('Some waypoints are below the take-off point');
+  }
+
+  return { errors, warnings };
+};
+
+/**
+ * Build a WPML action element
+ * @param {number} actionId - Action id within its group
+ * @param {string} func - actionActuatorFunc name
+ * @param {Object} params - Actuator parameters
+ * @returns {string} - XML fragment
+ */
+const buildAction = (actionId, func, params) => {
+  const paramXml = Object.entries(params)
+    .map(([key, value]) => `              <wpml:${key}>${value}</wpml:${key}>`)
+    .join('\n');
+
+  return `          <wpml:action>
+            <wpml:actionId>${actionId}</wpml:actionId>
+            <wpml:actionActuatorFunc>${func}</wpml:actionActuatorFunc>
+            <wpml:actionActuatorFuncParam>
+${paramXml}
+            </wpml:actionActuatorFuncParam>
+          </wpml:action>`;
+};
+
+/**
+ * Build a gimbalRotate action for an absolute pitch
+ * @param {number} actionId - Action id within its group
+ * @param {number} pitch - Gimbal pitch in degrees
+ * @returns {string} - XML fragment
+ */
+const buildGimbalAction = (actionId, pitch) => buildAction(actionId, 'gimbalRotate', {
+  gimbalHeadingYawBase: 'north',
+  gimbalRotateMode: 'absoluteAngle',
+  gimbalPitchRotateEnable: 1,
+  gimbalPitchRotateAngle: num(pitch, 1),
+  gimbalRollRotateEnable: 0,
+  gimbalRollRotateAngle: 0,
+  gimbalYawRotateEnable: 0,
+  gimbalYawRotateAngle: 0,
+  gimbalRotateTimeEnable: 0,
+  gimbalRotateTime: 0,
+  payloadPositionIndex: 0
+});
+
+/**
+ * Build a takePhoto action
+ * @param {number} actionId - Action id within its group
+ * @param {number} index - Waypoint index used as file suffix
+ * @returns {string} - XML fragment
+ */
+const buildPhotoAction = (actionId, index) => buildAction(actionId, 'takePhoto', {
+  fileSuffix: `wp${index}`,
+  payloadPositionIndex: 0,
+  useGlobalPayloadLensIndex: 1
+});
+
+/**
+ * Build an action group element
+ * @param {number} groupId - Action group id
+ * @param {number} startIndex - First waypoint index the group applies to
+ * @param {number} endIndex - Last waypoint index the group applies to
+ * @param {string} trigger - actionTriggerType
+ * @param {Array<string>} actions - Action XML fragments
+ * @param {number} triggerParam - Trigger parameter (seconds for multipleTiming)
+ * @returns {string} - XML fragment
+ */
+const buildActionGroup = (groupId, startIndex, endIndex, trigger, actions, triggerParam) => {
+  const triggerParamXml = triggerParam !== undefined
+    ? `\n            <wpml:actionTriggerParam>${num(triggerParam, 2)}</wpml:actionTriggerParam>`
+    : '';
+
+  return `        <wpml:actionGroup>
+          <wpml:actionGroupId>${groupId}</wpml:actionGroupId>
+          <wpml:actionGroupStartIndex>${startIndex}</wpml:actionGroupStartIndex>
+          <wpml:actionGroupEndIndex>${endIndex}</wpml:actionGroupEndIndex>
+          <wpml:actionGroupMode>sequence</wpml:actionGroupMode>
+          <wpml:actionTrigger>
+            <wpml:actionTriggerType>${trigger}</wpml:actionTriggerType>${triggerParamXml}
+          </wpml:actionTrigger>
+${actions.join('\n')}
+        </wpml:actionGroup>`;
+};
+
+/**
+ * Map trajectory items to the action groups attached to each waypoint
+ * @param {Array<Object>} items - Items from getTrajectoryItems
+ * @param {string} captureMode - 'waypoint' or 'interval'
+ * @param {number} captureRate - Seconds between photos for interval capture
+ * @returns {Map<number, Array<string>>} - Action group XML keyed by waypoint index
+ */
+const buildActionGroups = (items, captureMode, captureRate) => {
+  const groups = new Map();
+  let groupId = 0;
+  let currentPitch = null;
+
+  const addGroup = (index, xml) => {
+    if (!groups.has(index)) groups.set(index, []);
+    groups.get(index).push(xml);
+  };
+
+  items.forEach(item => {
+    const actions = [];
+
+    if (item.isCapture && (currentPitch === null ||
+        Math.abs(item.gimbalPitch - currentPitch) > GIMBAL_ANGLE_TOLERANCE)) {
+      actions.push(buildGimbalAction(actions.length, item.gimbalPitch));
+      currentPitch = item.gimbalPitch;
+    }
+
+    if (item.isCapture && captureMode === 'waypoint') {
+      actions.push(buildPhotoAction(actions.length, item.index));
+    }
+
+    if (actions.length > 0) {
+      addGroup(item.index, buildActionGroup(groupId++, item.index, item.index, 'reachPoint', actions));
+    }
+  });
+
+  if (captureMode === 'interval') {
+    const captures = items.filter(item => item.isCapture);
+    if (captures.length > 0) {
+      const start = captures[0].index;
+      const end = captures[captures.length - 1].index;
+      addGroup(start, buildActionGroup(
+        groupId++,
+        start,
+        end,
+        'multipleTiming',
+        [buildPhotoAction(0, start)],
+        captureRate
+      ));
+    }
+  }
+
+  return groups;
+};
+
+/**
+ * Build the shared missionConfig element
+ * @param {Object} drone - Drone entry from data/drone-models.js
+ * @param {Object} options - Mission options
+ * @returns {string} - XML fragment
+ */
+const buildMissionConfig = (drone, options) => `    <wpml:missionConfig>
+      <wpml:flyToWaylineMode>safely</wpml:flyToWaylineMode>
+      <wpml:finishAction>${options.finishAction}</wpml:finishAction>
+      <wpml:exitOnRCLost>executeLostAction</wpml:exitOnRCLost>
+      <wpml:executeRCLostAction>goBack</wpml:executeRCLostAction>
+      <wpml:takeOffSecurityHeight>${num(options.takeOffSecurityHeight, 1)}</wpml:takeOffSecurityHeight>
+      <wpml:globalTransitionalSpeed>${num(options.transitionalSpeed, 1)}</wpml:globalTransitionalSpeed>
+      <wpml:droneInfo>
+        <wpml:droneEnumValue>${drone.wpml.droneEnumValue}</wpml:droneEnumValue>
+        <wpml:droneSubEnumValue>${drone.wpml.droneSubEnumValue}</wpml:droneSubEnumValue>
+      </wpml:droneInfo>
+      <wpml:payloadInfo>
+        <wpml:payloadEnumValue>${drone.wpml.payloadEnumValue}</wpml:payloadEnumValue>
+        <wpml:payloadPositionIndex>0</wpml:payloadPositionIndex>
+      </wpml:payloadInfo>
+    </wpml:missionConfig>`;
+
+/**
+ * Build the heading element for a waypoint
+ * @param {Object} item - Item from getTrajectoryItems
+ * @returns {string} - XML fragment
+ */
+const buildHeadingParam = (item) => `        <wpml:waypointHeadingParam>
+          <wpml:waypointHeadingMode>smoothTransition</wpml:waypointHeadingMode>
+          <wpml:waypointHeadingAngle>${num(toSignedHeading(item.heading), 1)}</wpml:waypointHeadingAngle>
+          <wpml:waypointPoiPoint>0.000000,0.000000,0.000000</wpml:waypointPoiPoint>
+          <wpml:waypointHeadingAngleEnable>1</wpml:waypointHeadingAngleEnable>
+          <wpml:waypointHeadingPathMode>followBadArc</wpml:waypointHeadingPathMode>
+        </wpml:waypointHeadingParam>`;
+
+/**
+ * Build template.kml and waylines.wpml for a trajectory
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {Object} options - Export options
+ * @param {Object} options.drone - Drone entry from data/drone-models.js (must include wpml enum values)
+ * @param {TransformUtility} options.transform - Local to WGS84 transform
+ * @param {string} options.captureMode - 'waypoint' (photo at each capture point) or 'interval' (timed photos every params.captureRate seconds)
+ * @param {string} options.finishAction - WPML finishAction (goHome, autoLand, noAction, gotoFirstWaypoint)
+ * @param {string} options.author - Author written into the template
+ * @returns {Object} - { templateKml, waylinesWpml, warnings }
+ */
+export const createWpmlDocuments = (trajectory, options = {}) => {
+  const {
+    drone,
+    transform = transformUtility,
+    captureMode = 'waypoint',
+    finishAction = 'goHome',
+    author = 'DOF Tool'
+  } = options;
+
+  const { errors, warnings } = validateWpmlMission(trajectory, drone, options);
+  if (errors.length > 0) {
+    const error = new Error(`Mission cannot be exported to ${drone?.name || 'DJI'}:\n${errors.join('\n')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+
+  const params = trajectory.params || {};
+  const speed = params.speed || 5;
+  const items = getTrajectoryItems(trajectory, transform);
+  const actionGroups = buildActionGroups(items, captureMode, params.captureRate || 2);
+
+  const missionOptions = {
+    finishAction,
+    // DJI accepts 1.5-1500m; climb to the first waypoint height before heading out
+    takeOffSecurityHeight: Math.min(1500, Math.max(20, items[0].relativeAltitude)),
+    transitionalSpeed: speed
+  };
+
+  const timestamp = Date.now();
+  const distance = getPathLength(trajectory.waypoints) * transform.FEET_TO_METERS;
+  const turnMode = captureMode === 'waypoint'
+    ? 'toPointAndStopWithDiscontinuityCurvature'
+    : 'toPointAndPassWithContinuityCurvature';
+
+  const placemark = (item, forTemplate) => {
+    const groups = (actionGroups.get(item.index) || []).join('\n');
+    const coordinates = `${num(item.global.lon, 8)},${num(item.global.lat, 8)}`;
+    const height = num(item.relativeAltitude, 2);
+    const usesGlobalSpeed = typeof item.speed !== 'number' || item.speed === speed;
+
+    const heightXml = forTemplate
+      ? `        <wpml:ellipsoidHeight>${height}</wpml:ellipsoidHeight>
+        <wpml:height>${height}</wpml:height>
+        <wpml:useGlobalHeight>0</wpml:useGlobalHeight>
+        <wpml:useGlobalSpeed>${usesGlobalSpeed ? 1 : 0}</wpml:useGlobalSpeed>
+        <wpml:waypointSpeed>${num(item.speed || speed, 2)}</wpml:waypointSpeed>
+        <wpml:useGlobalHeadingParam>0</wpml:useGlobalHeadingParam>
+        <wpml:useGlobalTurnParam>1</wpml:useGlobalTurnParam>
+        <wpml:gimbalPitchAngle>${num(item.gimbalPitch, 1)}</wpml:gimbalPitchAngle>`
+      : `        <wpml:executeHeight>${height}</wpml:executeHeight>
+        <wpml:waypointSpeed>${num(item.speed || speed, 2)}</wpml:waypointSpeed>
+        <wpml:waypointTurnParam>
+          <wpml:waypointTurnMode>${turnMode}</wpml:waypointTurnMode>
+          <wpml:waypointTurnDampingDist>0</wpml:waypointTurnDampingDist>
+        </wpml:waypointTurnParam>
+        <wpml:useStraightLine>1</wpml:useStraightLine>`;
+
+    return `      <Placemark>
+        <Point>
+          <coordinates>${coordinates}</coordinates>
+        </Point>
+        <wpml:index>${item.index}</wpml:index>
+${heightXml}
+${buildHeadingParam(item)}${groups ? `\n${groups}` : ''}
+      </Placemark>`;
+  };
+
+  const templateKml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}" xmlns:wpml="${WPML_NAMESPACE}">
+  <Document>
+    <wpml:author>${escapeXml(author)}</wpml:author>
+    <wpml:createTime>${timestamp}</wpml:createTime>
+    <wpml:updateTime>${timestamp}</wpml:updateTime>
+${buildMissionConfig(drone, missionOptions)}
+    <Folder>
+      <wpml:templateType>waypoint</wpml:templateType>
+      <wpml:templateId>0</wpml:templateId>
+      <wpml:waylineCoordinateSysParam>
+        <wpml:coordinateMode>WGS84</wpml:coordinateMode>
+        <wpml:heightMode>relativeToStartPoint</wpml:heightMode>
+      </wpml:waylineCoordinateSysParam>
+      <wpml:autoFlightSpeed>${num(speed, 2)}</wpml:autoFlightSpeed>
+      <wpml:caliFlightEnable>0</wpml:caliFlightEnable>
+      <wpml:gimbalPitchMode>usePointSetting</wpml:gimbalPitchMode>
+      <wpml:globalWaypointTurnMode>${turnMode}</wpml:globalWaypointTurnMode>
+      <wpml:globalUseStraightLine>1</wpml:globalUseStraightLine>
+${items.map(item => placemark(item, true)).join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+
+  const waylinesWpml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NAMESPACE}" xmlns:wpml="${WPML_NAMESPACE}">
+  <Document>
+${buildMissionConfig(drone, missionOptions)}
+    <Folder>
+      <wpml:templateId>0</wpml:templateId>
+      <wpml:executeHeightMode>relativeToStartPoint</wpml:executeHeightMode>
+      <wpml:waylineId>0</wpml:waylineId>
+      <wpml:distance>${num(distance, 2)}</wpml:distance>
+      <wpml:duration>${num(distance / speed, 1)}</wpml:duration>
+      <wpml:autoFlightSpeed>${num(speed, 2)}</wpml:autoFlightSpeed>
+${items.map(item => placemark(item, false)).join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+
+  return { templateKml, waylinesWpml, warnings };
+};
+
+/**
+ * Package a trajectory as a DJI KMZ mission file
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {Object} options - Same options as createWpmlDocuments
+ * @returns {Object} - { kmz (Uint8Array), warnings }
+ */
+export const exportWpmlKmz = (trajectory, options = {}) => {
+  const { templateKml, waylinesWpml, warnings } = createWpmlDocuments(trajectory, options);
+
+  const kmz = createZip([
+    { name: 'wpmz/template.kml', content: templateKml },
+    { name: 'wpmz/waylines.wpml', content: waylinesWpml }
+  ]);
+
+  return { kmz, warnings };
+};
+
+/**
+ * Export a trajectory and trigger a browser download of the KMZ file
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {string} fileName - File name for the download
+ * @param {Object} options - Same options as createWpmlDocuments
+ * @returns {Array<string>} - Validation warnings
+ */
+export const downloadWpmlKmz = (trajectory, fileName = 'mission.kmz', options = {}) => {
+  const { kmz, warnings } = exportWpmlKmz(trajectory, options);
+  downloadFile(kmz, fileName, 'application/vnd.google-earth.kmz');
+  return warnings;
+};
+
+export default {
+  validateWpmlMission,
+  createWpmlDocuments,
+  exportWpmlKmz,
+  downloadWpmlKmz
+};
@@ -0,0 +1,288 @@
+/**
+ * ElevationGrid.js
+ * Elevation rasters (DEM/DSM) for terrain following
+ * Rasters come from GeoTIFF or ESRI ASCII grid files, or are built from the point
+ * clouds loaded in the scene, and are sampled in local coordinates (feet)
+ */
+
+import * as THREE from 'three';
+import proj4 from 'proj4';
+import { parseGeoTiff } from './GeoTiffReader';
+
+// Largest raster built from a point cloud, to keep memory bounded
+const MAX_RASTER_CELLS = 4000000;
+
+/**
+ * Get a proj4 definition for an EPSG code
+ * Covers WGS84 geographic, Web Mercator and the WGS84/NAD83 UTM zones
+ * @param {number} epsg - EPSG code
+ * @returns {string} - proj4 definition
+ */
+export const getProjectionDefinition = (epsg) => {
+  const code = Number(epsg);
+  if (code === 4326) return '+proj=longlat +datum=WGS84 +no_defs';
+  if (code === 3857) return '+proj=merc +a=6378137 +b=6378137 +lat_ts=0 +lon_0=0 +x_0=0 +y_0=0 +k=1 +units=m +nadgrids=@null +no_defs';
+
+  // WGS84 UTM north 32601-32660, south 32701-32760
+  if (code > 32600 && code <= 32660) return `+proj=utm +zone=${code - 32600} +datum=WGS84 +units=m +no_defs`;
+  if (code > 32700 && code <= 32760) return `+proj=utm +zone=${code - 32700} +south +datum=WGS84 +units=m +no_defs`;
+  // NAD83 UTM zones 1-23 north
+  if (code > 26900 && code <= 26923) return `+proj=utm +zone=${code - 26900} +datum=NAD83 +units=m +no_defs`;
+
+  throw new Error(`Unsupported elevation CRS EPSG:${epsg}; use WGS84, Web Mercator or a UTM zone`);
+};
+
+/**
+ * Parse an ESRI ASCII grid (.asc)
+ * @param {string} text - File contents
+ * @param {Object} options - Parse options
+ * @param {number} options.epsg - CRS of the grid; ASCII grids do not carry one, so
+ *                                 without it the CRS has to be set before sampling
+ * @returns {Object} - Raster { width, height, data, noData, geoTransform, epsg, geographic }
+ */
+export const parseAsciiGrid = (text, options = {}) => {
+  const { epsg = null } = options;
+  const tokens = text.trim().split(/\s+/);
+  const header = {};
+
+  // Header lines are "key value" pairs before the first numeric row
+  let index = 0;
+  while (index < tokens.length - 1 && /^[a-z_]+$/i.test(tokens[index])) {
+    header[tokens[index].toLowerCase()] = Number(tokens[index + 1]);
+    index += 2;
+  }
+
+  const width = header.ncols;
+  const height = header.nrows;
+  const dx = header.cellsize ?? header.dx;
+  const dy = header.cellsize ?? header.dy;
+  if (!(width > 0) || !(height > 0) || !(dx > 0) || !(dy > 0)) {
+    throw new Error('ASCII grid header needs ncols, nrows and cellsize');
+  }
+
+  // Grids are referenced either by their lower-left corner or lower-left cell centre
+  let xCenter;
+  let yCenter;
+  if (header.xllcenter !== undefined && header.yllcenter !== undefined) {
+    xCenter = header.xllcenter;
+    yCenter = header.yllcenter;
+  } else if (header.xllcorner !== undefined && header.yllcorner !== undefined) {
+    xCenter = header.xllcorner + dx / 2;
+    yCenter = header.yllcorner + dy / 2;
+  } else {
+    throw new Error('ASCII grid header needs xllcorner/yllcorner or xllcenter/yllcenter');
+  }
+
+  const values = tokens.slice(index);
+  if (values.length < width * height) {
+    throw new Error(`ASCII grid has ${values.length} values, expected ${width * height}`);
+  }
+
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = Number(values[i]);
+  }
+
+  const code = epsg ? Number(epsg) : null;
+  if (code) getProjectionDefinition(code);
+
+  return {
+    width,
+    height,
+    data,
+    noData: header.nodata_value ?? null,
+    // Rows run north to south, so the first row is the top of the grid
+    geoTransform: [xCenter, dx, 0, yCenter + (height - 1) * dy, 0, -dy],
+    epsg: code,
+    geographic: code === 4326
+  };
+};
+
+/**
+ * Rasterize the point clouds in a set of objects into a local elevation grid
+ * @param {Array<THREE.Object3D>} objects - Scene objects to search for THREE.Points
+ * @param {Object} options - Raster options
+ * @param {number} options.cellSize - Cell size in local units
+ * @param {string} options.mode - 'max' for a surface model (DSM), 'min' for bare ground (DEM)
+ * @returns {Object} - Raster in local coordinates, with local set to true
+ */
+export const rasterizePointClouds = (objects, options = {}) => {
+  const { cellSize = 3, mode = 'max' } = options;
+  if (!(cellSize > 0)) {
+    throw new Error('Cell size must be greater than zero');
+  }
+
+  const clouds = [];
+  objects.forEach(object => object.traverse(child => {
+    if (child.isPoints && child.geometry?.attributes?.position) {
+      child.updateWorldMatrix(true, false);
+      clouds.push(child);
+    }
+  }));
+  if (clouds.length === 0) {
+    throw new Error('No point cloud is loaded in the scene');
+  }
+
+  const bounds = new THREE.Box3();
+  const point = new THREE.Vector3();
+  const eachPoint = (callback) => clouds.forEach(cloud => {
+    const position = cloud.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      callback(point.fromBufferAttribute(position, i).applyMatrix4(cloud.matrixWorld));
+    }
+  });
+
+  eachPoint(p => bounds.expandByPoint(p));
+
+  const width = Math.floor((bounds.max.x - bounds.min.x) / cellSize) + 1;
+  const height = Math.floor((bounds.max.y - bounds.min.y) / cellSize) + 1;
+  if (width * height > MAX_RASTER_CELLS) {
+    throw new Error(`A ${width} x ${height} raster is too large, increase the cell size`);
+  }
+
+  const keep = mode === 'min' ? Math.min : Math.max;
+  const data = new Float32Array(width * height).fill(NaN);
+  eachPoint(p => {
+    const col = Math.floor((p.x - bounds.min.x) / cellSize);
+    const row = height - 1 - Math.floor((p.y - bounds.min.y) / cellSize);
+    const cell = row * width + col;
+    data[cell] = Number.isNaN(data[cell]) ? p.z : keep(data[cell], p.z);
+  });
+
+  return {
+    width,
+    height,
+    data,
+    noData: null,
+    geoTransform: [
+      bounds.min.x + cellSize / 2, cellSize, 0,
+      bounds.min.y + (height - 0.5) * cellSize, 0, -cellSize
+    ],
+    epsg: null,
+    geographic: false,
+    local: true
+  };
+};
+
+/**
+ * Wrap a raster so it can be sampled in local coordinates
+ * @param {Object} raster - Raster from parseGeoTiff, parseAsciiGrid or rasterizePointClouds
+ * @param {Object} options - Grid options
+ * @param {TransformUtility} options.transform - Local/global transform (ignored for local rasters)
+ * @param {number} options.epsg - CRS to use when the raster does not carry one
+ * @param {number} options.verticalOffset - Meters added to raster heights to reach the transform's
+ *                                          altitude datum, e.g. the geoid height for orthometric DEMs
+ * @param {string} options.source - Description shown to the user
+ * @returns {Object} - Grid { raster, toPixel(x, y), toLocalZ(value), source }
+ */
+export const createElevationGrid = (raster, options = {}) => {
+  const { transform, epsg = null, verticalOffset = 0, source = '' } = options;
+  const [x0, a, b, y0, d, e] = raster.geoTransform;
+  const determinant = a * e - b * d;
+  if (!determinant) {
+    throw new Error('Elevation raster has a degenerate geotransform');
+  }
+
+  // Map CRS coordinates back to (fractional) pixel centres
+  const crsToPixel = (x, y) => {
+    const dx = x - x0;
+    const dy = y - y0;
+    return {
+      col: (e * dx - b * dy) / determinant,
+      row: (a * dy - d * dx) / determinant
+    };
+  };
+
+  if (raster.local) {
+    return {
+      raster,
+      toPixel: crsToPixel,
+      toLocalZ: (value) => value,
+      source
+    };
+  }
+
+  if (!transform) {
+    throw new Error('A coordinate transform is needed to use a georeferenced elevation raster');
+  }
+  const crs = raster.epsg || epsg;
+  if (!crs) {
+    throw new Error('Elevation raster has no CRS; set its EPSG code');
+  }
+
+  const geographic = raster.geographic || Number(crs) === 4326;
+  const projection = geographic ? null : proj4(getProjectionDefinition(crs));
+
+  return {
+    raster,
+    toPixel: (x, y) => {
+      const { lat, lon } = transform.localToGlobal(x, y, 0);
+      const [px, py] = projection ? projection.forward([lon, lat]) : [lon, lat];
+      return crsToPixel(px, py);
+    },
+    toLocalZ: (value) => (value + verticalOffset - transform.origin.alt) * transform.METERS_TO_FEET,
+    source
+  };
+};
+
+/**
+ * Sample terrain height at a local position
+ * Bilinear between the surrounding pixel centres, skipping no-data pixels
+ * @param {Object} grid - Grid from createElevationGrid
+ * @param {number} x - Local x
+ * @param {number} y - Local y
+ * @returns {number|null} - Local terrain height, or null outside the grid or over no-data
+ */
+export const sampleElevation = (grid, x, y) => {
+  const { width, height, data, noData } = grid.raster;
+  const { col, row } = grid.toPixel(x, y);
+  if (!(col > -0.5 && col < width - 0.5 && row > -0.5 && row < height - 0.5)) return null;
+
+  const c0 = Math.max(0, Math.min(width - 1, Math.floor(col)));
+  const r0 = Math.max(0, Math.min(height - 1, Math.floor(row)));
+  const c1 = Math.min(width - 1, c0 + 1);
+  const r1 = Math.min(height - 1, r0 + 1);
+  const fc = Math.max(0, Math.min(1, col - c0));
+  const fr = Math.max(0, Math.min(1, row - r0));
+
+  let sum = 0;
+  let weightSum = 0;
+  [[c0, r0, (1 - fc) * (1 - fr)], [c1, r0, fc * (1 - fr)], [c0, r1, (1 - fc) * fr], [c1, r1, fc * fr]]
+    .forEach(([c, r, weight]) => {
+      const value = data[r * width + c];
+      if (weight > 0 && Number.isFinite(value) && value !== noData) {
+        sum += value * weight;
+        weightSum += weight;
+      }
+    });
+
+  return weightSum > 0 ? grid.toLocalZ(sum / weightSum) : null;
+};
+
+/**
+ * Read an elevation file by extension (.tif/.tiff GeoTIFF, .asc ASCII grid)
+ * @param {File} file - Selected file
+ * @param {Object} options - { epsg } for ASCII grids
+ * @returns {Promise<Object>} - Raster
+ */
+export const loadElevationFile = async (file, options = {}) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'tif' || extension === 'tiff') {
+    const raster = await parseGeoTiff(await file.arrayBuffer());
+    if (raster.epsg && !raster.geographic) getProjectionDefinition(raster.epsg);
+    return raster;
+  }
+  if (extension === 'asc') {
+    return parseAsciiGrid(await file.text(), options);
+  }
+  throw new Error(`Unsupported elevation file type .${extension}`);
+};
+
+export default {
+  getProjectionDefinition,
+  parseAsciiGrid,
+  rasterizePointClouds,
+  createElevationGrid,
+  sampleElevation,
+  loadElevationFile
+};
@@ -0,0 +1,169 @@
+/**
+ * ExposurePlanner.js
+ * Shutter speed and ISO for an aperture and light level, the forward motion blur
+ * that shutter gives at a flight speed, and the fastest speed that stays sharp
+ */
+
+import { getMaxCaptureSpeed } from './WindModel';
+
+// Scene brightness at ISO 100 (EV100) for common conditions
+export const LIGHT_PRESETS = {
+  sunny: { label: 'Bright sun', ev: 15 },
+  hazy: { label: 'Hazy sun', ev: 14 },
+  cloudy: { label: 'Cloudy bright', ev: 13 },
+  overcast: { label: 'Overcast', ev: 12 },
+  heavyOvercast: { label: 'Heavy overcast or open shade', ev: 11 },
+  dusk: { label: 'Sunset or dusk', ev: 9 },
+  indoor: { label: 'Bright interior', ev: 8 }
+};
+
+// Incident-light meter calibration constant (lux at EV 0, ISO 100)
+const LUX_AT_EV0 = 2.5;
+
+/**
+ * Convert illuminance to an exposure value
+ * @param {number} lux - Illuminance in lux
+ * @returns {number} - EV at ISO 100
+ */
+export const luxToEV = (lux) => {
+  if (!(lux > 0)) {
+    throw new Error('Light level must be greater than zero lux');
+  }
+  return Math.log2(lux / LUX_AT_EV0);
+};
+
+/**
+ * Resolve a light level to EV100
+ * @param {Object} light - { preset } from LIGHT_PRESETS, { lux } or { ev }
+ * @returns {number} - EV at ISO 100
+ */
+export const getLightEV = (light) => {
+  if (light.preset) {
+    const preset = LIGHT_PRESETS[light.preset];
+    if (!preset) throw new Error(`Unknown light preset ${light.preset}`);
+    return preset.ev;
+  }
+  if (light.lux !== undefined) return luxToEV(light.lux);
+  if (Number.isFinite(light.ev)) return light.ev;
+  throw new Error('Light level needs a preset, lux or EV');
+};
+
+/**
+ * Shutter time for a correct exposure
+ * @param {number} ev - Scene EV at ISO 100
+ * @param {number} aperture - Aperture f-number
+ * @param {number} iso - ISO sensitivity
+ * @returns {number} - Exposure time in seconds
+ */
+export const getShutterTime = (ev, aperture, iso) => {
+  return (aperture * aperture) / Math.pow(2, ev + Math.log2(iso / 100));
+};
+
+/**
+ * Forward motion blur during an exposure
+ * @param {number} speed - Ground speed in m/s
+ * @param {number} shutterTime - Exposure time in seconds
+ * @param {number} gsd - Ground sample distance in cm/pixel
+ * @returns {number} - Blur in pixels
+ */
+export const getMotionBlur = (speed, shutterTime, gsd) => {
+  return (speed * shutterTime) / (gsd / 100);
+};
+
+/**
+ * Plan the exposure for a capture flight
+ * ISO stays at its minimum while the shutter is fast enough for the blur limit at the
+ * flight speed, and rises toward its maximum only to shorten the shutter
+ * @param {Object} options - Exposure options
+ * @param {number} options.aperture - Aperture f-number
+ * @param {Object} options.light - Light level for getLightEV
+ * @param {number} options.isoMin - Lowest (base) ISO
+ * @param {number} options.isoMax - Highest ISO allowed
+ * @param {number} options.gsd - Ground sample distance in cm/pixel
+ * @param {number} options.speed - Flight speed in m/s
+ * @param {number} options.maxBlur - Allowed motion blur in pixels
+ * @param {number} options.fastestShutter - Shortest exposure the camera supports, in seconds
+ * @returns {Object} - { ev, iso, shutterTime, blur (pixels at speed), maxSpeed (m/s at isoMax),
+ *                      overexposure (stops), exposedCleanly, warnings }
+ */
+export const planExposure = (options) => {
+  const {
+    aperture,
+    light,
+    isoMin = 100,
+    isoMax = 3200,
+    gsd,
+    speed,
+    maxBlur = 1,
+    fastestShutter = 1 / 8000
+  } = options;
+  if (!(aperture > 0)) throw new Error('Aperture must be greater than zero');
+  if (!(gsd > 0)) throw new Error('GSD must be greater than zero');
+  if (!(isoMin > 0) || !(isoMax >= isoMin)) throw new Error('ISO range must run from a positive minimum up to the maximum');
+
+  const ev = getLightEV(light);
+  const warnings = [];
+
+  // Longest exposure that keeps the blur limit at this speed
+  const blurLimitedTime = speed > 0 ? (maxBlur * gsd / 100) / speed : Infinity;
+
+  // Raise ISO from base just enough to reach the blur-limited shutter
+  const baseTime = getShutterTime(ev, aperture, isoMin);
+  let iso = isoMin;
+  if (baseTime > blurLimitedTime) {
+    iso = Math.min(isoMax, isoMin * baseTime / blurLimitedTime);
+  }
+  let shutterTime = getShutterTime(ev, aperture, iso);
+
+  // Too much light for the fastest shutter at base ISO overexposes; clamp and report it
+  let overexposure = 0;
+  if (shutterTime < fastestShutter) {
+    overexposure = Math.log2(fastestShutter / shutterTime);
+    shutterTime = fastestShutter;
+    warnings.push(`Scene is ${overexposure.toFixed(1)} stops too bright for 1/${Math.round(1 / fastestShutter)} s at f/${aperture}; stop down or add an ND filter`);
+  }
+
+  const blur = getMotionBlur(speed, shutterTime, gsd);
+  const fastestTime = Math.max(getShutterTime(ev, aperture, isoMax), fastestShutter);
+  const maxSpeed = getMaxCaptureSpeed(gsd, fastestTime, maxBlur);
+
+  if (blur > maxBlur + 1e-9) {
+    warnings.push(
+      `At ${speed} m/s even ISO ${isoMax} needs 1/${Math.round(1 / shutterTime)} s, blurring ${blur.toFixed(1)} px ` +
+      `(limit ${maxBlur} px); fly at most ${maxSpeed.toFixed(1)} m/s, open the aperture or add light`
+    );
+  }
+  if (iso > isoMin * 4) {
+    warnings.push(`ISO ${Math.round(iso)} is needed to freeze motion, expect visible noise`);
+  }
+
+  return {
+    ev,
+    iso,
+    shutterTime,
+    blur,
+    maxSpeed,
+    overexposure,
+    exposedCleanly: blur <= maxBlur + 1e-9 && overexposure === 0,
+    warnings
+  };
+};
+
+/**
+ * Format an exposure time as a shutter speed
+ * @param {number} shutterTime - Exposure time in seconds
+ * @returns {string} - e.g. '1/1000 s' or '2 s'
+ */
+export const formatShutterTime = (shutterTime) => {
+  return shutterTime >= 1 ? `${shutterTime.toFixed(1)} s` : `1/${Math.round(1 / shutterTime)} s`;
+};
+
+export default {
+  LIGHT_PRESETS,
+  luxToEV,
+  getLightEV,
+  getShutterTime,
+  getMotionBlur,
+  planExposure,
+  formatShutterTime
+};
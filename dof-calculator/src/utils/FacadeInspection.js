@@ -0,0 +1,262 @@
+/**
+ * FacadeInspection.js
+ * Vertical-surface inspection planning from selected mesh faces
+ * Faces are grouped into planar patches and each patch is flown in vertical
+ * lawnmower passes at a standoff in front of it, camera facing the surface
+ */
+
+import * as THREE from 'three';
+
+const WORLD_UP = new THREE.Vector3(0, 0, 1);
+
+/**
+ * Get a selected face's normal in world space
+ * @param {Object} face - Selected face with normal and optional object
+ * @returns {THREE.Vector3} - Unit normal in world space
+ */
+export const getWorldNormal = (face) => {
+  const normal = face.normal ? face.normal.clone() : WORLD_UP.clone();
+  if (face.object?.matrixWorld) {
+    normal.transformDirection(face.object.matrixWorld);
+  }
+  return normal.normalize();
+};
+
+/**
+ * Get the world-space corners of a selected triangle
+ * @param {Object} face - Selected face with object, faceIndex and point
+ * @returns {Array<THREE.Vector3>} - Triangle vertices, or just the picked point
+ */
+export const getFaceVertices = (face) => {
+  const geometry = face.object?.geometry;
+  const position = geometry?.attributes?.position;
+  if (!position || !Number.isInteger(face.faceIndex)) return [face.point.clone()];
+
+  return [0, 1, 2].map(corner => {
+    const vertex = face.faceIndex * 3 + corner;
+    const index = geometry.index ? geometry.index.getX(vertex) : vertex;
+    const point = new THREE.Vector3().fromBufferAttribute(position, index);
+    return face.object.matrixWorld ? point.applyMatrix4(face.object.matrixWorld) : point;
+  });
+};
+
+/**
+ * Group selected faces into planar patches
+ * A face joins a patch when its normal is within the angle tolerance and its
+ * point lies within the plane tolerance of the patch plane
+ * @param {Array<Object>} faces - Selected faces with point, normal and object
+ * @param {Object} options - Grouping options
+ * @param {number} options.angleTolerance - Maximum normal difference in degrees
+ * @param {number} options.planeTolerance - Maximum distance from the patch plane (local units)
+ * @returns {Array<Object>} - Patches { normal, center, points, faceCount }
+ */
+export const groupFacesByNormal = (faces, options = {}) => {
+  const { angleTolerance = 15, planeTolerance = 3 } = options;
+  const minDot = Math.cos(angleTolerance * Math.PI / 180);
+  const patches = [];
+
+  faces.forEach(face => {
+    const normal = getWorldNormal(face);
+    const patch = patches.find(candidate =>
+      candidate.normal.dot(normal) >= minDot &&
+      Math.abs(candidate.normal.dot(face.point) - candidate.normal.dot(candidate.center)) <= planeTolerance
+    );
+
+    const vertices = getFaceVertices(face);
+    if (patch) {
+      patch.points.push(...vertices);
+      patch.normalSum.add(normal);
+      patch.normal.copy(patch.normalSum).normalize();
+      vertices.forEach(vertex => patch.pointSum.add(vertex));
+      patch.center.copy(patch.pointSum).divideScalar(patch.points.length);
+      patch.faceCount++;
+    } else {
+      const pointSum = vertices.reduce((sum, vertex) => sum.add(vertex), new THREE.Vector3());
+      patches.push({
+        normal: normal.clone(),
+        normalSum: normal.clone(),
+        center: pointSum.clone().divideScalar(vertices.length),
+        pointSum,
+        points: vertices,
+        faceCount: 1
+      });
+    }
+  });
+
+  return patches.map(({ normal, center, points, faceCount }) => ({
+    normal,
+    center,
+    points,
+    faceCount
+  }));
+};
+
+/**
+ * Build in-plane axes for a patch: u runs horizontally along the surface, v up it
+ * @param {THREE.Vector3} normal - Patch normal
+ * @returns {Object} - { u, v } unit vectors
+ */
+const getPatchAxes = (normal) => {
+  const u = new THREE.Vector3().crossVectors(WORLD_UP, normal);
+  // Roofs and decks face up; fall back to the world x axis
+  if (u.lengthSq() < 1e-6) u.set(1, 0, 0);
+  u.normalize();
+  const v = new THREE.Vector3().crossVectors(normal, u).normalize();
+  return { u, v };
+};
+
+/**
+ * Measure a patch in its own plane
+ * @param {Object} patch - Patch from groupFacesByNormal
+ * @returns {Object} - { u, v, uMin, uMax, vMin, vMax, depthRange } in local units
+ */
+export const getPatchExtents = (patch) => {
+  const { u, v } = getPatchAxes(patch.normal);
+  const offset = new THREE.Vector3();
+  const extents = {
+    u, v,
+    uMin: Infinity, uMax: -Infinity,
+    vMin: Infinity, vMax: -Infinity,
+    dMin: Infinity, dMax: -Infinity
+  };
+
+  patch.points.forEach(point => {
+    offset.subVectors(point, patch.center);
+    const a = offset.dot(u);
+    const b = offset.dot(v);
+    const d = offset.dot(patch.normal);
+    extents.uMin = Math.min(extents.uMin, a);
+    extents.uMax = Math.max(extents.uMax, a);
+    extents.vMin = Math.min(extents.vMin, b);
+    extents.vMax = Math.max(extents.vMax, b);
+    extents.dMin = Math.min(extents.dMin, d);
+    extents.dMax = Math.max(extents.dMax, d);
+  });
+
+  return { ...extents, depthRange: extents.dMax - extents.dMin };
+};
+
+/**
+ * Solve the standoff distance from a target GSD, kept inside the DOF limits
+ * The surface relief (depthRange) has to fit between the near and far focus planes
+ * @param {Object} options - Solver inputs
+ * @param {Object} options.cameraDetails - Camera with sensorWidth (mm) and imageWidth (px)
+ * @param {Object} options.lensDetails - Lens with focalLength (mm)
+ * @param {number} options.targetGsd - Desired GSD in cm/pixel
+ * @param {Object} options.dofCalculations - { nearFocusPlane, farFocusPlane, hyperfocalDistance } in meters
+ * @param {number} options.depthRange - Surface relief along the normal in meters
+ * @returns {Object} - { standoff (m), gsd (cm/px), limitedBy, warnings }
+ */
+export const solveStandoff = (options = {}) => {
+  const { cameraDetails, lensDetails, targetGsd, dofCalculations = null, depthRange = 0 } = options;
+  if (!cameraDetails?.sensorWidth || !cameraDetails?.imageWidth || !lensDetails?.focalLength) {
+    throw new Error('A camera and lens are needed to solve the facade standoff');
+  }
+  if (!(targetGsd > 0)) {
+    throw new Error('Target GSD must be greater than zero');
+  }
+
+  // Inverse of the GSD formula used by the planner: gsd = sensorWidth * d * 100 / (focalLength * imageWidth)
+  const toGsd = (distance) => (cameraDetails.sensorWidth * distance * 100) /
+    (lensDetails.focalLength * cameraDetails.imageWidth);
+  const gsdStandoff = (targetGsd * lensDetails.focalLength * cameraDetails.imageWidth) /
+    (cameraDetails.sensorWidth * 100);
+
+  const warnings = [];
+  const halfDepth = depthRange / 2;
+  let min = 0;
+  let max = Infinity;
+
+  const { nearFocusPlane, farFocusPlane, hyperfocalDistance } = dofCalculations || {};
+  if (nearFocusPlane > 0 && farFocusPlane > nearFocusPlane) {
+    min = nearFocusPlane + halfDepth;
+    max = farFocusPlane - halfDepth;
+  } else if (hyperfocalDistance > 0) {
+    // Focused at the hyperfocal distance everything beyond half of it is sharp
+    min = hyperfocalDistance / 2 + halfDepth;
+  }
+
+  let standoff = gsdStandoff;
+  let limitedBy = 'gsd';
+  if (min > max) {
+    standoff = (nearFocusPlane + farFocusPlane) / 2;
+    limitedBy = 'dof';
+    warnings.push(`Surface relief of ${depthRange.toFixed(2)} m does not fit in the ${(farFocusPlane - nearFocusPlane).toFixed(2)} m depth of field`);
+  } else if (standoff < min) {
+    standoff = min;
+    limitedBy = 'dofNear';
+  } else if (standoff > max) {
+    standoff = max;
+    limitedBy = 'dofFar';
+  }
+
+  const gsd = toGsd(standoff);
+  if (limitedBy !== 'gsd') {
+    warnings.push(`Standoff moved to ${standoff.toFixed(1)} m to stay in focus, GSD is ${gsd.toFixed(2)} cm/pixel instead of ${targetGsd}`);
+  }
+
+  return { standoff, gsd, limitedBy, warnings };
+};
+
+/**
+ * Generate vertical lawnmower passes in front of a patch
+ * Each pass runs up or down the surface at a fixed horizontal position;
+ * captures look back along the inverse normal
+ * @param {Object} patch - Patch from groupFacesByNormal
+ * @param {Object} options - Pass options (local units)
+ * @param {number} options.standoff - Distance in front of the surface
+ * @param {number} options.columnSpacing - Horizontal distance between passes
+ * @param {number} options.captureSpacing - Vertical distance between captures
+ * @param {number} options.minHeight - Lowest allowed waypoint height
+ * @returns {Object} - { waypoints: THREE.Vector3[], capturePoints }
+ */
+export const generateFacadePasses = (patch, options = {}) => {
+  const { standoff, columnSpacing, captureSpacing, minHeight = -Infinity } = options;
+  if (!(standoff > 0) || !(columnSpacing > 0) || !(captureSpacing > 0)) {
+    throw new Error('Standoff and pass spacing must be greater than zero');
+  }
+
+  const { u, v, uMin, uMax, vMin, vMax } = getPatchExtents(patch);
+  const width = uMax - uMin;
+  const height = vMax - vMin;
+
+  // Center the passes so both edges get the same margin
+  const columns = Math.max(1, Math.ceil(width / columnSpacing));
+  const firstColumn = uMin + (width - (columns - 1) * columnSpacing) / 2;
+  const rows = Math.ceil(height / captureSpacing) + 1;
+
+  const waypoints = [];
+  const capturePoints = [];
+  const targetNormal = patch.normal.toArray();
+
+  for (let i = 0; i < columns; i++) {
+    const a = firstColumn + i * columnSpacing;
+    for (let j = 0; j < rows; j++) {
+      // Alternate up and down passes
+      const row = i % 2 === 0 ? j : rows - 1 - j;
+      const b = rows > 1 ? vMin + (row / (rows - 1)) * height : vMin;
+
+      const target = patch.center.clone().addScaledVector(u, a).addScaledVector(v, b);
+      const position = target.clone().addScaledVector(patch.normal, standoff);
+      position.z = Math.max(position.z, minHeight);
+
+      waypoints.push(position);
+      capturePoints.push({
+        position: position.clone(),
+        lookAt: target,
+        targetNormal
+      });
+    }
+  }
+
+  return { waypoints, capturePoints };
+};
+
+export default {
+  getWorldNormal,
+  getFaceVertices,
+  groupFacesByNormal,
+  getPatchExtents,
+  solveStandoff,
+  generateFacadePasses
+};
@@ -0,0 +1,406 @@
+/**
+ * GeoTiffReader.js
+ * Minimal reader for single-band GeoTIFF elevation rasters (DEM/DSM)
+ * Handles strips and tiles, uncompressed, LZW and Deflate data, predictors 2 and 3,
+ * and the georeferencing tags GDAL writes; BigTIFF is not supported
+ */
+
+const TAGS = {
+  IMAGE_WIDTH: 256,
+  IMAGE_LENGTH: 257,
+  BITS_PER_SAMPLE: 258,
+  COMPRESSION: 259,
+  STRIP_OFFSETS: 273,
+  SAMPLES_PER_PIXEL: 277,
+  ROWS_PER_STRIP: 278,
+  STRIP_BYTE_COUNTS: 279,
+  PREDICTOR: 317,
+  TILE_WIDTH: 322,
+  TILE_LENGTH: 323,
+  TILE_OFFSETS: 324,
+  TILE_BYTE_COUNTS: 325,
+  SAMPLE_FORMAT: 339,
+  MODEL_PIXEL_SCALE: 33550,
+  MODEL_TIEPOINT: 33922,
+  MODEL_TRANSFORMATION: 34264,
+  GEO_KEY_DIRECTORY: 34735,
+  GDAL_NODATA: 42113
+};
+
+const GEO_KEYS = {
+  MODEL_TYPE: 1024,
+  RASTER_TYPE: 1025,
+  GEOGRAPHIC_TYPE: 2048,
+  PROJECTED_CS_TYPE: 3072
+};
+
+const COMPRESSION = {
+  NONE: 1,
+  LZW: 5,
+  DEFLATE: 8,
+  DEFLATE_LEGACY: 32946
+};
+
+// Byte size of each TIFF field type
+const FIELD_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Read the values of one IFD entry
+ * @param {DataView} view - View over the whole file
+ * @param {number} entryOffset - Offset of the 12-byte IFD entry
+ * @param {boolean} little - Byte order
+ * @returns {Array<number>|string} - Values, or text for ASCII fields
+ */
+const readField = (view, entryOffset, little) => {
+  const type = view.getUint16(entryOffset + 2, little);
+  const count = view.getUint32(entryOffset + 4, little);
+  const size = FIELD_SIZES[type];
+  if (!size) return [];
+
+  // Values that fit in four bytes are stored in the entry itself
+  const offset = size * count <= 4 ? entryOffset + 8 : view.getUint32(entryOffset + 8, little);
+
+  if (type === 2) {
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, count);
+    return new TextDecoder().decode(bytes).replace(/\0+$/, '');
+  }
+
+  const values = new Array(count);
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * size;
+    switch (type) {
+      case 1: case 7: values[i] = view.getUint8(at); break;
+      case 6: values[i] = view.getInt8(at); break;
+      case 3: values[i] = view.getUint16(at, little); break;
+      case 8: values[i] = view.getInt16(at, little); break;
+      case 4: values[i] = view.getUint32(at, little); break;
+      case 9: values[i] = view.getInt32(at, little); break;
+      case 5: values[i] = view.getUint32(at, little) / view.getUint32(at + 4, little); break;
+      case 10: values[i] = view.getInt32(at, little) / view.getInt32(at + 4, little); break;
+      case 11: values[i] = view.getFloat32(at, little); break;
+      case 12: values[i] = view.getFloat64(at, little); break;
+      default: values[i] = 0;
+    }
+  }
+  return values;
+};
+
+/**
+ * Decode TIFF LZW data (MSB-first codes with early change)
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} expectedLength - Decoded size in bytes
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const decodeLzw = (input, expectedLength) => {
+  const output = new Uint8Array(expectedLength);
+  const CLEAR = 256;
+  const END = 257;
+
+  let table = [];
+  const resetTable = () => {
+    table = [];
+    for (let i = 0; i < 256; i++) table.push(Uint8Array.of(i));
+    table.push(null, null);
+  };
+
+  let bitPos = 0;
+  const readCode = (width) => {
+    let code = 0;
+    for (let i = 0; i < width; i++) {
+      const byte = input[bitPos >> 3];
+      if (byte === undefined) return END;
+      code = (code << 1) | ((byte >> (7 - (bitPos & 7))) & 1);
+      bitPos++;
+    }
+    return code;
+  };
+
+  let outPos = 0;
+  const write = (entry) => {
+    const length = Math.min(entry.length, expectedLength - outPos);
+    output.set(entry.subarray(0, length), outPos);
+    outPos += length;
+  };
+
+  resetTable();
+  let width = 9;
+  let previous = null;
+
+  while (outPos < expectedLength) {
+    const code = readCode(width);
+    if (code === END) break;
+
+    if (code === CLEAR) {
+      resetTable();
+      width = 9;
+      previous = null;
+      continue;
+    }
+
+    let entry;
+    if (code < table.length && table[code]) {
+      entry = table[code];
+    } else if (code === table.length && previous) {
+      entry = new Uint8Array(previous.length + 1);
+      entry.set(previous);
+      entry[previous.length] = previous[0];
+    } else {
+      throw new Error('Corrupt LZW data in GeoTIFF');
+    }
+
+    write(entry);
+    if (previous) {
+      const added = new Uint8Array(previous.length + 1);
+      added.set(previous);
+      added[previous.length] = entry[0];
+      table.push(added);
+    }
+    previous = entry;
+
+    // TIFF switches code width one entry early
+    if (table.length >= (1 << width) - 1 && width < 12) width++;
+  }
+
+  return output;
+};
+
+/**
+ * Inflate zlib-wrapped Deflate data
+ * @param {Uint8Array} input - Compressed bytes
+ * @returns {Promise<Uint8Array>} - Decoded bytes
+ */
+const inflate = async (input) => {
+  const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Undo the floating point predictor (byte planes, then byte differencing) for one chunk
+ * @param {Uint8Array} bytes - Decoded chunk bytes, modified in place
+ * @param {number} width - Samples per row
+ * @param {number} rows - Rows in the chunk
+ * @param {number} bytesPerSample - Sample size
+ * @param {boolean} little - Byte order of the output samples
+ */
+const undoFloatPredictor = (bytes, width, rows, bytesPerSample, little) => {
+  const rowBytes = width * bytesPerSample;
+  const row = new Uint8Array(rowBytes);
+  for (let r = 0; r < rows; r++) {
+    const start = r * rowBytes;
+    for (let i = 1; i < rowBytes; i++) {
+      bytes[start + i] = (bytes[start + i] + bytes[start + i - 1]) & 0xFF;
+    }
+    // Planes hold the most significant byte of every sample first
+    for (let i = 0; i < width; i++) {
+      for (let b = 0; b < bytesPerSample; b++) {
+        const plane = bytes[start + b * width + i];
+        row[i * bytesPerSample + (little ? bytesPerSample - 1 - b : b)] = plane;
+      }
+    }
+    bytes.set(row, start);
+  }
+};
+
+/**
+ * Read samples from decoded chunk bytes
+ * @param {Uint8Array} bytes - Decoded chunk bytes
+ * @param {number} count - Samples to read
+ * @param {Object} format - { bitsPerSample, sampleFormat, little }
+ * @returns {Float64Array|Int32Array|Uint32Array|Float32Array} - Samples
+ */
+const readSamples = (bytes, count, format) => {
+  const { bitsPerSample, sampleFormat, little } = format;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const bytesPerSample = bitsPerSample / 8;
+
+  let samples;
+  let read;
+  if (sampleFormat === 3) {
+    samples = bitsPerSample === 64 ? new Float64Array(count) : new Float32Array(count);
+    read = bitsPerSample === 64 ? (at) => view.getFloat64(at, little) : (at) => view.getFloat32(at, little);
+  } else if (sampleFormat === 2) {
+    samples = bitsPerSample === 8 ? new Int8Array(count) : bitsPerSample === 16 ? new Int16Array(count) : new Int32Array(count);
+    read = bitsPerSample === 8 ? (at) => view.getInt8(at)
+      : bitsPerSample === 16 ? (at) => view.getInt16(at, little) : (at) => view.getInt32(at, little);
+  } else {
+    samples = bitsPerSample === 8 ? new Uint8Array(count) : bitsPerSample === 16 ? new Uint16Array(count) : new Uint32Array(count);
+    read = bitsPerSample === 8 ? (at) => view.getUint8(at)
+      : bitsPerSample === 16 ? (at) => view.getUint16(at, little) : (at) => view.getUint32(at, little);
+  }
+
+  const available = Math.min(count, Math.floor(bytes.byteLength / bytesPerSample));
+  for (let i = 0; i < available; i++) {
+    samples[i] = read(i * bytesPerSample);
+  }
+  return samples;
+};
+
+/**
+ * Parse the GeoKeyDirectory into a key/value map (short values only)
+ * @param {Array<number>} directory - GeoKeyDirectory tag values
+ * @returns {Map<number, number>} - Geo keys
+ */
+const parseGeoKeys = (directory) => {
+  const keys = new Map();
+  if (!Array.isArray(directory) || directory.length < 4) return keys;
+  const count = directory[3];
+  for (let i = 0; i < count; i++) {
+    const [id, location, , value] = directory.slice(4 + i * 4, 8 + i * 4);
+    if (location === 0) keys.set(id, value);
+  }
+  return keys;
+};
+
+/**
+ * Build the pixel-centre geotransform from the GeoTIFF model tags
+ * @param {Map<number, Array>} tags - IFD tags
+ * @param {boolean} pixelIsPoint - Raster type is PixelIsPoint
+ * @returns {Array<number>} - [x0, dxCol, dxRow, y0, dyCol, dyRow] for pixel centres
+ */
+const getGeoTransform = (tags, pixelIsPoint) => {
+  // Pixel-is-area rasters reference the pixel corner; move to the centre
+  const shift = pixelIsPoint ? 0 : 0.5;
+
+  const matrix = tags.get(TAGS.MODEL_TRANSFORMATION);
+  if (matrix && matrix.length >= 8) {
+    const [a, b, , d, e, f, , h] = matrix;
+    return [d + a * shift + b * shift, a, b, h + e * shift + f * shift, e, f];
+  }
+
+  const tiepoint = tags.get(TAGS.MODEL_TIEPOINT);
+  const scale = tags.get(TAGS.MODEL_PIXEL_SCALE);
+  if (!tiepoint || !scale) {
+    throw new Error('GeoTIFF has no georeferencing (ModelTiepoint/ModelPixelScale tags)');
+  }
+  const [i, j, , x, y] = tiepoint;
+  const [sx, sy] = scale;
+  return [x + (shift - i) * sx, sx, 0, y - (shift - j) * sy, 0, -sy];
+};
+
+/**
+ * Parse a GeoTIFF elevation raster
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<Object>} - { width, height, data: Float32Array, noData, geoTransform, epsg, geographic }
+ */
+export const parseGeoTiff = async (buffer) => {
+  const view = new DataView(buffer);
+  if (view.byteLength < 8) {
+    throw new Error('File is too small to be a TIFF');
+  }
+
+  const order = view.getUint16(0, false);
+  if (order !== 0x4949 && order !== 0x4D4D) {
+    throw new Error('Not a TIFF file');
+  }
+  const little = order === 0x4949;
+  const magic = view.getUint16(2, little);
+  if (magic === 43) {
+    throw new Error('BigTIFF files are not supported, convert to a classic GeoTIFF');
+  }
+  if (magic !== 42) {
+    throw new Error('Not a TIFF file');
+  }
+
+  // Only the first image is used; overviews follow in later IFDs
+  const ifdOffset = view.getUint32(4, little);
+  const entryCount = view.getUint16(ifdOffset, little);
+  const tags = new Map();
+  for (let i = 0; i < entryCount; i++) {
+    const entry = ifdOffset + 2 + i * 12;
+    tags.set(view.getUint16(entry, little), readField(view, entry, little));
+  }
+  const first = (tag, fallback) => {
+    const value = tags.get(tag);
+    return Array.isArray(value) && value.length > 0 ? value[0] : fallback;
+  };
+
+  const width = first(TAGS.IMAGE_WIDTH);
+  const height = first(TAGS.IMAGE_LENGTH);
+  const bitsPerSample = first(TAGS.BITS_PER_SAMPLE, 8);
+  const sampleFormat = first(TAGS.SAMPLE_FORMAT, 1);
+  const compression = first(TAGS.COMPRESSION, COMPRESSION.NONE);
+  const predictor = first(TAGS.PREDICTOR, 1);
+
+  if (first(TAGS.SAMPLES_PER_PIXEL, 1) !== 1) {
+    throw new Error('Only single-band elevation GeoTIFFs are supported');
+  }
+  if (![8, 16, 32, 64].includes(bitsPerSample)) {
+    throw new Error(`Unsupported GeoTIFF sample size of ${bitsPerSample} bits`);
+  }
+  if (!Object.values(COMPRESSION).includes(compression)) {
+    throw new Error(`Unsupported GeoTIFF compression ${compression} (use none, LZW or Deflate)`);
+  }
+
+  const tiled = tags.has(TAGS.TILE_OFFSETS);
+  const chunkWidth = tiled ? first(TAGS.TILE_WIDTH) : width;
+  const chunkHeight = tiled ? first(TAGS.TILE_LENGTH) : Math.min(first(TAGS.ROWS_PER_STRIP, height), height);
+  const offsets = tags.get(tiled ? TAGS.TILE_OFFSETS : TAGS.STRIP_OFFSETS);
+  const byteCounts = tags.get(tiled ? TAGS.TILE_BYTE_COUNTS : TAGS.STRIP_BYTE_COUNTS);
+  const chunksAcross = Math.ceil(width / chunkWidth);
+
+  const bytesPerSample = bitsPerSample / 8;
+  const chunkBytes = chunkWidth * chunkHeight * bytesPerSample;
+  const data = new Float32Array(width * height);
+  const format = { bitsPerSample, sampleFormat, little };
+
+  for (let c = 0; c < offsets.length; c++) {
+    const raw = new Uint8Array(buffer, offsets[c], byteCounts[c]);
+    let bytes;
+    if (compression === COMPRESSION.LZW) {
+      bytes = decodeLzw(raw, chunkBytes);
+    } else if (compression === COMPRESSION.NONE) {
+      bytes = raw.slice();
+    } else {
+      bytes = await inflate(raw);
+    }
+
+    const chunkRows = Math.floor(bytes.byteLength / (chunkWidth * bytesPerSample));
+    if (predictor === 3) {
+      undoFloatPredictor(bytes, chunkWidth, chunkRows, bytesPerSample, little);
+    }
+
+    const samples = readSamples(bytes, chunkWidth * chunkRows, format);
+    if (predictor === 2) {
+      // Horizontal differencing; typed arrays wrap like the encoder did
+      for (let r = 0; r < chunkRows; r++) {
+        for (let i = 1; i < chunkWidth; i++) {
+          samples[r * chunkWidth + i] += samples[r * chunkWidth + i - 1];
+        }
+      }
+    }
+
+    // Copy the chunk into the image, dropping tile padding
+    const col0 = (c % chunksAcross) * chunkWidth;
+    const row0 = Math.floor(c / chunksAcross) * chunkHeight;
+    for (let r = 0; r < chunkRows && row0 + r < height; r++) {
+      const columns = Math.min(chunkWidth, width - col0);
+      for (let i = 0; i < columns; i++) {
+        data[(row0 + r) * width + col0 + i] = samples[r * chunkWidth + i];
+      }
+    }
+  }
+
+  const geoKeys = parseGeoKeys(tags.get(TAGS.GEO_KEY_DIRECTORY));
+  const geographic = geoKeys.get(GEO_KEYS.MODEL_TYPE) === 2;
+  const epsg = geographic
+    ? geoKeys.get(GEO_KEYS.GEOGRAPHIC_TYPE) || 4326
+    : geoKeys.get(GEO_KEYS.PROJECTED_CS_TYPE) || null;
+
+  const noDataText = tags.get(TAGS.GDAL_NODATA);
+  const noData = typeof noDataText === 'string' && noDataText.trim() !== '' ? Number(noDataText) : null;
+
+  return {
+    width,
+    height,
+    data,
+    noData: Number.isFinite(noData) ? noData : null,
+    geoTransform: getGeoTransform(tags, geoKeys.get(GEO_KEYS.RASTER_TYPE) === 2),
+    epsg,
+    geographic
+  };
+};
+
+export default {
+  parseGeoTiff,
+  decodeLzw
+};
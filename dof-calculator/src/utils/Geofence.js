@@ -0,0 +1,611 @@
+/**
+ * Geofence.js
+ * Inclusion areas, no-fly (exclusion) polygons and an altitude ceiling for a mission
+ * Trajectories are clipped to the allowed area, legs are rerouted around fences,
+ * heights are clamped under the ceiling, and anything still breaking a fence is listed
+ */
+
+import * as THREE from 'three';
+import { transformUtility } from './CoordinateTransform';
+import { normalizeRing, getSignedRingArea, ringToLocal, isPointInSurveyArea } from './PolygonSurvey';
+
+// Nested reroutes allowed when a detour around one fence runs into another
+const MAX_DETOUR_DEPTH = 4;
+
+/**
+ * Create a geofence
+ * Plain arrays are used so the fence can be stored with the mission parameters
+ * @param {Object} options - Fence definition
+ * @param {Array<Object>} options.inclusions - Areas to stay inside { name, ring }
+ * @param {Array<Object>} options.exclusions - No-fly areas { name, ring }
+ * @param {number|null} options.ceiling - Altitude ceiling in meters, or null for none
+ * @param {string} options.ceilingReference - 'AGL' above the ground or 'AMSL' above sea level
+ * @returns {Object} - { inclusions, exclusions, ceiling, ceilingReference }
+ */
+export const createGeofence = (options = {}) => {
+  const { inclusions = [], exclusions = [], ceiling = null, ceilingReference = 'AGL' } = options;
+  if (ceiling !== null && !(ceiling > 0)) {
+    throw new Error('Geofence ceiling must be greater than zero');
+  }
+  if (ceilingReference !== 'AGL' && ceilingReference !== 'AMSL') {
+    throw new Error(`Unknown ceiling reference ${ceilingReference}, use AGL or AMSL`);
+  }
+
+  const toZone = (kind) => (zone, index) => {
+    const name = zone.name || `${kind} ${index + 1}`;
+    return { name, ring: normalizeRing(zone.ring, `Geofence "${name}"`) };
+  };
+
+  return {
+    inclusions: inclusions.map(toZone('Inclusion')),
+    exclusions: exclusions.map(toZone('No-fly zone')),
+    ceiling,
+    ceilingReference
+  };
+};
+
+/**
+ * Whether a geofence constrains anything
+ * @param {Object} fence - Geofence from createGeofence
+ * @returns {boolean} - True when there is an area or a ceiling
+ */
+export const hasGeofence = (fence) => {
+  return !!fence && (fence.inclusions.length > 0 || fence.exclusions.length > 0 || fence.ceiling !== null);
+};
+
+/**
+ * Local height of the ceiling at a position
+ * AMSL ceilings take the transform origin's altitude as sea level
+ * @param {Object} fence - Geofence
+ * @param {number} x - Local x
+ * @param {number} y - Local y
+ * @param {Object} options - { transform, getGroundHeight(x, y) returning local ground z or null }
+ * @returns {number} - Ceiling in local z, Infinity without a ceiling
+ */
+export const getCeilingZ = (fence, x, y, options = {}) => {
+  const { transform = transformUtility, getGroundHeight = null } = options;
+  if (!fence || fence.ceiling === null) return Infinity;
+
+  if (fence.ceilingReference === 'AMSL') {
+    return (fence.ceiling - transform.origin.alt) * transform.METERS_TO_FEET;
+  }
+  const ground = getGroundHeight ? getGroundHeight(x, y) : null;
+  return (ground ?? 0) + fence.ceiling * transform.METERS_TO_FEET;
+};
+
+/**
+ * Whether a horizontal position is inside an inclusion (when there are any) and outside every exclusion
+ * @param {number} x - Local x
+ * @param {number} y - Local y
+ * @param {Object} fence - Geofence
+ * @returns {Object|null} - null when allowed, otherwise { zone, excluded } for the fence it breaks
+ */
+const getAreaViolation = (x, y, fence) => {
+  const excluded = fence.exclusions.find(zone => isPointInSurveyArea(x, y, { outer: zone.ring, holes: [] }));
+  if (excluded) return { zone: excluded, excluded: true };
+
+  if (fence.inclusions.length > 0 &&
+      !fence.inclusions.some(zone => isPointInSurveyArea(x, y, { outer: zone.ring, holes: [] }))) {
+    return { zone: null, excluded: false };
+  }
+  return null;
+};
+
+/**
+ * Whether a horizontal position is allowed by the fence's areas
+ * @param {number} x - Local x
+ * @param {number} y - Local y
+ * @param {Object} fence - Geofence
+ * @returns {boolean} - True when allowed
+ */
+export const isPointAllowed = (x, y, fence) => !getAreaViolation(x, y, fence);
+
+/**
+ * Crossings of a leg with a ring's edges
+ * @param {Object} a - Leg start { x, y }
+ * @param {Object} b - Leg end { x, y }
+ * @param {Array<Array<number>>} ring - Open ring of [x, y] pairs
+ * @returns {Array<Object>} - Crossings { t (along the leg), edge } sorted by t
+ */
+const getRingCrossings = (a, b, ring) => {
+  const crossings = [];
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  for (let i = 0; i < ring.length; i++) {
+    const [px, py] = ring[i];
+    const [qx, qy] = ring[(i + 1) % ring.length];
+    const ex = qx - px;
+    const ey = qy - py;
+    const denominator = dx * ey - dy * ex;
+    if (Math.abs(denominator) < 1e-12) continue;
+
+    const t = ((px - a.x) * ey - (py - a.y) * ex) / denominator;
+    const u = ((px - a.x) * dy - (py - a.y) * dx) / denominator;
+    if (t >= 0 && t <= 1 && u >= 0 && u < 1) crossings.push({ t, edge: i });
+  }
+  return crossings.sort((first, second) => first.t - second.t);
+};
+
+/**
+ * First point of a leg that breaks the fence's areas
+ * Every stretch between fence edge crossings is tested at its midpoint, so the check is exact
+ * @param {Object} a - Leg start { x, y }
+ * @param {Object} b - Leg end { x, y }
+ * @param {Object} fence - Geofence
+ * @returns {Object|null} - { t, x, y, zone, excluded } or null when the leg is allowed
+ */
+const getLegViolation = (a, b, fence) => {
+  const ts = [0, 1];
+  [...fence.inclusions, ...fence.exclusions].forEach(zone => {
+    getRingCrossings(a, b, zone.ring).forEach(crossing => ts.push(crossing.t));
+  });
+  ts.sort((first, second) => first - second);
+
+  const samples = [0];
+  for (let i = 1; i < ts.length; i++) {
+    if (ts[i] - ts[i - 1] > 1e-9) samples.push((ts[i - 1] + ts[i]) / 2);
+  }
+  samples.push(1);
+
+  for (const t of samples) {
+    const x = a.x + (b.x - a.x) * t;
+    const y = a.y + (b.y - a.y) * t;
+    const violation = getAreaViolation(x, y, fence);
+    if (violation) return { t, x, y, ...violation };
+  }
+  return null;
+};
+
+/**
+ * Ring vertices pushed out (or in) by a margin along the corner bisectors
+ * @param {Array<Array<number>>} ring - Open ring
+ * @param {number} margin - Offset distance, positive outwards
+ * @returns {Array<Object>} - Offset vertices { x, y }
+ */
+const offsetRing = (ring, margin) => {
+  // Outward normals are on the right of edges for counter-clockwise rings
+  const orientation = getSignedRingArea(ring) > 0 ? 1 : -1;
+  const normals = ring.map(([px, py], i) => {
+    const [qx, qy] = ring[(i + 1) % ring.length];
+    const length = Math.hypot(qx - px, qy - py) || 1;
+    return { x: orientation * (qy - py) / length, y: -orientation * (qx - px) / length };
+  });
+
+  return ring.map(([x, y], i) => {
+    const before = normals[(i - 1 + ring.length) % ring.length];
+    const after = normals[i];
+    const bisector = new THREE.Vector2(before.x + after.x, before.y + after.y);
+    if (bisector.lengthSq() < 1e-12) bisector.set(after.x, after.y);
+    bisector.normalize();
+    // Keep the offset from the edges at the margin, capped at sharp corners
+    const scale = margin / Math.max(bisector.x * after.x + bisector.y * after.y, 0.3);
+    return { x: x + bisector.x * scale, y: y + bisector.y * scale };
+  });
+};
+
+/**
+ * Horizontal points that take a leg around the fences
+ * The leg walks the blocking ring (offset by the margin) in whichever direction is
+ * shorter, drops corners it can see past, and reroutes any link that is still blocked
+ * @param {Object} a - Leg start { x, y }
+ * @param {Object} b - Leg end { x, y }
+ * @param {Object} fence - Geofence
+ * @param {number} margin - Distance to keep from fence edges
+ * @param {number} depth - Nesting depth
+ * @returns {Array<Object>|null} - Points between a and b, or null if no route was found
+ */
+const findDetour = (a, b, fence, margin, depth = 0) => {
+  const violation = getLegViolation(a, b, fence);
+  if (!violation) return [];
+  if (depth > MAX_DETOUR_DEPTH) return null;
+
+  // Go around the no-fly zone in the way, or along the inclusion the leg leaves
+  let zone = violation.zone;
+  let sign = 1;
+  if (!violation.excluded) {
+    zone = fence.inclusions.find(inclusion => isPointInSurveyArea(a.x, a.y, { outer: inclusion.ring, holes: [] }));
+    sign = -1;
+  }
+  if (!zone) return null;
+
+  const crossings = getRingCrossings(a, b, zone.ring);
+  if (crossings.length < 2) return null;
+  const entry = crossings[0].edge;
+  const exit = crossings[crossings.length - 1].edge;
+  const offset = offsetRing(zone.ring, sign * margin);
+  const count = offset.length;
+
+  // Edge i runs from vertex i to vertex i + 1
+  const forward = [];
+  for (let i = (entry + 1) % count; forward.length < count; i = (i + 1) % count) {
+    forward.push(offset[i]);
+    if (i === exit) break;
+  }
+  const backward = [];
+  for (let i = entry; backward.length < count; i = (i - 1 + count) % count) {
+    backward.push(offset[i]);
+    if (i === (exit + 1) % count) break;
+  }
+
+  const candidates = [forward, backward]
+    .map(chain => resolveChain([a, ...chain, b], fence, margin, depth))
+    .filter(Boolean)
+    .sort((first, second) => getChainLength([a, ...first, b]) - getChainLength([a, ...second, b]));
+
+  return candidates[0] || null;
+};
+
+/**
+ * Shorten a chain by skipping corners with a clear line of sight, then reroute blocked links
+ * @param {Array<Object>} chain - Points from leg start to leg end
+ * @param {Object} fence - Geofence
+ * @param {number} margin - Distance to keep from fence edges
+ * @param {number} depth - Nesting depth
+ * @returns {Array<Object>|null} - Points between the chain ends, or null if a link cannot be routed
+ */
+const resolveChain = (chain, fence, margin, depth) => {
+  const kept = [chain[0]];
+  let i = 0;
+  while (i < chain.length - 1) {
+    let next = i + 1;
+    for (let j = chain.length - 1; j > i + 1; j--) {
+      if (!getLegViolation(chain[i], chain[j], fence)) {
+        next = j;
+        break;
+      }
+    }
+    kept.push(chain[next]);
+    i = next;
+  }
+
+  const result = [];
+  for (let k = 1; k < kept.length; k++) {
+    const detour = findDetour(kept[k - 1], kept[k], fence, margin, depth + 1);
+    if (!detour) return null;
+    result.push(...detour);
+    if (k < kept.length - 1) result.push(kept[k]);
+  }
+  return result;
+};
+
+/**
+ * Horizontal length of a chain of points
+ * @param {Array<Object>} chain - Points { x, y }
+ * @returns {number} - Length in local units
+ */
+const getChainLength = (chain) => {
+  let length = 0;
+  for (let i = 1; i < chain.length; i++) {
+    length += Math.hypot(chain[i].x - chain[i - 1].x, chain[i].y - chain[i - 1].y);
+  }
+  return length;
+};
+
+/**
+ * Drop waypoints outside the allowed area and clamp heights under the ceiling
+ * Run on generator output so sweep lines are clipped at fence edges
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} fence - Geofence
+ * @param {Object} options - Ceiling options for getCeilingZ
+ * @returns {Object} - { trajectory, removed (waypoint count), clamped (waypoint count) }
+ */
+export const clipToGeofence = (trajectory, fence, options = {}) => {
+  const { waypoints = [], capturePoints = [], waypointActions } = trajectory;
+  const clamp = (point) => {
+    const ceiling = getCeilingZ(fence, point.x, point.y, options);
+    return point.z > ceiling ? new THREE.Vector3(point.x, point.y, ceiling) : point.clone();
+  };
+
+  const kept = [];
+  waypoints.forEach((point, index) => {
+    if (isPointAllowed(point.x, point.y, fence)) kept.push(index);
+  });
+
+  const newWaypoints = kept.map(index => clamp(waypoints[index]));
+  const clamped = newWaypoints.filter((point, i) => point.z !== waypoints[kept[i]].z).length;
+
+  // Generators emit one capture per waypoint; otherwise captures are kept by position
+  const keptCaptures = capturePoints.length === waypoints.length
+    ? kept.map(index => capturePoints[index])
+    : capturePoints.filter(capture => !capture.position || isPointAllowed(capture.position.x, capture.position.y, fence));
+  const newCaptures = keptCaptures.map(capture => (capture.position ? { ...capture, position: clamp(capture.position) } : capture));
+
+  return {
+    trajectory: {
+      ...trajectory,
+      waypoints: newWaypoints,
+      capturePoints: newCaptures,
+      ...(waypointActions ? { waypointActions: kept.map(index => waypointActions[index] || []) } : {})
+    },
+    removed: waypoints.length - kept.length,
+    clamped
+  };
+};
+
+/**
+ * Reroute legs that cross a no-fly zone or leave the inclusion area
+ * Inserted waypoints are transit points with no capture or actions
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} fence - Geofence
+ * @param {Object} options - Ceiling options for getCeilingZ plus margin (local units)
+ * @returns {Object} - { trajectory, rerouted (leg indices), unresolved (leg indices) }
+ */
+export const rerouteAroundFences = (trajectory, fence, options = {}) => {
+  const { margin = 5 } = options;
+  const { waypoints = [], capturePoints = [], waypointActions } = trajectory;
+  const rerouted = [];
+  const unresolved = [];
+
+  const newWaypoints = waypoints.length > 0 ? [waypoints[0].clone()] : [];
+  const newActions = waypointActions ? [waypointActions[0] || []] : null;
+  const newCaptures = capturePoints.length === waypoints.length && waypoints.length > 0 ? [capturePoints[0]] : null;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const start = waypoints[i - 1];
+    const end = waypoints[i];
+    const detour = getLegViolation(start, end, fence) ? findDetour(start, end, fence, margin) : [];
+
+    if (detour === null) {
+      unresolved.push(i - 1);
+    } else if (detour.length > 0) {
+      // Heights blend from start to end along the detour, kept under the ceiling
+      const total = getChainLength([start, ...detour, end]);
+      let travelled = 0;
+      let previous = start;
+      detour.forEach(point => {
+        travelled += Math.hypot(point.x - previous.x, point.y - previous.y);
+        previous = point;
+        const z = start.z + (end.z - start.z) * (total > 0 ? travelled / total : 0);
+        newWaypoints.push(new THREE.Vector3(point.x, point.y, Math.min(z, getCeilingZ(fence, point.x, point.y, options))));
+        if (newActions) newActions.push([]);
+        if (newCaptures) newCaptures.push(null);
+      });
+      rerouted.push(i - 1);
+    }
+
+    newWaypoints.push(end.clone());
+    if (newActions) newActions.push(waypointActions[i] || []);
+    if (newCaptures) newCaptures.push(capturePoints[i]);
+  }
+
+  if (rerouted.length === 0) {
+    return { trajectory, rerouted, unresolved };
+  }
+
+  // Transit waypoints have no capture, so keep the captures matched by position
+  return {
+    trajectory: {
+      ...trajectory,
+      waypoints: newWaypoints,
+      capturePoints: newCaptures ? newCaptures.filter(Boolean) : capturePoints,
+      ...(newActions ? { waypointActions: newActions } : {})
+    },
+    rerouted,
+    unresolved
+  };
+};
+
+/**
+ * List everything in a trajectory that breaks the geofence
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} fence - Geofence
+ * @param {Object} options - Ceiling options for getCeilingZ plus sampleSpacing for AGL checks along legs
+ * @returns {Array<Object>} - Violations { kind: 'waypoint' | 'leg' | 'ceiling', index, point, message }
+ */
+export const findFenceViolations = (trajectory, fence, options = {}) => {
+  const { transform = transformUtility, getGroundHeight = null, sampleSpacing = 10 } = options;
+  const { waypoints = [] } = trajectory;
+  const violations = [];
+  if (!hasGeofence(fence)) return violations;
+
+  const describeArea = (violation) => (violation.excluded
+    ? `no-fly zone "${violation.zone.name}"`
+    : 'outside the inclusion area');
+
+  waypoints.forEach((point, index) => {
+    const area = getAreaViolation(point.x, point.y, fence);
+    if (area) {
+      violations.push({
+        kind: 'waypoint',
+        index,
+        point: point.clone(),
+        message: `Waypoint ${index + 1} is ${area.excluded ? 'inside ' : ''}${describeArea(area)}`
+      });
+    }
+  });
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const leg = getLegViolation(waypoints[i - 1], waypoints[i], fence);
+    if (leg && leg.t > 0 && leg.t < 1) {
+      violations.push({
+        kind: 'leg',
+        index: i - 1,
+        point: new THREE.Vector3(leg.x, leg.y, waypoints[i - 1].z + (waypoints[i].z - waypoints[i - 1].z) * leg.t),
+        message: `Leg ${i}-${i + 1} ${leg.excluded ? 'crosses' : 'goes'} ${describeArea(leg)}`
+      });
+    }
+  }
+
+  if (fence.ceiling !== null) {
+    const reference = `${fence.ceiling} m ${fence.ceilingReference} ceiling`;
+    waypoints.forEach((point, index) => {
+      const excess = point.z - getCeilingZ(fence, point.x, point.y, options);
+      if (excess > 1e-6) {
+        violations.push({
+          kind: 'ceiling',
+          index,
+          point: point.clone(),
+          message: `Waypoint ${index + 1} is ${(excess * transform.FEET_TO_METERS).toFixed(1)} m above the ${reference}`
+        });
+      }
+    });
+
+    // Ground under an AGL ceiling can drop between waypoints
+    if (fence.ceilingReference === 'AGL' && getGroundHeight) {
+      for (let i = 1; i < waypoints.length; i++) {
+        const start = waypoints[i - 1];
+        const end = waypoints[i];
+        const steps = Math.ceil(Math.hypot(end.x - start.x, end.y - start.y) / sampleSpacing);
+        for (let step = 1; step < steps; step++) {
+          const point = new THREE.Vector3().lerpVectors(start, end, step / steps);
+          const excess = point.z - getCeilingZ(fence, point.x, point.y, options);
+          if (excess > 1e-6) {
+            violations.push({
+              kind: 'ceiling',
+              index: i - 1,
+              point,
+              message: `Leg ${i}-${i + 1} rises ${(excess * transform.FEET_TO_METERS).toFixed(1)} m above the ${reference} over low ground`
+            });
+            break;
+          }
+        }
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Read geofence zones from GeoJSON
+ * A feature's properties.type ('inclusion' or 'exclusion') overrides the default type,
+ * and holes in inclusion polygons become no-fly zones
+ * @param {string|Object} geojson - GeoJSON text or parsed object
+ * @param {Object} options - { transform, type: default zone type }
+ * @returns {Object} - { inclusions, exclusions, warnings }
+ */
+export const importGeofenceGeoJSON = (geojson, options = {}) => {
+  const { transform = transformUtility, type = 'exclusion' } = options;
+  const json = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const polygons = [];
+
+  const collect = (node, properties = {}) => {
+    if (!node) return;
+    if (node.type === 'FeatureCollection') node.features?.forEach(feature => collect(feature));
+    else if (node.type === 'Feature') collect(node.geometry, node.properties || {});
+    else if (node.type === 'GeometryCollection') node.geometries?.forEach(geometry => collect(geometry, properties));
+    else if (node.type === 'Polygon') polygons.push({ rings: node.coordinates, properties });
+    else if (node.type === 'MultiPolygon') node.coordinates.forEach(rings => polygons.push({ rings, properties }));
+  };
+  collect(json);
+
+  return polygonsToZones(polygons.map(({ rings, properties }) => ({
+    name: properties.name,
+    type: properties.type || properties.fence,
+    rings
+  })), { transform, type });
+};
+
+/**
+ * Read geofence zones from KML polygons
+ * A placemark's ExtendedData "type" value overrides the default type
+ * @param {string} kml - KML text
+ * @param {Object} options - { transform, type: default zone type }
+ * @returns {Object} - { inclusions, exclusions, warnings }
+ */
+export const importGeofenceKML = (kml, options = {}) => {
+  const xml = new DOMParser().parseFromString(kml, 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('KML file could not be parsed');
+  }
+
+  const parseCoordinates = (element) => (element?.textContent || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number));
+
+  const polygons = [];
+  Array.from(xml.getElementsByTagName('Placemark')).forEach(placemark => {
+    const name = placemark.getElementsByTagName('name')[0]?.textContent?.trim();
+    const typeData = Array.from(placemark.getElementsByTagName('Data'))
+      .find(data => data.getAttribute('name') === 'type');
+    const type = typeData?.getElementsByTagName('value')[0]?.textContent?.trim();
+
+    Array.from(placemark.getElementsByTagName('Polygon')).forEach(polygon => {
+      const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+      const inners = Array.from(polygon.getElementsByTagName('innerBoundaryIs'));
+      polygons.push({
+        name,
+        type,
+        rings: [outer, ...inners].map(boundary => parseCoordinates(boundary?.getElementsByTagName('coordinates')[0]))
+      });
+    });
+  });
+
+  return polygonsToZones(polygons, options);
+};
+
+/**
+ * Convert [lon, lat] polygons to local zones
+ * @param {Array<Object>} polygons - { name, type, rings: [outer, ...holes] } in [lon, lat]
+ * @param {Object} options - { transform, type: default zone type }
+ * @returns {Object} - { inclusions, exclusions, warnings }
+ */
+const polygonsToZones = (polygons, options) => {
+  const { transform = transformUtility, type: defaultType = 'exclusion' } = options;
+  if (polygons.length === 0) {
+    throw new Error('No polygons found for the geofence');
+  }
+
+  const inclusions = [];
+  const exclusions = [];
+  const warnings = [];
+  polygons.forEach(({ name, type, rings }, index) => {
+    const kind = type === 'inclusion' || type === 'exclusion' ? type : defaultType;
+    const zoneName = name || `${kind === 'inclusion' ? 'Inclusion' : 'No-fly zone'} ${index + 1}`;
+    const [outer, ...holes] = rings.map(ring => ringToLocal(ring, transform));
+
+    if (kind === 'inclusion') {
+      inclusions.push({ name: zoneName, ring: outer });
+      holes.forEach((hole, holeIndex) => exclusions.push({ name: `${zoneName} hole ${holeIndex + 1}`, ring: hole }));
+    } else {
+      exclusions.push({ name: zoneName, ring: outer });
+      if (holes.length > 0) {
+        warnings.push(`Holes in no-fly zone "${zoneName}" were ignored`);
+      }
+    }
+  });
+
+  return { inclusions, exclusions, warnings };
+};
+
+/**
+ * Geofence zones in WGS84 for globe views
+ * @param {Object} fence - Geofence
+ * @param {Object} options - { transform }
+ * @returns {Array<Object>} - Volumes { name, type, positions: [[lon, lat]], ceiling (m), ceilingReference }
+ */
+export const getGeofenceVolumes = (fence, options = {}) => {
+  const { transform = transformUtility } = options;
+  if (!hasGeofence(fence)) return [];
+
+  const toVolume = (type) => (zone) => ({
+    name: zone.name,
+    type,
+    positions: zone.ring.map(([x, y]) => {
+      const { lat, lon } = transform.localToGlobal(x, y, 0);
+      return [lon, lat];
+    }),
+    ceiling: fence.ceiling,
+    ceilingReference: fence.ceilingReference
+  });
+
+  return [
+    ...fence.inclusions.map(toVolume('inclusion')),
+    ...fence.exclusions.map(toVolume('exclusion'))
+  ];
+};
+
+export default {
+  createGeofence,
+  hasGeofence,
+  getCeilingZ,
+  isPointAllowed,
+  clipToGeofence,
+  rerouteAroundFences,
+  findFenceViolations,
+  importGeofenceGeoJSON,
+  importGeofenceKML,
+  getGeofenceVolumes
+};
@@ -0,0 +1,300 @@
+/**
+ * GisExporter.js
+ * GeoJSON and KML export of mission trajectories for GIS tools
+ * Includes the flight path, capture points and camera footprints
+ */
+
+import { transformUtility } from './CoordinateTransform';
+import { getTrajectoryItems, getCaptureForWaypoint, downloadFile } from './TrajectoryUtils';
+import { getFootprintHalfExtents, getCameraFootprint, calculateGSD } from './CameraFootprint';
+
+/**
+ * Round a coordinate value for output
+ * @param {number} value - Value to round
+ * @param {number} decimals - Decimal places
+ * @returns {number} - Rounded value
+ */
+const round = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Convert a local point to a [lon, lat, alt] position
+ * @param {THREE.Vector3} point - Local point in feet
+ * @param {TransformUtility} transform - Local to WGS84 transform
+ * @returns {Array<number>} - [lon, lat, alt] with alt in meters
+ */
+const toPosition = (point, transform) => {
+  const global = transform.localToGlobal(point.x, point.y, point.z);
+  return [round(global.lon, 8), round(global.lat, 8), round(global.alt, 2)];
+};
+
+/**
+ * Order a closed ring counter-clockwise (GeoJSON right-hand rule)
+ * @param {Array<Array<number>>} ring - Closed ring of [lon, lat, alt] positions
+ * @returns {Array<Array<number>>} - Counter-clockwise ring
+ */
+const toCounterClockwise = (ring) => {
+  let area = 0;
+  for (let i = 1; i < ring.length; i++) {
+    area += (ring[i][0] - ring[i - 1][0]) * (ring[i][1] + ring[i - 1][1]);
+  }
+  // A positive shoelace sum in this form means the ring is clockwise
+  return area > 0 ? ring.slice().reverse() : ring;
+};
+
+/**
+ * Collect the geo-referenced path, captures and footprints shared by both formats
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {Object} options - { transform, cameraDetails, lensDetails, groundZ }
+ * @returns {Object} - { path, captures, warnings }
+ */
+const collectMissionGeometry = (trajectory, options = {}) => {
+  const {
+    transform = transformUtility,
+    cameraDetails,
+    lensDetails,
+    groundZ = 0
+  } = options;
+
+  const items = getTrajectoryItems(trajectory, transform);
+  if (items.length === 0) {
+    throw new Error('Trajectory has no waypoints to export');
+  }
+
+  const warnings = [];
+  const hasCamera = !!(cameraDetails?.sensorWidth && cameraDetails?.sensorHeight && lensDetails?.focalLength);
+  if (!hasCamera) {
+    warnings.push('No camera or lens selected, footprints and GSD were not exported');
+  }
+
+  const captures = items.filter(item => item.isCapture).map(item => {
+    const capture = getCaptureForWaypoint(trajectory, item.index);
+    // Same extents as the CameraFootprints preview: each capture is sized at its own
+    // height above the ground, facade captures at their standoff
+    const height = capture.position.z - groundZ;
+    let captureExtents = null;
+    if (hasCamera && capture.targetNormal && capture.lookAt) {
+      captureExtents = getFootprintHalfExtents(cameraDetails, lensDetails, capture.position.distanceTo(capture.lookAt));
+    } else if (hasCamera && height > 0) {
+      captureExtents = getFootprintHalfExtents(cameraDetails, lensDetails, height);
+    }
+    const footprint = captureExtents ? getCameraFootprint(capture, captureExtents, groundZ) : null;
+
+    if (hasCamera && !footprint) {
+      warnings.push(`Capture at waypoint ${item.index + 1} does not look at the ground, footprint skipped`);
+    }
+
+    let gsd = null;
+    if (footprint) {
+      const distanceMeters = item.position.distanceTo(footprint.center) * transform.FEET_TO_METERS;
+      gsd = calculateGSD(distanceMeters, cameraDetails, lensDetails);
+    }
+
+    return {
+      item,
+      position: toPosition(item.position, transform),
+      footprint: footprint
+        ? toCounterClockwise([...footprint.corners, footprint.corners[0]].map(corner => toPosition(corner, transform)))
+        : null,
+      properties: {
+        waypoint: item.index + 1,
+        altitude: round(item.relativeAltitude, 2),
+        heading: round(item.heading, 1),
+        gimbalPitch: round(item.gimbalPitch, 1),
+        gsd: gsd === null ? null : round(gsd, 3)
+      }
+    };
+  });
+
+  return {
+    path: items.map(item => toPosition(item.position, transform)),
+    captures,
+    warnings
+  };
+};
+
+/**
+ * Create a GeoJSON FeatureCollection for a trajectory
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {Object} options - Export options
+ * @param {TransformUtility} options.transform - Local to WGS84 transform
+ * @param {Object} options.cameraDetails - Camera used for footprints and GSD
+ * @param {Object} options.lensDetails - Lens used for footprints and GSD
+ * @param {number} options.groundZ - Height of the ground plane the footprints are projected on
+ * @returns {Object} - { geojson, warnings }
+ */
+export const createGeoJSON = (trajectory, options = {}) => {
+  const { path, captures, warnings } = collectMissionGeometry(trajectory, options);
+
+  const features = [{
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: path },
+    properties: {
+      kind: 'flightPath',
+      missionType: trajectory.type,
+      waypoints: path.length,
+      speed: trajectory.params?.speed ?? null
+    }
+  }];
+
+  captures.forEach(capture => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: capture.position },
+      properties: { kind: 'capture', ...capture.properties }
+    });
+  });
+
+  captures.filter(capture => capture.footprint).forEach(capture => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [capture.footprint] },
+      properties: { kind: 'footprint', waypoint: capture.properties.waypoint, gsd: capture.properties.gsd }
+    });
+  });
+
+  return {
+    geojson: { type: 'FeatureCollection', features },
+    warnings
+  };
+};
+
+/**
+ * Escape text for inclusion in XML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Format positions as a KML coordinates string
+ * @param {Array<Array<number>>} positions - [lon, lat, alt] positions
+ * @returns {string} - Space separated "lon,lat,alt" tuples
+ */
+const toKmlCoordinates = (positions) => {
+  return positions.map(position => position.join(',')).join(' ');
+};
+
+/**
+ * Create a KML document for a trajectory
+ * The path and captures use absolute altitude; footprints are clamped to the ground
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {Object} options - Same options as createGeoJSON, plus name
+ * @returns {Object} - { kml, warnings }
+ */
+export const createKML = (trajectory, options = {}) => {
+  const { name = `${trajectory?.type || 'drone'} mission` } = options;
+  const { path, captures, warnings } = collectMissionGeometry(trajectory, options);
+
+  const capturePlacemarks = captures.map(capture => {
+    const data = Object.entries(capture.properties)
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => `          <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+
+    return `      <Placemark>
+        <name>WP${capture.properties.waypoint}</name>
+        <styleUrl>#capture</styleUrl>
+        <ExtendedData>
+${data}
+        </ExtendedData>
+        <Point>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${toKmlCoordinates([capture.position])}</coordinates>
+        </Point>
+      </Placemark>`;
+  }).join('\n');
+
+  const footprintPlacemarks = captures.filter(capture => capture.footprint).map(capture => `      <Placemark>
+        <name>Footprint WP${capture.properties.waypoint}</name>
+        <styleUrl>#footprint</styleUrl>
+        <Polygon>
+          <altitudeMode>clampToGround</altitudeMode>
+          <outerBoundaryIs>
+            <LinearRing>
+              <coordinates>${toKmlCoordinates(capture.footprint)}</coordinates>
+            </LinearRing>
+          </outerBoundaryIs>
+        </Polygon>
+      </Placemark>`).join('\n');
+
+  const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(name)}</name>
+    <Style id="flightPath">
+      <LineStyle><color>ffff8000</color><width>3</width></LineStyle>
+    </Style>
+    <Style id="capture">
+      <IconStyle><scale>0.6</scale></IconStyle>
+    </Style>
+    <Style id="footprint">
+      <LineStyle><color>ffffff00</color><width>1</width></LineStyle>
+      <PolyStyle><color>4dffff00</color></PolyStyle>
+    </Style>
+    <Folder>
+      <name>Flight Path</name>
+      <Placemark>
+        <name>${escapeXml(name)}</name>
+        <styleUrl>#flightPath</styleUrl>
+        <LineString>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${toKmlCoordinates(path)}</coordinates>
+        </LineString>
+      </Placemark>
+    </Folder>
+    <Folder>
+      <name>Capture Points</name>
+${capturePlacemarks}
+    </Folder>
+    <Folder>
+      <name>Footprints</name>
+${footprintPlacemarks}
+    </Folder>
+  </Document>
+</kml>
+`;
+
+  return { kml, warnings };
+};
+
+/**
+ * Export a trajectory as GeoJSON and trigger a download
+ * @param {Object} trajectory - Trajectory object
+ * @param {string} fileName - Name for the downloaded file
+ * @param {Object} options - Export options (see createGeoJSON)
+ * @returns {Array<string>} - Export warnings
+ */
+export const downloadGeoJSON = (trajectory, fileName = 'mission.geojson', options = {}) => {
+  const { geojson, warnings } = createGeoJSON(trajectory, options);
+  downloadFile(JSON.stringify(geojson, null, 2), fileName, 'application/geo+json');
+  return warnings;
+};
+
+/**
+ * Export a trajectory as KML and trigger a download
+ * @param {Object} trajectory - Trajectory object
+ * @param {string} fileName - Name for the downloaded file
+ * @param {Object} options - Export options (see createKML)
+ * @returns {Array<string>} - Export warnings
+ */
+export const downloadKML = (trajectory, fileName = 'mission.kml', options = {}) => {
+  const { kml, warnings } = createKML(trajectory, options);
+  downloadFile(kml, fileName, 'application/vnd.google-earth.kml+xml');
+  return warnings;
+};
+
+export default {
+  createGeoJSON,
+  createKML,
+  downloadGeoJSON,
+  downloadKML
+};
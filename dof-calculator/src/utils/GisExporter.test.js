@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { TransformUtility } from './CoordinateTransform';
+import { createGeoJSON } from './GisExporter';
+
+// Full frame body with a 24 mm lens: the nadir footprint is 1.5 x 1 times the height
+const CAMERA = { sensorWidth: 36, sensorHeight: 24, imageWidth: 6000, imageHeight: 4000 };
+const LENS = { focalLength: 24 };
+
+// Two nadir captures at different heights, as an orbit or terrain-following mission flies them
+const HEIGHTS = [49.2126, 65.6168]; // 15 m and 20 m in feet
+
+const createTrajectory = () => {
+  const waypoints = HEIGHTS.map((height, index) => new THREE.Vector3(index * 200, 0, height));
+  return {
+    type: 'orbit',
+    params: { speed: 5, altitude: 20, capturePoints: true },
+    waypoints,
+    capturePoints: waypoints.map(position => ({
+      position: position.clone(),
+      lookAt: new THREE.Vector3(position.x, position.y, 0),
+      gimbalPitch: -90
+    }))
+  };
+};
+
+describe('GisExporter', () => {
+  it('sizes every footprint at its own capture height', () => {
+    const transform = new TransformUtility({ origin: { lat: 47.6205, lon: -122.3493, alt: 50 }, heading: 0 });
+    const { geojson, warnings } = createGeoJSON(createTrajectory(), {
+      transform,
+      cameraDetails: CAMERA,
+      lensDetails: LENS
+    });
+    expect(warnings).toEqual([]);
+
+    const footprints = geojson.features.filter(feature => feature.properties.kind === 'footprint');
+    expect(footprints).toHaveLength(HEIGHTS.length);
+
+    footprints.forEach((footprint, index) => {
+      const corners = footprint.geometry.coordinates[0].map(([lon, lat, alt]) => transform.globalToLocal(lat, lon, alt));
+      const xs = corners.map(corner => corner.x);
+      const ys = corners.map(corner => corner.y);
+      expect(Math.max(...xs) - Math.min(...xs)).toBeCloseTo(1.5 * HEIGHTS[index], 0);
+      expect(Math.max(...ys) - Math.min(...ys)).toBeCloseTo(HEIGHTS[index], 0);
+    });
+  });
+});
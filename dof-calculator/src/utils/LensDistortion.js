@@ -0,0 +1,140 @@
+/**
+ * LensDistortion.js
+ * Brown–Conrady and fisheye lens distortion, and the sensor outline traced back
+ * through the lens to the ray tangents it actually sees, for footprints that are
+ * not perfect pinhole rectangles
+ * The lens catalog ships no profiles; add one from a calibration report for the unit flown
+ */
+
+// Fisheye rays are capped this far off axis so the outline stays finite
+const MAX_RAY_ANGLE = 85 * Math.PI / 180;
+
+// Fixed-point and Newton iterations used to invert the distortion
+const UNDISTORT_ITERATIONS = 20;
+
+/**
+ * Distortion model of a lens
+ * @param {Object} lens - Lens from cameraLensData, with an optional distortion entry
+ *                        { model: 'brown', k1, k2, k3, p1, p2 } or { model: 'fisheye', k1, k2, k3, k4 }
+ * @returns {Object|null} - Model with every coefficient filled in, or null for a pinhole lens
+ */
+export const getDistortionModel = (lens) => {
+  const distortion = lens?.distortion;
+  if (!distortion) return null;
+
+  const { model = 'brown', k1 = 0, k2 = 0, k3 = 0, k4 = 0, p1 = 0, p2 = 0 } = distortion;
+  if (model === 'fisheye') return { model, k1, k2, k3, k4 };
+  if (model !== 'brown') throw new Error(`Unknown lens distortion model ${model}, use brown or fisheye`);
+  if (k1 === 0 && k2 === 0 && k3 === 0 && p1 === 0 && p2 === 0) return null;
+  return { model, k1, k2, k3, p1, p2 };
+};
+
+/**
+ * Apply distortion to an ideal image point
+ * @param {Object} model - Model from getDistortionModel
+ * @param {number} x - Ideal normalized x (ray tangent, x / focal length)
+ * @param {number} y - Ideal normalized y
+ * @returns {Array<number>} - Distorted normalized [x, y]
+ */
+export const distortPoint = (model, x, y) => {
+  const r2 = x * x + y * y;
+
+  if (model.model === 'fisheye') {
+    const r = Math.sqrt(r2);
+    if (r < 1e-12) return [x, y];
+    const theta = Math.atan(r);
+    const t2 = theta * theta;
+    const thetaD = theta * (1 + t2 * (model.k1 + t2 * (model.k2 + t2 * (model.k3 + t2 * model.k4))));
+    return [x * thetaD / r, y * thetaD / r];
+  }
+
+  const radial = 1 + r2 * (model.k1 + r2 * (model.k2 + r2 * model.k3));
+  return [
+    x * radial + 2 * model.p1 * x * y + model.p2 * (r2 + 2 * x * x),
+    y * radial + model.p1 * (r2 + 2 * y * y) + 2 * model.p2 * x * y
+  ];
+};
+
+/**
+ * Remove distortion from an image point
+ * @param {Object} model - Model from getDistortionModel
+ * @param {number} xd - Distorted normalized x (sensor position / focal length)
+ * @param {number} yd - Distorted normalized y
+ * @returns {Array<number>} - Ideal normalized [x, y], the tangents of the ray through the point
+ */
+export const undistortPoint = (model, xd, yd) => {
+  if (model.model === 'fisheye') {
+    const thetaD = Math.hypot(xd, yd);
+    if (thetaD < 1e-12) return [xd, yd];
+
+    // Newton's method on theta * (1 + k1 θ² + k2 θ⁴ + k3 θ⁶ + k4 θ⁸) = thetaD
+    let theta = Math.min(thetaD, MAX_RAY_ANGLE);
+    for (let i = 0; i < UNDISTORT_ITERATIONS; i++) {
+      const t2 = theta * theta;
+      const f = theta * (1 + t2 * (model.k1 + t2 * (model.k2 + t2 * (model.k3 + t2 * model.k4)))) - thetaD;
+      const df = 1 + t2 * (3 * model.k1 + t2 * (5 * model.k2 + t2 * (7 * model.k3 + t2 * 9 * model.k4)));
+      if (df <= 0) break;
+      theta = Math.min(MAX_RAY_ANGLE, Math.max(0, theta - f / df));
+    }
+    const r = Math.tan(theta);
+    return [xd * r / thetaD, yd * r / thetaD];
+  }
+
+  // Fixed-point iteration: x = (xd - tangential(x)) / radial(x)
+  let x = xd;
+  let y = yd;
+  for (let i = 0; i < UNDISTORT_ITERATIONS; i++) {
+    const r2 = x * x + y * y;
+    const radial = 1 + r2 * (model.k1 + r2 * (model.k2 + r2 * model.k3));
+    const dx = 2 * model.p1 * x * y + model.p2 * (r2 + 2 * x * x);
+    const dy = model.p1 * (r2 + 2 * y * y) + 2 * model.p2 * x * y;
+    x = (xd - dx) / radial;
+    y = (yd - dy) / radial;
+  }
+  return [x, y];
+};
+
+/**
+ * Trace the sensor outline back through the lens
+ * The outline runs counter-clockwise from the top-right corner, matching the pinhole
+ * corner order, with samplesPerEdge points along each edge so curved edges show.
+ * The half tangents are those of the largest centred rectangle inside the outline,
+ * which is what the image is sure to cover when spacing lines for overlap
+ * @param {Object} cameraDetails - Camera with sensorWidth and sensorHeight in mm
+ * @param {Object} lensDetails - Lens with focalLength in mm and optional distortion
+ * @param {number} samplesPerEdge - Points per sensor edge
+ * @returns {Object|null} - { outline (ray tangents [x, y]), tanHalfWidth, tanHalfHeight },
+ *                          or null for a pinhole lens whose outline is its four corners
+ */
+export const traceSensorOutline = (cameraDetails, lensDetails, samplesPerEdge = 8) => {
+  const model = getDistortionModel(lensDetails);
+  if (!model) return null;
+
+  const halfX = (cameraDetails.sensorWidth / 2) / lensDetails.focalLength;
+  const halfY = (cameraDetails.sensorHeight / 2) / lensDetails.focalLength;
+  const corners = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+  // Edges 0 and 2 run along the top and bottom, 1 and 3 down the sides
+  const edges = corners.map(([sx, sy], index) => {
+    const [ex, ey] = corners[(index + 1) % corners.length];
+    const points = [];
+    for (let i = 0; i <= samplesPerEdge; i++) {
+      const t = i / samplesPerEdge;
+      points.push(undistortPoint(model, (sx + (ex - sx) * t) * halfX, (sy + (ey - sy) * t) * halfY));
+    }
+    return points;
+  });
+
+  return {
+    outline: edges.flatMap(points => points.slice(0, -1)),
+    tanHalfWidth: Math.min(...[...edges[1], ...edges[3]].map(([x]) => Math.abs(x))),
+    tanHalfHeight: Math.min(...[...edges[0], ...edges[2]].map(([, y]) => Math.abs(y)))
+  };
+};
+
+export default {
+  getDistortionModel,
+  distortPoint,
+  undistortPoint,
+  traceSensorOutline
+};
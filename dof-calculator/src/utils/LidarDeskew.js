@@ -0,0 +1,331 @@
+/**
+ * LidarDeskew.js
+ * IMU integration and motion de-skew for lidar scans captured from a moving platform
+ * Poses map the sensor frame into a level world frame (z up) anchored at the first IMU sample
+ */
+
+import * as THREE from 'three';
+
+export const GRAVITY = 9.80665; // m/s²
+
+// Deskew modes: 'full' corrects rotation and translation, 'rotation' only rotation
+export const DESKEW_MODES = ['none', 'rotation', 'full'];
+
+/**
+ * Create an incremental IMU integrator for streamed samples
+ * Orientation comes from the gyro with a gentle accelerometer tilt correction;
+ * position is the double integral of gravity-compensated acceleration, so it
+ * drifts and is only trustworthy over a few seconds
+ * @param {Object} options - Integration options
+ * @param {Array<number>} options.imuToSensorTransform - Row-major 4x4 IMU to sensor transform (rotation is used)
+ * @param {string} options.mode - 'full' or 'rotation'
+ * @param {Array<number>} options.initialVelocity - Sensor velocity in the world frame at the first sample (m/s)
+ * @param {Array<number>} options.gyroBias - Gyro bias to subtract (rad/s)
+ * @param {number} options.tiltGain - Fraction of the tilt error corrected per sample
+ * @returns {Object} - { push(sample), flush(), trim(beforeTime), track, latestTime }; samples must arrive in time order
+ */
+export const createImuIntegrator = (options = {}) => {
+  const {
+    imuToSensorTransform = null,
+    mode = 'full',
+    initialVelocity = [0, 0, 0],
+    gyroBias = [0, 0, 0],
+    tiltGain = 0.02
+  } = options;
+
+  const imuRotation = new THREE.Matrix3();
+  if (imuToSensorTransform) {
+    const m = imuToSensorTransform;
+    imuRotation.set(m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]);
+  }
+  const toSensor = (values) => new THREE.Vector3(...values).applyMatrix3(imuRotation);
+
+  const up = new THREE.Vector3(0, 0, 1);
+  const identity = new THREE.Quaternion();
+  const orientation = new THREE.Quaternion();
+  const position = new THREE.Vector3();
+  const velocity = new THREE.Vector3(...initialVelocity);
+  const bias = new THREE.Vector3(...gyroBias);
+  const step = new THREE.Quaternion();
+  const correction = new THREE.Quaternion();
+  const worldAccel = new THREE.Vector3();
+  const axis = new THREE.Vector3();
+
+  // Plain arrays so the track can grow and be trimmed while streaming
+  const track = { times: [], positions: [], quaternions: [] };
+  let settling = [];
+  let previous = null;
+
+  const store = (time) => {
+    track.times.push(time);
+    track.positions.push(position.x, position.y, position.z);
+    track.quaternions.push(orientation.x, orientation.y, orientation.z, orientation.w);
+  };
+
+  const integrate = (sample) => {
+    const dt = sample.time - previous.time;
+    const gyro = toSensor(previous.gyro).add(toSensor(sample.gyro)).multiplyScalar(0.5).sub(bias);
+    const accel = toSensor(sample.accel);
+
+    if (dt > 0) {
+      // Body rates rotate the sensor frame
+      const angle = gyro.length() * dt;
+      if (angle > 0) {
+        step.setFromAxisAngle(axis.copy(gyro).normalize(), angle);
+        orientation.multiply(step).normalize();
+      }
+
+      // Pull the tilt towards gravity while the platform is not accelerating hard
+      const magnitude = accel.length();
+      if (tiltGain > 0 && Math.abs(magnitude - GRAVITY) < 0.1 * GRAVITY) {
+        const measuredUp = accel.clone().applyQuaternion(orientation).normalize();
+        correction.setFromUnitVectors(measuredUp, up);
+        orientation.premultiply(identity.clone().slerp(correction, tiltGain)).normalize();
+      }
+
+      if (mode === 'full') {
+        worldAccel.copy(accel).applyQuaternion(orientation);
+        worldAccel.z -= GRAVITY;
+        position.addScaledVector(velocity, dt).addScaledVector(worldAccel, 0.5 * dt * dt);
+        velocity.addScaledVector(worldAccel, dt);
+      }
+    }
+
+    previous = sample;
+    store(sample.time);
+  };
+
+  // Level the initial orientation against gravity from the first ~50 ms of samples
+  const start = () => {
+    const meanAccel = settling
+      .reduce((sum, sample) => sum.add(toSensor(sample.accel)), new THREE.Vector3())
+      .divideScalar(settling.length);
+    if (meanAccel.lengthSq() > 0) {
+      orientation.setFromUnitVectors(meanAccel.normalize(), up);
+    }
+
+    const samples = settling;
+    settling = null;
+    previous = samples[0];
+    store(samples[0].time);
+    samples.slice(1).forEach(integrate);
+  };
+
+  return {
+    track,
+    push(sample) {
+      if (settling) {
+        settling.push(sample);
+        if (sample.time - settling[0].time >= 0.05) start();
+      } else {
+        integrate(sample);
+      }
+    },
+    // Integrate whatever is still settling, e.g. at the end of a short capture
+    flush() {
+      if (settling && settling.length > 0) start();
+      return track;
+    },
+    // Drop poses before a time, keeping one so interpolation still works there
+    trim(beforeTime) {
+      let drop = 0;
+      while (drop < track.times.length - 1 && track.times[drop + 1] <= beforeTime) drop++;
+      if (drop > 0) {
+        track.times.splice(0, drop);
+        track.positions.splice(0, drop * 3);
+        track.quaternions.splice(0, drop * 4);
+      }
+    },
+    get latestTime() {
+      if (settling) return -Infinity;
+      return track.times.length > 0 ? track.times[track.times.length - 1] : -Infinity;
+    }
+  };
+};
+
+/**
+ * Integrate IMU samples into a pose track
+ * @param {Array<Object>} samples - { time (s), accel [x,y,z] (m/s²), gyro [x,y,z] (rad/s) } in the IMU frame
+ * @param {Object} options - See createImuIntegrator
+ * @returns {Object} - { times: Float64Array, positions: Float64Array (xyz), quaternions: Float64Array (xyzw) }
+ */
+export const integrateImu = (samples, options = {}) => {
+  const integrator = createImuIntegrator(options);
+  [...samples].sort((a, b) => a.time - b.time).forEach(sample => integrator.push(sample));
+  const track = integrator.flush();
+
+  return {
+    times: Float64Array.from(track.times),
+    positions: Float64Array.from(track.positions),
+    quaternions: Float64Array.from(track.quaternions)
+  };
+};
+
+/**
+ * Interpolate the pose at a time, clamping to the ends of the track
+ * @param {Object} track - Result of integrateImu, or an integrator's track
+ * @param {number} time - Time in seconds
+ * @param {Object} target - { position: THREE.Vector3, quaternion: THREE.Quaternion } to write into
+ * @param {Object} cursor - Optional { index } reused between calls for monotonic lookups
+ * @returns {Object} - The target pose
+ */
+export const getPoseAt = (track, time, target, cursor = { index: 0 }) => {
+  const { times, positions, quaternions } = track;
+  const last = times.length - 1;
+
+  if (last < 0) {
+    target.position.set(0, 0, 0);
+    target.quaternion.identity();
+    return target;
+  }
+  if (time <= times[0] || last === 0) {
+    target.position.fromArray(positions, 0);
+    target.quaternion.fromArray(quaternions, 0);
+    return target;
+  }
+  if (time >= times[last]) {
+    target.position.fromArray(positions, last * 3);
+    target.quaternion.fromArray(quaternions, last * 4);
+    return target;
+  }
+
+  // Walk from the previous index; restart with a binary search on a jump backwards
+  let index = Math.min(Math.max(cursor.index, 0), last - 1);
+  if (times[index] > time) {
+    let low = 0;
+    let high = last;
+    while (high - low > 1) {
+      const mid = (low + high) >> 1;
+      if (times[mid] <= time) low = mid; else high = mid;
+    }
+    index = low;
+  }
+  while (index < last - 1 && times[index + 1] <= time) index++;
+  cursor.index = index;
+
+  const span = times[index + 1] - times[index];
+  const t = span > 0 ? (time - times[index]) / span : 0;
+  target.position.fromArray(positions, index * 3)
+    .lerp(new THREE.Vector3().fromArray(positions, (index + 1) * 3), t);
+  target.quaternion.fromArray(quaternions, index * 4)
+    .slerp(new THREE.Quaternion().fromArray(quaternions, (index + 1) * 4), t);
+  return target;
+};
+
+/**
+ * Resolve a reference time to a pose on the track
+ * @param {Object} track - Pose track
+ * @param {number|Object} reference - Time (s) or an already resolved { position, quaternion }
+ * @returns {Object} - { position: THREE.Vector3, quaternion: THREE.Quaternion }
+ */
+export const getReferencePose = (track, reference) => {
+  if (typeof reference !== 'number') return reference;
+  return getPoseAt(track, reference, { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() });
+};
+
+/**
+ * Move every point into the reference sensor frame using the pose at its capture time
+ * @param {Float32Array} positions - Sensor-frame positions (m), modified in place
+ * @param {Float64Array} times - Capture time of each point (s)
+ * @param {Object} track - Result of integrateImu, or an integrator's track
+ * @param {number|Object} referenceTime - Time whose sensor frame the output is expressed in,
+ *                                        or its pose from getReferencePose when streaming
+ * @returns {Float32Array} - The de-skewed positions
+ */
+export const deskewPoints = (positions, times, track, referenceTime) => {
+  const reference = getReferencePose(track, referenceTime);
+  const inverseReference = reference.quaternion.clone().invert();
+
+  const pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+  const transform = new THREE.Matrix4();
+  const point = new THREE.Vector3();
+  const cursor = { index: 0 };
+  let lastTime = NaN;
+
+  for (let i = 0; i < times.length; i++) {
+    // Points from the same column share a timestamp and a transform
+    if (times[i] !== lastTime) {
+      lastTime = times[i];
+      getPoseAt(track, lastTime, pose, cursor);
+      pose.position.sub(reference.position).applyQuaternion(inverseReference);
+      pose.quaternion.premultiply(inverseReference);
+      transform.compose(pose.position, pose.quaternion, new THREE.Vector3(1, 1, 1));
+    }
+
+    point.fromArray(positions, i * 3).applyMatrix4(transform);
+    positions[i * 3] = point.x;
+    positions[i * 3 + 1] = point.y;
+    positions[i * 3 + 2] = point.z;
+  }
+
+  return positions;
+};
+
+/**
+ * Sensor poses at the start of each frame, relative to the first frame
+ * @param {Object} track - Result of integrateImu, or an integrator's track
+ * @param {Array<Object>} frames - { index, time } for each accumulated frame
+ * @param {Object} origin - Optional { time, pose } of the first frame when streaming
+ * @returns {Array<Object>} - { frame, time, position [x,y,z] (m), quaternion [x,y,z,w] }
+ */
+export const getFramePoses = (track, frames, origin = null) => {
+  if (frames.length === 0) return [];
+
+  const startTime = origin ? origin.time : frames[0].time;
+  const reference = origin ? origin.pose : getReferencePose(track, startTime);
+  const inverseReference = reference.quaternion.clone().invert();
+  const pose = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+
+  return frames.map(frame => {
+    getPoseAt(track, frame.time, pose);
+    pose.position.sub(reference.position).applyQuaternion(inverseReference);
+    pose.quaternion.premultiply(inverseReference);
+    return {
+      frame: frame.index,
+      time: frame.time - startTime,
+      position: pose.position.toArray(),
+      quaternion: pose.quaternion.toArray()
+    };
+  });
+};
+
+/**
+ * Convert frame poses to the trajectory/waypoint format used by DeckGLTrajectoryViewer
+ * @param {Array<Object>} poses - Result of getFramePoses
+ * @param {Object} options - { name, color }
+ * @returns {Object} - { trajectories, waypoints }
+ */
+export const poseTrackToDeckGL = (poses, options = {}) => {
+  const { name = 'LiDAR pose track', color = [0, 200, 120] } = options;
+  if (!Array.isArray(poses) || poses.length === 0) {
+    return { trajectories: [], waypoints: [] };
+  }
+
+  return {
+    trajectories: [{
+      name,
+      color,
+      path: poses.map(pose => pose.position),
+      timestamps: poses.map(pose => pose.time)
+    }],
+    waypoints: poses.map(pose => ({
+      id: pose.frame + 1,
+      name: `F${pose.frame + 1}`,
+      position: pose.position,
+      time: pose.time,
+      color
+    }))
+  };
+};
+
+export default {
+  GRAVITY,
+  DESKEW_MODES,
+  createImuIntegrator,
+  integrateImu,
+  getPoseAt,
+  getReferencePose,
+  deskewPoints,
+  getFramePoses,
+  poseTrackToDeckGL
+};
@@ -0,0 +1,266 @@
+/**
+ * MissionDiff.js
+ * Structured comparison of two saved missions or mission revisions
+ * Reports waypoint, parameter and equipment changes and their effect on the plan
+ */
+
+import { calculateGSD } from './CameraFootprint';
+
+const FEET_TO_METERS = 0.3048;
+
+// Mission fields that are bookkeeping rather than part of the plan
+const IGNORED_FIELDS = ['id', 'created', 'modified', 'formatted', 'revision'];
+
+// Mission fields naming the equipment, stored as an id string or an { id, name } object
+const EQUIPMENT_FIELDS = ['drone', 'camera', 'lens'];
+
+/**
+ * Bring a drone, camera or lens reference to one shape
+ * @param {string|Object|null} equipment - Id string or { id, name } object
+ * @returns {Object|null} - Equipment with id and name, or null when none is set
+ */
+const normalizeEquipment = (equipment) => {
+  if (equipment === null || equipment === undefined || equipment === '') return null;
+  if (typeof equipment !== 'object') {
+    return { id: String(equipment), name: String(equipment) };
+  }
+  const id = equipment.id ?? equipment.name ?? null;
+  return { ...equipment, id: id === null ? null : String(id), name: equipment.name ?? id };
+};
+
+/**
+ * Squared distance between two [x, y, z] positions
+ * @param {Array<number>} a - First position
+ * @param {Array<number>} b - Second position
+ * @returns {number} - Squared distance
+ */
+const distanceSq = (a, b) => {
+  const dx = a[0] - b[0];
+  const dy = a[1] - b[1];
+  const dz = a[2] - b[2];
+  return dx * dx + dy * dy + dz * dz;
+};
+
+/**
+ * Calculate summary metrics for a mission
+ * @param {Object} mission - Mission saved with trajectoryToMissionData
+ * @returns {Object} - { waypointCount, imageCount, pathLength (m), flightTime (s), gsd (cm/px) }
+ */
+export const getMissionMetrics = (mission) => {
+  const waypoints = mission?.waypoints || [];
+  const params = mission?.params || {};
+
+  let pathLength = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    pathLength += Math.sqrt(distanceSq(waypoints[i - 1].position, waypoints[i].position)) * FEET_TO_METERS;
+  }
+
+  const hoverTime = waypoints.reduce((sum, wp) => sum + (wp.actions || [])
+    .filter(action => action.type === 'hover')
+    .reduce((total, action) => total + (action.value || 0), 0), 0);
+
+  const imageCount = params.capturePoints === false ? 0 : (mission?.capturePoints || []).length;
+
+  return {
+    waypointCount: waypoints.length,
+    imageCount,
+    pathLength,
+    flightTime: params.speed > 0 ? pathLength / params.speed + hoverTime : null,
+    gsd: calculateGSD(params.altitude, mission?.camera, mission?.lens)
+  };
+};
+
+/**
+ * Match waypoints between two missions by position
+ * Exact matches are paired first, then the nearest remaining waypoint within
+ * moveThreshold is treated as the same waypoint having moved
+ * @param {Array<Object>} before - Waypoints of the earlier mission
+ * @param {Array<Object>} after - Waypoints of the later mission
+ * @param {Object} options - { tolerance, moveThreshold } in local feet
+ * @returns {Object} - { added, removed, moved, unchanged }
+ */
+export const diffWaypoints = (before = [], after = [], options = {}) => {
+  const { tolerance = 0.01, moveThreshold = 10 } = options;
+  const cellSize = Math.max(moveThreshold, tolerance);
+  const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+  // Spatial hash of the earlier waypoints for neighbour lookups
+  const grid = new Map();
+  before.forEach((wp, index) => {
+    const [x, y, z] = wp.position.map(v => Math.floor(v / cellSize));
+    const key = cellKey(x, y, z);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(index);
+  });
+
+  const matchedBefore = new Set();
+  const pairs = new Array(after.length).fill(-1);
+
+  // Nearest unmatched earlier waypoint within maxDistance, preferring the same index
+  const findMatch = (wp, afterIndex, maxDistance) => {
+    const [cx, cy, cz] = wp.position.map(v => Math.floor(v / cellSize));
+    const maxSq = maxDistance * maxDistance;
+    let best = -1;
+    let bestSq = Infinity;
+
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const candidates = grid.get(cellKey(cx + dx, cy + dy, cz + dz));
+          if (!candidates) continue;
+
+          candidates.forEach(index => {
+            if (matchedBefore.has(index)) return;
+            const d = distanceSq(before[index].position, wp.position);
+            if (d > maxSq) return;
+            if (d < bestSq || (d === bestSq && index === afterIndex)) {
+              best = index;
+              bestSq = d;
+            }
+          });
+        }
+      }
+    }
+    return best;
+  };
+
+  [tolerance, moveThreshold].forEach(maxDistance => {
+    after.forEach((wp, afterIndex) => {
+      if (pairs[afterIndex] !== -1) return;
+      const match = findMatch(wp, afterIndex, maxDistance);
+      if (match !== -1) {
+        pairs[afterIndex] = match;
+        matchedBefore.add(match);
+      }
+    });
+  });
+
+  const added = [];
+  const moved = [];
+  let unchanged = 0;
+
+  pairs.forEach((beforeIndex, afterIndex) => {
+    if (beforeIndex === -1) {
+      added.push({ index: afterIndex, position: after[afterIndex].position });
+      return;
+    }
+
+    const distance = Math.sqrt(distanceSq(before[beforeIndex].position, after[afterIndex].position));
+    if (distance > tolerance) {
+      moved.push({
+        fromIndex: beforeIndex,
+        toIndex: afterIndex,
+        from: before[beforeIndex].position,
+        to: after[afterIndex].position,
+        distance
+      });
+    } else {
+      unchanged++;
+    }
+  });
+
+  const removed = before
+    .map((wp, index) => ({ index, position: wp.position }))
+    .filter(wp => !matchedBefore.has(wp.index));
+
+  return { added, removed, moved, unchanged };
+};
+
+/**
+ * List differences between two flat objects
+ * @param {Object} before - Earlier values
+ * @param {Object} after - Later values
+ * @returns {Array<Object>} - Changes as { key, before, after }
+ */
+const diffValues = (before = {}, after = {}) => {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...keys]
+    .filter(key => JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key]))
+    .map(key => ({ key, before: before?.[key], after: after?.[key] }));
+};
+
+/**
+ * Compare two missions or revision snapshots
+ * @param {Object} before - Earlier mission
+ * @param {Object} after - Later mission
+ * @param {Object} options - Waypoint matching options (see diffWaypoints)
+ * @returns {Object} - { waypoints, params, equipment, metrics, hasChanges }
+ */
+export const diffMissions = (before, after, options = {}) => {
+  const waypoints = diffWaypoints(before?.waypoints, after?.waypoints, options);
+  const params = diffValues(before?.params, after?.params);
+
+  // Compare equipment by identity so a camera swap reads as one change
+  const equipment = EQUIPMENT_FIELDS
+    .map(key => ({ key, before: normalizeEquipment(before?.[key]), after: normalizeEquipment(after?.[key]) }))
+    .filter(change => (change.before?.id ?? null) !== (change.after?.id ?? null));
+
+  // Anything else that changed, such as the name or mission type
+  const isOtherField = (mission, key) => (
+    !IGNORED_FIELDS.includes(key) && !EQUIPMENT_FIELDS.includes(key) && typeof mission[key] !== 'object'
+  );
+  const other = diffValues(
+    Object.fromEntries(Object.entries(before || {}).filter(([key]) => isOtherField(before, key))),
+    Object.fromEntries(Object.entries(after || {}).filter(([key]) => isOtherField(after, key)))
+  );
+
+  const beforeMetrics = getMissionMetrics(before);
+  const afterMetrics = getMissionMetrics(after);
+  const delta = (key) => (
+    typeof beforeMetrics[key] === 'number' && typeof afterMetrics[key] === 'number'
+      ? afterMetrics[key] - beforeMetrics[key]
+      : null
+  );
+
+  return {
+    waypoints,
+    params,
+    equipment,
+    other,
+    metrics: {
+      before: beforeMetrics,
+      after: afterMetrics,
+      delta: {
+        imageCount: delta('imageCount'),
+        flightTime: delta('flightTime'),
+        gsd: delta('gsd'),
+        pathLength: delta('pathLength')
+      }
+    },
+    hasChanges: waypoints.added.length > 0 || waypoints.removed.length > 0 || waypoints.moved.length > 0 ||
+      params.length > 0 || equipment.length > 0 || other.length > 0
+  };
+};
+
+/**
+ * Summarize a mission diff in one line for revision lists
+ * @param {Object} diff - Result of diffMissions
+ * @returns {string} - Human readable summary
+ */
+export const summarizeDiff = (diff) => {
+  if (!diff.hasChanges) return 'No changes';
+
+  const parts = [];
+  const { added, removed, moved } = diff.waypoints;
+  if (added.length || removed.length || moved.length) {
+    parts.push(`waypoints +${added.length}/-${removed.length}/~${moved.length}`);
+  }
+  if (diff.params.length) {
+    parts.push(`params: ${diff.params.map(change => change.key).join(', ')}`);
+  }
+  diff.equipment.forEach(change => {
+    parts.push(`${change.key}: ${change.before?.name || 'none'} → ${change.after?.name || 'none'}`);
+  });
+  diff.other.forEach(change => {
+    parts.push(`${change.key} changed`);
+  });
+
+  return parts.join('; ');
+};
+
+export default {
+  getMissionMetrics,
+  diffWaypoints,
+  diffMissions,
+  summarizeDiff
+};
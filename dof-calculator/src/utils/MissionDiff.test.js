@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { diffMissions, summarizeDiff } from './MissionDiff';
+
+const mission = (overrides = {}) => ({
+  id: 'm1',
+  name: 'Bridge Facade',
+  missionType: 'facade',
+  params: { altitude: 20 },
+  waypoints: [],
+  ...overrides
+});
+
+describe('MissionDiff', () => {
+  it('reports a swap between drones stored as id strings', () => {
+    const diff = diffMissions(mission({ drone: 'mavic3e' }), mission({ drone: 'm300' }));
+
+    expect(diff.hasChanges).toBe(true);
+    expect(diff.equipment).toEqual([{
+      key: 'drone',
+      before: { id: 'mavic3e', name: 'mavic3e' },
+      after: { id: 'm300', name: 'm300' }
+    }]);
+    expect(diff.other).toEqual([]);
+    expect(summarizeDiff(diff)).toBe('drone: mavic3e → m300');
+  });
+
+  it('treats an id string and an object with that id as the same equipment', () => {
+    const diff = diffMissions(
+      mission({ camera: 'p1' }),
+      mission({ camera: { id: 'p1', name: 'Zenmuse P1' } })
+    );
+    expect(diff.equipment).toEqual([]);
+    expect(diff.hasChanges).toBe(false);
+  });
+
+  it('reports added, removed and swapped equipment objects', () => {
+    const diff = diffMissions(
+      mission({ camera: { id: 'p1', name: 'Zenmuse P1' }, lens: { id: '103', name: 'DJI 24mm' } }),
+      mission({ camera: { id: 'h20', name: 'Zenmuse H20' }, drone: { id: 'm350', name: 'Matrice 350 RTK' } })
+    );
+    expect(diff.equipment.map(change => [change.key, change.before?.name ?? null, change.after?.name ?? null])).toEqual([
+      ['drone', null, 'Matrice 350 RTK'],
+      ['camera', 'Zenmuse P1', 'Zenmuse H20'],
+      ['lens', 'DJI 24mm', null]
+    ]);
+  });
+});
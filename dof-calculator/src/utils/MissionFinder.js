@@ -11,10 +11,20 @@ const missionFinder = getMissionFinder({
   maxMissions: 100
 });
 
+/**
+ * Save a mission to the mission library, recording a revision if it changed
+ * @param {Object} missionData - Mission from createMission/formatMissionData
+ * @param {Object} options - { note } describing the edit
+ * @returns {Promise<Object>} - The stored mission
+ */
+export const saveMission = (missionData, options) => {
+  return missionFinder.saveMission(missionData, options);
+};
+
 /**
  * Find missions based on criteria
- * @param {Object} criteria - Search criteria for finding missions
- * @returns {Array} - Array of found missions
+ * @param {Object} criteria - Search criteria (name, dateFrom, dateTo, drone, camera, missionType, bounds, limit)
+ * @returns {Promise<Array>} - Array of found missions
  */
 export const findMissions = (criteria = {}) => {
   return missionFinder.findMissions(criteria);
@@ -23,12 +33,49 @@ export const findMissions = (criteria = {}) => {
 /**
  * Load a specific mission by ID
  * @param {string} id - Mission ID to load
- * @returns {Object|null} - Mission data or null if not found
+ * @returns {Promise<Object|null>} - Mission data or null if not found
  */
 export const loadMission = (id) => {
   return missionFinder.loadMission(id);
 };
 
+/**
+ * Delete a mission from the mission library
+ * @param {string} id - Mission ID to delete
+ * @returns {Promise<boolean>} - True if a mission was deleted
+ */
+export const deleteMission = (id) => {
+  return missionFinder.deleteMission(id);
+};
+
+/**
+ * List the revisions of a mission
+ * @param {string} missionId - Mission ID
+ * @returns {Promise<Array>} - Revisions, oldest first
+ */
+export const listRevisions = (missionId) => {
+  return missionFinder.listRevisions(missionId);
+};
+
+/**
+ * Compare two mission revisions
+ * @param {string} fromRevisionId - Earlier revision ID
+ * @param {string} toRevisionId - Later revision ID
+ * @returns {Promise<Object>} - Structured diff
+ */
+export const diffRevisions = (fromRevisionId, toRevisionId) => {
+  return missionFinder.diffRevisions(fromRevisionId, toRevisionId);
+};
+
+/**
+ * Restore an earlier revision as the current mission
+ * @param {string} revisionId - Revision ID to restore
+ * @returns {Promise<Object>} - The restored mission
+ */
+export const restoreRevision = (revisionId) => {
+  return missionFinder.restoreRevision(revisionId);
+};
+
 /**
  * Get the mission finder configuration
  * @returns {Object} - Current configuration
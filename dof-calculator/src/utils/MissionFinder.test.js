@@ -0,0 +1,129 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import {
+  saveMission,
+  findMissions,
+  loadMission,
+  deleteMission,
+  listRevisions
+} from './MissionFinder';
+
+const MISSIONS = [
+  {
+    id: 'north-grid',
+    name: 'North Quarry Grid',
+    created: '2024-01-10T09:00:00Z',
+    drone: { id: 'm300', name: 'Matrice 300 RTK' },
+    camera: 'p1',
+    missionType: 'grid',
+    bounds: { minLat: 47.60, minLon: -122.36, maxLat: 47.62, maxLon: -122.34 }
+  },
+  {
+    id: 'bridge-facade',
+    name: 'Bridge Facade',
+    created: '2024-03-05T09:00:00Z',
+    drone: 'mavic3e',
+    camera: { id: 'h20', name: 'Zenmuse H20' },
+    missionType: 'facade',
+    bounds: { minLat: 47.70, minLon: -122.30, maxLat: 47.71, maxLon: -122.29 }
+  },
+  {
+    id: 'south-orbit',
+    name: 'South Quarry Orbit',
+    created: '2024-06-20T09:00:00Z',
+    drone: { id: 'm350', name: 'Matrice 350 RTK' },
+    camera: 'p1',
+    missionType: 'orbit'
+  }
+];
+
+const ids = (missions) => missions.map(mission => mission.id).sort();
+
+describe('MissionFinder', () => {
+  let logSpy;
+
+  beforeAll(async () => {
+    // The shared finder logs every operation
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+    for (const mission of MISSIONS) {
+      await saveMission(mission);
+    }
+  });
+
+  afterAll(async () => {
+    for (const mission of await findMissions()) {
+      await deleteMission(mission.id);
+    }
+    logSpy.mockRestore();
+  });
+
+  describe('findMissions', () => {
+    it('returns every mission without criteria', async () => {
+      expect(ids(await findMissions())).toEqual(['bridge-facade', 'north-grid', 'south-orbit']);
+    });
+
+    it('filters by a case-insensitive part of the name', async () => {
+      expect(ids(await findMissions({ name: 'quarry' }))).toEqual(['north-grid', 'south-orbit']);
+    });
+
+    it('filters by creation date range', async () => {
+      expect(ids(await findMissions({ dateFrom: '2024-02-01' }))).toEqual(['bridge-facade', 'south-orbit']);
+      expect(ids(await findMissions({ dateTo: new Date('2024-02-01') }))).toEqual(['north-grid']);
+      expect(ids(await findMissions({
+        dateFrom: Date.parse('2024-02-01'),
+        dateTo: Date.parse('2024-05-01')
+      }))).toEqual(['bridge-facade']);
+    });
+
+    it('filters by drone id or part of its name', async () => {
+      expect(ids(await findMissions({ drone: 'mavic3e' }))).toEqual(['bridge-facade']);
+      expect(ids(await findMissions({ drone: 'M300' }))).toEqual(['north-grid']);
+      expect(ids(await findMissions({ drone: 'matrice' }))).toEqual(['north-grid', 'south-orbit']);
+    });
+
+    it('filters by camera id or part of its name', async () => {
+      expect(ids(await findMissions({ camera: 'p1' }))).toEqual(['north-grid', 'south-orbit']);
+      expect(ids(await findMissions({ camera: 'zenmuse' }))).toEqual(['bridge-facade']);
+    });
+
+    it('filters by one or several mission types', async () => {
+      expect(ids(await findMissions({ missionType: 'orbit' }))).toEqual(['south-orbit']);
+      expect(ids(await findMissions({ missionType: ['grid', 'facade'] }))).toEqual(['bridge-facade', 'north-grid']);
+    });
+
+    it('keeps missions whose bounds intersect the search box', async () => {
+      expect(ids(await findMissions({
+        bounds: { minLat: 47.61, minLon: -122.35, maxLat: 47.65, maxLon: -122.30 }
+      }))).toEqual(['north-grid']);
+      expect(await findMissions({
+        bounds: { minLat: 10, minLon: 10, maxLat: 11, maxLon: 11 }
+      })).toEqual([]);
+    });
+
+    it('combines criteria and applies the limit', async () => {
+      expect(ids(await findMissions({ name: 'quarry', camera: 'p1', missionType: 'grid' }))).toEqual(['north-grid']);
+      expect(await findMissions({ limit: 2 })).toHaveLength(2);
+    });
+  });
+
+  describe('mission CRUD', () => {
+    it('saves, loads, updates with a revision and deletes a mission', async () => {
+      const saved = await saveMission({ id: 'crud', name: 'CRUD Mission', missionType: 'grid', waypoints: [] });
+      expect(saved.revision).toBe(1);
+
+      const loaded = await loadMission('crud');
+      expect(loaded.name).toBe('CRUD Mission');
+      expect(loaded.formatted).toBe(true);
+
+      const updated = await saveMission({ ...loaded, name: 'CRUD Mission v2' });
+      expect(updated.revision).toBe(2);
+      expect((await loadMission('crud')).name).toBe('CRUD Mission v2');
+      expect((await listRevisions('crud')).map(revision => revision.number)).toEqual([1, 2]);
+
+      expect(await deleteMission('crud')).toBe(true);
+      expect(await loadMission('crud')).toBeNull();
+      expect(await listRevisions('crud')).toEqual([]);
+      expect(await deleteMission('crud')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * MissionStore.js
+ * Promise-based IndexedDB storage for saved missions
+ * Used by the mission finder in PetroUtils
+ */
+
+export const MISSION_DB_NAME = 'dof-mission-library';
+export const MISSION_DB_VERSION = 2;
+export const MISSION_STORE = 'missions';
+export const REVISION_STORE = 'revisions';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - Request to wait for
+ * @returns {Promise<*>} - Resolves with the request result
+ */
+export const promisifyRequest = (request) => {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+/**
+ * Open the mission database, creating stores and indexes on first use
+ * @param {Object} options - { dbName, indexedDB }
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+export const openMissionDatabase = (options = {}) => {
+  const { dbName = MISSION_DB_NAME, indexedDB = globalThis.indexedDB } = options;
+
+  if (!indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available in this environment'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, MISSION_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(MISSION_STORE)) {
+        const store = db.createObjectStore(MISSION_STORE, { keyPath: 'id' });
+        store.createIndex('name', 'name', { unique: false });
+        store.createIndex('created', 'created', { unique: false });
+        store.createIndex('missionType', 'missionType', { unique: false });
+      }
+      // Added in version 2: one record per saved edit of a mission
+      if (!db.objectStoreNames.contains(REVISION_STORE)) {
+        const revisions = db.createObjectStore(REVISION_STORE, { keyPath: 'id' });
+        revisions.createIndex('missionId', 'missionId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Mission database is blocked by another open connection'));
+  });
+};
+
+/**
+ * Create a mission store bound to a lazily opened database
+ * @param {Object} options - { dbName, indexedDB }
+ * @returns {Object} - Store with mission get/getAll/put/delete/count/clear,
+ *                     revision getRevision/getRevisions/putRevision/deleteRevision/deleteRevisions and close
+ */
+export const createMissionStore = (options = {}) => {
+  let dbPromise = null;
+
+  const getDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = openMissionDatabase(options).catch(error => {
+        // Allow a later call to retry the open
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run a single request against one object store
+  const run = async (storeName, mode, operation) => {
+    const db = await getDatabase();
+    const transaction = db.transaction(storeName, mode);
+
+    // Writes only count once the transaction has committed
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+    // A failed request already rejects below; avoid a second unhandled rejection
+    completed.catch(() => {});
+
+    const result = await promisifyRequest(operation(transaction.objectStore(storeName)));
+    await completed;
+
+    return result;
+  };
+
+  return {
+    get: (id) => run(MISSION_STORE, 'readonly', store => store.get(id)).then(mission => mission || null),
+    getAll: () => run(MISSION_STORE, 'readonly', store => store.getAll()),
+    put: (mission) => run(MISSION_STORE, 'readwrite', store => store.put(mission)),
+    delete: (id) => run(MISSION_STORE, 'readwrite', store => store.delete(id)),
+    count: () => run(MISSION_STORE, 'readonly', store => store.count()),
+    clear: () => run(MISSION_STORE, 'readwrite', store => store.clear()),
+    getRevision: (id) => run(REVISION_STORE, 'readonly', store => store.get(id)).then(revision => revision || null),
+    getRevisions: (missionId) => run(REVISION_STORE, 'readonly', store => store.index('missionId').getAll(missionId)),
+    putRevision: (revision) => run(REVISION_STORE, 'readwrite', store => store.put(revision)),
+    deleteRevision: (id) => run(REVISION_STORE, 'readwrite', store => store.delete(id)),
+    deleteRevisions: async (missionId) => {
+      const keys = await run(REVISION_STORE, 'readonly', store => store.index('missionId').getAllKeys(missionId));
+      for (const key of keys) {
+        await run(REVISION_STORE, 'readwrite', store => store.delete(key));
+      }
+      return keys.length;
+    },
+    close: async () => {
+      if (!dbPromise) return;
+      const db = await dbPromise;
+      db.close();
+      dbPromise = null;
+    }
+  };
+};
+
+export default {
+  MISSION_DB_NAME,
+  MISSION_DB_VERSION,
+  MISSION_STORE,
+  REVISION_STORE,
+  promisifyRequest,
+  openMissionDatabase,
+  createMissionStore
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { createMissionStore, openMissionDatabase, MISSION_STORE, REVISION_STORE } from './MissionStore';
+
+const mission = (id, overrides = {}) => ({
+  id,
+  name: `Mission ${id}`,
+  missionType: 'grid',
+  created: new Date('2024-01-01T00:00:00Z'),
+  waypoints: [],
+  ...overrides
+});
+
+describe('MissionStore', () => {
+  let indexedDB;
+  let store;
+
+  beforeEach(() => {
+    // A fresh factory per test keeps every database empty
+    indexedDB = new IDBFactory();
+    store = createMissionStore({ indexedDB });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('creates the mission and revision stores with their indexes', async () => {
+    const db = await openMissionDatabase({ indexedDB });
+    expect([...db.objectStoreNames].sort()).toEqual([MISSION_STORE, REVISION_STORE]);
+
+    const transaction = db.transaction([MISSION_STORE, REVISION_STORE], 'readonly');
+    expect([...transaction.objectStore(MISSION_STORE).indexNames].sort()).toEqual(['created', 'missionType', 'name']);
+    expect([...transaction.objectStore(REVISION_STORE).indexNames]).toEqual(['missionId']);
+    db.close();
+  });
+
+  it('puts, gets, counts, updates, deletes and clears missions', async () => {
+    expect(await store.get('a')).toBeNull();
+    expect(await store.count()).toBe(0);
+
+    await store.put(mission('a'));
+    await store.put(mission('b'));
+    expect(await store.count()).toBe(2);
+    expect((await store.get('a')).name).toBe('Mission a');
+    expect((await store.getAll()).map(m => m.id).sort()).toEqual(['a', 'b']);
+
+    await store.put(mission('a', { name: 'Renamed' }));
+    expect(await store.count()).toBe(2);
+    expect((await store.get('a')).name).toBe('Renamed');
+
+    await store.delete('a');
+    expect(await store.get('a')).toBeNull();
+    expect(await store.count()).toBe(1);
+
+    await store.clear();
+    expect(await store.getAll()).toEqual([]);
+  });
+
+  it('stores revisions per mission and deletes them together', async () => {
+    await store.putRevision({ id: 'a:r1', missionId: 'a', number: 1, snapshot: mission('a') });
+    await store.putRevision({ id: 'a:r2', missionId: 'a', number: 2, snapshot: mission('a') });
+    await store.putRevision({ id: 'b:r1', missionId: 'b', number: 1, snapshot: mission('b') });
+
+    expect((await store.getRevisions('a')).map(r => r.id).sort()).toEqual(['a:r1', 'a:r2']);
+    expect((await store.getRevision('b:r1')).number).toBe(1);
+    expect(await store.getRevision('missing')).toBeNull();
+
+    await store.deleteRevision('a:r1');
+    expect((await store.getRevisions('a')).map(r => r.id)).toEqual(['a:r2']);
+
+    expect(await store.deleteRevisions('a')).toBe(1);
+    expect(await store.getRevisions('a')).toEqual([]);
+    expect(await store.getRevisions('b')).toHaveLength(1);
+  });
+
+  it('rejects when IndexedDB is not available', async () => {
+    await expect(openMissionDatabase({ indexedDB: null })).rejects.toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * ObliqueSurvey.js
+ * Five-direction photogrammetry: one nadir pass plus four oblique passes at a
+ * fixed gimbal tilt, offset so each oblique footprint lands on the survey area
+ */
+
+import * as THREE from 'three';
+
+// Oblique look directions relative to the grid, as angles from the grid's forward axis
+export const OBLIQUE_DIRECTIONS = [
+  { name: 'forward', angle: 0 },
+  { name: 'right', angle: -90 },
+  { name: 'backward', angle: 180 },
+  { name: 'left', angle: 90 }
+];
+
+// Per-pass flies five separate grids; combined takes all five views at every station
+export const OBLIQUE_ORDERINGS = ['perPass', 'combined'];
+
+/**
+ * Horizontal distance between the aircraft and the centre of an oblique footprint
+ * @param {number} height - Height above the ground
+ * @param {number} tilt - Camera tilt from nadir in degrees
+ * @returns {number} - Offset in the same units as height
+ */
+export const getObliqueOffset = (height, tilt) => {
+  return height * Math.tan(tilt * Math.PI / 180);
+};
+
+/**
+ * Unit look direction on the ground for an oblique pass
+ * @param {number} gridAngle - Grid rotation in degrees (forward is local +y at 0)
+ * @param {number} angle - Direction angle relative to the grid forward axis
+ * @returns {THREE.Vector3} - Horizontal unit vector
+ */
+const getLookDirection = (gridAngle, angle) => {
+  const rad = (gridAngle + angle) * Math.PI / 180;
+  return new THREE.Vector3(-Math.sin(rad), Math.cos(rad), 0);
+};
+
+/**
+ * Build a capture looking from a position at a ground target
+ * @param {THREE.Vector3} position - Camera position
+ * @param {THREE.Vector3} target - Ground point at the footprint centre
+ * @param {number} gimbalPitch - Pitch in degrees (-90 = nadir)
+ * @param {string} pass - Pass name
+ * @returns {Object} - Capture point
+ */
+const createCapture = (position, target, gimbalPitch, pass) => ({
+  position: position.clone(),
+  lookAt: target.clone(),
+  gimbalPitch,
+  pass
+});
+
+/**
+ * Generate nadir and oblique passes from a nadir grid
+ * Per-pass ordering shifts a copy of the grid back from each look direction so the
+ * footprint centres match the nadir ones. Combined ordering expects a grid that is
+ * already expanded by the oblique offset and turns the camera at each station
+ * @param {Array<THREE.Vector3>} gridWaypoints - Nadir lawnmower waypoints
+ * @param {Object} options - Pass options
+ * @param {number} options.tilt - Oblique tilt from nadir in degrees
+ * @param {number} options.gridAngle - Grid rotation in degrees
+ * @param {number} options.groundZ - Height of the ground plane
+ * @param {string} options.ordering - 'perPass' or 'combined'
+ * @returns {Object} - { waypoints, capturePoints, passes: [{ name, imageCount }] }
+ */
+export const generateObliquePasses = (gridWaypoints, options = {}) => {
+  const { tilt = 45, gridAngle = 0, groundZ = 0, ordering = 'perPass' } = options;
+  if (!(tilt > 0 && tilt < 90)) {
+    throw new Error('Oblique tilt must be between 0 and 90 degrees from nadir');
+  }
+  if (!OBLIQUE_ORDERINGS.includes(ordering)) {
+    throw new Error(`Unknown oblique ordering ${ordering}`);
+  }
+
+  const obliquePitch = tilt - 90;
+  const directions = OBLIQUE_DIRECTIONS.map(({ name, angle }) => ({
+    name,
+    vector: getLookDirection(gridAngle, angle)
+  }));
+
+  const waypoints = [];
+  const capturePoints = [];
+  const imageCounts = { nadir: 0 };
+  directions.forEach(({ name }) => { imageCounts[name] = 0; });
+
+  const add = (position, capture) => {
+    waypoints.push(position.clone());
+    capturePoints.push(capture);
+    imageCounts[capture.pass]++;
+  };
+
+  if (ordering === 'combined') {
+    gridWaypoints.forEach(point => {
+      const offset = getObliqueOffset(point.z - groundZ, tilt);
+      add(point, createCapture(point, new THREE.Vector3(point.x, point.y, groundZ), -90, 'nadir'));
+      directions.forEach(({ name, vector }) => {
+        const target = point.clone().addScaledVector(vector, offset).setZ(groundZ);
+        add(point, createCapture(point, target, obliquePitch, name));
+      });
+    });
+  } else {
+    gridWaypoints.forEach(point => {
+      add(point, createCapture(point, new THREE.Vector3(point.x, point.y, groundZ), -90, 'nadir'));
+    });
+
+    directions.forEach(({ name, vector }, index) => {
+      // Every other pass runs backwards so it starts near where the last one ended
+      const pass = index % 2 === 0 ? gridWaypoints.slice().reverse() : gridWaypoints;
+      pass.forEach(point => {
+        const offset = getObliqueOffset(point.z - groundZ, tilt);
+        const target = new THREE.Vector3(point.x, point.y, groundZ);
+        const position = point.clone().addScaledVector(vector, -offset);
+        add(position, createCapture(position, target, obliquePitch, name));
+      });
+    });
+  }
+
+  return {
+    waypoints,
+    capturePoints,
+    passes: Object.entries(imageCounts).map(([name, imageCount]) => ({ name, imageCount }))
+  };
+};
+
+export default {
+  OBLIQUE_DIRECTIONS,
+  OBLIQUE_ORDERINGS,
+  getObliqueOffset,
+  generateObliquePasses
+};
@@ -0,0 +1,117 @@
+/**
+ * OusterMetadata.js
+ * Parser for the metadata JSON an Ouster sensor writes alongside a PCAP recording
+ * Handles both the legacy flat layout and the nested layout used by FW 2.4+
+ */
+
+// Metadata udp_profile_lidar values mapped to the profiles the decoder understands
+const UDP_PROFILE_NAMES = {
+  LEGACY: 'legacy',
+  RNG19_RFL8_SIG16_NIR16: 'rng19'
+};
+
+/**
+ * Read a numeric array field, checking its length
+ * @param {*} value - Field value
+ * @param {number} length - Expected length
+ * @param {string} name - Field name for error messages
+ * @returns {Array<number>} - The validated array
+ */
+const readNumberArray = (value, length, name) => {
+  if (!Array.isArray(value) || value.length !== length || value.some(v => typeof v !== 'number' || !Number.isFinite(v))) {
+    throw new Error(`Sensor metadata field ${name} must be an array of ${length} numbers`);
+  }
+  return value;
+};
+
+/**
+ * Parse Ouster sensor metadata into the configuration used by OusterPcapProcessor
+ * @param {string|Object} metadata - Metadata JSON text or parsed object
+ * @returns {Object} - Sensor configuration with exact beam intrinsics
+ */
+export const parseOusterMetadata = (metadata) => {
+  const json = typeof metadata === 'string' ? JSON.parse(metadata) : metadata;
+  if (!json || typeof json !== 'object') {
+    throw new Error('Sensor metadata must be a JSON object');
+  }
+
+  // FW 2.4+ nests the same fields under these sections
+  const beamIntrinsics = json.beam_intrinsics || json;
+  const dataFormat = json.lidar_data_format || json.data_format || {};
+  const configParams = json.config_params || json;
+  const sensorInfo = json.sensor_info || json;
+  const lidarIntrinsics = json.lidar_intrinsics || json;
+  const imuIntrinsics = json.imu_intrinsics || json;
+
+  const altitudes = beamIntrinsics.beam_altitude_angles;
+  if (!Array.isArray(altitudes) || altitudes.length === 0) {
+    throw new Error('Sensor metadata has no beam_altitude_angles; is this an Ouster metadata file?');
+  }
+
+  const channels = dataFormat.pixels_per_column || altitudes.length;
+  const [modeColumns] = String(configParams.lidar_mode || json.lidar_mode || '').split('x').map(Number);
+  const horizontalResolution = dataFormat.columns_per_frame || modeColumns || 1024;
+
+  const profileName = dataFormat.udp_profile_lidar || configParams.udp_profile_lidar || 'LEGACY';
+  const udpProfile = UDP_PROFILE_NAMES[profileName];
+  if (!udpProfile) {
+    throw new Error(`Lidar UDP profile ${profileName} is not supported (use LEGACY or RNG19_RFL8_SIG16_NIR16)`);
+  }
+
+  // Newer metadata describes the beam offset as a transform instead of a distance
+  const beamToLidar = beamIntrinsics.beam_to_lidar_transform;
+  const lidarOriginToBeamOrigin = typeof beamIntrinsics.lidar_origin_to_beam_origin_mm === 'number'
+    ? beamIntrinsics.lidar_origin_to_beam_origin_mm
+    : (Array.isArray(beamToLidar) ? beamToLidar[3] : 0);
+
+  const lidarToSensorTransform = lidarIntrinsics.lidar_to_sensor_transform
+    ? readNumberArray(lidarIntrinsics.lidar_to_sensor_transform, 16, 'lidar_to_sensor_transform')
+    : null;
+  const imuToSensorTransform = imuIntrinsics.imu_to_sensor_transform
+    ? readNumberArray(imuIntrinsics.imu_to_sensor_transform, 16, 'imu_to_sensor_transform')
+    : null;
+
+  const prodLine = sensorInfo.prod_line || json.prod_line || null;
+  const verticalFOV = Math.max(...altitudes) - Math.min(...altitudes);
+
+  return {
+    channels,
+    horizontalResolution,
+    horizontalFOV: 360,
+    verticalFOV,
+    columnsPerPacket: dataFormat.columns_per_packet || 16,
+    columnWindow: dataFormat.column_window || [0, horizontalResolution - 1],
+    udpProfile,
+    lidarPort: configParams.udp_port_lidar || json.udp_port_lidar || null,
+    beamAltitudeAngles: readNumberArray(altitudes, channels, 'beam_altitude_angles'),
+    beamAzimuthAngles: readNumberArray(beamIntrinsics.beam_azimuth_angles, channels, 'beam_azimuth_angles'),
+    lidarOriginToBeamOrigin,
+    beamOriginZ: Array.isArray(beamToLidar) ? beamToLidar[11] : 0,
+    ...(lidarToSensorTransform ? { lidarToSensorTransform } : {}),
+    ...(imuToSensorTransform ? { imuToSensorTransform } : {}),
+    imuPort: configParams.udp_port_imu || json.udp_port_imu || null,
+    prodLine,
+    serialNumber: sensorInfo.prod_sn || json.prod_sn || null,
+    firmware: sensorInfo.build_rev || json.build_rev || null,
+    fromMetadata: true
+  };
+};
+
+/**
+ * Read and parse a metadata JSON file
+ * @param {File|Blob} file - Metadata file selected next to the PCAP
+ * @returns {Promise<Object>} - Sensor configuration
+ */
+export const loadOusterMetadata = async (file) => {
+  const text = await file.text();
+  try {
+    return parseOusterMetadata(text);
+  } catch (error) {
+    throw new Error(`Could not read sensor metadata ${file.name || ''}: ${error.message}`);
+  }
+};
+
+export default {
+  parseOusterMetadata,
+  loadOusterMetadata
+};
@@ -1,4 +1,185 @@
 import * as THREE from 'three';
+import { readPcapUdp } from './PcapReader';
+import { parseOusterMetadata } from './OusterMetadata';
+import {
+  createImuIntegrator,
+  integrateImu,
+  deskewPoints,
+  getFramePoses,
+  getReferencePose
+} from './LidarDeskew';
+
+// Ouster lidar UDP packet profiles
+export const UDP_PROFILES = {
+  LEGACY: 'legacy',
+  RNG19: 'rng19' // RNG19_RFL8_SIG16_NIR16 (single return)
+};
+
+// Byte sizes of the fixed parts of each packet profile
+const LEGACY_COLUMN_OVERHEAD = 20; // 16 byte column header + 4 byte status
+const RNG19_PACKET_OVERHEAD = 64; // 32 byte packet header + 32 byte footer
+const RNG19_COLUMN_HEADER = 12;
+const CHANNEL_BLOCK_SIZE = 12;
+const IMU_PACKET_SIZE = 48;
+
+// Ouster's default IMU to sensor transform (mm), used when no metadata is given
+const DEFAULT_IMU_TO_SENSOR = [1, 0, 0, 6.253, 0, 1, 0, -11.775, 0, 0, 1, 7.645, 0, 0, 0, 1];
+
+/**
+ * Read a nanosecond sensor timestamp as seconds since the first one seen
+ * Kept relative so PTP epoch timestamps do not lose precision as doubles
+ * @param {DataView} view - Packet view
+ * @param {number} offset - Byte offset of the 64-bit timestamp
+ * @param {Object} clock - { base } shared by every packet of a capture
+ * @returns {number} - Seconds since clock.base
+ */
+const readTimestamp = (view, offset, clock) => {
+  const ns = view.getBigUint64(offset, true);
+  if (clock.base === null) clock.base = ns;
+  return Number(ns - clock.base) / 1e9;
+};
+
+/**
+ * Decode an Ouster IMU packet
+ * @param {Uint8Array} payload - 48 byte UDP payload
+ * @param {Object} clock - Timestamp clock shared with the lidar packets
+ * @returns {Object} - { time (s), accel [x,y,z] (m/s²), gyro [x,y,z] (rad/s) } in the IMU frame
+ */
+export const decodeImuPacket = (payload, clock) => {
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const g = 9.80665;
+  const toRad = Math.PI / 180;
+  return {
+    time: readTimestamp(view, 16, clock), // gyro read time
+    accel: [0, 4, 8].map(offset => view.getFloat32(24 + offset, true) * g),
+    gyro: [0, 4, 8].map(offset => view.getFloat32(36 + offset, true) * toRad)
+  };
+};
+
+/**
+ * Work out the packet profile and columns per packet from a UDP payload size
+ * @param {number} size - Payload size in bytes
+ * @param {number} channels - Number of beams
+ * @param {string|null} profile - Known profile, or null to detect
+ * @returns {Object|null} - { profile, columns, columnSize } or null if the size does not match
+ */
+export const getPacketLayout = (size, channels, profile = null) => {
+  const legacyColumn = LEGACY_COLUMN_OVERHEAD + channels * CHANNEL_BLOCK_SIZE;
+  const rng19Column = RNG19_COLUMN_HEADER + channels * CHANNEL_BLOCK_SIZE;
+
+  if (profile !== UDP_PROFILES.RNG19 && size % legacyColumn === 0) {
+    return { profile: UDP_PROFILES.LEGACY, columns: size / legacyColumn, columnSize: legacyColumn };
+  }
+  if (profile !== UDP_PROFILES.LEGACY && size > RNG19_PACKET_OVERHEAD &&
+      (size - RNG19_PACKET_OVERHEAD) % rng19Column === 0) {
+    return { profile: UDP_PROFILES.RNG19, columns: (size - RNG19_PACKET_OVERHEAD) / rng19Column, columnSize: rng19Column };
+  }
+  return null;
+};
+
+/**
+ * UDP payload size of a lidar packet
+ * @param {string} profile - Packet profile from UDP_PROFILES
+ * @param {number} channels - Number of beams
+ * @param {number} columns - Columns per packet
+ * @returns {number} - Payload size in bytes
+ */
+export const getPacketSize = (profile, channels, columns) => {
+  return profile === UDP_PROFILES.LEGACY
+    ? columns * (LEGACY_COLUMN_OVERHEAD + channels * CHANNEL_BLOCK_SIZE)
+    : RNG19_PACKET_OVERHEAD + columns * (RNG19_COLUMN_HEADER + channels * CHANNEL_BLOCK_SIZE);
+};
+
+/**
+ * Decode one lidar packet into the point buffer
+ * Uses the Ouster sensor-frame projection: beams are offset from the lidar
+ * origin by lidarOriginToBeamOrigin and the result is moved into the sensor
+ * frame by the row-major lidarToSensorTransform (translation in mm)
+ * @param {Uint8Array} payload - UDP payload
+ * @param {Object} layout - Result of getPacketLayout
+ * @param {Object} config - Sensor configuration from getSensorConfig
+ * @param {Object} beams - Precomputed beam trigonometry
+ * @param {Object} points - Point buffer
+ * @param {Object} callbacks - { onFrameId(frameId) => boolean, keepFrame(columnTime) => boolean, clock }
+ */
+export const decodeLidarPacket = (payload, layout, config, beams, points, callbacks) => {
+  const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+  const legacy = layout.profile === UDP_PROFILES.LEGACY;
+  const channels = config.channels;
+  const width = config.horizontalResolution;
+  const beamOffset = config.lidarOriginToBeamOrigin; // mm
+  const beamZ = config.beamOriginZ || 0; // mm
+  const m = config.lidarToSensorTransform;
+
+  // RNG19 carries the frame id once per packet, legacy once per column
+  if (!legacy && !callbacks.onFrameId(view.getUint16(2, true))) return;
+
+  for (let column = 0; column < layout.columns; column++) {
+    const base = legacy ? column * layout.columnSize : 32 + column * layout.columnSize;
+    const measurementId = view.getUint16(base + 8, true);
+    const columnTime = readTimestamp(view, base, callbacks.clock);
+
+    if (legacy) {
+      if (!callbacks.onFrameId(view.getUint16(base + 10, true))) return;
+      const status = view.getUint32(base + 16 + channels * CHANNEL_BLOCK_SIZE, true);
+      if (status !== 0xFFFFFFFF) continue;
+    } else if ((view.getUint16(base + 10, true) & 0x1) === 0) {
+      continue;
+    }
+
+    if (!callbacks.keepFrame(columnTime)) continue;
+
+    const encoderAngle = 2 * Math.PI * (1 - measurementId / width);
+    const cosEncoder = Math.cos(encoderAngle);
+    const sinEncoder = Math.sin(encoderAngle);
+    const blockStart = base + (legacy ? 16 : RNG19_COLUMN_HEADER);
+
+    points.ensureCapacity(Math.min(points.limit, points.count + channels));
+
+    for (let beam = 0; beam < channels; beam++) {
+      if (points.count >= points.limit) return;
+
+      const offset = blockStart + beam * CHANNEL_BLOCK_SIZE;
+      const rangeMM = legacy
+        ? view.getUint32(offset, true) & 0xFFFFF
+        : view.getUint32(offset, true) & 0x7FFFF;
+      if (rangeMM === 0) continue;
+
+      const azimuth = encoderAngle + beams.azimuthOffset[beam];
+      const reach = (rangeMM - beamOffset) * beams.cosAltitude[beam];
+
+      const x = reach * Math.cos(azimuth) + beamOffset * cosEncoder;
+      const y = reach * Math.sin(azimuth) + beamOffset * sinEncoder;
+      const z = (rangeMM - beamOffset) * beams.sinAltitude[beam] + beamZ;
+
+      const i = points.count;
+      points.positions[i * 3] = (m[0] * x + m[1] * y + m[2] * z + m[3]) / 1000;
+      points.positions[i * 3 + 1] = (m[4] * x + m[5] * y + m[6] * z + m[7]) / 1000;
+      points.positions[i * 3 + 2] = (m[8] * x + m[9] * y + m[10] * z + m[11]) / 1000;
+      points.reflectivity[i] = legacy ? view.getUint16(offset + 4, true) : payload[offset + 4];
+      points.signal[i] = view.getUint16(offset + 6, true);
+      points.nir[i] = view.getUint16(offset + 8, true);
+      points.range[i] = rangeMM / 1000;
+      points.times[i] = columnTime;
+      points.count++;
+    }
+  }
+};
+
+/**
+ * Estimate a percentile of a large array from an evenly spaced sample
+ * @param {Float32Array} values - Values to sample
+ * @param {number} fraction - Percentile as a fraction (0.99 = 99th)
+ * @returns {number} - Estimated percentile value
+ */
+const percentile = (values, fraction) => {
+  if (values.length === 0) return 0;
+  const step = Math.max(1, Math.floor(values.length / 10000));
+  const sample = [];
+  for (let i = 0; i < values.length; i += step) sample.push(values[i]);
+  sample.sort((a, b) => a - b);
+  return sample[Math.min(sample.length - 1, Math.floor(sample.length * fraction))];
+};
 
 /**
  * OusterPcapProcessor - Utility for processing Ouster PCAP files
@@ -14,32 +195,490 @@ class OusterPcapProcessor {
       frameCount: 1, // How many frames to accumulate
       pointLimit: 2000000, // Maximum points to process
       skipFrames: 0, // Number of frames to skip at the beginning
+      udpProfile: 'auto', // 'auto', 'legacy' or 'rng19'
+      lidarPort: null, // Only read this UDP port (null = any port with lidar-sized packets)
+      colorMode: 'intensity', // 'intensity', 'reflectivity', 'nir' or 'range'
+      metadata: null, // Sensor metadata JSON (text or object) recorded with the PCAP
+      sensorConfig: null, // Overrides for getSensorConfig()
+      deskew: 'full', // IMU motion correction: 'none', 'rotation' or 'full'
+      imuPort: null, // Only read IMU packets from this UDP port (null = any 48 byte packet)
+      initialVelocity: [0, 0, 0], // Sensor velocity at the start of the capture (m/s), if known
+      useWorker: true, // Run the de-skew in PointCloudWorker when Web Workers are available
       ...options
     };
     
     this._workerInstance = null;
     this._abortController = null;
+    this._paused = false;
+    this._resumeStream = null;
   }
   
   /**
-   * Process a PCAP file and return a promise that resolves to point cloud geometry
+   * Process a PCAP file and return a promise that resolves to point cloud data
+   * Lidar packets are decoded column by column; frameCount, skipFrames,
+   * pointLimit and cancel() are honoured while the file streams in.
+   * With sensor metadata the packet size is checked against it and any
+   * disagreement is reported in metadata.warnings.
+   * IMU packets in the capture are integrated into a pose track which is used
+   * to de-skew every column into the sensor frame at the start of the first
+   * accumulated frame; the per-frame poses are returned as result.poses
    */
   async processFile(file, onProgress = () => {}) {
     console.log('OusterPcapProcessor: Processing file', file.name, 'with options:', this.options);
     
     // Create an abort controller for cancellation
     this._abortController = new AbortController();
+    this._startTime = Date.now();
     
     try {
-      // For now, generate sample data as a placeholder
-      // This will be replaced with actual PCAP parsing logic
-      return await this._generateSamplePointCloud(file, onProgress);
+      const config = this.getSensorConfig();
+      const beams = this._getBeamTables(config);
+      const points = this._createPointBuffer(this.options.pointLimit);
+      const { frameCount, skipFrames, lidarPort, imuPort, deskew } = this.options;
+      const clock = { base: null };
+      
+      const state = {
+        profile: this.options.udpProfile !== 'auto' ? this.options.udpProfile : (config.udpProfile || null),
+        frameId: null,
+        framesSeen: 0,
+        packets: 0,
+        skippedPackets: 0,
+        payloadSizes: new Set(),
+        columnMismatches: 0,
+        ports: new Set(),
+        imuSamples: [],
+        frames: [],
+        done: false
+      };
+      
+      // Returns false once enough frames have been read
+      const onFrameId = (frameId) => {
+        if (frameId !== state.frameId) {
+          state.frameId = frameId;
+          state.framesSeen++;
+          if (state.framesSeen > skipFrames + frameCount) {
+            state.done = true;
+          }
+        }
+        return !state.done;
+      };
+      
+      // Record when each accumulated frame starts
+      const keepFrame = (columnTime) => {
+        if (state.framesSeen <= skipFrames) return false;
+        const index = state.framesSeen - skipFrames - 1;
+        if (state.frames.length <= index) {
+          state.frames.push({ index, time: columnTime });
+        }
+        return true;
+      };
+      
+      await readPcapUdp(file, (datagram) => {
+        if (datagram.payload.length === IMU_PACKET_SIZE) {
+          if (deskew !== 'none' && (!imuPort || datagram.dstPort === imuPort)) {
+            state.imuSamples.push(decodeImuPacket(datagram.payload, clock));
+          }
+          return true;
+        }
+        if (lidarPort && datagram.dstPort !== lidarPort) return true;
+        
+        const layout = getPacketLayout(datagram.payload.length, config.channels, state.profile);
+        if (!layout) {
+          state.skippedPackets++;
+          if (state.payloadSizes.size < 8) state.payloadSizes.add(datagram.payload.length);
+          return true;
+        }
+        
+        state.profile = layout.profile;
+        state.packets++;
+        state.ports.add(datagram.dstPort);
+        if (config.fromMetadata && layout.columns !== config.columnsPerPacket) {
+          state.columnMismatches++;
+        }
+        decodeLidarPacket(datagram.payload, layout, config, beams, points, {
+          onFrameId,
+          // Only keep columns from frames inside the requested window
+          keepFrame,
+          clock
+        });
+        
+        if (points.count >= points.limit) state.done = true;
+        return !state.done;
+      }, {
+        signal: this._abortController.signal,
+        onProgress
+      });
+      
+      if (state.packets === 0) {
+        const sizes = [...state.payloadSizes].join(', ') || 'none';
+        if (config.fromMetadata) {
+          const expected = getPacketSize(config.udpProfile, config.channels, config.columnsPerPacket);
+          throw new Error(
+            `Sensor metadata expects ${expected} byte ${config.udpProfile} lidar packets ` +
+            `(${config.channels} beams, ${config.columnsPerPacket} columns) but the capture has ` +
+            `UDP payload sizes: ${sizes}. Check that the metadata belongs to this recording.`
+          );
+        }
+        throw new Error(
+          `No Ouster lidar packets found for ${this.options.sensorType} ` +
+          `(UDP payload sizes seen: ${sizes}). Check the sensor type and lidar port.`
+        );
+      }
+      
+      const warnings = [];
+      if (state.columnMismatches > 0) {
+        warnings.push(
+          `${state.columnMismatches} packets do not have the ${config.columnsPerPacket} columns ` +
+          'per packet given in the sensor metadata'
+        );
+      }
+      if (config.fromMetadata && config.lidarPort && !lidarPort && !state.ports.has(config.lidarPort)) {
+        warnings.push(
+          `Lidar packets arrived on port ${[...state.ports].join(', ')}, ` +
+          `not port ${config.lidarPort} from the sensor metadata`
+        );
+      }
+      
+      let poses = [];
+      let deskewApplied = false;
+      if (deskew !== 'none' && points.count > 0) {
+        if (state.imuSamples.length < 2) {
+          warnings.push('No IMU packets in the capture; frames were accumulated without motion correction');
+        } else {
+          const corrected = await this._deskew(points, state, config);
+          points.positions = corrected.positions;
+          poses = corrected.poses;
+          deskewApplied = true;
+        }
+      }
+      warnings.forEach(warning => console.warn('OusterPcapProcessor:', warning));
+      
+      return this._buildResult(points, poses, {
+        fileName: file.name,
+        profile: state.profile,
+        packetCount: state.packets,
+        skippedPackets: state.skippedPackets,
+        frameCount: Math.max(0, Math.min(state.framesSeen, skipFrames + frameCount) - skipFrames),
+        calibration: config.fromMetadata ? 'metadata' : 'table',
+        serialNumber: config.serialNumber || null,
+        deskew: deskewApplied ? deskew : 'none',
+        imuSamples: state.imuSamples.length,
+        warnings
+      });
     } catch (error) {
       console.error('OusterPcapProcessor: Error processing file', error);
       throw error;
     }
   }
   
+  /**
+   * Stream a PCAP file as per-frame chunks instead of one accumulated result
+   * Peak memory is one read chunk plus the frames waiting for IMU coverage,
+   * so captures of any length can be shown while they decode. Chunks are
+   * de-skewed into the sensor frame at the start of the first kept frame.
+   * @param {File|Blob} file - The capture
+   * @param {Object} handlers - Stream handlers
+   * @param {Function} handlers.onChunk - Called with { index, positions, colors, intensity, count, frames, poses };
+   *                                      may return a promise to hold back reading until it resolves
+   * @param {Function} handlers.onProgress - Called with { processed, total } in bytes
+   * @param {number} handlers.chunkPoints - Maximum points per chunk
+   * @returns {Promise<Object>} - Summary metadata once the capture has been read
+   */
+  async streamFile(file, handlers = {}) {
+    const { onChunk = () => {}, onProgress = () => {}, chunkPoints = 262144 } = handlers;
+    
+    this._abortController = new AbortController();
+    this._startTime = Date.now();
+    const signal = this._abortController.signal;
+    
+    try {
+      const config = this.getSensorConfig();
+      const beams = this._getBeamTables(config);
+      const { frameCount, skipFrames, pointLimit, lidarPort, imuPort, deskew } = this.options;
+      const clock = { base: null };
+      const integrator = deskew === 'none' ? null : createImuIntegrator({
+        mode: deskew,
+        imuToSensorTransform: config.imuToSensorTransform,
+        initialVelocity: this.options.initialVelocity
+      });
+      
+      const state = {
+        profile: this.options.udpProfile !== 'auto' ? this.options.udpProfile : (config.udpProfile || null),
+        frameId: null,
+        framesSeen: 0,
+        packets: 0,
+        skippedPackets: 0,
+        payloadSizes: new Set(),
+        imuSamples: 0,
+        pointCount: 0,
+        chunkCount: 0,
+        lastFrame: -1,
+        deskewed: 0,
+        origin: null,
+        scales: null,
+        done: false
+      };
+      
+      // One buffer reused for every chunk; flush() can run mid-packet from onFrameId
+      const points = this._createPointBuffer(Math.min(chunkPoints, pointLimit));
+      let frames = []; // Frames starting in the current buffer
+      const pending = []; // Decoded chunks waiting for IMU data to cover them
+      const ready = []; // Finished chunks waiting to be handed to onChunk
+      
+      // Colorize and de-skew a decoded chunk
+      const finish = (chunk) => {
+        let poses = [];
+        const track = integrator?.track;
+        if (track && track.times.length > 0) {
+          if (!state.origin) {
+            const time = chunk.frames.length > 0 ? chunk.frames[0].time : chunk.times[0];
+            state.origin = { time, pose: getReferencePose(track, time) };
+          }
+          deskewPoints(chunk.positions, chunk.times, track, state.origin.pose);
+          poses = getFramePoses(track, chunk.frames, state.origin);
+          integrator.trim(chunk.times[chunk.times.length - 1]);
+          state.deskewed++;
+        }
+        
+        const { colors, intensity, scales } = this._colorize(chunk.channels, state.scales);
+        state.scales = scales;
+        
+        return {
+          index: state.chunkCount++,
+          positions: chunk.positions,
+          colors,
+          intensity,
+          count: chunk.times.length,
+          frames: chunk.frames.map(frame => frame.index),
+          poses
+        };
+      };
+      
+      // Move chunks on once IMU samples reach past their last column,
+      // or when IMU data lags so far behind that waiting would grow memory
+      const release = (force = false) => {
+        while (pending.length > 0) {
+          const chunk = pending[0];
+          const lastTime = chunk.times[chunk.times.length - 1];
+          if (!force && integrator && integrator.latestTime < lastTime && pending.length <= 4) break;
+          ready.push(finish(pending.shift()));
+        }
+      };
+      
+      const flush = () => {
+        if (points.count === 0) return;
+        const count = points.count;
+        pending.push({
+          positions: points.positions.slice(0, count * 3),
+          times: points.times.slice(0, count),
+          channels: {
+            intensity: points.signal.slice(0, count),
+            reflectivity: points.reflectivity.slice(0, count),
+            nir: points.nir.slice(0, count),
+            range: points.range.slice(0, count)
+          },
+          frames
+        });
+        state.pointCount += count;
+        frames = [];
+        points.count = 0;
+        points.limit = Math.max(0, Math.min(chunkPoints, pointLimit - state.pointCount));
+        if (points.limit === 0) state.done = true;
+        release();
+      };
+      
+      // Hand finished chunks to onChunk, holding back while paused
+      const deliver = async () => {
+        while (ready.length > 0 || this._paused) {
+          while (this._paused && !signal.aborted) {
+            await new Promise(resolve => { this._resumeStream = resolve; });
+          }
+          if (signal.aborted) {
+            throw new Error('Processing cancelled');
+          }
+          if (ready.length === 0) break;
+          await onChunk(ready.shift());
+        }
+      };
+      
+      const onFrameId = (frameId) => {
+        if (frameId !== state.frameId) {
+          // Each frame starts a new chunk
+          flush();
+          state.frameId = frameId;
+          state.framesSeen++;
+          if (state.framesSeen > skipFrames + frameCount) {
+            state.done = true;
+          }
+        }
+        return !state.done;
+      };
+      
+      const keepFrame = (columnTime) => {
+        if (state.framesSeen <= skipFrames) return false;
+        const index = state.framesSeen - skipFrames - 1;
+        if (index !== state.lastFrame) {
+          state.lastFrame = index;
+          frames.push({ index, time: columnTime });
+        }
+        return true;
+      };
+      
+      await readPcapUdp(file, (datagram) => {
+        if (datagram.payload.length === IMU_PACKET_SIZE) {
+          if (integrator && (!imuPort || datagram.dstPort === imuPort)) {
+            integrator.push(decodeImuPacket(datagram.payload, clock));
+            state.imuSamples++;
+            release();
+          }
+          return true;
+        }
+        if (lidarPort && datagram.dstPort !== lidarPort) return true;
+        
+        const layout = getPacketLayout(datagram.payload.length, config.channels, state.profile);
+        if (!layout) {
+          state.skippedPackets++;
+          if (state.payloadSizes.size < 8) state.payloadSizes.add(datagram.payload.length);
+          return true;
+        }
+        
+        state.profile = layout.profile;
+        state.packets++;
+        
+        // Start a new chunk rather than cut a packet short
+        if (points.count > 0 && points.count + layout.columns * config.channels > points.limit) {
+          flush();
+        }
+        decodeLidarPacket(datagram.payload, layout, config, beams, points, { onFrameId, keepFrame, clock });
+        
+        if (points.count >= points.limit) flush();
+        return !state.done;
+      }, {
+        signal,
+        onProgress,
+        // Hand over finished chunks before reading more
+        beforeChunk: deliver
+      });
+      
+      flush();
+      integrator?.flush();
+      release(true);
+      await deliver();
+      
+      if (state.packets === 0) {
+        const sizes = [...state.payloadSizes].join(', ') || 'none';
+        throw new Error(
+          `No Ouster lidar packets found for ${this.options.sensorType} ` +
+          `(UDP payload sizes seen: ${sizes}). Check the sensor type and lidar port.`
+        );
+      }
+      
+      const warnings = [];
+      if (integrator && state.imuSamples < 2) {
+        warnings.push('No IMU packets in the capture; frames were streamed without motion correction');
+      }
+      
+      return {
+        fileName: file.name,
+        profile: state.profile,
+        packetCount: state.packets,
+        skippedPackets: state.skippedPackets,
+        frameCount: Math.max(0, Math.min(state.framesSeen, skipFrames + frameCount) - skipFrames),
+        chunkCount: state.chunkCount,
+        pointCount: state.pointCount,
+        calibration: config.fromMetadata ? 'metadata' : 'table',
+        deskew: state.deskewed > 0 ? deskew : 'none',
+        imuSamples: state.imuSamples,
+        sensorType: config.prodLine || this.options.sensorType,
+        processingTime: Date.now() - this._startTime,
+        warnings
+      };
+    } catch (error) {
+      console.error('OusterPcapProcessor: Error streaming file', error);
+      throw error;
+    } finally {
+      this._paused = false;
+      this._resumeStream = null;
+    }
+  }
+  
+  /**
+   * Pause a streamFile call before its next chunk is delivered
+   */
+  pause() {
+    this._paused = true;
+  }
+  
+  /**
+   * Resume a paused streamFile call
+   */
+  resume() {
+    this._paused = false;
+    if (this._resumeStream) {
+      this._resumeStream();
+      this._resumeStream = null;
+    }
+  }
+  
+  /**
+   * Integrate the IMU samples and de-skew the decoded points
+   * Runs in PointCloudWorker when possible, otherwise on this thread
+   * @returns {Promise<Object>} - { positions, poses }
+   */
+  async _deskew(points, state, config) {
+    const data = {
+      positions: points.positions.slice(0, points.count * 3),
+      times: points.times.slice(0, points.count),
+      imuSamples: state.imuSamples,
+      frames: state.frames,
+      referenceTime: state.frames.length > 0 ? state.frames[0].time : points.times[0],
+      options: {
+        mode: this.options.deskew,
+        imuToSensorTransform: config.imuToSensorTransform,
+        initialVelocity: this.options.initialVelocity
+      }
+    };
+    
+    if (!this.options.useWorker || typeof Worker === 'undefined') {
+      const track = integrateImu(data.imuSamples, data.options);
+      return {
+        positions: deskewPoints(data.positions, data.times, track, data.referenceTime),
+        poses: getFramePoses(track, data.frames)
+      };
+    }
+    
+    const signal = this._abortController?.signal;
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('./PointCloudWorker.js', import.meta.url), { type: 'module' });
+      this._workerInstance = worker;
+      
+      const finish = () => {
+        worker.terminate();
+        if (this._workerInstance === worker) this._workerInstance = null;
+      };
+      signal?.addEventListener('abort', () => {
+        finish();
+        reject(new Error('Processing cancelled'));
+      });
+      
+      worker.onmessage = (e) => {
+        if (e.data.error) {
+          finish();
+          reject(new Error(`De-skew failed: ${e.data.error}`));
+        } else if (e.data.type === 'complete') {
+          finish();
+          resolve({ positions: e.data.positions, poses: e.data.poses });
+        }
+      };
+      worker.onerror = (error) => {
+        finish();
+        reject(new Error(`De-skew worker failed: ${error.message}`));
+      };
+      
+      worker.postMessage({ type: 'deskew', data }, [data.positions.buffer, data.times.buffer]);
+    });
+  }
+  
   /**
    * Cancel any in-progress processing
    */
@@ -51,6 +690,9 @@ class OusterPcapProcessor {
       this._abortController = null;
     }
     
+    // Wake a paused stream so it sees the abort
+    this.resume();
+    
     if (this._workerInstance) {
       this._workerInstance.terminate();
       this._workerInstance = null;
@@ -58,84 +700,136 @@ class OusterPcapProcessor {
   }
   
   /**
-   * Placeholder method for generating sample point cloud data
-   * In a real implementation, this would be replaced with actual PCAP parsing
+   * Precompute per-beam trigonometry from the sensor configuration
    */
-  async _generateSamplePointCloud(file, onProgress) {
-    const totalPoints = 10000; // Sample size
-    const positions = new Float32Array(totalPoints * 3);
-    const colors = new Float32Array(totalPoints * 3);
-    const intensity = new Float32Array(totalPoints);
-    
-    // Create a deterministic "random" pattern based on file name
-    const seed = file.name.split('').reduce((a, b) => a + b.charCodeAt(0), 0);
-    const random = (min, max) => {
-      const x = Math.sin(seed++) * 10000;
-      return min + (x - Math.floor(x)) * (max - min);
+  _getBeamTables(config) {
+    const toRad = Math.PI / 180;
+    return {
+      cosAltitude: Float64Array.from(config.beamAltitudeAngles, a => Math.cos(a * toRad)),
+      sinAltitude: Float64Array.from(config.beamAltitudeAngles, a => Math.sin(a * toRad)),
+      // Ouster azimuth offsets are measured in the opposite direction to the encoder angle
+      azimuthOffset: Float64Array.from(config.beamAzimuthAngles, a => -a * toRad)
+    };
+  }
+  
+  /**
+   * Create growable typed arrays for decoded points
+   */
+  _createPointBuffer(limit) {
+    const buffer = {
+      limit,
+      count: 0,
+      capacity: 0,
+      positions: new Float32Array(0),
+      signal: new Float32Array(0),
+      reflectivity: new Float32Array(0),
+      nir: new Float32Array(0),
+      range: new Float32Array(0),
+      times: new Float64Array(0)
     };
     
-    // Simulate a LiDAR scan pattern with points in a roughly spherical pattern
-    // Distribute points in a donut shape to simulate a LiDAR scan
-    for (let i = 0; i < totalPoints; i++) {
-      // Simulate progress updates
-      if (i % 1000 === 0) {
-        onProgress({ processed: i, total: totalPoints });
-        // Small delay to avoid blocking the UI
-        await new Promise(resolve => setTimeout(resolve, 0));
-        
-        // Check if processing was cancelled
-        if (this._abortController?.signal.aborted) {
-          throw new Error('Processing cancelled');
-        }
-      }
-      
-      // Generate point position using spherical coordinates
-      const radius = 2 + random(-0.5, 0.5);  // Distance from origin
-      const theta = random(0, Math.PI * 2);  // Horizontal angle (0 to 2π)
-      const phi = random(Math.PI * 0.3, Math.PI * 0.7);  // Vertical angle (π/3 to 2π/3 for donut shape)
-      
-      // Convert spherical to cartesian coordinates
-      const x = radius * Math.sin(phi) * Math.cos(theta);
-      const y = radius * Math.cos(phi);
-      const z = radius * Math.sin(phi) * Math.sin(theta);
-      
-      // Set position
-      positions[i * 3] = x;
-      positions[i * 3 + 1] = y;
-      positions[i * 3 + 2] = z;
-      
-      // Generate color based on distance and angle
-      const normalizedDistance = (radius - 1.5) / 1.0;  // Normalize to 0-1 range
-      const normalizedAngle = theta / (Math.PI * 2);    // Normalize to 0-1 range
-      
-      // Color gradient based on distance and angle
-      colors[i * 3] = 0.2 + normalizedDistance * 0.8;  // Red increases with distance
-      colors[i * 3 + 1] = 0.2 + normalizedAngle * 0.8; // Green varies with angle
-      colors[i * 3 + 2] = 0.8 - normalizedDistance * 0.6; // Blue decreases with distance
-      
-      // Simulate intensity values
-      intensity[i] = 0.3 + normalizedDistance * 0.7; // Intensity increases with distance
-    }
+    buffer.ensureCapacity = (needed) => {
+      if (needed <= buffer.capacity) return;
+      const capacity = Math.min(buffer.limit, Math.max(needed, buffer.capacity * 2, 65536));
+      const grow = (array, stride) => {
+        const next = new array.constructor(capacity * stride);
+        next.set(array.subarray(0, buffer.count * stride));
+        return next;
+      };
+      buffer.positions = grow(buffer.positions, 3);
+      buffer.signal = grow(buffer.signal, 1);
+      buffer.reflectivity = grow(buffer.reflectivity, 1);
+      buffer.nir = grow(buffer.nir, 1);
+      buffer.range = grow(buffer.range, 1);
+      buffer.times = grow(buffer.times, 1);
+      buffer.capacity = capacity;
+    };
+    
+    return buffer;
+  }
+  
+  /**
+   * Trim the point buffer and derive colors for the selected color mode
+   */
+  _buildResult(points, poses, metadata) {
+    const count = points.count;
+    const positions = points.positions.slice(0, count * 3);
+    const signal = points.signal.slice(0, count);
+    const reflectivity = points.reflectivity.slice(0, count);
+    const nir = points.nir.slice(0, count);
+    const range = points.range.slice(0, count);
+    
+    const { colors, intensity } = this._colorize({ intensity: signal, reflectivity, nir, range });
     
-    // Create a serializable object with the point cloud data
-    // This simulates the format we would get from a real PCAP processor
     return {
-      positions: Array.from(positions),
-      colors: Array.from(colors),
-      intensity: Array.from(intensity),
+      positions,
+      colors,
+      intensity,
+      reflectivity,
+      nir,
+      range,
+      poses,
       metadata: {
-        frameCount: this.options.frameCount,
-        sensorType: this.options.sensorType,
-        pointCount: totalPoints,
-        processingTime: Date.now() - (this._startTime || Date.now()),
-        fileName: file.name
+        ...metadata,
+        sensorType: this._sensorConfig?.prodLine || this.options.sensorType,
+        pointCount: count,
+        processingTime: Date.now() - (this._startTime || Date.now())
       }
     };
   }
   
+  /**
+   * Derive grey-scale colors and normalised intensity from the lidar channels
+   * Pass the scales of an earlier chunk to keep streamed chunks consistent
+   * @returns {Object} - { colors, intensity, scales }
+   */
+  _colorize(channels, scales = null) {
+    const signal = channels.intensity;
+    const source = channels[this.options.colorMode] || signal;
+    const count = signal.length;
+    
+    // Normalise against the 99th percentile so a few specular returns do not wash out the scan
+    const colorScale = scales ? scales.color : (percentile(source, 0.99) || 1);
+    const signalScale = scales ? scales.signal : (source === signal ? colorScale : (percentile(signal, 0.99) || 1));
+    const intensity = new Float32Array(count);
+    const colors = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const value = Math.min(1, source[i] / colorScale);
+      intensity[i] = Math.min(1, signal[i] / signalScale);
+      colors[i * 3] = value;
+      colors[i * 3 + 1] = value;
+      colors[i * 3 + 2] = value;
+    }
+    
+    return { colors, intensity, scales: { color: colorScale, signal: signalScale } };
+  }
+  
+  /**
+   * Convert processed point cloud data to a Three.js BufferGeometry
+   */
+  toBufferGeometry(pcapData) {
+    const geometry = this._convertToBufferGeometry(pcapData);
+    geometry.userData.poseTrack = pcapData.poses || [];
+    return geometry;
+  }
+  
+  /**
+   * Serialize processed point cloud data for PointCloudLoader
+   * Load the blob's object URL with metadata { fileType: 'pcap' }
+   */
+  toPointCloudBlob(pcapData) {
+    const json = JSON.stringify({
+      positions: Array.from(pcapData.positions),
+      colors: Array.from(pcapData.colors),
+      intensity: Array.from(pcapData.intensity),
+      poses: pcapData.poses || [],
+      metadata: pcapData.metadata
+    });
+    return new Blob([json], { type: 'application/json' });
+  }
+  
   /**
    * Helper method to convert raw PCAP data to Three.js BufferGeometry
-   * This would be used in a real implementation with actual LiDAR data
    */
   _convertToBufferGeometry(pcapData) {
     // Create a new BufferGeometry
@@ -153,11 +847,12 @@ class OusterPcapProcessor {
       geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
     }
     
-    // Set intensity attribute if available
-    if (pcapData.intensity) {
-      const intensity = new Float32Array(pcapData.intensity);
-      geometry.setAttribute('intensity', new THREE.BufferAttribute(intensity, 1));
-    }
+    // Set per-point lidar channels if available
+    ['intensity', 'reflectivity', 'nir'].forEach(name => {
+      if (pcapData[name]) {
+        geometry.setAttribute(name, new THREE.BufferAttribute(new Float32Array(pcapData[name]), 1));
+      }
+    });
     
     // Compute bounding box and sphere
     geometry.computeBoundingBox();
@@ -167,7 +862,10 @@ class OusterPcapProcessor {
   }
   
   /**
-   * Get sensor-specific configuration based on the selected sensor type
+   * Get sensor-specific configuration
+   * Uses the beam intrinsics from options.metadata when given; otherwise the
+   * selected sensor type's table entry, with beam altitude angles spread evenly
+   * over the vertical FOV unless options.sensorConfig provides calibrated values
    */
   getSensorConfig() {
     // Default configuration
@@ -177,35 +875,55 @@ class OusterPcapProcessor {
       horizontalFOV: 360, // degrees
       verticalFOV: 45, // degrees
       range: 120, // meters
+      lidarOriginToBeamOrigin: 15.806, // mm
+      lidarToSensorZ: 36.18, // mm
     };
     
+    // Optical offsets shared by each sensor family
+    const os0 = { horizontalFOV: 360, verticalFOV: 90, range: 50, lidarOriginToBeamOrigin: 27.67, lidarToSensorZ: 36.18 };
+    const os1 = { horizontalFOV: 360, verticalFOV: 45, range: 120, lidarOriginToBeamOrigin: 15.806, lidarToSensorZ: 36.18 };
+    
     // Sensor-specific configurations
     const sensorConfigs = {
-      'OS0-128': {
-        channels: 128,
-        horizontalResolution: 1024,
-        horizontalFOV: 360,
-        verticalFOV: 90,
-        range: 50,
-      },
-      'OS1-64': {
-        channels: 64,
-        horizontalResolution: 1024,
-        horizontalFOV: 360,
-        verticalFOV: 45,
-        range: 120,
-      },
-      'OS1-16': {
-        channels: 16,
-        horizontalResolution: 1024,
-        horizontalFOV: 360,
-        verticalFOV: 33.2,
-        range: 120,
-      },
+      'OS0-32': { ...os0, channels: 32, horizontalResolution: 1024 },
+      'OS0-64': { ...os0, channels: 64, horizontalResolution: 1024 },
+      'OS0-128': { ...os0, channels: 128, horizontalResolution: 1024 },
+      'OS1-16': { ...os1, channels: 16, horizontalResolution: 1024, verticalFOV: 33.2 },
+      'OS1-32': { ...os1, channels: 32, horizontalResolution: 1024 },
+      'OS1-64': { ...os1, channels: 64, horizontalResolution: 1024 },
+      'OS1-128': { ...os1, channels: 128, horizontalResolution: 1024 },
     };
     
-    return sensorConfigs[this.options.sensorType] || defaultConfig;
+    const { metadata } = this.options;
+    const base = metadata
+      ? (metadata.fromMetadata ? metadata : parseOusterMetadata(metadata))
+      : (sensorConfigs[this.options.sensorType] || defaultConfig);
+    
+    const config = {
+      ...base,
+      ...(this.options.sensorConfig || {})
+    };
+    
+    // Table entries only know the vertical lidar-to-sensor offset
+    if (!config.lidarToSensorTransform) {
+      config.lidarToSensorTransform = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, config.lidarToSensorZ || 0, 0, 0, 0, 1];
+    }
+    if (!config.imuToSensorTransform) {
+      config.imuToSensorTransform = DEFAULT_IMU_TO_SENSOR;
+    }
+    
+    // Evenly spaced beams from the top of the FOV down, no azimuth stagger
+    if (!config.beamAltitudeAngles) {
+      const step = config.channels > 1 ? config.verticalFOV / (config.channels - 1) : 0;
+      config.beamAltitudeAngles = Array.from({ length: config.channels }, (_, i) => config.verticalFOV / 2 - i * step);
+    }
+    if (!config.beamAzimuthAngles) {
+      config.beamAzimuthAngles = new Array(config.channels).fill(0);
+    }
+    
+    this._sensorConfig = config;
+    return config;
   }
 }
 
-export default OusterPcapProcessor; 
\ No newline at end of file
+export default OusterPcapProcessor;
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import OusterPcapProcessor, { decodeLidarPacket, getPacketLayout, UDP_PROFILES } from './OusterPcapProcessor';
+import { readPcapUdp } from './PcapReader';
+
+// Fixtures come from scripts/make-ouster-pcap-fixtures.js: three frames (ids 4200-4202)
+// of two 16 column packets; the last column of each packet is invalid and every
+// fourth beam has no return, leaving 15 * 12 points per packet
+const FRAME_IDS = [4200, 4201, 4202];
+const POINTS_PER_FRAME = 2 * 15 * 12;
+
+const FIXTURES = [
+  ['legacy', 'ouster-os1-16-legacy.pcap', UDP_PROFILES.LEGACY],
+  ['RNG19', 'ouster-os1-16-rng19.pcap', UDP_PROFILES.RNG19]
+];
+
+const readFixture = (name) => new File([fs.readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url))], name);
+
+const createProcessor = (options = {}) => new OusterPcapProcessor({
+  sensorType: 'OS1-16',
+  deskew: 'none',
+  useWorker: false,
+  ...options
+});
+
+describe('OusterPcapProcessor', () => {
+  let logSpy;
+
+  beforeAll(() => {
+    logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    logSpy.mockRestore();
+  });
+
+  describe.each(FIXTURES)('%s capture', (label, fileName, profile) => {
+    it('decodes the frame id of every packet', async () => {
+      const processor = createProcessor();
+      const config = processor.getSensorConfig();
+      const beams = processor._getBeamTables(config);
+      const points = processor._createPointBuffer(Infinity);
+      const frameIds = [];
+
+      await readPcapUdp(readFixture(fileName), (datagram) => {
+        const layout = getPacketLayout(datagram.payload.length, config.channels);
+        if (!layout) return;
+        expect(layout).toMatchObject({ profile, columns: 16 });
+        decodeLidarPacket(datagram.payload, layout, config, beams, points, {
+          onFrameId: (frameId) => {
+            if (frameIds[frameIds.length - 1] !== frameId) frameIds.push(frameId);
+            return true;
+          },
+          keepFrame: () => true,
+          clock: { base: null }
+        });
+      });
+
+      expect(frameIds).toEqual(FRAME_IDS);
+      expect(points.count).toBe(FRAME_IDS.length * POINTS_PER_FRAME);
+    });
+
+    it('accumulates every frame of the capture', async () => {
+      const result = await createProcessor({ frameCount: 3 }).processFile(readFixture(fileName));
+
+      expect(result.metadata).toMatchObject({
+        profile,
+        packetCount: 6,
+        skippedPackets: 1,
+        frameCount: 3,
+        pointCount: FRAME_IDS.length * POINTS_PER_FRAME,
+        deskew: 'none'
+      });
+      expect(result.positions).toHaveLength(FRAME_IDS.length * POINTS_PER_FRAME * 3);
+      expect(result.colors).toHaveLength(FRAME_IDS.length * POINTS_PER_FRAME * 3);
+      expect(result.range[0]).toBeCloseTo(5.0, 3);
+    });
+
+    it('honours skipFrames and frameCount', async () => {
+      const result = await createProcessor({ skipFrames: 1, frameCount: 1 }).processFile(readFixture(fileName));
+
+      expect(result.metadata.frameCount).toBe(1);
+      expect(result.metadata.pointCount).toBe(POINTS_PER_FRAME);
+    });
+
+    it('honours pointLimit', async () => {
+      const result = await createProcessor({ frameCount: 3, pointLimit: 500 }).processFile(readFixture(fileName));
+      expect(result.metadata.pointCount).toBe(500);
+    });
+
+    it('streams one chunk per frame', async () => {
+      const chunks = [];
+      const summary = await createProcessor({ frameCount: 3 }).streamFile(readFixture(fileName), {
+        onChunk: (chunk) => { chunks.push({ count: chunk.count, frames: chunk.frames }); }
+      });
+
+      expect(chunks).toEqual(FRAME_IDS.map((_, index) => ({ count: POINTS_PER_FRAME, frames: [index] })));
+      expect(summary).toMatchObject({ profile, frameCount: 3, chunkCount: 3, pointCount: FRAME_IDS.length * POINTS_PER_FRAME });
+    });
+  });
+
+  it('reports the payload sizes when no packet matches the sensor', async () => {
+    const processor = createProcessor({ sensorType: 'OS1-64' });
+    const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(processor.processFile(readFixture('ouster-os1-16-legacy.pcap')))
+      .rejects.toThrow('No Ouster lidar packets found for OS1-64');
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * PcapReader.js
+ * Streaming reader for libpcap capture files
+ * Walks link-layer/IPv4/UDP frames and hands UDP payloads to a callback,
+ * reassembling fragmented IPv4 datagrams (Ouster lidar packets exceed a 1500 byte MTU)
+ */
+
+// libpcap link-layer header types we can decode
+export const LINK_TYPES = {
+  NULL: 0,
+  ETHERNET: 1,
+  RAW: 101,
+  LINUX_SLL: 113,
+  IPV4: 228,
+  LINUX_SLL2: 276
+};
+
+const ETHERTYPE_IPV4 = 0x0800;
+const ETHERTYPE_VLAN = 0x8100;
+const ETHERTYPE_QINQ = 0x88A8;
+const IP_PROTOCOL_UDP = 17;
+
+const GLOBAL_HEADER_SIZE = 24;
+const RECORD_HEADER_SIZE = 16;
+
+// Incomplete fragment sets kept before the oldest is dropped
+const MAX_PENDING_FRAGMENTS = 64;
+
+/**
+ * Parse the 24-byte pcap global header
+ * @param {DataView} view - View over at least the first 24 bytes of the file
+ * @returns {Object} - { littleEndian, nanosecond, linkType, snapLength, version }
+ */
+export const parsePcapHeader = (view) => {
+  if (view.byteLength < GLOBAL_HEADER_SIZE) {
+    throw new Error('File is too small to be a PCAP capture');
+  }
+
+  const magicLE = view.getUint32(0, true);
+  const magicBE = view.getUint32(0, false);
+  let littleEndian;
+  let nanosecond;
+
+  if (magicLE === 0xA1B2C3D4 || magicLE === 0xA1B23C4D) {
+    littleEndian = true;
+    nanosecond = magicLE === 0xA1B23C4D;
+  } else if (magicBE === 0xA1B2C3D4 || magicBE === 0xA1B23C4D) {
+    littleEndian = false;
+    nanosecond = magicBE === 0xA1B23C4D;
+  } else if (magicLE === 0x0A0D0D0A) {
+    throw new Error('PCAPNG captures are not supported, save the capture as libpcap (.pcap) instead');
+  } else {
+    throw new Error('Not a PCAP file (unrecognised magic number)');
+  }
+
+  return {
+    littleEndian,
+    nanosecond,
+    version: `${view.getUint16(4, littleEndian)}.${view.getUint16(6, littleEndian)}`,
+    snapLength: view.getUint32(16, littleEndian),
+    linkType: view.getUint32(20, littleEndian) & 0x0FFFFFFF
+  };
+};
+
+/**
+ * Locate the IPv4 header inside a captured frame
+ * @param {Uint8Array} frame - Captured frame bytes
+ * @param {number} linkType - Link-layer header type from the global header
+ * @returns {number} - Offset of the IPv4 header, or -1 if the frame is not IPv4
+ */
+const findIpv4Offset = (frame, linkType) => {
+  const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+
+  switch (linkType) {
+    case LINK_TYPES.ETHERNET: {
+      if (frame.length < 14) return -1;
+      let offset = 12;
+      let etherType = view.getUint16(offset, false);
+      // Skip 802.1Q / 802.1ad VLAN tags
+      while ((etherType === ETHERTYPE_VLAN || etherType === ETHERTYPE_QINQ) && offset + 6 <= frame.length) {
+        offset += 4;
+        etherType = view.getUint16(offset, false);
+      }
+      return etherType === ETHERTYPE_IPV4 ? offset + 2 : -1;
+    }
+    case LINK_TYPES.LINUX_SLL:
+      return frame.length >= 16 && view.getUint16(14, false) === ETHERTYPE_IPV4 ? 16 : -1;
+    case LINK_TYPES.LINUX_SLL2:
+      return frame.length >= 20 && view.getUint16(0, false) === ETHERTYPE_IPV4 ? 20 : -1;
+    case LINK_TYPES.NULL: {
+      if (frame.length < 4) return -1;
+      // Address family is in host byte order; AF_INET is 2 everywhere
+      const family = view.getUint32(0, true) === 2 || view.getUint32(0, false) === 2;
+      return family ? 4 : -1;
+    }
+    case LINK_TYPES.RAW:
+    case LINK_TYPES.IPV4:
+      return frame.length > 0 && (frame[0] >> 4) === 4 ? 0 : -1;
+    default:
+      return -1;
+  }
+};
+
+/**
+ * Format a 32-bit IPv4 address
+ * @param {number} value - Address as an unsigned integer
+ * @returns {string} - Dotted quad
+ */
+const formatIpv4 = (value) => {
+  return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xFF).join('.');
+};
+
+/**
+ * Create a stateful decoder that turns captured frames into UDP datagrams
+ * @param {number} linkType - Link-layer header type from the global header
+ * @returns {Function} - (frame) => { srcAddress, dstAddress, srcPort, dstPort, payload } or null
+ */
+export const createUdpDecoder = (linkType) => {
+  const pending = new Map();
+
+  // Collect a fragment; returns the full IP payload once every fragment has arrived
+  const addFragment = (key, fragmentOffset, moreFragments, data) => {
+    let entry = pending.get(key);
+    if (!entry) {
+      if (pending.size >= MAX_PENDING_FRAGMENTS) {
+        pending.delete(pending.keys().next().value);
+      }
+      entry = { parts: [], totalLength: null };
+      pending.set(key, entry);
+    }
+
+    entry.parts.push({ offset: fragmentOffset, data });
+    if (!moreFragments) entry.totalLength = fragmentOffset + data.length;
+    if (entry.totalLength === null) return null;
+
+    const received = entry.parts.reduce((sum, part) => sum + part.data.length, 0);
+    if (received < entry.totalLength) return null;
+
+    const payload = new Uint8Array(entry.totalLength);
+    entry.parts.forEach(part => payload.set(part.data.subarray(0, entry.totalLength - part.offset), part.offset));
+    pending.delete(key);
+    return payload;
+  };
+
+  return (frame) => {
+    const ipOffset = findIpv4Offset(frame, linkType);
+    if (ipOffset < 0 || frame.length < ipOffset + 20) return null;
+
+    const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+    const headerLength = (frame[ipOffset] & 0x0F) * 4;
+    const totalLength = view.getUint16(ipOffset + 2, false);
+    const identification = view.getUint16(ipOffset + 4, false);
+    const flagsAndOffset = view.getUint16(ipOffset + 6, false);
+    const protocol = frame[ipOffset + 9];
+    const src = view.getUint32(ipOffset + 12, false);
+    const dst = view.getUint32(ipOffset + 16, false);
+
+    if (protocol !== IP_PROTOCOL_UDP || headerLength < 20) return null;
+
+    // Bound by the IP length so Ethernet padding/FCS is not treated as payload
+    const end = Math.min(frame.length, ipOffset + totalLength);
+    let ipPayload = frame.subarray(ipOffset + headerLength, end);
+
+    const moreFragments = (flagsAndOffset & 0x2000) !== 0;
+    const fragmentOffset = (flagsAndOffset & 0x1FFF) * 8;
+    if (moreFragments || fragmentOffset > 0) {
+      // Copy: the frame buffer is reused for the next chunk
+      ipPayload = addFragment(`${src}-${dst}-${identification}`, fragmentOffset, moreFragments, ipPayload.slice());
+      if (!ipPayload) return null;
+    }
+
+    if (ipPayload.length < 8) return null;
+    const udp = new DataView(ipPayload.buffer, ipPayload.byteOffset, ipPayload.byteLength);
+    const udpLength = udp.getUint16(4, false);
+
+    return {
+      srcAddress: formatIpv4(src),
+      dstAddress: formatIpv4(dst),
+      srcPort: udp.getUint16(0, false),
+      dstPort: udp.getUint16(2, false),
+      payload: ipPayload.subarray(8, Math.min(ipPayload.length, udpLength >= 8 ? udpLength : ipPayload.length))
+    };
+  };
+};
+
+/**
+ * Read a byte range from a Blob, ArrayBuffer or Uint8Array
+ * @param {Blob|ArrayBuffer|Uint8Array} source - Capture data
+ * @param {number} start - Start offset
+ * @param {number} end - End offset (exclusive)
+ * @returns {Promise<Uint8Array>} - Bytes in the range
+ */
+const readRange = async (source, start, end) => {
+  if (source instanceof Uint8Array) return source.subarray(start, end);
+  if (source instanceof ArrayBuffer) return new Uint8Array(source, start, end - start);
+  return new Uint8Array(await source.slice(start, end).arrayBuffer());
+};
+
+/**
+ * Stream every UDP datagram in a pcap capture to a callback
+ * The file is read in chunks so multi-gigabyte captures do not need to fit in memory
+ * @param {Blob|ArrayBuffer|Uint8Array} source - Capture data (a File from an input works)
+ * @param {Function} onPacket - Called with { timestamp, srcAddress, dstAddress, srcPort, dstPort, payload };
+ *                              return false to stop reading. The payload view is only valid during the call.
+ * @param {Object} options - Read options
+ * @param {number} options.chunkSize - Bytes read per chunk
+ * @param {AbortSignal} options.signal - Abort signal checked between chunks
+ * @param {Function} options.onProgress - Called with { processed, total } in bytes
+ * @param {Function} options.beforeChunk - Awaited before each chunk is read; lets a caller pause
+ *                                         reading or drain its own output first
+ * @returns {Promise<Object>} - { header, frames, datagrams, bytesRead, stopped }
+ */
+export const readPcapUdp = async (source, onPacket, options = {}) => {
+  const { chunkSize = 8 * 1024 * 1024, signal, onProgress = () => {}, beforeChunk = null } = options;
+  const total = source.size ?? source.byteLength;
+
+  const headerBytes = await readRange(source, 0, Math.min(total, GLOBAL_HEADER_SIZE));
+  const header = parsePcapHeader(new DataView(headerBytes.buffer, headerBytes.byteOffset, headerBytes.byteLength));
+  if (!Object.values(LINK_TYPES).includes(header.linkType)) {
+    throw new Error(`Unsupported PCAP link type ${header.linkType}`);
+  }
+
+  const decodeUdp = createUdpDecoder(header.linkType);
+
+  let position = GLOBAL_HEADER_SIZE;
+  let leftover = new Uint8Array(0);
+  let frames = 0;
+  let datagrams = 0;
+  let stopped = false;
+
+  while (position < total && !stopped) {
+    if (beforeChunk) {
+      await beforeChunk();
+    }
+    if (signal?.aborted) {
+      throw new Error('Processing cancelled');
+    }
+
+    const chunk = await readRange(source, position, Math.min(total, position + chunkSize));
+    position += chunk.length;
+
+    // Prepend the partial record left over from the previous chunk
+    let buffer = chunk;
+    if (leftover.length > 0) {
+      buffer = new Uint8Array(leftover.length + chunk.length);
+      buffer.set(leftover, 0);
+      buffer.set(chunk, leftover.length);
+    }
+
+    const view = new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let offset = 0;
+
+    while (offset + RECORD_HEADER_SIZE <= buffer.length) {
+      const seconds = view.getUint32(offset, header.littleEndian);
+      const fraction = view.getUint32(offset + 4, header.littleEndian);
+      const capturedLength = view.getUint32(offset + 8, header.littleEndian);
+
+      if (capturedLength > Math.max(header.snapLength, 262144)) {
+        throw new Error(`Corrupt PCAP record at byte ${position - buffer.length + offset}`);
+      }
+      if (offset + RECORD_HEADER_SIZE + capturedLength > buffer.length) break;
+
+      const frame = buffer.subarray(offset + RECORD_HEADER_SIZE, offset + RECORD_HEADER_SIZE + capturedLength);
+      offset += RECORD_HEADER_SIZE + capturedLength;
+      frames++;
+
+      const datagram = decodeUdp(frame);
+      if (!datagram) continue;
+
+      datagrams++;
+      datagram.timestamp = seconds + fraction / (header.nanosecond ? 1e9 : 1e6);
+      if (onPacket(datagram) === false) {
+        stopped = true;
+        break;
+      }
+    }
+
+    leftover = buffer.slice(offset);
+    onProgress({ processed: position, total });
+
+    // Let the UI breathe between chunks
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  return { header, frames, datagrams, bytesRead: position, stopped };
+};
+
+export default {
+  LINK_TYPES,
+  parsePcapHeader,
+  createUdpDecoder,
+  readPcapUdp
+};
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import { readPcapUdp, parsePcapHeader, LINK_TYPES } from './PcapReader';
+
+// Fixtures come from scripts/make-ouster-pcap-fixtures.js: one 100 byte datagram
+// on port 9999, then six OS1-16 lidar packets on port 7502, each split into
+// three IPv4 fragments
+const readFixture = (name) => fs.readFileSync(new URL(`./__fixtures__/${name}`, import.meta.url));
+
+describe('PcapReader', () => {
+  it('parses the global header', () => {
+    const bytes = readFixture('ouster-os1-16-legacy.pcap');
+    const header = parsePcapHeader(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    expect(header).toMatchObject({ littleEndian: true, nanosecond: false, version: '2.4', linkType: LINK_TYPES.ETHERNET });
+  });
+
+  it.each([
+    ['ouster-os1-16-legacy.pcap', 16 * (20 + 16 * 12)],
+    ['ouster-os1-16-rng19.pcap', 64 + 16 * (12 + 16 * 12)]
+  ])('reassembles the fragmented lidar datagrams in %s', async (name, lidarSize) => {
+    const datagrams = [];
+    const result = await readPcapUdp(readFixture(name), (datagram) => {
+      datagrams.push({ dstPort: datagram.dstPort, size: datagram.payload.length, timestamp: datagram.timestamp });
+    }, { chunkSize: 4096 });
+
+    expect(result.frames).toBe(19);
+    expect(result.datagrams).toBe(7);
+    expect(result.stopped).toBe(false);
+    expect(datagrams[0]).toMatchObject({ dstPort: 9999, size: 100 });
+    expect(datagrams.slice(1).map(d => d.dstPort)).toEqual(new Array(6).fill(7502));
+    expect(datagrams.slice(1).map(d => d.size)).toEqual(new Array(6).fill(lidarSize));
+    expect(datagrams[0].timestamp).toBe(1700000000);
+  });
+
+  it('stops when the callback returns false', async () => {
+    const result = await readPcapUdp(readFixture('ouster-os1-16-legacy.pcap'), () => false);
+    expect(result.datagrams).toBe(1);
+    expect(result.stopped).toBe(true);
+  });
+
+  it('rejects files that are not pcap captures', () => {
+    expect(() => parsePcapHeader(new DataView(new ArrayBuffer(24)))).toThrow('Not a PCAP file');
+  });
+});
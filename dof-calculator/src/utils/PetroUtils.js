@@ -1,9 +1,11 @@
 /**
- * PetroUtils.js - Stub implementation for compatibility
- * This file provides backward compatibility with older imports
+ * PetroUtils.js - Compatibility layer for older imports
+ * Provides the mission library (getMissionFinder) and mission helpers
  */
 
 import * as THREE from 'three';
+import { createMissionStore, MISSION_DB_NAME } from './MissionStore';
+import { diffMissions, summarizeDiff } from './MissionDiff';
 
 // Add missing PetroesultRenderer export that's causing the error
 export const PetroesultRenderer = {
@@ -20,33 +22,229 @@ export const PetroesultRenderer = {
 };
 
 /**
- * Create a mock mission finder factory function
+ * Check whether a stored drone/camera reference matches a search value
+ * References may be an id string or an object with id and name
+ * @param {string|Object} reference - Stored reference
+ * @param {string} query - Id or partial name to match
+ * @returns {boolean} - True if the reference matches
+ */
+const matchesReference = (reference, query) => {
+  if (!reference) return false;
+  const needle = String(query).toLowerCase();
+  const { id, name } = typeof reference === 'string' ? { id: reference, name: reference } : reference;
+  return String(id).toLowerCase() === needle || String(name || '').toLowerCase().includes(needle);
+};
+
+/**
+ * Check whether a mission matches every provided search criterion
+ * @param {Object} mission - Stored mission
+ * @param {Object} criteria - Search criteria (see findMissions)
+ * @returns {boolean} - True if the mission matches
+ */
+const matchesCriteria = (mission, criteria) => {
+  const { name, dateFrom, dateTo, drone, camera, missionType, bounds } = criteria;
+
+  if (name && !String(mission.name || '').toLowerCase().includes(String(name).toLowerCase())) {
+    return false;
+  }
+
+  const created = new Date(mission.created).getTime();
+  if (dateFrom !== undefined && dateFrom !== null && created < new Date(dateFrom).getTime()) return false;
+  if (dateTo !== undefined && dateTo !== null && created > new Date(dateTo).getTime()) return false;
+
+  if (drone && !matchesReference(mission.drone, drone)) return false;
+  if (camera && !matchesReference(mission.camera, camera)) return false;
+
+  if (missionType) {
+    const types = Array.isArray(missionType) ? missionType : [missionType];
+    if (!types.includes(mission.missionType)) return false;
+  }
+
+  // Keep missions whose bounds intersect the search box
+  if (bounds) {
+    const b = mission.bounds;
+    if (!b) return false;
+    if (b.maxLat < bounds.minLat || b.minLat > bounds.maxLat ||
+        b.maxLon < bounds.minLon || b.minLon > bounds.maxLon) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Create a mission finder backed by an IndexedDB mission library
  * @param {Object} options - Configuration options for the mission finder
+ * @param {boolean} options.enableLogging - Log library operations to the console
+ * @param {number} options.maxMissions - Maximum number of missions kept in the library
+ * @param {number} options.maxRevisions - Maximum number of revisions kept per mission
+ * @param {string} options.dbName - IndexedDB database name
+ * @param {IDBFactory} options.indexedDB - IndexedDB implementation (defaults to the browser's)
  * @returns {Object} - Mission finder object with utility methods
  */
 export const getMissionFinder = (options = {}) => {
-  console.log('Using stub MissionFinder implementation with options:', options);
-  
-  // Create a basic implementation that won't crash the app
+  let config = {
+    enableLogging: false,
+    maxMissions: 100,
+    maxRevisions: 50,
+    dbName: MISSION_DB_NAME,
+    ...options
+  };
+  let store = createMissionStore({ dbName: config.dbName, indexedDB: config.indexedDB });
+
+  const log = (...args) => {
+    if (config.enableLogging) console.log(...args);
+  };
+
+  /**
+   * Save a mission to the library, replacing any mission with the same id
+   * Every save that changes the plan is also recorded as a revision
+   * @param {Object} missionData - Mission from createMission/formatMissionData
+   * @param {Object} saveOptions - { note } describing the edit
+   * @returns {Promise<Object>} - The stored mission
+   */
+  const saveMission = async (missionData = {}, saveOptions = {}) => {
+    const mission = formatMissionData(createMission(missionData));
+    const existing = await store.get(mission.id);
+
+    if (!existing) {
+      const count = await store.count();
+      if (count >= config.maxMissions) {
+        throw new Error(`Mission library is full (${config.maxMissions} missions). Delete a mission before saving a new one.`);
+      }
+    }
+
+    const revisions = (await store.getRevisions(mission.id)).sort((a, b) => a.number - b.number);
+    const latest = revisions[revisions.length - 1];
+    const diff = latest ? diffMissions(latest.snapshot, mission) : null;
+
+    // Saving an unchanged plan should not create a revision or touch the timestamps
+    if (existing && diff && !diff.hasChanges) {
+      log('MissionFinder.saveMission skipped unchanged mission:', mission.id);
+      return existing;
+    }
+
+    const number = latest ? latest.number + 1 : 1;
+    mission.created = existing ? existing.created : new Date(mission.created || Date.now());
+    mission.modified = new Date();
+    mission.revision = number;
+
+    await store.put(mission);
+    await store.putRevision({
+      id: `${mission.id}:r${number}`,
+      missionId: mission.id,
+      number,
+      created: mission.modified,
+      note: saveOptions.note || (diff ? summarizeDiff(diff) : 'Created'),
+      snapshot: mission
+    });
+
+    // Keep only the newest maxRevisions revisions
+    const excess = revisions.length + 1 - config.maxRevisions;
+    for (let i = 0; i < excess; i++) {
+      await store.deleteRevision(revisions[i].id);
+    }
+
+    log('MissionFinder.saveMission stored mission:', mission.id, 'revision', number);
+    return mission;
+  };
+
   return {
+    saveMission,
+
     /**
      * Find missions based on specified criteria
      * @param {Object} criteria - Search criteria
-     * @returns {Array} - Found missions
+     * @param {string} criteria.name - Case-insensitive part of the mission name
+     * @param {Date|string|number} criteria.dateFrom - Earliest creation date
+     * @param {Date|string|number} criteria.dateTo - Latest creation date
+     * @param {string} criteria.drone - Drone id or part of its name
+     * @param {string} criteria.camera - Camera id or part of its name
+     * @param {string|Array<string>} criteria.missionType - Mission type(s) to include
+     * @param {Object} criteria.bounds - { minLat, minLon, maxLat, maxLon } the mission must intersect
+     * @param {number} criteria.limit - Maximum number of results
+     * @returns {Promise<Array>} - Found missions, most recently modified first
      */
-    findMissions: (criteria = {}) => {
-      console.log('MissionFinder.findMissions called with criteria:', criteria);
-      return []; // Return empty array of missions
+    findMissions: async (criteria = {}) => {
+      const missions = await store.getAll();
+      const results = missions
+        .filter(mission => matchesCriteria(mission, criteria))
+        .sort((a, b) => new Date(b.modified).getTime() - new Date(a.modified).getTime());
+
+      log('MissionFinder.findMissions matched', results.length, 'of', missions.length, 'missions');
+      return criteria.limit ? results.slice(0, criteria.limit) : results;
     },
     
     /**
      * Load a specific mission by ID
      * @param {string} id - Mission ID
-     * @returns {Object|null} - Mission data or null if not found
+     * @returns {Promise<Object|null>} - Mission data or null if not found
      */
-    loadMission: (id) => {
-      console.log('MissionFinder.loadMission called with id:', id);
-      return null; // Return null for any mission ID
+    loadMission: async (id) => {
+      const mission = await store.get(id);
+      log('MissionFinder.loadMission', id, mission ? 'found' : 'not found');
+      return mission ? formatMissionData(mission) : null;
+    },
+
+    /**
+     * Delete a mission from the library
+     * @param {string} id - Mission ID
+     * @returns {Promise<boolean>} - True if a mission was deleted
+     */
+    deleteMission: async (id) => {
+      const existing = await store.get(id);
+      if (!existing) return false;
+
+      await store.delete(id);
+      await store.deleteRevisions(id);
+      log('MissionFinder.deleteMission removed mission:', id);
+      return true;
+    },
+
+    /**
+     * List the saved revisions of a mission
+     * @param {string} missionId - Mission ID
+     * @returns {Promise<Array>} - Revisions, oldest first
+     */
+    listRevisions: async (missionId) => {
+      const revisions = await store.getRevisions(missionId);
+      return revisions.sort((a, b) => a.number - b.number);
+    },
+
+    /**
+     * Load a single revision
+     * @param {string} revisionId - Revision ID
+     * @returns {Promise<Object|null>} - Revision with its mission snapshot, or null if not found
+     */
+    loadRevision: (revisionId) => store.getRevision(revisionId),
+
+    /**
+     * Compare two revisions
+     * @param {string} fromRevisionId - Earlier revision ID
+     * @param {string} toRevisionId - Later revision ID
+     * @returns {Promise<Object>} - Structured diff from diffMissions
+     */
+    diffRevisions: async (fromRevisionId, toRevisionId) => {
+      const [from, to] = await Promise.all([store.getRevision(fromRevisionId), store.getRevision(toRevisionId)]);
+      if (!from || !to) {
+        throw new Error(`Revision not found: ${!from ? fromRevisionId : toRevisionId}`);
+      }
+      return diffMissions(from.snapshot, to.snapshot);
+    },
+
+    /**
+     * Make an earlier revision the current mission
+     * The restore is itself recorded as a new revision so it can be undone
+     * @param {string} revisionId - Revision ID to restore
+     * @returns {Promise<Object>} - The restored mission
+     */
+    restoreRevision: async (revisionId) => {
+      const revision = await store.getRevision(revisionId);
+      if (!revision) {
+        throw new Error(`Revision not found: ${revisionId}`);
+      }
+      return saveMission(revision.snapshot, { note: `Restored revision ${revision.number}` });
     },
     
     /**
@@ -54,10 +252,10 @@ export const getMissionFinder = (options = {}) => {
      * @returns {Object} - Current configuration
      */
     getConfig: () => {
-      return { 
-        ...options,
-        isStubImplementation: true
-      };
+      // The IndexedDB factory is an implementation detail, not configuration
+      const publicConfig = { ...config };
+      delete publicConfig.indexedDB;
+      return publicConfig;
     },
     
     /**
@@ -65,8 +263,16 @@ export const getMissionFinder = (options = {}) => {
      * @param {Object} newConfig - New configuration options
      */
     updateConfig: (newConfig = {}) => {
-      console.log('MissionFinder.updateConfig called with:', newConfig);
-      // Config update would happen here in real implementation
+      const previous = config;
+      config = { ...config, ...newConfig };
+
+      // Switching databases needs a fresh connection
+      if (config.dbName !== previous.dbName || config.indexedDB !== previous.indexedDB) {
+        store.close();
+        store = createMissionStore({ dbName: config.dbName, indexedDB: config.indexedDB });
+      }
+
+      log('MissionFinder.updateConfig applied:', newConfig);
       return true;
     }
   };
@@ -10,6 +10,38 @@ export function isAppleSilicon() {
          !navigator.userAgent.includes('Intel');
 }
 
+// Improved device detection for M3 Macs
+export function isM3Mac() {
+  // Check if it's a Mac
+  if (!/Mac/.test(navigator.platform)) return false;
+  
+  // Check for Apple Silicon
+  if (!isAppleSilicon()) return false;
+  
+  // Attempt to detect M3 specifically via WebGL renderer string
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return false;
+    
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    if (!debugInfo) return false;
+    
+    const renderer = gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) || '';
+    
+    // M3 Macs typically include "Apple M3" in the renderer string
+    return /Apple M3/i.test(renderer);
+  } catch (e) {
+    console.warn('Error detecting the Apple GPU generation:', e);
+    return false;
+  }
+}
+
+// Detect Windows machine
+export function isWindows() {
+  return /Win/.test(navigator.platform);
+}
+
 // Detect if running on a high-end system
 export function isHighEndSystem() {
   // Check for high core count
@@ -178,6 +210,8 @@ export function initializePlatformDetection() {
 export const PlatformSettings = {
   initAndGetSettings: initializePlatformDetection,
   isAppleSilicon,
+  isM3Mac,
+  isWindows,
   isHighEndSystem,
   getOptimalRenderSettings,
   getThreadSettings,
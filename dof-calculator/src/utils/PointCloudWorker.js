@@ -2,8 +2,11 @@
  * Point Cloud Worker
  * This worker handles heavy point cloud processing in a separate thread
  * to prevent blocking the main UI thread.
+ * Load it as a module worker: it imports the lidar de-skew helpers.
  */
 
+import { integrateImu, deskewPoints, getFramePoses } from './LidarDeskew';
+
 // Handle messages from the main thread
 self.onmessage = function(e) {
   const { type, data } = e.data;
@@ -16,6 +19,9 @@ self.onmessage = function(e) {
       case 'downsample':
         downsamplePointCloud(data);
         break;
+      case 'deskew':
+        deskewPointCloud(data);
+        break;
       default:
         self.postMessage({
           error: `Unknown command: ${type}`
@@ -165,4 +171,29 @@ function downsamplePointCloud(data) {
     originalCount: total,
     reduction: (1 - (sampledPoints.length / 3) / total) * 100
   });
-} 
\ No newline at end of file
+}
+
+/**
+ * Correct lidar points for sensor motion using IMU samples
+ * @param {Object} data - { positions, times, imuSamples, frames, referenceTime, options }
+ */
+function deskewPointCloud(data) {
+  const { positions, times, imuSamples, frames, referenceTime, options } = data;
+  
+  const track = integrateImu(imuSamples, options);
+  self.postMessage({
+    type: 'progress',
+    progress: 10,
+    processedCount: 0
+  });
+  
+  deskewPoints(positions, times, track, referenceTime);
+  
+  // Hand the buffer back without copying it
+  self.postMessage({
+    type: 'complete',
+    positions,
+    poses: getFramePoses(track, frames),
+    count: positions.length / 3
+  }, [positions.buffer]);
+}
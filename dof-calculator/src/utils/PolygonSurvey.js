@@ -0,0 +1,280 @@
+/**
+ * PolygonSurvey.js
+ * Lawnmower survey of an arbitrary ground polygon with holes
+ * Sweep lines are clipped against the boundary so captures stay inside the area
+ */
+
+import * as THREE from 'three';
+import { transformUtility } from './CoordinateTransform';
+
+/**
+ * Normalize a ring to [x, y] pairs without a repeated closing point
+ * @param {Array} ring - Points as [x, y] arrays or { x, y } objects
+ * @param {string} name - Ring name for error messages, e.g. 'Survey boundary'
+ * @returns {Array<Array<number>>} - Open ring of [x, y] pairs
+ */
+export const normalizeRing = (ring, name) => {
+  if (!Array.isArray(ring)) {
+    throw new Error(`${name} must be a list of points`);
+  }
+
+  const points = ring.map(point => (Array.isArray(point) ? [point[0], point[1]] : [point?.x, point?.y]));
+  if (points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y))) {
+    throw new Error(`${name} has a point without numeric x/y`);
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (points.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    points.pop();
+  }
+
+  if (points.length < 3) {
+    throw new Error(`${name} needs at least 3 points`);
+  }
+  return points;
+};
+
+/**
+ * Create a survey area from a boundary ring and optional holes
+ * Plain arrays are used so the area can be stored with the mission parameters
+ * @param {Array} outer - Boundary points in local coordinates
+ * @param {Array<Array>} holes - Rings to leave out of the survey
+ * @returns {Object} - { outer: [[x, y]], holes: [[[x, y]]] }
+ */
+export const createSurveyArea = (outer, holes = []) => {
+  return {
+    outer: normalizeRing(outer, 'Survey boundary'),
+    holes: holes.map((hole, index) => normalizeRing(hole, `Survey hole ${index + 1}`))
+  };
+};
+
+/**
+ * Signed area of a ring (positive when counter-clockwise)
+ * @param {Array<Array<number>>} ring - Open ring of [x, y] pairs
+ * @returns {number} - Signed area in square local units
+ */
+export const getSignedRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+};
+
+/**
+ * Area of a survey area with its holes removed
+ * @param {Object} area - Survey area from createSurveyArea
+ * @returns {number} - Area in square local units
+ */
+export const getSurveyAreaSize = (area) => {
+  const holes = area.holes.reduce((sum, hole) => sum + Math.abs(getSignedRingArea(hole)), 0);
+  return Math.max(0, Math.abs(getSignedRingArea(area.outer)) - holes);
+};
+
+/**
+ * Bounding box of the survey boundary
+ * @param {Object} area - Survey area from createSurveyArea
+ * @returns {THREE.Box2} - Bounds in local coordinates
+ */
+export const getSurveyAreaBounds = (area) => {
+  return new THREE.Box2().setFromPoints(area.outer.map(([x, y]) => new THREE.Vector2(x, y)));
+};
+
+/**
+ * Test whether a point lies inside the boundary and outside every hole
+ * @param {number} x - Local x
+ * @param {number} y - Local y
+ * @param {Object} area - Survey area from createSurveyArea
+ * @returns {boolean} - True if the point is inside the survey area
+ */
+export const isPointInSurveyArea = (x, y, area) => {
+  // Even-odd rule over all rings, so holes cancel out the boundary
+  let inside = false;
+  [area.outer, ...area.holes].forEach(ring => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > y) !== (yj > y) && x < xj + (y - yj) * (xi - xj) / (yi - yj)) {
+        inside = !inside;
+      }
+    }
+  });
+  return inside;
+};
+
+/**
+ * Clip a sweep line x = offset against rings in the sweep frame
+ * @param {Array<Array<Array<number>>>} rings - Rotated boundary and hole rings
+ * @param {number} offset - Sweep line position
+ * @returns {Array<Array<number>>} - Inside intervals [yStart, yEnd] in ascending order
+ */
+const clipSweepLine = (rings, offset) => {
+  const crossings = [];
+  rings.forEach(ring => {
+    for (let i = 0; i < ring.length; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      // Half-open test so a line through a vertex is counted once
+      if ((x1 <= offset) !== (x2 <= offset)) {
+        crossings.push(y1 + (offset - x1) * (y2 - y1) / (x2 - x1));
+      }
+    }
+  });
+  crossings.sort((a, b) => a - b);
+
+  const intervals = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    intervals.push([crossings[i], crossings[i + 1]]);
+  }
+  return intervals;
+};
+
+/**
+ * Generate a lawnmower survey clipped to a polygon
+ * Sweep lines run along the local y axis rotated by gridAngle, like the box grid,
+ * and are spaced evenly across the polygon's width in that direction
+ * @param {Object} area - Survey area from createSurveyArea
+ * @param {Object} options - Survey options
+ * @param {number} options.altitude - Flight height (z of every waypoint)
+ * @param {number} options.lineSpacing - Distance between sweep lines
+ * @param {number} options.captureSpacing - Distance between captures along a line
+ * @param {number} options.gridAngle - Sweep direction in degrees
+ * @param {number} options.turnaroundDistance - Distance flown past the boundary before turning
+ * @returns {Object} - { waypoints: THREE.Vector3[], captures: THREE.Vector3[], lineCount }
+ */
+export const generatePolygonSurvey = (area, options = {}) => {
+  const {
+    altitude = 20,
+    lineSpacing,
+    captureSpacing,
+    gridAngle = 0,
+    turnaroundDistance = 0
+  } = options;
+
+  if (!(lineSpacing > 0) || !(captureSpacing > 0)) {
+    throw new Error('Line and capture spacing must be greater than zero');
+  }
+
+  // Rotate into the sweep frame, where every line has a constant x
+  const angle = gridAngle * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const toSweep = ([x, y]) => [x * cos + y * sin, -x * sin + y * cos];
+  const fromSweep = (x, y) => new THREE.Vector3(x * cos - y * sin, x * sin + y * cos, altitude);
+
+  const rings = [area.outer, ...area.holes].map(ring => ring.map(toSweep));
+  const xs = rings[0].map(([x]) => x);
+  const minX = Math.min(...xs);
+  const width = Math.max(...xs) - minX;
+
+  // Center the lines so both edges get the same margin
+  const lineCount = Math.max(1, Math.ceil(width / lineSpacing));
+  const firstOffset = minX + (width - (lineCount - 1) * lineSpacing) / 2;
+
+  const waypoints = [];
+  const captures = [];
+  let direction = 1;
+  let flownLines = 0;
+
+  for (let i = 0; i < lineCount; i++) {
+    const offset = firstOffset + i * lineSpacing;
+    const intervals = clipSweepLine(rings, offset);
+    if (intervals.length === 0) continue;
+
+    // Captures along each inside interval; gaps between intervals are flown without captures
+    const linePoints = [];
+    intervals.forEach(([start, end]) => {
+      const length = end - start;
+      const count = Math.ceil(length / captureSpacing) + 1;
+      for (let j = 0; j < count; j++) {
+        linePoints.push(count > 1 ? start + (j / (count - 1)) * length : start);
+      }
+    });
+    if (direction === -1) linePoints.reverse();
+
+    // Lead in and out past the boundary so the aircraft turns outside the area
+    if (turnaroundDistance > 0) {
+      waypoints.push(fromSweep(offset, linePoints[0] - direction * turnaroundDistance));
+    }
+    linePoints.forEach(y => {
+      const point = fromSweep(offset, y);
+      waypoints.push(point);
+      captures.push(point.clone());
+    });
+    if (turnaroundDistance > 0) {
+      waypoints.push(fromSweep(offset, linePoints[linePoints.length - 1] + direction * turnaroundDistance));
+    }
+
+    // Alternate direction for each flown line (lawnmower pattern)
+    direction *= -1;
+    flownLines++;
+  }
+
+  return { waypoints, captures, lineCount: flownLines };
+};
+
+/**
+ * Convert a GeoJSON ring of [lon, lat] positions to local coordinates
+ * @param {Array<Array<number>>} ring - GeoJSON linear ring
+ * @param {TransformUtility} transform - Local to WGS84 transform
+ * @returns {Array<Array<number>>} - Ring of local [x, y] pairs
+ */
+export const ringToLocal = (ring, transform) => {
+  return ring.map(([lon, lat]) => {
+    const local = transform.globalToLocal(lat, lon, transform.origin.alt);
+    return [local.x, local.y];
+  });
+};
+
+/**
+ * Read a survey boundary from GeoJSON text
+ * Accepts a Polygon or MultiPolygon geometry, Feature or FeatureCollection;
+ * only the first polygon is used
+ * @param {string|Object} geojson - GeoJSON text or parsed object
+ * @param {Object} options - { transform }
+ * @returns {Object} - { area, warnings }
+ */
+export const importSurveyAreaGeoJSON = (geojson, options = {}) => {
+  const { transform = transformUtility } = options;
+  const json = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+  const warnings = [];
+
+  const geometries = [];
+  const collect = (node) => {
+    if (!node) return;
+    if (node.type === 'FeatureCollection') node.features?.forEach(collect);
+    else if (node.type === 'Feature') collect(node.geometry);
+    else if (node.type === 'GeometryCollection') node.geometries?.forEach(collect);
+    else if (node.type === 'Polygon') geometries.push(node.coordinates);
+    else if (node.type === 'MultiPolygon') geometries.push(...node.coordinates);
+  };
+  collect(json);
+
+  if (geometries.length === 0) {
+    throw new Error('GeoJSON contains no Polygon or MultiPolygon geometry');
+  }
+  if (geometries.length > 1) {
+    warnings.push(`GeoJSON contains ${geometries.length} polygons, only the first was used`);
+  }
+
+  const [outer, ...holes] = geometries[0];
+  return {
+    area: createSurveyArea(ringToLocal(outer, transform), holes.map(hole => ringToLocal(hole, transform))),
+    warnings
+  };
+};
+
+export default {
+  normalizeRing,
+  getSignedRingArea,
+  ringToLocal,
+  createSurveyArea,
+  getSurveyAreaSize,
+  getSurveyAreaBounds,
+  isPointInSurveyArea,
+  generatePolygonSurvey,
+  importSurveyAreaGeoJSON
+};
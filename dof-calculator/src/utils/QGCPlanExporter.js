@@ -0,0 +1,396 @@
+/**
+ * QGCPlanExporter.js
+ * Converts DroneMissionEnhanced trajectories into QGroundControl .plan files
+ * (MAVLink mission items) for PX4 and ArduPilot airframes, and parses them back
+ */
+
+import * as THREE from 'three';
+import { transformUtility } from './CoordinateTransform';
+import {
+  getTrajectoryItems,
+  getLookAtFromAttitude,
+  downloadFile
+} from './TrajectoryUtils';
+
+/**
+ * MAVLink command ids used by the exporter
+ */
+export const MAV_CMD = {
+  NAV_WAYPOINT: 16,
+  NAV_RETURN_TO_LAUNCH: 20,
+  NAV_TAKEOFF: 22,
+  DO_CHANGE_SPEED: 178,
+  DO_MOUNT_CONTROL: 205,
+  DO_SET_CAM_TRIGG_DIST: 206,
+  IMAGE_START_CAPTURE: 2000
+};
+
+/**
+ * MAVLink frames used by the exporter
+ */
+export const MAV_FRAME = {
+  MISSION: 2,
+  GLOBAL_RELATIVE_ALT: 3
+};
+
+/**
+ * QGroundControl firmware type identifiers (MAV_AUTOPILOT)
+ */
+export const QGC_FIRMWARE = {
+  ardupilot: 3,
+  px4: 12
+};
+
+// MAV_TYPE_QUADROTOR
+const DEFAULT_VEHICLE_TYPE = 2;
+
+// MAV_MOUNT_MODE_MAVLINK_TARGETING
+const MOUNT_MODE_TARGETING = 2;
+
+// Minimum change in gimbal angle (degrees) before a new mount command is emitted
+const MOUNT_ANGLE_TOLERANCE = 0.5;
+
+/**
+ * Round a coordinate or parameter so the plan file stays readable
+ * @param {number} value - Value to round
+ * @param {number} digits - Decimal places
+ * @returns {number} - Rounded value
+ */
+const round = (value, digits = 7) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Create a QGC SimpleItem
+ * @param {number} command - MAV_CMD id
+ * @param {number} frame - MAV_FRAME id
+ * @param {Array<number>} params - The seven MAVLink parameters
+ * @param {number} doJumpId - Sequential item id
+ * @returns {Object} - QGC mission item
+ */
+const createSimpleItem = (command, frame, params, doJumpId) => {
+  const item = {
+    autoContinue: true,
+    command,
+    doJumpId,
+    frame,
+    params,
+    type: 'SimpleItem'
+  };
+
+  if (frame === MAV_FRAME.GLOBAL_RELATIVE_ALT) {
+    item.AMSLAltAboveTerrain = null;
+    item.Altitude = params[6];
+    item.AltitudeMode = 1;
+  }
+
+  return item;
+};
+
+/**
+ * Average spacing between consecutive capture waypoints
+ * @param {Array<Object>} items - Items from getTrajectoryItems
+ * @param {TransformUtility} transform - Transform for unit conversion
+ * @returns {number} - Spacing in meters
+ */
+const getCaptureSpacing = (items, transform) => {
+  const captures = items.filter(item => item.isCapture);
+  if (captures.length < 2) return 0;
+
+  let total = 0;
+  for (let i = 1; i < captures.length; i++) {
+    total += captures[i - 1].position.distanceTo(captures[i].position);
+  }
+
+  return (total / (captures.length - 1)) * transform.FEET_TO_METERS;
+};
+
+/**
+ * Build a QGroundControl plan object from a trajectory
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced.generateTrajectory()
+ * @param {Object} options - Export options
+ * @param {TransformUtility} options.transform - Local to WGS84 transform (defaults to the shared singleton)
+ * @param {string} options.firmware - 'px4' or 'ardupilot'
+ * @param {string} options.captureMode - 'waypoint' (one IMAGE_START_CAPTURE per capture point) or 'distance' (DO_SET_CAM_TRIGG_DIST)
+ * @param {boolean} options.includeTakeoff - Prepend a NAV_TAKEOFF item
+ * @param {boolean} options.returnToLaunch - Append a NAV_RETURN_TO_LAUNCH item
+ * @param {number} options.vehicleType - MAV_TYPE of the airframe
+ * @returns {Object} - QGC plan object ready to be serialized
+ */
+export const createQGCPlan = (trajectory, options = {}) => {
+  if (!trajectory || !Array.isArray(trajectory.waypoints) || trajectory.waypoints.length === 0) {
+    throw new Error('Cannot export an empty trajectory');
+  }
+
+  const {
+    transform = transformUtility,
+    firmware = 'px4',
+    captureMode = 'waypoint',
+    includeTakeoff = true,
+    returnToLaunch = true,
+    vehicleType = DEFAULT_VEHICLE_TYPE
+  } = options;
+
+  const firmwareType = QGC_FIRMWARE[firmware];
+  if (firmwareType === undefined) {
+    throw new Error(`Unsupported firmware "${firmware}" - expected one of ${Object.keys(QGC_FIRMWARE).join(', ')}`);
+  }
+
+  const items = getTrajectoryItems(trajectory, transform);
+  const cruiseSpeed = trajectory.params?.speed || 5;
+  const missionItems = [];
+  const nextId = () => missionItems.length + 1;
+
+  if (includeTakeoff) {
+    const first = items[0];
+    missionItems.push(createSimpleItem(
+      MAV_CMD.NAV_TAKEOFF,
+      MAV_FRAME.GLOBAL_RELATIVE_ALT,
+      [0, 0, 0, null, round(transform.origin.lat), round(transform.origin.lon), round(first.relativeAltitude, 2)],
+      nextId()
+    ));
+  }
+
+  missionItems.push(createSimpleItem(
+    MAV_CMD.DO_CHANGE_SPEED,
+    MAV_FRAME.MISSION,
+    [1, cruiseSpeed, -1, 0, 0, 0, 0],
+    nextId()
+  ));
+
+  if (captureMode === 'distance') {
+    missionItems.push(createSimpleItem(
+      MAV_CMD.DO_SET_CAM_TRIGG_DIST,
+      MAV_FRAME.MISSION,
+      [round(getCaptureSpacing(items, transform), 2), 0, 1, 0, 0, 0, 0],
+      nextId()
+    ));
+  }
+
+  let currentSpeed = cruiseSpeed;
+  let currentMount = null;
+
+  items.forEach(item => {
+    if (typeof item.speed === 'number' && Math.abs(item.speed - currentSpeed) > 1e-6) {
+      missionItems.push(createSimpleItem(
+        MAV_CMD.DO_CHANGE_SPEED,
+        MAV_FRAME.MISSION,
+        [1, item.speed, -1, 0, 0, 0, 0],
+        nextId()
+      ));
+      currentSpeed = item.speed;
+    }
+
+    if (item.isCapture && (!currentMount ||
+        Math.abs(currentMount.pitch - item.gimbalPitch) > MOUNT_ANGLE_TOLERANCE)) {
+      missionItems.push(createSimpleItem(
+        MAV_CMD.DO_MOUNT_CONTROL,
+        MAV_FRAME.MISSION,
+        [round(item.gimbalPitch, 2), 0, 0, 0, 0, 0, MOUNT_MODE_TARGETING],
+        nextId()
+      ));
+      currentMount = { pitch: item.gimbalPitch };
+    }
+
+    missionItems.push(createSimpleItem(
+      MAV_CMD.NAV_WAYPOINT,
+      MAV_FRAME.GLOBAL_RELATIVE_ALT,
+      [0, 0, 0, round(item.heading, 2), round(item.global.lat), round(item.global.lon), round(item.relativeAltitude, 2)],
+      nextId()
+    ));
+
+    if (item.isCapture && captureMode === 'waypoint') {
+      missionItems.push(createSimpleItem(
+        MAV_CMD.IMAGE_START_CAPTURE,
+        MAV_FRAME.MISSION,
+        [0, 0, 1, 0, 0, 0, 0],
+        nextId()
+      ));
+    }
+  });
+
+  if (captureMode === 'distance') {
+    // Stop distance triggering before the vehicle heads home
+    missionItems.push(createSimpleItem(
+      MAV_CMD.DO_SET_CAM_TRIGG_DIST,
+      MAV_FRAME.MISSION,
+      [0, 0, 0, 0, 0, 0, 0],
+      nextId()
+    ));
+  }
+
+  if (returnToLaunch) {
+    missionItems.push(createSimpleItem(
+      MAV_CMD.NAV_RETURN_TO_LAUNCH,
+      MAV_FRAME.MISSION,
+      [0, 0, 0, 0, 0, 0, 0],
+      nextId()
+    ));
+  }
+
+  return {
+    fileType: 'Plan',
+    geoFence: {
+      circles: [],
+      polygons: [],
+      version: 2
+    },
+    groundStation: 'QGroundControl',
+    mission: {
+      cruiseSpeed,
+      firmwareType,
+      globalPlanAltitudeMode: 1,
+      hoverSpeed: cruiseSpeed,
+      items: missionItems,
+      plannedHomePosition: [
+        round(transform.origin.lat),
+        round(transform.origin.lon),
+        round(transform.origin.alt, 2)
+      ],
+      vehicleType,
+      version: 2
+    },
+    rallyPoints: {
+      points: [],
+      version: 2
+    },
+    version: 1
+  };
+};
+
+/**
+ * Serialize a trajectory as QGroundControl .plan JSON text
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {Object} options - Same options as createQGCPlan
+ * @returns {string} - Plan file contents
+ */
+export const exportQGCPlan = (trajectory, options = {}) => {
+  return JSON.stringify(createQGCPlan(trajectory, options), null, 2);
+};
+
+/**
+ * Export a trajectory and trigger a browser download of the .plan file
+ * @param {Object} trajectory - Trajectory from DroneMissionEnhanced
+ * @param {string} fileName - File name for the download
+ * @param {Object} options - Same options as createQGCPlan
+ */
+export const downloadQGCPlan = (trajectory, fileName = 'mission.plan', options = {}) => {
+  downloadFile(exportQGCPlan(trajectory, options), fileName, 'application/json');
+};
+
+/**
+ * Parse a QGroundControl .plan file back into mission items and a local trajectory
+ * @param {string|Object} planData - Plan file text or parsed JSON
+ * @param {Object} options - Parse options
+ * @param {TransformUtility} options.transform - Transform used to convert back into local coordinates
+ * @returns {Object} - { items, home, trajectory, warnings }
+ */
+export const parseQGCPlan = (planData, options = {}) => {
+  const { transform = transformUtility } = options;
+  const plan = typeof planData === 'string' ? JSON.parse(planData) : planData;
+
+  if (!plan || plan.fileType !== 'Plan' || !plan.mission || !Array.isArray(plan.mission.items)) {
+    throw new Error('Not a QGroundControl plan file');
+  }
+
+  const warnings = [];
+  const home = plan.mission.plannedHomePosition
+    ? {
+        lat: plan.mission.plannedHomePosition[0],
+        lon: plan.mission.plannedHomePosition[1],
+        alt: plan.mission.plannedHomePosition[2]
+      }
+    : null;
+
+  const items = [];
+  plan.mission.items.forEach((item, index) => {
+    if (item.type !== 'SimpleItem') {
+      warnings.push(`Item ${index + 1}: ${item.type} items are not supported and were skipped`);
+      return;
+    }
+
+    const params = (item.params || []).map(value => (value === null ? NaN : value));
+    items.push({
+      command: item.command,
+      frame: item.frame,
+      params,
+      lat: params[4],
+      lon: params[5],
+      alt: params[6]
+    });
+  });
+
+  // Rebuild a trajectory from the navigation and camera items
+  const waypoints = [];
+  const capturePoints = [];
+  let speed = plan.mission.cruiseSpeed;
+  let currentPitch = -90;
+  let triggerDistance = 0;
+  let lastHeading = 0;
+
+  items.forEach(item => {
+    switch (item.command) {
+      case MAV_CMD.DO_CHANGE_SPEED:
+        if (waypoints.length === 0) speed = item.params[1];
+        break;
+      case MAV_CMD.DO_MOUNT_CONTROL:
+        currentPitch = item.params[0];
+        break;
+      case MAV_CMD.DO_SET_CAM_TRIGG_DIST:
+        triggerDistance = item.params[0];
+        break;
+      case MAV_CMD.NAV_WAYPOINT: {
+        const local = transform.globalToLocal(item.lat, item.lon, transform.origin.alt + item.alt);
+        const position = new THREE.Vector3(local.x, local.y, local.z);
+        lastHeading = Number.isNaN(item.params[3]) ? 0 : item.params[3];
+        waypoints.push(position);
+
+        if (triggerDistance > 0) {
+          capturePoints.push({
+            position: position.clone(),
+            lookAt: getLookAtFromAttitude(position, lastHeading, currentPitch, transform),
+            gimbalPitch: currentPitch
+          });
+        }
+        break;
+      }
+      case MAV_CMD.IMAGE_START_CAPTURE: {
+        const position = waypoints[waypoints.length - 1];
+        const previous = capturePoints[capturePoints.length - 1];
+        if (position && (!previous || previous.position.distanceTo(position) > 1e-6)) {
+          capturePoints.push({
+            position: position.clone(),
+            lookAt: getLookAtFromAttitude(position, lastHeading, currentPitch, transform),
+            gimbalPitch: currentPitch
+          });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return {
+    items,
+    home,
+    warnings,
+    trajectory: {
+      type: 'imported',
+      waypoints,
+      params: { speed },
+      capturePoints
+    }
+  };
+};
+
+export default {
+  MAV_CMD,
+  MAV_FRAME,
+  QGC_FIRMWARE,
+  createQGCPlan,
+  exportQGCPlan,
+  downloadQGCPlan,
+  parseQGCPlan
+};
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createQGCPlan, exportQGCPlan, parseQGCPlan, MAV_CMD, MAV_FRAME } from './QGCPlanExporter';
+import fixture from './__fixtures__/grid-mission.json';
+import { loadGridMission } from './__fixtures__/loadGridMission';
+
+// Plan coordinates are rounded to 7 decimal places (about 1 cm), so allow a few hundredths of a foot
+const FEET_TOLERANCE = 0.05;
+
+describe('QGCPlanExporter', () => {
+  it('emits take-off, speed, mount, waypoint/capture pairs and return to launch', () => {
+    const { transform, trajectory } = loadGridMission();
+    const plan = createQGCPlan(trajectory, { transform, firmware: 'px4' });
+
+    expect(plan.fileType).toBe('Plan');
+    expect(plan.mission.plannedHomePosition).toEqual([fixture.origin.lat, fixture.origin.lon, fixture.origin.alt]);
+    expect(plan.mission.items.every(item => item.type === 'SimpleItem')).toBe(true);
+    expect(plan.mission.items.map(item => item.command)).toEqual([
+      MAV_CMD.NAV_TAKEOFF,
+      MAV_CMD.DO_CHANGE_SPEED,
+      MAV_CMD.DO_MOUNT_CONTROL,
+      ...trajectory.waypoints.flatMap(() => [MAV_CMD.NAV_WAYPOINT, MAV_CMD.IMAGE_START_CAPTURE]),
+      MAV_CMD.NAV_RETURN_TO_LAUNCH
+    ]);
+    expect(plan.mission.items.map(item => item.doJumpId)).toEqual(plan.mission.items.map((item, index) => index + 1));
+  });
+
+  it('places waypoints at the origin-relative global position in meters', () => {
+    const { transform, trajectory } = loadGridMission();
+    const plan = createQGCPlan(trajectory, { transform });
+    const navItems = plan.mission.items.filter(item => item.command === MAV_CMD.NAV_WAYPOINT);
+
+    expect(navItems).toHaveLength(trajectory.waypoints.length);
+    navItems.forEach(item => {
+      expect(item.frame).toBe(MAV_FRAME.GLOBAL_RELATIVE_ALT);
+      expect(item.Altitude).toBeCloseTo(fixture.trajectory.params.altitude, 2);
+    });
+
+    // The first waypoint sits on the origin, the second 100 ft east of it
+    expect(navItems[0].params[4]).toBeCloseTo(fixture.origin.lat, 7);
+    expect(navItems[0].params[5]).toBeCloseTo(fixture.origin.lon, 7);
+    expect(navItems[1].params[4]).toBeCloseTo(fixture.origin.lat, 7);
+    expect(navItems[1].params[5]).toBeGreaterThan(fixture.origin.lon);
+    expect(navItems[2].params[4]).toBeGreaterThan(fixture.origin.lat);
+  });
+
+  it('parses an exported plan back to the same local waypoints and captures', () => {
+    const { transform, trajectory } = loadGridMission();
+    const parsed = parseQGCPlan(exportQGCPlan(trajectory, { transform, firmware: 'ardupilot' }), { transform });
+
+    expect(parsed.warnings).toEqual([]);
+    expect(parsed.home).toEqual(fixture.origin);
+    expect(parsed.trajectory.params.speed).toBe(fixture.trajectory.params.speed);
+    expect(parsed.trajectory.waypoints).toHaveLength(trajectory.waypoints.length);
+    parsed.trajectory.waypoints.forEach((waypoint, index) => {
+      expect(waypoint.distanceTo(trajectory.waypoints[index])).toBeLessThan(FEET_TOLERANCE);
+    });
+
+    expect(parsed.trajectory.capturePoints).toHaveLength(trajectory.capturePoints.length);
+    parsed.trajectory.capturePoints.forEach((capture, index) => {
+      expect(capture.position.distanceTo(trajectory.capturePoints[index].position)).toBeLessThan(FEET_TOLERANCE);
+      expect(capture.gimbalPitch).toBe(-90);
+    });
+  });
+
+  it('rejects files that are not QGroundControl plans', () => {
+    expect(() => parseQGCPlan({ fileType: 'Mission' })).toThrow('Not a QGroundControl plan file');
+  });
+});
@@ -0,0 +1,395 @@
+/**
+ * RouteOptimizer.js
+ * Reorders capture stations to shorten the flight
+ * Nearest-neighbour construction improved with 2-opt and Or-opt moves, using a
+ * flight-time cost that includes horizontal distance, climb/descent and heading changes.
+ * Works on plain [x, y, z] arrays so it can run in the route worker
+ */
+
+import { getCaptureForWaypoint } from './TrajectoryUtils';
+
+// Improvements smaller than this (seconds) do not count, so passes terminate
+const IMPROVEMENT_EPSILON = 1e-6;
+
+// Longest run of stations moved as a block by Or-opt
+const MAX_OR_OPT_SEGMENT = 3;
+
+// Or-opt only tries inserting a run next to this many nearest stations
+const NEIGHBOUR_COUNT = 10;
+
+/**
+ * Group trajectory waypoints into capture stations
+ * Consecutive waypoints at the same position (several views from one spot) form one
+ * station; waypoints without a capture (transit climbs) are dropped
+ * @param {Object} trajectory - Trajectory object
+ * @returns {Array<Object>} - Stations { position: [x, y, z], waypointIndices }
+ */
+export const getRouteStations = (trajectory) => {
+  const stations = [];
+  trajectory.waypoints.forEach((waypoint, index) => {
+    if (!getCaptureForWaypoint(trajectory, index)) return;
+
+    const last = stations[stations.length - 1];
+    const lastIndex = last?.waypointIndices[last.waypointIndices.length - 1];
+    if (last && lastIndex === index - 1 && trajectory.waypoints[lastIndex].distanceTo(waypoint) < 1e-3) {
+      last.waypointIndices.push(index);
+    } else {
+      stations.push({ position: [waypoint.x, waypoint.y, waypoint.z], waypointIndices: [index] });
+    }
+  });
+  return stations;
+};
+
+/**
+ * Short signature of a station list, to tell whether an optimised order still applies
+ * @param {Array<Object>} stations - Stations from getRouteStations
+ * @returns {string} - Signature
+ */
+export const getRouteSignature = (stations) => {
+  return stations.map(({ position, waypointIndices }) =>
+    `${position.map(value => value.toFixed(2)).join(',')}x${waypointIndices.length}`
+  ).join(';');
+};
+
+/**
+ * Rebuild a trajectory with its stations in a new order
+ * @param {Object} trajectory - Trajectory object
+ * @param {Array<Object>} stations - Stations from getRouteStations
+ * @param {Array<number>} order - Station indices in visiting order
+ * @returns {Object} - New trajectory with one capture point per waypoint
+ */
+export const reorderTrajectory = (trajectory, stations, order) => {
+  const indices = order.flatMap(station => stations[station].waypointIndices);
+  return {
+    ...trajectory,
+    waypoints: indices.map(index => trajectory.waypoints[index].clone()),
+    capturePoints: indices.map(index => getCaptureForWaypoint(trajectory, index)),
+    ...(trajectory.waypointActions
+      ? { waypointActions: indices.map(index => trajectory.waypointActions[index] || []) }
+      : {})
+  };
+};
+
+/**
+ * Build the cost functions for a set of points
+ * @param {Array<Array<number>>} points - Positions [x, y, z]
+ * @param {Object} options - { speed, climbRate, descentRate, turnRate }
+ * @returns {Object} - { leg(a, b), turn(a, b, c) } in seconds
+ */
+const createCostModel = (points, options) => {
+  const { speed = 5, climbRate = 3, descentRate = 3, turnRate = 45 } = options;
+  const xs = Float64Array.from(points, point => point[0]);
+  const ys = Float64Array.from(points, point => point[1]);
+  const zs = Float64Array.from(points, point => point[2]);
+
+  // Legs fly horizontally and vertically at once; the slower of the two sets the time
+  const leg = (a, b) => {
+    if (a === undefined || b === undefined) return 0;
+    const dz = zs[b] - zs[a];
+    return Math.max(Math.hypot(xs[b] - xs[a], ys[b] - ys[a]) / speed, dz > 0 ? dz / climbRate : -dz / descentRate);
+  };
+
+  // Time to yaw through the heading change at b; vertical legs have no heading
+  const turn = (a, b, c) => {
+    if (a === undefined || b === undefined || c === undefined) return 0;
+    const ux = xs[b] - xs[a];
+    const uy = ys[b] - ys[a];
+    const vx = xs[c] - xs[b];
+    const vy = ys[c] - ys[b];
+    const lengths = Math.hypot(ux, uy) * Math.hypot(vx, vy);
+    if (lengths < 1e-9) return 0;
+    const cos = Math.max(-1, Math.min(1, (ux * vx + uy * vy) / lengths));
+    return (Math.acos(cos) * 180 / Math.PI) / turnRate;
+  };
+
+  return { leg, turn };
+};
+
+/**
+ * Flight time of a sequence of nodes: legs plus the turns between them
+ * @param {Array<number>} nodes - Node ids, undefined entries are skipped
+ * @param {Object} cost - Cost model
+ * @returns {number} - Seconds
+ */
+const getSequenceCost = (nodes, cost) => {
+  let total = 0;
+  for (let i = 1; i < nodes.length; i++) {
+    total += cost.leg(nodes[i - 1], nodes[i]);
+    if (i < nodes.length - 1) total += cost.turn(nodes[i - 1], nodes[i], nodes[i + 1]);
+  }
+  return total;
+};
+
+/**
+ * Measure a route
+ * @param {Array<number>} route - Node ids in visiting order
+ * @param {Array<Array<number>>} points - Positions [x, y, z]
+ * @param {Object} cost - Cost model
+ * @returns {Object} - { time (s), distance }
+ */
+const measureRoute = (route, points, cost) => {
+  let distance = 0;
+  for (let i = 1; i < route.length; i++) {
+    const [ax, ay, az] = points[route[i - 1]];
+    const [bx, by, bz] = points[route[i]];
+    distance += Math.hypot(bx - ax, by - ay, bz - az);
+  }
+  return { time: getSequenceCost(route, cost), distance };
+};
+
+/**
+ * Greedy route from the start, choosing the cheapest next station including the turn
+ * @param {Array<number>} free - Node ids to order
+ * @param {number|undefined} first - Pinned first node
+ * @param {Object} cost - Cost model
+ * @returns {Array<number>} - Ordered node ids (without the pinned first node)
+ */
+const nearestNeighbour = (free, first, cost) => {
+  const remaining = new Set(free);
+  const route = [];
+  let previous;
+  let current = first;
+  if (current === undefined) {
+    current = free[0];
+    remaining.delete(current);
+    route.push(current);
+  }
+
+  while (remaining.size > 0) {
+    let best;
+    let bestCost = Infinity;
+    remaining.forEach(candidate => {
+      const candidateCost = cost.leg(current, candidate) + cost.turn(previous, current, candidate);
+      if (candidateCost < bestCost) {
+        best = candidate;
+        bestCost = candidateCost;
+      }
+    });
+    remaining.delete(best);
+    route.push(best);
+    previous = current;
+    current = best;
+  }
+
+  return route;
+};
+
+/**
+ * One pass of 2-opt segment reversals between positions lo and hi
+ * Reversing a segment keeps the turn angles inside it, so only the legs inside
+ * (which change direction) and the turns at its ends need to be re-costed
+ * @param {Array<number>} route - Node ids, modified in place
+ * @param {number} lo - First movable position
+ * @param {number} hi - Last movable position
+ * @param {Object} cost - Cost model
+ * @returns {boolean} - Whether the route improved
+ */
+const twoOptPass = (route, lo, hi, cost) => {
+  let improved = false;
+  const forward = [];
+  const backward = [];
+  const rebuild = () => {
+    // Prefix sums of leg costs in both directions
+    forward.length = 0;
+    backward.length = 0;
+    forward.push(0);
+    backward.push(0);
+    for (let k = 0; k < route.length - 1; k++) {
+      forward.push(forward[k] + cost.leg(route[k], route[k + 1]));
+      backward.push(backward[k] + cost.leg(route[k + 1], route[k]));
+    }
+  };
+  rebuild();
+
+  for (let i = lo; i < hi; i++) {
+    for (let j = i + 1; j <= hi; j++) {
+      const before = route[i - 1];
+      const after = route[j + 1];
+      const oldCost = cost.leg(before, route[i]) + cost.leg(route[j], after) +
+        (forward[j] - forward[i]) +
+        cost.turn(route[i - 2], before, route[i]) +
+        cost.turn(before, route[i], route[i + 1]) +
+        cost.turn(route[j - 1], route[j], after) +
+        cost.turn(route[j], after, route[j + 2]);
+      const newCost = cost.leg(before, route[j]) + cost.leg(route[i], after) +
+        (backward[j] - backward[i]) +
+        cost.turn(route[i - 2], before, route[j]) +
+        cost.turn(before, route[j], route[j - 1]) +
+        cost.turn(route[i + 1], route[i], after) +
+        cost.turn(route[i], after, route[j + 2]);
+
+      if (newCost < oldCost - IMPROVEMENT_EPSILON) {
+        const reversed = route.slice(i, j + 1).reverse();
+        route.splice(i, reversed.length, ...reversed);
+        rebuild();
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+};
+
+/**
+ * Nearest nodes to each node, by straight-line distance
+ * @param {Array<Array<number>>} points - Positions [x, y, z]
+ * @param {number} count - Neighbours per node
+ * @returns {Array<Array<number>>} - Neighbour ids per node, nearest first
+ */
+const getNeighbours = (points, count) => {
+  return points.map((point, node) => {
+    const nearest = [];
+    points.forEach((other, candidate) => {
+      if (candidate === node) return;
+      const distance = Math.hypot(other[0] - point[0], other[1] - point[1], other[2] - point[2]);
+      if (nearest.length === count && distance >= nearest[count - 1].distance) return;
+      let at = nearest.length;
+      while (at > 0 && nearest[at - 1].distance > distance) at--;
+      nearest.splice(at, 0, { candidate, distance });
+      if (nearest.length > count) nearest.pop();
+    });
+    return nearest.map(({ candidate }) => candidate);
+  });
+};
+
+/**
+ * One pass of Or-opt: move runs of up to three stations next to one of their
+ * nearest stations, optionally reversed
+ * Only insertion points away from the run are tried so the two changed
+ * neighbourhoods can be costed independently; 2-opt covers the nearby moves
+ * @param {Array<number>} route - Node ids, modified in place
+ * @param {number} lo - First movable position
+ * @param {number} hi - Last movable position
+ * @param {Object} cost - Cost model
+ * @param {Array<Array<number>>} neighbours - From getNeighbours
+ * @returns {boolean} - Whether the route improved
+ */
+const orOptPass = (route, lo, hi, cost, neighbours) => {
+  let improved = false;
+  const positionOf = new Map();
+  const indexRoute = () => route.forEach((node, position) => positionOf.set(node, position));
+  indexRoute();
+
+  for (let length = 1; length <= MAX_OR_OPT_SEGMENT; length++) {
+    for (let i = lo; i + length - 1 <= hi; i++) {
+      const end = i + length - 1;
+      const segment = route.slice(i, end + 1);
+      const removedOld = getSequenceCost(route.slice(Math.max(0, i - 2), end + 3), cost);
+      const removedNew = getSequenceCost([route[i - 2], route[i - 1], route[end + 1], route[end + 2]], cost);
+
+      // Insert between positions k and k + 1, just before or after a neighbour of either end
+      const insertions = new Set();
+      [segment[0], segment[length - 1]].forEach(node => neighbours[node].forEach(neighbour => {
+        const position = positionOf.get(neighbour);
+        insertions.add(position - 1);
+        insertions.add(position);
+      }));
+
+      let best = null;
+      for (const k of insertions) {
+        if (k < lo - 1 || k > hi || (k >= i - 2 && k <= end + 1)) continue;
+        const context = [route[k - 1], route[k], route[k + 1], route[k + 2]];
+        const insertOld = getSequenceCost(context, cost);
+        [segment, segment.slice().reverse()].forEach(candidate => {
+          const insertNew = getSequenceCost([context[0], context[1], ...candidate, context[2], context[3]], cost);
+          const delta = (removedNew - removedOld) + (insertNew - insertOld);
+          if (delta < -IMPROVEMENT_EPSILON && (!best || delta < best.delta)) {
+            best = { delta, k, candidate };
+          }
+        });
+      }
+
+      if (best) {
+        route.splice(i, length);
+        const at = best.k < i ? best.k + 1 : best.k + 1 - length;
+        route.splice(at, 0, ...best.candidate);
+        indexRoute();
+        improved = true;
+      }
+    }
+  }
+
+  return improved;
+};
+
+/**
+ * Optimise the visiting order of stations
+ * @param {Array<Array<number>>} positions - Station positions [x, y, z]
+ * @param {Object} options - Route options (positions' units and seconds)
+ * @param {number} options.speed - Horizontal speed
+ * @param {number} options.climbRate - Vertical climb rate
+ * @param {number} options.descentRate - Vertical descent rate
+ * @param {number} options.turnRate - Yaw rate in degrees per second
+ * @param {string|Array<number>|null} options.start - 'first' to keep the first station, a home point, or null for free
+ * @param {string|Array<number>|null} options.end - 'last' to keep the last station, a home point, or null for free
+ * @param {number} options.maxPasses - Improvement passes before giving up
+ * @param {Function} options.onProgress - Called with { pass, time } after each pass
+ * @returns {Object} - { order (station indices), before: { time, distance }, after: { time, distance } }
+ */
+export const optimizeRoute = (positions, options = {}) => {
+  const { start = null, end = null, maxPasses = 50, onProgress } = options;
+  if (!(options.speed > 0)) {
+    throw new Error('Flight speed must be greater than zero');
+  }
+
+  const points = positions.slice();
+  const count = positions.length;
+  const stations = Array.from({ length: count }, (_, i) => i);
+
+  // Home points are extra nodes pinned to the ends of the route
+  let first;
+  let last;
+  if (Array.isArray(start)) {
+    first = points.push(start) - 1;
+  } else if (start === 'first' && count > 0) {
+    first = 0;
+  }
+  if (Array.isArray(end)) {
+    last = points.push(end) - 1;
+  } else if (end === 'last' && count > 1) {
+    last = count - 1;
+  }
+
+  const cost = createCostModel(points, options);
+  const withEnds = (order) => [
+    ...(first !== undefined ? [first] : []),
+    ...order,
+    ...(last !== undefined ? [last] : [])
+  ];
+
+  const original = withEnds(stations.filter(i => i !== first && i !== last));
+  const before = measureRoute(original, points, cost);
+  if (count < 3) {
+    return { order: stations, before, after: before };
+  }
+
+  const free = stations.filter(i => i !== first && i !== last);
+  const route = withEnds(nearestNeighbour(free, first, cost));
+  const neighbours = getNeighbours(points, NEIGHBOUR_COUNT);
+  const lo = first !== undefined ? 1 : 0;
+  const hi = route.length - 1 - (last !== undefined ? 1 : 0);
+
+  for (let pass = 1; pass <= maxPasses; pass++) {
+    const improvedTwoOpt = twoOptPass(route, lo, hi, cost);
+    const improvedOrOpt = orOptPass(route, lo, hi, cost, neighbours);
+    if (onProgress) onProgress({ pass, time: getSequenceCost(route, cost) });
+    if (!improvedTwoOpt && !improvedOrOpt) break;
+  }
+
+  let after = measureRoute(route, points, cost);
+  let order = route.filter(node => node < count);
+  // Never hand back a slower route than the one that came in
+  if (after.time > before.time) {
+    after = before;
+    order = original.filter(node => node < count);
+  }
+
+  return { order, before, after };
+};
+
+export default {
+  getRouteStations,
+  getRouteSignature,
+  reorderTrajectory,
+  optimizeRoute
+};
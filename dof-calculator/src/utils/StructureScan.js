@@ -0,0 +1,164 @@
+/**
+ * StructureScan.js
+ * Stacked orbit rings for reconstructing towers, tanks and other vertical structures
+ * Every capture looks at the structure's vertical centre line
+ */
+
+import * as THREE from 'three';
+import { getGimbalPitch, getPathLength } from './TrajectoryUtils';
+
+// Fewest captures per ring, so thin structures are still seen from all sides
+const MIN_POINTS_PER_RING = 8;
+
+/**
+ * Measure a structure from points on its surface
+ * @param {Array<THREE.Vector3>} points - Surface points in local coordinates
+ * @returns {Object} - { center (x/y of the centre line), baseZ, topZ, radius }
+ */
+export const getStructureBounds = (points) => {
+  if (!points || points.length === 0) {
+    throw new Error('Select the structure to scan first');
+  }
+
+  const bbox = new THREE.Box3().setFromPoints(points);
+  const center = new THREE.Vector3();
+  bbox.getCenter(center);
+
+  const radius = points.reduce((max, point) => Math.max(max, Math.hypot(point.x - center.x, point.y - center.y)), 0);
+
+  return {
+    center: new THREE.Vector2(center.x, center.y),
+    baseZ: bbox.min.z,
+    topZ: bbox.max.z,
+    radius
+  };
+};
+
+/**
+ * Capture points around one ring, looking at the centre line
+ * @param {THREE.Vector2} center - Centre line x/y
+ * @param {number} radius - Ring radius
+ * @param {number} flightZ - Ring height
+ * @param {number} targetZ - Height on the centre line to look at
+ * @param {number} count - Captures on the ring
+ * @param {number} startAngle - Angle of the first capture in radians
+ * @param {number} direction - 1 for counter-clockwise, -1 for clockwise
+ * @returns {Array<Object>} - Capture points { position, lookAt, gimbalPitch }
+ */
+const createRing = (center, radius, flightZ, targetZ, count, startAngle, direction) => {
+  const lookAt = new THREE.Vector3(center.x, center.y, targetZ);
+
+  return Array.from({ length: count }, (_, i) => {
+    const angle = startAngle + direction * (i / count) * Math.PI * 2;
+    const position = new THREE.Vector3(
+      center.x + Math.cos(angle) * radius,
+      center.y + Math.sin(angle) * radius,
+      flightZ
+    );
+    return {
+      position,
+      lookAt: lookAt.clone(),
+      gimbalPitch: getGimbalPitch(position, lookAt)
+    };
+  });
+};
+
+/**
+ * Generate a multi-ring structure scan
+ * Ring spacing comes from the vertical (side) overlap of the footprint height,
+ * points per ring from the horizontal (forward) overlap of the footprint width
+ * measured on the structure's surface
+ * @param {Object} structure - Result of getStructureBounds
+ * @param {Object} options - Scan options (local units)
+ * @param {number} options.standoff - Distance from the structure's surface
+ * @param {Object} options.halfExtents - { halfWidth, halfHeight } of the footprint at the standoff
+ * @param {number} options.horizontalOverlap - Overlap between captures on a ring (0-1)
+ * @param {number} options.verticalOverlap - Overlap between rings (0-1)
+ * @param {number} options.minHeight - Lowest allowed flight height
+ * @param {boolean} options.topCap - Add a ring looking down at the top and a nadir capture above it
+ * @returns {Object} - { waypoints, capturePoints, rings, imageCount, flightLength }
+ */
+export const generateStructureScan = (structure, options = {}) => {
+  const {
+    standoff,
+    halfExtents,
+    horizontalOverlap = 0.7,
+    verticalOverlap = 0.6,
+    minHeight = -Infinity,
+    topCap = false
+  } = options;
+
+  if (!(standoff > 0)) {
+    throw new Error('Standoff must be greater than zero');
+  }
+
+  const { center, baseZ, topZ } = structure;
+  const radius = structure.radius + standoff;
+  const ringSpacing = 2 * halfExtents.halfHeight * (1 - verticalOverlap);
+  const arcSpacing = 2 * halfExtents.halfWidth * (1 - horizontalOverlap);
+  if (!(ringSpacing > 0) || !(arcSpacing > 0)) {
+    throw new Error('Footprint and overlap leave no spacing between captures');
+  }
+
+  // Captures are spaced along the structure's surface, not the flight circle
+  const circumference = 2 * Math.PI * Math.max(structure.radius, arcSpacing / Math.PI);
+  const pointsPerRing = Math.max(MIN_POINTS_PER_RING, Math.ceil(circumference / arcSpacing));
+
+  // Center the rings on the structure so base and top get the same margin
+  const height = topZ - baseZ;
+  const ringCount = Math.max(1, Math.ceil(height / ringSpacing));
+  const firstRing = baseZ + (height - (ringCount - 1) * ringSpacing) / 2;
+
+  const rings = [];
+  for (let i = 0; i < ringCount; i++) {
+    const targetZ = firstRing + i * ringSpacing;
+    // Low rings climb to the minimum height and pitch down at their band
+    const flightZ = Math.max(targetZ, minHeight);
+    // Alternate direction so the aircraft never spins a full turn the same way
+    const direction = i % 2 === 0 ? 1 : -1;
+    rings.push({
+      height: flightZ,
+      targetHeight: targetZ,
+      capturePoints: createRing(center, radius, flightZ, targetZ, pointsPerRing, 0, direction)
+    });
+  }
+
+  if (topCap) {
+    // Oblique ring one standoff above the top looking in at its centre, then one nadir shot
+    const capZ = Math.max(topZ + standoff, minHeight);
+    const capPoints = Math.max(MIN_POINTS_PER_RING, Math.ceil(pointsPerRing / 2));
+    rings.push({
+      height: capZ,
+      targetHeight: topZ,
+      capturePoints: createRing(center, radius, capZ, topZ, capPoints, 0, ringCount % 2 === 0 ? 1 : -1)
+    });
+
+    const nadir = new THREE.Vector3(center.x, center.y, capZ);
+    const nadirTarget = new THREE.Vector3(center.x, center.y, topZ);
+    rings.push({
+      height: nadir.z,
+      targetHeight: topZ,
+      capturePoints: [{ position: nadir, lookAt: nadirTarget, gimbalPitch: -90 }]
+    });
+  }
+
+  const capturePoints = rings.flatMap(ring => ring.capturePoints);
+  const waypoints = capturePoints.map(capture => capture.position.clone());
+
+  return {
+    waypoints,
+    capturePoints,
+    rings: rings.map(ring => ({
+      height: ring.height,
+      targetHeight: ring.targetHeight,
+      imageCount: ring.capturePoints.length
+    })),
+    imageCount: capturePoints.length,
+    flightLength: getPathLength(waypoints)
+  };
+};
+
+export default {
+  getStructureBounds,
+  generateStructureScan
+};
@@ -0,0 +1,187 @@
+/**
+ * TerrainFollowing.js
+ * Fits a flight path to an elevation grid: terrain is sampled densely along every
+ * leg, the follow height is limited to the airframe's climb and descent rates, and
+ * extra waypoints are inserted where the profile bends more than the tolerance
+ */
+
+import * as THREE from 'three';
+import { sampleElevation } from './ElevationGrid';
+
+/**
+ * Sample terrain along the path
+ * @param {Array<THREE.Vector3>} waypoints - Path waypoints
+ * @param {Object} grid - Grid from createElevationGrid
+ * @param {number} sampleSpacing - Horizontal distance between samples
+ * @returns {Array<Object>} - Samples { x, y, distance, terrain, waypointIndex }
+ */
+const sampleProfile = (waypoints, grid, sampleSpacing) => {
+  const samples = [];
+  let distance = 0;
+
+  waypoints.forEach((point, index) => {
+    samples.push({ x: point.x, y: point.y, distance, terrain: sampleElevation(grid, point.x, point.y), waypointIndex: index });
+
+    const next = waypoints[index + 1];
+    if (!next) return;
+    const legLength = Math.hypot(next.x - point.x, next.y - point.y);
+    const steps = Math.ceil(legLength / sampleSpacing);
+    for (let step = 1; step < steps; step++) {
+      const t = step / steps;
+      const x = point.x + (next.x - point.x) * t;
+      const y = point.y + (next.y - point.y) * t;
+      samples.push({ x, y, distance: distance + legLength * t, terrain: sampleElevation(grid, x, y), waypointIndex: null });
+    }
+    distance += legLength;
+  });
+
+  return samples;
+};
+
+/**
+ * Fill samples outside the grid from the nearest sample that has terrain
+ * @param {Array<Object>} samples - Samples from sampleProfile, modified in place
+ * @returns {number} - Number of samples that were filled
+ */
+const fillMissingTerrain = (samples) => {
+  const missing = samples.filter(sample => sample.terrain === null).length;
+  if (missing === samples.length) {
+    throw new Error('The flight path is entirely outside the elevation grid');
+  }
+
+  let last = null;
+  const forward = samples.map(sample => {
+    if (sample.terrain !== null) last = sample;
+    return last;
+  });
+  last = null;
+  for (let i = samples.length - 1; i >= 0; i--) {
+    if (samples[i].terrain !== null) {
+      last = samples[i];
+      continue;
+    }
+    const before = forward[i];
+    const after = last;
+    const nearest = !before ? after : !after ? before
+      : samples[i].distance - before.distance <= after.distance - samples[i].distance ? before : after;
+    samples[i].terrain = nearest.terrain;
+  }
+
+  return missing;
+};
+
+/**
+ * Indices of the samples to keep between two waypoints (Douglas-Peucker on distance/height)
+ * @param {Array<number>} distances - Sample distances
+ * @param {Array<number>} heights - Sample flight heights
+ * @param {number} start - First sample index
+ * @param {number} end - Last sample index
+ * @param {number} tolerance - Maximum height error
+ * @param {Array<number>} keep - Output indices
+ */
+const simplifyLeg = (distances, heights, start, end, tolerance, keep) => {
+  let worst = -1;
+  let worstError = tolerance;
+  const span = distances[end] - distances[start];
+  for (let i = start + 1; i < end; i++) {
+    const t = span > 0 ? (distances[i] - distances[start]) / span : 0;
+    const error = Math.abs(heights[i] - (heights[start] + (heights[end] - heights[start]) * t));
+    if (error > worstError) {
+      worst = i;
+      worstError = error;
+    }
+  }
+
+  if (worst < 0) return;
+  simplifyLeg(distances, heights, start, worst, tolerance, keep);
+  keep.push(worst);
+  simplifyLeg(distances, heights, worst, end, tolerance, keep);
+};
+
+/**
+ * Fit waypoints to the terrain
+ * Heights are only ever raised to respect the climb and descent limits, so the
+ * aircraft never drops below the follow distance by more than the tolerance
+ * @param {Array<THREE.Vector3>} waypoints - Path waypoints (x/y are kept)
+ * @param {Object} grid - Grid from createElevationGrid
+ * @param {Object} options - Follow options (local units, rates in the same units per second)
+ * @param {number} options.followDistance - Height to hold above the terrain
+ * @param {number} options.tolerance - Allowed deviation from the follow height between waypoints
+ * @param {number} options.sampleSpacing - Horizontal distance between terrain samples
+ * @param {number} options.maxClimbRate - Vertical climb rate limit
+ * @param {number} options.maxDescentRate - Vertical descent rate limit
+ * @param {number} options.speed - Horizontal speed
+ * @returns {Object} - { waypoints, waypointIndices (original -> new index), terrainHeights,
+ *                      insertedCount, maxLift (largest height added by the rate limits), warnings }
+ */
+export const followTerrain = (waypoints, grid, options = {}) => {
+  const {
+    followDistance,
+    tolerance = 1,
+    sampleSpacing = 5,
+    maxClimbRate = Infinity,
+    maxDescentRate = Infinity,
+    speed = 5
+  } = options;
+
+  if (!waypoints || waypoints.length === 0) {
+    throw new Error('No waypoints to fit to the terrain');
+  }
+  if (!(followDistance > 0) || !(tolerance > 0) || !(sampleSpacing > 0) || !(speed > 0)) {
+    throw new Error('Follow distance, tolerance, sample spacing and speed must be greater than zero');
+  }
+
+  const samples = sampleProfile(waypoints, grid, sampleSpacing);
+  const filled = fillMissingTerrain(samples);
+
+  const distances = samples.map(sample => sample.distance);
+  const heights = samples.map(sample => sample.terrain + followDistance);
+
+  // Climbing is limited by starting earlier (backward pass), descending by leaving later (forward pass)
+  const climbGradient = maxClimbRate / speed;
+  const descentGradient = maxDescentRate / speed;
+  for (let i = heights.length - 2; i >= 0; i--) {
+    heights[i] = Math.max(heights[i], heights[i + 1] - climbGradient * (distances[i + 1] - distances[i]));
+  }
+  for (let i = 1; i < heights.length; i++) {
+    heights[i] = Math.max(heights[i], heights[i - 1] - descentGradient * (distances[i] - distances[i - 1]));
+  }
+
+  const maxLift = samples.reduce((max, sample, i) => Math.max(max, heights[i] - sample.terrain - followDistance), 0);
+
+  // Keep every original waypoint and the samples needed to stay within tolerance
+  const waypointSamples = [];
+  samples.forEach((sample, i) => {
+    if (sample.waypointIndex !== null) waypointSamples.push(i);
+  });
+  const keep = [waypointSamples[0]];
+  for (let w = 1; w < waypointSamples.length; w++) {
+    simplifyLeg(distances, heights, waypointSamples[w - 1], waypointSamples[w], tolerance, keep);
+    keep.push(waypointSamples[w]);
+  }
+
+  const waypointIndices = [];
+  const result = keep.map((sampleIndex, index) => {
+    const sample = samples[sampleIndex];
+    if (sample.waypointIndex !== null) waypointIndices[sample.waypointIndex] = index;
+    return new THREE.Vector3(sample.x, sample.y, heights[sampleIndex]);
+  });
+
+  const warnings = [];
+  if (filled > 0) {
+    warnings.push(`${filled} of ${samples.length} terrain samples fell outside the elevation grid and use the nearest height`);
+  }
+
+  return {
+    waypoints: result,
+    waypointIndices,
+    terrainHeights: keep.map(sampleIndex => samples[sampleIndex].terrain),
+    insertedCount: result.length - waypoints.length,
+    maxLift,
+    warnings
+  };
+};
+
+export default {
+  followTerrain
+};
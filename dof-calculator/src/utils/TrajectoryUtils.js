@@ -0,0 +1,296 @@
+/**
+ * TrajectoryUtils.js
+ * Helpers shared by the mission exporters for reading the trajectory objects
+ * produced by DroneMissionEnhanced (waypoints, capturePoints, params)
+ */
+
+import * as THREE from 'three';
+import { transformUtility } from './CoordinateTransform';
+
+// Horizontal distance below which a lookAt is treated as straight down
+const NADIR_EPSILON = 1e-3;
+
+/**
+ * Normalize an angle in degrees to the 0-360 range
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} - Angle in the range [0, 360)
+ */
+export const normalizeHeading = (degrees) => {
+  return ((degrees % 360) + 360) % 360;
+};
+
+/**
+ * Calculate the bearing between two local points, clockwise from the local +Y axis
+ * @param {THREE.Vector3} from - Start point
+ * @param {THREE.Vector3} to - End point
+ * @returns {number|null} - Bearing in degrees, or null if the points share the same x/y
+ */
+export const getLocalBearing = (from, to) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+
+  if (Math.abs(dx) < NADIR_EPSILON && Math.abs(dy) < NADIR_EPSILON) return null;
+
+  return normalizeHeading(Math.atan2(dx, dy) * 180 / Math.PI);
+};
+
+/**
+ * Calculate the gimbal pitch needed to look from a position toward a target
+ * @param {THREE.Vector3} position - Camera position
+ * @param {THREE.Vector3} lookAt - Target point
+ * @returns {number} - Pitch in degrees (0 = horizon, -90 = straight down)
+ */
+export const getGimbalPitch = (position, lookAt) => {
+  if (!lookAt) return -90;
+
+  const dz = lookAt.z - position.z;
+  const horizontal = Math.hypot(lookAt.x - position.x, lookAt.y - position.y);
+
+  if (horizontal < NADIR_EPSILON) {
+    return dz <= 0 ? -90 : 90;
+  }
+
+  return Math.atan2(dz, horizontal) * 180 / Math.PI;
+};
+
+/**
+ * Rebuild a lookAt target from a true heading and gimbal pitch
+ * Inverse of the heading/pitch extraction used by the exporters
+ * @param {THREE.Vector3} position - Camera position in local coordinates
+ * @param {number} heading - True heading in degrees (clockwise from north)
+ * @param {number} pitch - Gimbal pitch in degrees (-90 = straight down)
+ * @param {TransformUtility} transform - Transform that defines the local frame heading
+ * @param {number} distance - Distance from the camera to the rebuilt target
+ * @returns {THREE.Vector3} - Target point in local coordinates
+ */
+export const getLookAtFromAttitude = (position, heading, pitch, transform = transformUtility, distance = 10) => {
+  const localBearing = (heading - (transform?.heading || 0)) * Math.PI / 180;
+  const pitchRad = (typeof pitch === 'number' ? pitch : -90) * Math.PI / 180;
+
+  const horizontal = Math.cos(pitchRad) * distance;
+
+  return new THREE.Vector3(
+    position.x + Math.sin(localBearing) * horizontal,
+    position.y + Math.cos(localBearing) * horizontal,
+    position.z + Math.sin(pitchRad) * distance
+  );
+};
+
+/**
+ * Find the capture point associated with a waypoint
+ * Generators emit one capture point per waypoint; imported or edited
+ * trajectories may not, so fall back to a position match
+ * @param {Object} trajectory - Trajectory object
+ * @param {number} index - Waypoint index
+ * @returns {Object|null} - Capture point or null if the waypoint does not capture
+ */
+export const getCaptureForWaypoint = (trajectory, index) => {
+  const { waypoints = [], capturePoints } = trajectory;
+  if (!Array.isArray(capturePoints) || capturePoints.length === 0) return null;
+
+  if (capturePoints.length === waypoints.length) {
+    return capturePoints[index] || null;
+  }
+
+  const waypoint = waypoints[index];
+  return capturePoints.find(capture =>
+    capture.position && capture.position.distanceTo(waypoint) < NADIR_EPSILON
+  ) || null;
+};
+
+/**
+ * Calculate the total length of a polyline
+ * @param {Array<THREE.Vector3>} waypoints - Ordered waypoints
+ * @returns {number} - Length in local units
+ */
+export const getPathLength = (waypoints = []) => {
+  let length = 0;
+  for (let i = 1; i < waypoints.length; i++) {
+    length += waypoints[i - 1].distanceTo(waypoints[i]);
+  }
+  return length;
+};
+
+/**
+ * Geo-reference a trajectory and derive per-waypoint heading, gimbal pitch and capture flags
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {TransformUtility} transform - Local to WGS84 transform
+ * @returns {Array<Object>} - One entry per waypoint
+ */
+export const getTrajectoryItems = (trajectory, transform = transformUtility) => {
+  if (!trajectory || !Array.isArray(trajectory.waypoints)) return [];
+
+  const { waypoints, params = {} } = trajectory;
+  const capturesEnabled = params.capturePoints !== false;
+
+  return waypoints.map((position, index) => {
+    const capture = getCaptureForWaypoint(trajectory, index);
+    const lookAt = capture?.lookAt || null;
+
+    // Aim at the target when the camera looks off-nadir, otherwise follow the path
+    let localBearing = lookAt ? getLocalBearing(position, lookAt) : null;
+    if (localBearing === null) {
+      const next = waypoints[index + 1];
+      const prev = waypoints[index - 1];
+      localBearing = (next && getLocalBearing(position, next)) ??
+                     (prev && getLocalBearing(prev, position)) ?? 0;
+    }
+
+    const global = transform.localToGlobal(position.x, position.y, position.z);
+
+    return {
+      index,
+      position,
+      global,
+      relativeAltitude: global.alt - transform.origin.alt,
+      heading: normalizeHeading(localBearing + transform.heading),
+      gimbalPitch: typeof capture?.gimbalPitch === 'number'
+        ? capture.gimbalPitch
+        : getGimbalPitch(position, lookAt),
+      speed: capture?.speed ?? params.speed,
+      isCapture: capturesEnabled && !!capture,
+      actions: [
+        ...(trajectory.waypointActions?.[index] || []),
+        ...(Array.isArray(capture?.actions) ? capture.actions : [])
+      ]
+    };
+  });
+};
+
+/**
+ * Convert a trajectory into the trajectories/waypoints props of DeckGLTrajectoryViewer
+ * Timestamps are seconds from the first waypoint at the mission speed
+ * @param {Object} trajectory - Trajectory object with local-feet waypoints
+ * @param {Object} options - { name, color }
+ * @returns {Object} - { trajectories, waypoints }
+ */
+export const toDeckGLTrajectory = (trajectory, options = {}) => {
+  const { name = trajectory?.type || 'Mission', color = [0, 128, 255] } = options;
+  if (!trajectory || !Array.isArray(trajectory.waypoints) || trajectory.waypoints.length === 0) {
+    return { trajectories: [], waypoints: [] };
+  }
+
+  const speed = trajectory.params?.speed || 5; // m/s
+  const timestamps = [0];
+  for (let i = 1; i < trajectory.waypoints.length; i++) {
+    const distance = trajectory.waypoints[i - 1].distanceTo(trajectory.waypoints[i]) * transformUtility.FEET_TO_METERS;
+    timestamps.push(timestamps[i - 1] + distance / speed);
+  }
+
+  return {
+    trajectories: [{
+      name,
+      color,
+      path: trajectory.waypoints.map(point => [point.x, point.y, point.z]),
+      timestamps
+    }],
+    waypoints: trajectory.waypoints.map((point, index) => ({
+      id: index + 1,
+      name: `WP${index + 1}`,
+      position: [point.x, point.y, point.z],
+      time: timestamps[index],
+      color: getCaptureForWaypoint(trajectory, index) ? [255, 140, 0] : [180, 180, 180]
+    }))
+  };
+};
+
+/**
+ * Convert a trajectory into mission data for createMission and the mission library
+ * Vectors are stored as [x, y, z] arrays so the mission survives serialization
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {Object} options - { transform, name, drone, camera, lens }
+ * @returns {Object} - Mission parameters including geographic bounds
+ */
+export const trajectoryToMissionData = (trajectory, options = {}) => {
+  const { transform = transformUtility, name, drone = null, camera = null, lens = null } = options;
+  const items = getTrajectoryItems(trajectory, transform);
+  const toArray = (vector) => (vector ? [vector.x, vector.y, vector.z] : null);
+
+  const bounds = items.length > 0
+    ? items.reduce((box, item) => ({
+        minLat: Math.min(box.minLat, item.global.lat),
+        minLon: Math.min(box.minLon, item.global.lon),
+        maxLat: Math.max(box.maxLat, item.global.lat),
+        maxLon: Math.max(box.maxLon, item.global.lon)
+      }), { minLat: Infinity, minLon: Infinity, maxLat: -Infinity, maxLon: -Infinity })
+    : null;
+
+  return {
+    ...(name ? { name } : {}),
+    missionType: trajectory.type,
+    params: { ...(trajectory.params || {}) },
+    waypoints: items.map(item => ({
+      position: toArray(item.position),
+      heading: item.heading,
+      gimbalPitch: item.gimbalPitch,
+      actions: trajectory.waypointActions?.[item.index] || []
+    })),
+    capturePoints: (trajectory.capturePoints || []).map(capture => ({
+      ...capture,
+      position: toArray(capture.position),
+      lookAt: toArray(capture.lookAt)
+    })),
+    origin: { ...transform.origin, heading: transform.heading },
+    bounds,
+    drone,
+    camera,
+    lens
+  };
+};
+
+/**
+ * Rebuild a trajectory from stored mission data
+ * @param {Object} mission - Mission saved with trajectoryToMissionData
+ * @returns {Object} - Trajectory object with THREE.Vector3 waypoints
+ */
+export const missionDataToTrajectory = (mission) => {
+  const toVector = (value) => (Array.isArray(value) ? new THREE.Vector3(value[0], value[1], value[2]) : null);
+  const waypoints = mission.waypoints || [];
+
+  return {
+    type: mission.missionType || 'imported',
+    waypoints: waypoints.map(wp => toVector(wp.position)),
+    params: { ...(mission.params || {}) },
+    capturePoints: (mission.capturePoints || []).map(capture => ({
+      ...capture,
+      position: toVector(capture.position),
+      lookAt: toVector(capture.lookAt)
+    })),
+    waypointActions: waypoints.map(wp => wp.actions || [])
+  };
+};
+
+/**
+ * Trigger a browser download for generated file content
+ * @param {string|Blob|Uint8Array} content - File content
+ * @param {string} fileName - Name for the downloaded file
+ * @param {string} mimeType - MIME type of the content
+ */
+export const downloadFile = (content, fileName, mimeType = 'application/octet-stream') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+export default {
+  normalizeHeading,
+  getLocalBearing,
+  getGimbalPitch,
+  getLookAtFromAttitude,
+  getCaptureForWaypoint,
+  getPathLength,
+  getTrajectoryItems,
+  toDeckGLTrajectory,
+  trajectoryToMissionData,
+  missionDataToTrajectory,
+  downloadFile
+};
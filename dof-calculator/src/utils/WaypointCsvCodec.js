@@ -0,0 +1,523 @@
+/**
+ * WaypointCsvCodec.js
+ * CSV import/export of mission trajectories for Litchi and spreadsheet workflows
+ * Column names are configurable so pilots can map their own sheet layouts
+ */
+
+import * as THREE from 'three';
+import { transformUtility } from './CoordinateTransform';
+import {
+  getTrajectoryItems,
+  getLookAtFromAttitude,
+  downloadFile
+} from './TrajectoryUtils';
+
+// Waypoint action types understood by the codec
+export const WAYPOINT_ACTIONS = {
+  HOVER: 'hover', // value = seconds
+  PHOTO: 'photo',
+  START_RECORD: 'startRecord',
+  STOP_RECORD: 'stopRecord',
+  ROTATE: 'rotate', // value = true heading in degrees
+  TILT: 'tilt' // value = gimbal pitch in degrees
+};
+
+// Litchi action type codes and the number of action slots per row
+const LITCHI_ACTION_CODES = {
+  [WAYPOINT_ACTIONS.HOVER]: 0,
+  [WAYPOINT_ACTIONS.PHOTO]: 1,
+  [WAYPOINT_ACTIONS.START_RECORD]: 2,
+  [WAYPOINT_ACTIONS.STOP_RECORD]: 3,
+  [WAYPOINT_ACTIONS.ROTATE]: 4,
+  [WAYPOINT_ACTIONS.TILT]: 5
+};
+const LITCHI_ACTION_SLOTS = 15;
+
+/**
+ * Column presets
+ * `columns` maps waypoint fields to CSV header names; `constants` are extra
+ * columns written with a fixed value so the target app accepts the file
+ */
+export const CSV_PRESETS = {
+  litchi: {
+    name: 'Litchi',
+    delimiter: ',',
+    actionFormat: 'litchi',
+    columns: {
+      latitude: 'latitude',
+      longitude: 'longitude',
+      altitude: 'altitude(m)',
+      heading: 'heading(deg)',
+      gimbalPitch: 'gimbalpitchangle',
+      speed: 'speed(m/s)'
+    },
+    // Litchi column order, including the columns we do not model
+    header: [
+      'latitude', 'longitude', 'altitude(m)', 'heading(deg)', 'curvesize(m)', 'rotationdir',
+      'gimbalmode', 'gimbalpitchangle',
+      ...Array.from({ length: LITCHI_ACTION_SLOTS }, (_, i) => [`actiontype${i + 1}`, `actionparam${i + 1}`]).flat(),
+      'altitudemode', 'speed(m/s)', 'poi_latitude', 'poi_longitude', 'poi_altitude(m)',
+      'poi_altitudemode', 'photo_timeinterval', 'photo_distinterval'
+    ],
+    constants: {
+      'curvesize(m)': 0,
+      rotationdir: 0,
+      gimbalmode: 2, // Interpolate gimbal pitch between waypoints
+      altitudemode: 0, // Relative to takeoff
+      poi_latitude: 0,
+      poi_longitude: 0,
+      'poi_altitude(m)': 0,
+      poi_altitudemode: 0,
+      photo_timeinterval: -1,
+      photo_distinterval: -1
+    }
+  },
+  generic: {
+    name: 'Generic',
+    delimiter: ',',
+    actionFormat: 'list',
+    columns: {
+      latitude: 'latitude',
+      longitude: 'longitude',
+      altitude: 'altitude_m',
+      heading: 'heading_deg',
+      gimbalPitch: 'gimbal_pitch_deg',
+      speed: 'speed_ms',
+      actions: 'actions'
+    },
+    constants: {}
+  }
+};
+
+/**
+ * Resolve a preset name and column overrides into a single configuration
+ * Presets with a fixed header (Litchi) only accept overrides that keep their column names
+ * @param {Object} options - { preset, columns, delimiter }
+ * @returns {Object} - Resolved preset with merged columns
+ */
+const resolvePreset = (options = {}) => {
+  const preset = CSV_PRESETS[options.preset || 'generic'];
+  if (!preset) {
+    throw new Error(`Unknown CSV preset: ${options.preset}`);
+  }
+
+  const renamed = Object.entries(options.columns || {})
+    .filter(([field, name]) => preset.columns[field] !== name)
+    .map(([field]) => field);
+  if (preset.header && renamed.length > 0) {
+    throw new Error(`${preset.name} CSV columns are fixed and cannot be remapped (${renamed.join(', ')})`);
+  }
+
+  return {
+    ...preset,
+    delimiter: options.delimiter || preset.delimiter,
+    columns: { ...preset.columns, ...(options.columns || {}) }
+  };
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Object>} - Rows as { line, fields } with 1-based line numbers
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Quote a CSV field when it contains the delimiter, quotes or line breaks
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} - Encoded field
+ */
+const encodeField = (value, delimiter) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.includes(delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Round a number for CSV output without trailing zeros
+ * @param {number} value - Value to format
+ * @param {number} decimals - Maximum decimal places
+ * @returns {string} - Formatted number
+ */
+const formatNumber = (value, decimals = 2) => {
+  return String(parseFloat(value.toFixed(decimals)));
+};
+
+/**
+ * Encode a list of waypoint actions as "photo;hover:2;tilt:-45"
+ * @param {Array<Object>} actions - Actions as { type, value }
+ * @returns {string} - Encoded action list
+ */
+const encodeActionList = (actions) => {
+  return actions
+    .map(action => (action.value === undefined ? action.type : `${action.type}:${action.value}`))
+    .join(';');
+};
+
+/**
+ * Decode an action list written by encodeActionList
+ * @param {string} text - Encoded action list
+ * @returns {Object} - { actions, errors }
+ */
+const decodeActionList = (text) => {
+  const actions = [];
+  const errors = [];
+  const knownTypes = Object.values(WAYPOINT_ACTIONS);
+
+  text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const [type, rawValue] = part.split(':').map(s => s.trim());
+    if (!knownTypes.includes(type)) {
+      errors.push(`unknown action "${type}"`);
+      return;
+    }
+    if (rawValue === undefined || rawValue === '') {
+      actions.push({ type });
+      return;
+    }
+    const value = Number(rawValue);
+    if (!Number.isFinite(value)) {
+      errors.push(`action "${type}" has a non-numeric value "${rawValue}"`);
+      return;
+    }
+    actions.push({ type, value });
+  });
+
+  return { actions, errors };
+};
+
+/**
+ * Encode actions into Litchi actiontype/actionparam column pairs
+ * @param {Array<Object>} actions - Actions as { type, value }
+ * @returns {Object} - Column values keyed by Litchi header name
+ */
+const encodeLitchiActions = (actions) => {
+  const values = {};
+  for (let slot = 0; slot < LITCHI_ACTION_SLOTS; slot++) {
+    const action = actions[slot];
+    let type = -1;
+    let param = 0;
+
+    if (action) {
+      type = LITCHI_ACTION_CODES[action.type];
+      if (action.type === WAYPOINT_ACTIONS.HOVER) {
+        param = Math.round((action.value || 0) * 1000); // Litchi uses milliseconds
+      } else if (action.type === WAYPOINT_ACTIONS.ROTATE || action.type === WAYPOINT_ACTIONS.TILT) {
+        param = Math.round(action.value || 0);
+      }
+    }
+
+    values[`actiontype${slot + 1}`] = type;
+    values[`actionparam${slot + 1}`] = param;
+  }
+  return values;
+};
+
+/**
+ * Decode Litchi actiontype/actionparam columns
+ * @param {Function} getValue - Returns the raw value for a header name
+ * @returns {Object} - { actions, errors }
+ */
+const decodeLitchiActions = (getValue) => {
+  const actions = [];
+  const errors = [];
+  const typesByCode = Object.fromEntries(
+    Object.entries(LITCHI_ACTION_CODES).map(([type, code]) => [code, type])
+  );
+
+  for (let slot = 1; slot <= LITCHI_ACTION_SLOTS; slot++) {
+    const rawType = getValue(`actiontype${slot}`);
+    if (rawType === undefined || rawType === '') continue;
+
+    const code = Number(rawType);
+    if (code === -1) continue;
+
+    const type = typesByCode[code];
+    if (!type) {
+      errors.push(`actiontype${slot} has unknown code "${rawType}"`);
+      continue;
+    }
+
+    const param = Number(getValue(`actionparam${slot}`) || 0);
+    if (!Number.isFinite(param)) {
+      errors.push(`actionparam${slot} is not a number`);
+      continue;
+    }
+
+    if (type === WAYPOINT_ACTIONS.HOVER) {
+      actions.push({ type, value: param / 1000 });
+    } else if (type === WAYPOINT_ACTIONS.ROTATE || type === WAYPOINT_ACTIONS.TILT) {
+      actions.push({ type, value: param });
+    } else {
+      actions.push({ type });
+    }
+  }
+
+  return { actions, errors };
+};
+
+/**
+ * Export a trajectory as CSV
+ * @param {Object} trajectory - Trajectory object from DroneMissionEnhanced
+ * @param {Object} options - Export options
+ * @param {string} options.preset - 'litchi' or 'generic'
+ * @param {Object} options.columns - Overrides for the preset column names (null drops a column)
+ * @param {string} options.delimiter - Field delimiter
+ * @param {TransformUtility} options.transform - Local to WGS84 transform
+ * @returns {string} - CSV text
+ */
+export const exportWaypointCsv = (trajectory, options = {}) => {
+  const { transform = transformUtility } = options;
+  const preset = resolvePreset(options);
+  const { columns, delimiter, constants } = preset;
+
+  const items = getTrajectoryItems(trajectory, transform);
+  if (items.length === 0) {
+    throw new Error('Trajectory has no waypoints to export');
+  }
+
+  // Litchi files keep their fixed layout; other presets write the mapped columns only
+  const header = preset.header
+    ? preset.header
+    : Object.values(columns).filter(Boolean).concat(Object.keys(constants));
+
+  const lines = [header.map(name => encodeField(name, delimiter)).join(delimiter)];
+
+  items.forEach(item => {
+    const actions = item.actions.slice();
+    if (item.isCapture && !actions.some(action => action.type === WAYPOINT_ACTIONS.PHOTO)) {
+      actions.push({ type: WAYPOINT_ACTIONS.PHOTO });
+    }
+
+    const values = {
+      ...constants,
+      ...(preset.actionFormat === 'litchi' ? encodeLitchiActions(actions) : {})
+    };
+
+    const fieldValues = {
+      latitude: formatNumber(item.global.lat, 8),
+      longitude: formatNumber(item.global.lon, 8),
+      altitude: formatNumber(item.relativeAltitude, 2),
+      heading: formatNumber(item.heading, 1),
+      gimbalPitch: formatNumber(item.gimbalPitch, 1),
+      speed: formatNumber(item.speed || 0, 2),
+      actions: encodeActionList(actions)
+    };
+
+    Object.entries(columns).forEach(([field, name]) => {
+      if (name && fieldValues[field] !== undefined) values[name] = fieldValues[field];
+    });
+
+    lines.push(header.map(name => encodeField(values[name], delimiter)).join(delimiter));
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Export a trajectory as CSV and trigger a download
+ * @param {Object} trajectory - Trajectory object
+ * @param {string} fileName - Name for the downloaded file
+ * @param {Object} options - Export options (see exportWaypointCsv)
+ */
+export const downloadWaypointCsv = (trajectory, fileName = 'mission.csv', options = {}) => {
+  const csv = exportWaypointCsv(trajectory, options);
+  downloadFile(csv, fileName, 'text/csv');
+};
+
+/**
+ * Import a CSV file into a local-feet trajectory
+ * Rows that fail validation are left out of the trajectory and reported by line number
+ * @param {string} text - CSV text
+ * @param {Object} options - Import options
+ * @param {string} options.preset - 'litchi' or 'generic'
+ * @param {Object} options.columns - Overrides for the preset column names
+ * @param {string} options.delimiter - Field delimiter
+ * @param {TransformUtility} options.transform - Transform used to convert into local coordinates
+ * @param {number} options.defaultSpeed - Speed (m/s) used when the file has none
+ * @returns {Object} - { trajectory, errors: [{ line, message }], rowCount }
+ */
+export const importWaypointCsv = (text, options = {}) => {
+  const { transform = transformUtility, defaultSpeed = 5 } = options;
+  const preset = resolvePreset(options);
+  const { columns, delimiter } = preset;
+
+  const rows = parseCsv(text, delimiter);
+  const errors = [];
+  const emptyTrajectory = {
+    type: 'imported',
+    waypoints: [],
+    params: { speed: defaultSpeed },
+    capturePoints: []
+  };
+
+  if (rows.length === 0) {
+    errors.push({ line: 1, message: 'File is empty' });
+    return { trajectory: emptyTrajectory, errors, rowCount: 0 };
+  }
+
+  // Map header names (case-insensitive) to field indices
+  const [headerRow, ...dataRows] = rows;
+  const headerIndex = new Map(headerRow.fields.map((name, index) => [name.trim().toLowerCase(), index]));
+  const columnIndex = (name) => (name ? headerIndex.get(name.toLowerCase()) : undefined);
+
+  const missing = ['latitude', 'longitude', 'altitude']
+    .filter(field => columnIndex(columns[field]) === undefined)
+    .map(field => `"${columns[field]}"`);
+  if (missing.length > 0) {
+    errors.push({ line: headerRow.line, message: `Missing required column ${missing.join(', ')}` });
+    return { trajectory: emptyTrajectory, errors, rowCount: dataRows.length };
+  }
+
+  const waypoints = [];
+  const capturePoints = [];
+  const waypointActions = [];
+  let speed = null;
+
+  dataRows.forEach(({ line, fields }) => {
+    const rowErrors = [];
+    const getValue = (name) => {
+      const index = columnIndex(name);
+      return index === undefined ? undefined : (fields[index] ?? '').trim();
+    };
+
+    // Parse a numeric field, recording an error when it is present but invalid
+    const readNumber = (field, { required = false, min = -Infinity, max = Infinity } = {}) => {
+      const raw = getValue(columns[field]);
+      if (raw === undefined || raw === '') {
+        if (required) rowErrors.push(`${columns[field]} is empty`);
+        return null;
+      }
+      const value = Number(raw);
+      if (!Number.isFinite(value)) {
+        rowErrors.push(`${columns[field]} "${raw}" is not a number`);
+        return null;
+      }
+      if (value < min || value > max) {
+        rowErrors.push(`${columns[field]} ${value} is outside ${min} to ${max}`);
+        return null;
+      }
+      return value;
+    };
+
+    const lat = readNumber('latitude', { required: true, min: -90, max: 90 });
+    const lon = readNumber('longitude', { required: true, min: -180, max: 180 });
+    const alt = readNumber('altitude', { required: true });
+    const heading = readNumber('heading', { min: -360, max: 360 });
+    const gimbalPitch = readNumber('gimbalPitch', { min: -90, max: 90 });
+    const rowSpeed = readNumber('speed', { min: 0 });
+
+    let actions = [];
+    if (preset.actionFormat === 'litchi') {
+      const decoded = decodeLitchiActions(getValue);
+      actions = decoded.actions;
+      rowErrors.push(...decoded.errors);
+    } else if (columns.actions) {
+      const decoded = decodeActionList(getValue(columns.actions) || '');
+      actions = decoded.actions;
+      rowErrors.push(...decoded.errors);
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(message => errors.push({ line, message }));
+      return;
+    }
+
+    const local = transform.globalToLocal(lat, lon, transform.origin.alt + alt);
+    const position = new THREE.Vector3(local.x, local.y, local.z);
+    waypoints.push(position);
+
+    // Litchi uses 0 for "cruising speed"; the first explicit speed becomes the mission speed
+    if (speed === null && rowSpeed) speed = rowSpeed;
+
+    // Photo actions become capture points; everything else stays attached to the waypoint
+    waypointActions.push(actions.filter(action => action.type !== WAYPOINT_ACTIONS.PHOTO));
+
+    const photo = actions.some(action => action.type === WAYPOINT_ACTIONS.PHOTO);
+    if (photo) {
+      const tilt = actions.find(action => action.type === WAYPOINT_ACTIONS.TILT);
+      const pitch = tilt ? tilt.value : (gimbalPitch ?? -90);
+      const rotate = actions.find(action => action.type === WAYPOINT_ACTIONS.ROTATE);
+      const captureHeading = rotate ? rotate.value : (heading ?? 0);
+
+      capturePoints.push({
+        position: position.clone(),
+        lookAt: getLookAtFromAttitude(position, captureHeading, pitch, transform),
+        gimbalPitch: pitch,
+        speed: rowSpeed || undefined
+      });
+    }
+  });
+
+  return {
+    trajectory: {
+      type: 'imported',
+      waypoints,
+      params: { speed: speed ?? defaultSpeed },
+      capturePoints,
+      waypointActions
+    },
+    errors,
+    rowCount: dataRows.length
+  };
+};
+
+export default {
+  WAYPOINT_ACTIONS,
+  CSV_PRESETS,
+  parseCsv,
+  exportWaypointCsv,
+  downloadWaypointCsv,
+  importWaypointCsv
+};
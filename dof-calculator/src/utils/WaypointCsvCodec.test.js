@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { exportWaypointCsv, importWaypointCsv, parseCsv } from './WaypointCsvCodec';
+import { toDeckGLTrajectory } from './TrajectoryUtils';
+import { loadGridMission } from './__fixtures__/loadGridMission';
+
+// A spreadsheet layout that shares no column names with the generic preset
+const SHEET_COLUMNS = {
+  latitude: 'Lat',
+  longitude: 'Lng',
+  altitude: 'Height',
+  heading: 'Yaw',
+  gimbalPitch: 'Pitch',
+  speed: 'Velocity',
+  actions: 'Do'
+};
+
+describe('WaypointCsvCodec', () => {
+  it('writes and reads a sheet through mapped column names', () => {
+    const { transform, trajectory } = loadGridMission();
+    const csv = exportWaypointCsv(trajectory, { transform, preset: 'generic', columns: SHEET_COLUMNS });
+
+    const [header] = parseCsv(csv);
+    expect(header.fields).toEqual(Object.values(SHEET_COLUMNS));
+
+    const { trajectory: imported, errors, rowCount } = importWaypointCsv(csv, {
+      transform,
+      preset: 'generic',
+      columns: SHEET_COLUMNS
+    });
+    expect(errors).toEqual([]);
+    expect(rowCount).toBe(trajectory.waypoints.length);
+    imported.waypoints.forEach((point, index) => {
+      expect(point.distanceTo(trajectory.waypoints[index])).toBeLessThan(0.05);
+    });
+    expect(imported.capturePoints).toHaveLength(trajectory.capturePoints.length);
+  });
+
+  it('reports the mapped name of a missing required column', () => {
+    const { errors } = importWaypointCsv('latitude,longitude,altitude_m\n47.6,-122.3,20\n', {
+      preset: 'generic',
+      columns: { altitude: 'Height' }
+    });
+    expect(errors).toEqual([{ line: 1, message: 'Missing required column "Height"' }]);
+  });
+
+  it('rejects renamed columns for the fixed Litchi layout', () => {
+    const { transform, trajectory } = loadGridMission();
+    expect(() => exportWaypointCsv(trajectory, { transform, preset: 'litchi', columns: { altitude: 'Height' } }))
+      .toThrow('Litchi CSV columns are fixed and cannot be remapped (altitude)');
+    expect(() => importWaypointCsv('latitude\n', { preset: 'litchi', columns: { latitude: 'Lat' } }))
+      .toThrow('Litchi CSV columns are fixed and cannot be remapped (latitude)');
+  });
+
+  it('accepts overrides that keep the Litchi column names', () => {
+    const { transform, trajectory } = loadGridMission();
+    const csv = exportWaypointCsv(trajectory, { transform, preset: 'litchi', columns: { altitude: 'altitude(m)' } });
+    const { trajectory: imported, errors } = importWaypointCsv(csv, { transform, preset: 'litchi' });
+    expect(errors).toEqual([]);
+    expect(imported.waypoints).toHaveLength(trajectory.waypoints.length);
+  });
+
+  it('plays an imported sheet back as a timed deck.gl path', () => {
+    const { transform, trajectory } = loadGridMission();
+    const csv = exportWaypointCsv(trajectory, { transform, preset: 'generic' });
+    const { trajectory: imported } = importWaypointCsv(csv, { transform, preset: 'generic' });
+
+    const { trajectories, waypoints } = toDeckGLTrajectory(imported);
+    expect(trajectories).toHaveLength(1);
+    expect(trajectories[0].path).toHaveLength(imported.waypoints.length);
+    expect(waypoints).toHaveLength(imported.waypoints.length);
+
+    const { timestamps } = trajectories[0];
+    expect(timestamps[0]).toBe(0);
+    timestamps.slice(1).forEach((time, index) => expect(time).toBeGreaterThan(timestamps[index]));
+    expect(waypoints.map(waypoint => waypoint.time)).toEqual(timestamps);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * WindModel.js
+ * Wind triangle for planned legs: ground speed, crab angle and capture motion blur
+ * for an aircraft holding its airspeed along the planned track
+ */
+
+import * as THREE from 'three';
+import { getCaptureForWaypoint } from './TrajectoryUtils';
+
+// Local coordinates are feet
+const FEET_TO_METERS = 0.3048;
+
+// Horizontal leg length (m) below which a leg has no track to fly
+const MIN_TRACK_LENGTH = 0.1;
+
+/**
+ * Rotate a reported wind into local axes
+ * @param {Object} wind - { speed (m/s), direction (degrees true the wind blows from), gust (m/s) }
+ * @param {TransformUtility} transform - Local/global transform
+ * @returns {Object} - { x, y } mean wind and { gustX, gustY } gust wind in m/s along the local axes,
+ *                     pointing where the air moves to
+ */
+export const getLocalWind = (wind, transform) => {
+  const { speed = 0, direction = 0, gust = 0 } = wind;
+  const rad = direction * Math.PI / 180;
+
+  // East/north components of the air movement, opposite to the reported direction
+  const toward = new THREE.Vector3(-Math.sin(rad), -Math.cos(rad), 0);
+
+  // getRotationMatrix() maps local to east/north; its transpose maps back
+  toward.applyMatrix4(transform.getRotationMatrix().transpose());
+
+  const gustSpeed = Math.max(speed, gust);
+  return {
+    x: toward.x * speed,
+    y: toward.y * speed,
+    gustX: toward.x * gustSpeed,
+    gustY: toward.y * gustSpeed
+  };
+};
+
+/**
+ * Solve the wind triangle for a track
+ * @param {Object} track - Horizontal track direction { x, y } (normalised here)
+ * @param {number} airspeed - Airspeed in m/s
+ * @param {Object} wind - Local wind { x, y } in m/s
+ * @returns {Object} - { groundSpeed (m/s), crabAngle (degrees, positive into wind from the left),
+ *                      headwind, crosswind (m/s), flyable }
+ */
+export const getGroundSpeed = (track, airspeed, wind) => {
+  const length = Math.hypot(track.x, track.y) || 1;
+  const dx = track.x / length;
+  const dy = track.y / length;
+
+  // Tailwind along the track is positive, crosswind from the left is positive
+  const along = wind.x * dx + wind.y * dy;
+  const cross = wind.x * dy - wind.y * dx;
+
+  if (Math.abs(cross) >= airspeed) {
+    return { groundSpeed: 0, crabAngle: Math.sign(cross) * 90, headwind: -along, crosswind: cross, flyable: false };
+  }
+
+  const crab = Math.asin(cross / airspeed);
+  const groundSpeed = airspeed * Math.cos(crab) + along;
+  return {
+    groundSpeed: Math.max(groundSpeed, 0),
+    crabAngle: crab * 180 / Math.PI,
+    headwind: -along,
+    crosswind: cross,
+    flyable: groundSpeed > 0
+  };
+};
+
+/**
+ * Fastest ground speed at which a capture stays within a blur limit
+ * @param {number} gsd - Ground sample distance in cm/pixel
+ * @param {number} shutterTime - Exposure time in seconds
+ * @param {number} maxBlur - Allowed blur in pixels
+ * @returns {number} - Speed in m/s
+ */
+export const getMaxCaptureSpeed = (gsd, shutterTime, maxBlur) => {
+  return (maxBlur * gsd / 100) / shutterTime;
+};
+
+/**
+ * Grid angle whose flight lines run straight up and downwind
+ * Lines follow local +y rotated by the grid angle, as in the grid generators
+ * @param {Object} wind - Local wind { x, y }
+ * @returns {number|null} - Grid angle in degrees, 0-180, or null in calm air
+ */
+export const getCrosswindFreeGridAngle = (wind) => {
+  if (Math.hypot(wind.x, wind.y) < 1e-6) return null;
+  const windAngle = Math.atan2(wind.y, wind.x) * 180 / Math.PI;
+  return (((windAngle - 90) % 180) + 180) % 180;
+};
+
+/**
+ * Analyse every leg of a trajectory in wind
+ * @param {Object} trajectory - Trajectory object
+ * @param {Object} options - Analysis options
+ * @param {number} options.airspeed - Airspeed in m/s
+ * @param {Object} options.wind - Local wind from getLocalWind
+ * @param {number} options.gsd - Ground sample distance in cm/pixel
+ * @param {number} options.shutterTime - Exposure time in seconds
+ * @param {number} options.maxBlur - Allowed motion blur in pixels
+ * @param {number} options.metersPerUnit - Meters per local unit
+ * @returns {Object} - { legs, time, stillAirTime, maxCrabAngle, maxCaptureSpeed, worstBlur, warnings }
+ */
+export const analyzeWindLegs = (trajectory, options) => {
+  const { airspeed, wind, gsd, shutterTime, maxBlur = 1, metersPerUnit = FEET_TO_METERS } = options;
+  const { waypoints = [] } = trajectory;
+  const gustWind = { x: wind.gustX ?? wind.x, y: wind.gustY ?? wind.y };
+  const canCheckBlur = gsd > 0 && shutterTime > 0;
+  const maxCaptureSpeed = canCheckBlur ? getMaxCaptureSpeed(gsd, shutterTime, maxBlur) : null;
+
+  const legs = [];
+  const blocked = [];
+  const fastCaptures = [];
+  let time = 0;
+  let stillAirTime = 0;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const track = { x: waypoints[i].x - waypoints[i - 1].x, y: waypoints[i].y - waypoints[i - 1].y };
+    const distance = Math.hypot(track.x, track.y) * metersPerUnit;
+    if (distance < MIN_TRACK_LENGTH) continue;
+
+    const mean = getGroundSpeed(track, airspeed, wind);
+    const gust = getGroundSpeed(track, airspeed, gustWind);
+    const captures = !!(getCaptureForWaypoint(trajectory, i - 1) || getCaptureForWaypoint(trajectory, i));
+
+    // Photos taken on the move smear by the distance covered during the exposure
+    const blur = captures && canCheckBlur
+      ? Math.max(mean.groundSpeed, gust.groundSpeed) * shutterTime / (gsd / 100)
+      : null;
+
+    const leg = {
+      index: i - 1,
+      distance,
+      groundSpeed: mean.groundSpeed,
+      gustGroundSpeed: gust.groundSpeed,
+      crabAngle: mean.crabAngle,
+      headwind: mean.headwind,
+      crosswind: mean.crosswind,
+      time: mean.flyable ? distance / mean.groundSpeed : Infinity,
+      captures,
+      blur
+    };
+    legs.push(leg);
+
+    stillAirTime += distance / airspeed;
+    time += leg.time;
+    if (!mean.flyable || !gust.flyable) blocked.push(leg);
+    if (captures && maxCaptureSpeed !== null && Math.max(leg.groundSpeed, leg.gustGroundSpeed) > maxCaptureSpeed) {
+      fastCaptures.push(leg);
+    }
+  }
+
+  const warnings = [];
+  const legList = (list) => list.slice(0, 5).map(leg => leg.index + 1).join(', ') + (list.length > 5 ? ', ...' : '');
+  if (blocked.length > 0) {
+    warnings.push(`Wind exceeds the ${airspeed} m/s airspeed on ${blocked.length} leg(s) (${legList(blocked)}); the aircraft cannot hold its track`);
+  }
+  if (fastCaptures.length > 0) {
+    const fastest = Math.max(...fastCaptures.map(leg => Math.max(leg.groundSpeed, leg.gustGroundSpeed)));
+    warnings.push(
+      `${fastCaptures.length} downwind capture leg(s) (${legList(fastCaptures)}) reach ${fastest.toFixed(1)} m/s over the ground, ` +
+      `above the ${maxCaptureSpeed.toFixed(1)} m/s limit for ${maxBlur} px blur at ${gsd} cm/pixel`
+    );
+  }
+
+  return {
+    legs,
+    time,
+    stillAirTime,
+    maxCrabAngle: legs.reduce((max, leg) => Math.max(max, Math.abs(leg.crabAngle)), 0),
+    maxCaptureSpeed,
+    worstBlur: legs.reduce((max, leg) => leg.blur !== null ? Math.max(max, leg.blur) : max, 0),
+    warnings
+  };
+};
+
+export default {
+  getLocalWind,
+  getGroundSpeed,
+  getMaxCaptureSpeed,
+  getCrosswindFreeGridAngle,
+  analyzeWindLegs
+};
@@ -7,7 +7,7 @@ import { getThreadSettings } from './PlatformDetection';
 
 class WorkerPool {
   constructor(workerScript, options = {}) {
-    const { maxWorkers, terminateOnDispose = true } = options;
+    const { maxWorkers, terminateOnDispose = true, workerOptions = undefined } = options;
     
     // Get thread settings based on platform
     const threadSettings = getThreadSettings();
@@ -34,8 +34,12 @@ class WorkerPool {
     // Flag to terminate workers when pool is disposed
     this.terminateOnDispose = terminateOnDispose;
     
-    // Path to worker script
+    // Path to worker script, and Worker constructor options ({ type: 'module' } for ES module workers)
     this.workerScript = workerScript;
+    this.workerOptions = workerOptions;
+    
+    // Map of running task IDs to the worker handling them
+    this.taskWorkers = new Map();
     
     // Performance metrics
     this.metrics = {
@@ -55,7 +59,7 @@ class WorkerPool {
   initializeWorkers() {
     for (let i = 0; i < this.maxWorkers; i++) {
       try {
-        const worker = new Worker(this.workerScript);
+        const worker = new Worker(this.workerScript, this.workerOptions);
         
         // Set up message handler
         worker.onmessage = (e) => this.handleWorkerMessage(worker, e);
@@ -98,6 +102,7 @@ class WorkerPool {
           // Clean up
           this.taskCallbacks.delete(id);
         }
+        this.taskWorkers.delete(id);
         
         // Mark worker as available
         this.busyWorkers.delete(worker);
@@ -116,13 +121,25 @@ class WorkerPool {
         }
         break;
         
+      case 'chunk':
+        // Partial output from a streaming task
+        if (this.taskCallbacks.has(id)) {
+          const { onChunk } = this.taskCallbacks.get(id);
+          if (onChunk) {
+            onChunk(event.data.chunk);
+          }
+        }
+        break;
+        
       case 'cancelled':
-        // Task was cancelled
+      case 'error':
+        // Task was cancelled or failed
         if (this.taskCallbacks.has(id)) {
           const { reject } = this.taskCallbacks.get(id);
-          reject(new Error('Task cancelled'));
+          reject(new Error(type === 'error' ? event.data.error : 'Task cancelled'));
           this.taskCallbacks.delete(id);
         }
+        this.taskWorkers.delete(id);
         
         // Mark worker as available
         this.busyWorkers.delete(worker);
@@ -151,6 +168,7 @@ class WorkerPool {
       
       // Mark the worker as busy
       this.busyWorkers.add(availableWorker);
+      this.taskWorkers.set(task.message.id, availableWorker);
       
       // Send the task to the worker
       availableWorker.postMessage(task.message, task.transferables);
@@ -161,25 +179,28 @@ class WorkerPool {
   }
   
   // Execute a task using a worker from the pool
+  // The returned promise carries a taskId for cancelTask/pauseTask/resumeTask;
+  // onChunk receives partial results from streaming tasks
   executeTask(type, data, options = {}) {
     const taskId = this.taskIdCounter++;
-    const { transferables = [], onProgress } = options;
+    const { transferables = [], onProgress, onChunk, ...workerOptions } = options;
     
-    // Create a message object
+    // Create a message object (callbacks cannot be cloned to the worker)
     const message = {
       type,
       data,
-      options,
+      options: workerOptions,
       id: taskId
     };
     
     // Create a promise for the task
-    return new Promise((resolve, reject) => {
+    const promise = new Promise((resolve, reject) => {
       // Store the callbacks
       this.taskCallbacks.set(taskId, {
         resolve,
         reject,
         onProgress,
+        onChunk,
         startTime: performance.now()
       });
       
@@ -192,6 +213,9 @@ class WorkerPool {
       // Try to process immediately
       this.processQueue();
     });
+    
+    promise.taskId = taskId;
+    return promise;
   }
   
   // Cancel a specific task
@@ -211,19 +235,35 @@ class WorkerPool {
       return true;
     }
     
-    // If already being processed, send cancel message to all workers
-    for (const worker of this.workers) {
-      if (this.busyWorkers.has(worker)) {
-        worker.postMessage({
-          type: 'cancel',
-          id: taskId
-        });
-      }
+    // If already being processed, send cancel message to its worker
+    const runningWorker = this.taskWorkers.get(taskId);
+    const targets = runningWorker ? [runningWorker] : this.workers.filter(worker => this.busyWorkers.has(worker));
+    for (const worker of targets) {
+      worker.postMessage({
+        type: 'cancel',
+        id: taskId
+      });
     }
     
     return false;
   }
   
+  // Pause a running streaming task
+  pauseTask(taskId) {
+    const worker = this.taskWorkers.get(taskId);
+    if (!worker) return false;
+    worker.postMessage({ type: 'pause', id: taskId });
+    return true;
+  }
+  
+  // Resume a paused streaming task
+  resumeTask(taskId) {
+    const worker = this.taskWorkers.get(taskId);
+    if (!worker) return false;
+    worker.postMessage({ type: 'resume', id: taskId });
+    return true;
+  }
+  
   // Clear the worker cache
   clearWorkerCache() {
     for (const worker of this.workers) {
@@ -253,6 +293,7 @@ class WorkerPool {
       reject(new Error('Worker pool disposed'));
       this.taskCallbacks.delete(taskId);
     }
+    this.taskWorkers.clear();
     
     // Terminate all workers if configured to do so
     if (this.terminateOnDispose) {
@@ -276,4 +317,32 @@ export function getPointCloudWorkerPool() {
   return pointCloudWorkerPool;
 }
 
+// Pool for streaming Ouster PCAP captures; one worker since decoding is I/O bound
+let pcapWorkerPool = null;
+
+// Create or get the PCAP streaming worker pool
+export function getPcapWorkerPool() {
+  if (!pcapWorkerPool) {
+    pcapWorkerPool = new WorkerPool(
+      new URL('../workers/OusterPcapWorker.js', import.meta.url),
+      { maxWorkers: 1, workerOptions: { type: 'module' } }
+    );
+  }
+  return pcapWorkerPool;
+}
+
+// Pool for capture-point route optimisation; one worker, routes are optimised one at a time
+let routeWorkerPool = null;
+
+// Create or get the route optimisation worker pool
+export function getRouteWorkerPool() {
+  if (!routeWorkerPool) {
+    routeWorkerPool = new WorkerPool(
+      new URL('../workers/RouteWorker.js', import.meta.url),
+      { maxWorkers: 1, workerOptions: { type: 'module' } }
+    );
+  }
+  return routeWorkerPool;
+}
+
 export default WorkerPool; 
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * ZipWriter.js
+ * Minimal ZIP archive writer (stored entries, no compression)
+ * Used to package mission files such as DJI KMZ waylines
+ */
+
+// CRC-32 lookup table (IEEE 802.3 polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum of a byte array
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} - Unsigned CRC-32 value
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { time, date } as 16-bit values
+ */
+const toDosDateTime = (date) => {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, date: day };
+};
+
+/**
+ * Create a ZIP archive from a list of entries
+ * @param {Array<Object>} entries - Entries with { name, content } where content is a string or Uint8Array
+ * @param {Date} modified - Modification time stamped on every entry
+ * @returns {Uint8Array} - The ZIP archive bytes
+ */
+export const createZip = (entries, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+
+  const files = entries.map(entry => {
+    const nameBytes = encoder.encode(entry.name);
+    const data = typeof entry.content === 'string' ? encoder.encode(entry.content) : entry.content;
+    return { nameBytes, data, crc: crc32(data) };
+  });
+
+  const localSize = files.reduce((sum, file) => sum + 30 + file.nameBytes.length + file.data.length, 0);
+  const centralSize = files.reduce((sum, file) => sum + 46 + file.nameBytes.length, 0);
+  const output = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(output.buffer);
+
+  let offset = 0;
+  const localOffsets = [];
+
+  // Local file headers followed by the stored data
+  files.forEach(file => {
+    localOffsets.push(offset);
+    view.setUint32(offset, 0x04034B50, true);
+    view.setUint16(offset + 4, 20, true); // Version needed to extract
+    view.setUint16(offset + 6, 0x0800, true); // UTF-8 file names
+    view.setUint16(offset + 8, 0, true); // Stored
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, date, true);
+    view.setUint32(offset + 14, file.crc, true);
+    view.setUint32(offset + 18, file.data.length, true);
+    view.setUint32(offset + 22, file.data.length, true);
+    view.setUint16(offset + 26, file.nameBytes.length, true);
+    view.setUint16(offset + 28, 0, true);
+    output.set(file.nameBytes, offset + 30);
+    output.set(file.data, offset + 30 + file.nameBytes.length);
+    offset += 30 + file.nameBytes.length + file.data.length;
+  });
+
+  // Central directory
+  const centralStart = offset;
+  files.forEach((file, index) => {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true); // Version made by
+    view.setUint16(offset + 6, 20, true); // Version needed to extract
+    view.setUint16(offset + 8, 0x0800, true);
+    view.setUint16(offset + 10, 0, true);
+    view.setUint16(offset + 12, time, true);
+    view.setUint16(offset + 14, date, true);
+    view.setUint32(offset + 16, file.crc, true);
+    view.setUint32(offset + 20, file.data.length, true);
+    view.setUint32(offset + 24, file.data.length, true);
+    view.setUint16(offset + 28, file.nameBytes.length, true);
+    view.setUint16(offset + 30, 0, true); // Extra field length
+    view.setUint16(offset + 32, 0, true); // Comment length
+    view.setUint16(offset + 34, 0, true); // Disk number
+    view.setUint16(offset + 36, 0, true); // Internal attributes
+    view.setUint32(offset + 38, 0, true); // External attributes
+    view.setUint32(offset + 42, localOffsets[index], true);
+    output.set(file.nameBytes, offset + 46);
+    offset += 46 + file.nameBytes.length;
+  });
+
+  // End of central directory record
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 8, files.length, true);
+  view.setUint16(offset + 10, files.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+
+  return output;
+};
+
+export default {
+  crc32,
+  createZip
+};
@@ -0,0 +1,150 @@
+/**
+ * ZoomLens.js
+ * Focal range and focal-dependent maximum aperture for zoom lenses, a lens with
+ * the focal length set within its range, and the focal length that reaches a
+ * target GSD from the highest safe standoff
+ */
+
+/**
+ * Focal range of a lens
+ * @param {Object} lens - Lens from cameraLensData, zooms carry focalRange [wide, tele]
+ * @returns {Object} - { min, max } in mm, equal for primes
+ */
+export const getFocalRange = (lens) => {
+  if (Array.isArray(lens?.focalRange) && lens.focalRange.length === 2) {
+    return { min: lens.focalRange[0], max: lens.focalRange[1] };
+  }
+  return { min: lens?.focalLength, max: lens?.focalLength };
+};
+
+/**
+ * Whether a lens can change focal length
+ * @param {Object} lens - Lens from cameraLensData
+ * @returns {boolean} - True for zooms with a focal range
+ */
+export const isZoomLens = (lens) => {
+  const { min, max } = getFocalRange(lens);
+  return max > min;
+};
+
+/**
+ * Widest aperture at a focal length
+ * maxAperture stays the lens's rated widest aperture; zooms whose aperture closes down
+ * toward the tele end also list maxApertureByFocal as [focalLength, f-number] pairs,
+ * interpolated linearly between entries
+ * @param {Object} lens - Lens from cameraLensData
+ * @param {number} focalLength - Focal length in mm
+ * @returns {number} - Maximum aperture f-number
+ */
+export const getMaxApertureAtFocal = (lens, focalLength) => {
+  const table = lens?.maxApertureByFocal;
+  if (!Array.isArray(table) || table.length === 0) return lens?.maxAperture;
+
+  const points = [...table].sort((a, b) => a[0] - b[0]);
+  if (focalLength <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [f0, n0] = points[i - 1];
+    const [f1, n1] = points[i];
+    if (focalLength <= f1) {
+      return n0 + (n1 - n0) * (focalLength - f0) / (f1 - f0);
+    }
+  }
+  return points[points.length - 1][1];
+};
+
+/**
+ * Lens set to a focal length within its range
+ * Calculators keep reading focalLength and maxAperture, so a zoom set here works
+ * everywhere a prime does. Primes are returned unchanged
+ * @param {Object} lens - Lens from cameraLensData
+ * @param {number} focalLength - Requested focal length in mm, clamped to the range
+ * @returns {Object} - Lens with focalLength and maxAperture for that setting
+ */
+export const getLensAtFocalLength = (lens, focalLength) => {
+  if (!lens || !isZoomLens(lens)) return lens;
+
+  const { min, max } = getFocalRange(lens);
+  const requested = Number.isFinite(focalLength) ? focalLength : lens.focalLength;
+  const setting = Math.min(max, Math.max(min, requested));
+  return {
+    ...lens,
+    focalLength: setting,
+    maxAperture: getMaxApertureAtFocal(lens, setting)
+  };
+};
+
+/**
+ * Format a lens's focal length or range
+ * @param {Object} lens - Lens from cameraLensData
+ * @returns {string} - e.g. '24-48mm' or '80mm'
+ */
+export const formatFocalRange = (lens) => {
+  const { min, max } = getFocalRange(lens);
+  return max > min ? `${min}-${max}mm` : `${lens.focalLength}mm`;
+};
+
+/**
+ * Choose the focal length that meets a target GSD at the highest safe standoff
+ * GSD grows with standoff and shrinks with focal length, so the longest focal
+ * length that still reaches the target inside maxStandoff keeps the camera
+ * furthest from the subject
+ * @param {Object} options - Optimiser options
+ * @param {Object} options.cameraDetails - Camera with sensorWidth (mm) and imageWidth (px)
+ * @param {Object} options.lensDetails - Lens from cameraLensData
+ * @param {number} options.targetGsd - Target ground sample distance in cm/pixel
+ * @param {number} options.maxStandoff - Highest safe distance to the subject in meters
+ * @param {number} options.minStandoff - Closest safe distance to the subject in meters
+ * @returns {Object} - { focalLength, standoff (m), gsd (cm/px), maxAperture, lens, warnings }
+ */
+export const optimizeFocalLengthForGsd = (options) => {
+  const { cameraDetails, lensDetails, targetGsd, maxStandoff, minStandoff = 0 } = options;
+  if (!cameraDetails?.sensorWidth || !cameraDetails?.imageWidth || !lensDetails?.focalLength) {
+    throw new Error('Camera sensor width, image width and lens focal length are required');
+  }
+  if (!(targetGsd > 0)) throw new Error('Target GSD must be greater than zero');
+  if (!(maxStandoff > minStandoff)) throw new Error('Maximum standoff must be beyond the minimum standoff');
+
+  const { sensorWidth, imageWidth } = cameraDetails;
+  const { min, max } = getFocalRange(lensDetails);
+  const warnings = [];
+
+  // Inverse of gsd = sensorWidth * d * 100 / (focalLength * imageWidth)
+  const standoffAt = (focalLength) => (targetGsd * focalLength * imageWidth) / (sensorWidth * 100);
+  const focalAtMaxStandoff = (maxStandoff * sensorWidth * 100) / (targetGsd * imageWidth);
+
+  const focalLength = Math.min(max, Math.max(min, focalAtMaxStandoff));
+  const standoff = Math.min(maxStandoff, standoffAt(focalLength));
+  const gsd = (sensorWidth * standoff * 100) / (focalLength * imageWidth);
+
+  if (focalAtMaxStandoff < min) {
+    warnings.push(
+      `Even at ${min}mm the target GSD needs ${standoffAt(min).toFixed(1)} m, beyond the ${maxStandoff} m limit; ` +
+      `flying at ${maxStandoff} m gives ${gsd.toFixed(2)} cm/px`
+    );
+  }
+  if (standoff < minStandoff) {
+    warnings.push(
+      `At ${max}mm the target GSD needs ${standoff.toFixed(1)} m, inside the ${minStandoff} m minimum standoff; ` +
+      `use a longer lens or accept a coarser GSD`
+    );
+  }
+
+  const lens = getLensAtFocalLength(lensDetails, focalLength);
+  return {
+    focalLength,
+    standoff,
+    gsd,
+    maxAperture: lens.maxAperture,
+    lens,
+    warnings
+  };
+};
+
+export default {
+  getFocalRange,
+  isZoomLens,
+  getMaxApertureAtFocal,
+  getLensAtFocalLength,
+  formatFocalRange,
+  optimizeFocalLengthForGsd
+};
@@ -0,0 +1,25 @@
+import * as THREE from 'three';
+import { TransformUtility } from '../CoordinateTransform';
+import fixture from './grid-mission.json';
+
+const toVector = ([x, y, z]) => new THREE.Vector3(x, y, z);
+
+/**
+ * Load the grid mission fixture as a trajectory with THREE.Vector3 points
+ * @returns {Object} - { transform, trajectory }
+ */
+export const loadGridMission = () => {
+  const transform = new TransformUtility({ origin: fixture.origin, heading: fixture.heading });
+  const trajectory = {
+    ...fixture.trajectory,
+    waypoints: fixture.trajectory.waypoints.map(toVector),
+    capturePoints: fixture.trajectory.capturePoints.map(capture => ({
+      ...capture,
+      position: toVector(capture.position),
+      lookAt: toVector(capture.lookAt)
+    }))
+  };
+  return { transform, trajectory };
+};
+
+export default loadGridMission;
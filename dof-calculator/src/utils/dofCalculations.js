@@ -2,6 +2,12 @@
  * DOF (Depth of Field) calculation utility functions
  */
 
+// Green light, near the peak of the eye's and most sensors' sensitivity (mm)
+const DEFAULT_WAVELENGTH = 0.00055;
+
+// Full stops used when no aperture list is given
+const STANDARD_APERTURES = [1.4, 2, 2.8, 4, 5.6, 8, 11, 16, 22, 32, 45, 64];
+
 /**
  * Calculate the hyperfocal distance
  * @param {number} focalLength - Focal length in mm
@@ -72,20 +78,23 @@ export const calculateTotalDOF = (nearLimit, farLimit) => {
 
 /**
  * Get all depth of field calculations in one function
+ * With the sensor's width and pixel count, the result also carries the diffraction blur,
+ * since the circle of confusion alone treats every aperture as equally sharp
  * @param {number} focusDistance - Focus distance in meters
  * @param {number} focalLength - Focal length in mm
  * @param {number} aperture - Aperture f-number
  * @param {number} cropFactor - Sensor crop factor
+ * @param {Object} sensor - Optional { sensorWidth (mm), imageWidth (pixels), wavelength (mm), lensMtf50 } (see calculateBlurBudget)
  * @returns {Object} Object containing all DOF calculations
  */
-export const getDOFCalculations = (focusDistance, focalLength, aperture, cropFactor) => {
+export const getDOFCalculations = (focusDistance, focalLength, aperture, cropFactor, sensor = null) => {
   const coc = calculateCircleOfConfusion(cropFactor);
   const hyperfocal = calculateHyperfocalDistance(focalLength, aperture, coc);
   const nearLimit = calculateNearLimit(focusDistance, focalLength, aperture, coc);
   const farLimit = calculateFarLimit(focusDistance, focalLength, aperture, coc);
   const totalDOF = calculateTotalDOF(nearLimit, farLimit);
   
-  return {
+  const result = {
     hyperfocal,
     nearLimit,
     farLimit,
@@ -93,6 +102,279 @@ export const getDOFCalculations = (focusDistance, focalLength, aperture, cropFac
     inFocus: farLimit === Infinity ? "From " + nearLimit.toFixed(2) + "m to infinity" : 
              "From " + nearLimit.toFixed(2) + "m to " + farLimit.toFixed(2) + "m"
   };
+  
+  if (sensor?.sensorWidth > 0 && sensor?.imageWidth > 0) {
+    const pixelPitch = calculatePixelPitch(sensor.sensorWidth, sensor.imageWidth);
+    const blur = calculateBlurBudget({ ...sensor, focalLength, aperture, focusDistance, subjectDistance: focusDistance });
+    // Blur diameters are in pixels
+    result.sharpness = {
+      pixelPitch,
+      diffractionBlur: blur.diffraction,
+      inFocusBlur: blur.total,
+      diffractionLimitedAperture: calculateDiffractionLimitedAperture(pixelPitch, sensor.wavelength)
+    };
+  }
+  
+  return result;
+};
+
+/**
+ * Calculate the size of one sensor pixel
+ * @param {number} sensorWidth - Sensor width in mm
+ * @param {number} imageWidth - Image width in pixels
+ * @returns {number} Pixel pitch in mm
+ */
+export const calculatePixelPitch = (sensorWidth, imageWidth) => {
+  return sensorWidth / imageWidth;
+};
+
+/**
+ * Calculate the Airy disk diameter (to the first dark ring) for an aperture
+ * @param {number} aperture - Aperture f-number
+ * @param {number} wavelength - Light wavelength in mm (green light by default)
+ * @returns {number} Diffraction blur diameter in mm on the sensor
+ */
+export const calculateDiffractionBlur = (aperture, wavelength = DEFAULT_WAVELENGTH) => {
+  return 2.44 * wavelength * aperture;
+};
+
+/**
+ * Calculate the f-number at which the Airy disk grows to two pixels across,
+ * where diffraction starts to visibly soften the image
+ * @param {number} pixelPitch - Pixel pitch in mm
+ * @param {number} wavelength - Light wavelength in mm
+ * @returns {number} Diffraction-limited f-number
+ */
+export const calculateDiffractionLimitedAperture = (pixelPitch, wavelength = DEFAULT_WAVELENGTH) => {
+  return (2 * pixelPitch) / (2.44 * wavelength);
+};
+
+/**
+ * Calculate the defocus blur circle on the sensor for a subject off the focus plane
+ * @param {number} focusDistance - Focus distance in meters
+ * @param {number} subjectDistance - Subject distance in meters (Infinity allowed)
+ * @param {number} focalLength - Focal length in mm
+ * @param {number} aperture - Aperture f-number
+ * @returns {number} Defocus blur diameter in mm on the sensor
+ */
+export const calculateDefocusBlur = (focusDistance, subjectDistance, focalLength, aperture) => {
+  const focusMM = focusDistance * 1000;
+  if (focusMM <= focalLength) return Infinity;
+  
+  // Blur of a subject at infinity; nearer subjects scale by their relative distance from focus
+  const infinityBlur = (focalLength * focalLength) / (aperture * (focusMM - focalLength));
+  if (subjectDistance === Infinity) return infinityBlur;
+  
+  const subjectMM = subjectDistance * 1000;
+  return infinityBlur * Math.abs(subjectMM - focusMM) / subjectMM;
+};
+
+/**
+ * Calculate the blur spot of a lens from its MTF50
+ * The lens is treated as a Gaussian spot whose contrast halves at the MTF50 frequency,
+ * and the spot's full width at half maximum is used as its blur diameter
+ * @param {number} mtf50 - Spatial frequency in line pairs per mm where the lens MTF is 50%
+ * @returns {number} Lens blur diameter in mm on the sensor, 0 without MTF data
+ */
+export const calculateLensBlur = (mtf50) => {
+  if (!(mtf50 > 0)) return 0;
+  const sigma = Math.sqrt(Math.LN2 / 2) / (Math.PI * mtf50);
+  return 2 * Math.sqrt(2 * Math.LN2) * sigma;
+};
+
+/**
+ * Look up a lens MTF50 for an aperture
+ * @param {number|Array<Object>} lensMtf50 - One MTF50 in lp/mm, or a table of { aperture, mtf50 } measurements
+ * @param {number} aperture - Aperture f-number
+ * @returns {number|null} MTF50 in lp/mm, interpolated between and clamped to the measured apertures
+ */
+export const getLensMtf50 = (lensMtf50, aperture) => {
+  if (!Array.isArray(lensMtf50)) return lensMtf50 > 0 ? lensMtf50 : null;
+  if (lensMtf50.length === 0) return null;
+  
+  const sorted = [...lensMtf50].sort((a, b) => a.aperture - b.aperture);
+  if (aperture <= sorted[0].aperture) return sorted[0].mtf50;
+  for (let i = 1; i < sorted.length; i++) {
+    if (aperture <= sorted[i].aperture) {
+      const t = (aperture - sorted[i - 1].aperture) / (sorted[i].aperture - sorted[i - 1].aperture);
+      return sorted[i - 1].mtf50 + (sorted[i].mtf50 - sorted[i - 1].mtf50) * t;
+    }
+  }
+  return sorted[sorted.length - 1].mtf50;
+};
+
+/**
+ * Combine defocus, diffraction and lens blur for one subject distance
+ * Independent blurs add in quadrature
+ * @param {Object} options - Blur options
+ * @param {number} options.focalLength - Focal length in mm
+ * @param {number} options.aperture - Aperture f-number
+ * @param {number} options.focusDistance - Focus distance in meters
+ * @param {number} options.subjectDistance - Subject distance in meters
+ * @param {number} options.sensorWidth - Sensor width in mm
+ * @param {number} options.imageWidth - Image width in pixels
+ * @param {number} options.wavelength - Light wavelength in mm
+ * @param {number|Array<Object>} options.lensMtf50 - Optional lens MTF50 in lp/mm, or { aperture, mtf50 } measurements
+ * @returns {Object} Blur diameters in pixels { defocus, diffraction, lens, total }
+ */
+export const calculateBlurBudget = (options) => {
+  const {
+    focalLength,
+    aperture,
+    focusDistance,
+    subjectDistance,
+    sensorWidth,
+    imageWidth,
+    wavelength = DEFAULT_WAVELENGTH,
+    lensMtf50 = null
+  } = options;
+  const pixelPitch = calculatePixelPitch(sensorWidth, imageWidth);
+  
+  const defocus = calculateDefocusBlur(focusDistance, subjectDistance, focalLength, aperture) / pixelPitch;
+  const diffraction = calculateDiffractionBlur(aperture, wavelength) / pixelPitch;
+  const lens = calculateLensBlur(getLensMtf50(lensMtf50, aperture)) / pixelPitch;
+  
+  return {
+    defocus,
+    diffraction,
+    lens,
+    total: Math.sqrt(defocus * defocus + diffraction * diffraction + lens * lens)
+  };
+};
+
+/**
+ * Find the focus distance that blurs the near and far ends of a band equally
+ * @param {number} nearDistance - Nearest subject distance in meters
+ * @param {number} farDistance - Farthest subject distance in meters (Infinity allowed)
+ * @returns {number} Focus distance in meters
+ */
+export const calculateBandFocusDistance = (nearDistance, farDistance) => {
+  if (farDistance === Infinity) return 2 * nearDistance;
+  return (2 * nearDistance * farDistance) / (nearDistance + farDistance);
+};
+
+/**
+ * Find the aperture that keeps the blurriest point of a depth band sharpest
+ * Opening up shrinks diffraction but grows defocus at the band ends; each candidate is
+ * scored by its worse end and the smallest worst-case blur wins
+ * @param {Object} options - Solver options
+ * @param {number} options.focalLength - Focal length in mm
+ * @param {number} options.nearDistance - Nearest distance that must be sharp, in meters
+ * @param {number} options.farDistance - Farthest distance that must be sharp, in meters
+ * @param {number} options.focusDistance - Optional fixed focus distance in meters, otherwise the band's best focus
+ * @param {number} options.sensorWidth - Sensor width in mm
+ * @param {number} options.imageWidth - Image width in pixels
+ * @param {Array<number>} options.apertures - Candidate f-numbers, already limited to the lens range
+ * @param {number} options.wavelength - Light wavelength in mm
+ * @param {number|Array<Object>} options.lensMtf50 - Optional lens MTF50 in lp/mm, or { aperture, mtf50 } measurements
+ * @returns {Object} { aperture, focusDistance, worstBlur (pixels), blur (budget at the worse end),
+ *                    candidates: [{ aperture, worstBlur }] }
+ */
+export const findOptimalAperture = (options) => {
+  const { nearDistance, farDistance, apertures = STANDARD_APERTURES } = options;
+  if (!(nearDistance > 0) || !(farDistance >= nearDistance)) {
+    throw new Error('Sharp depth band needs a near distance above zero and a far distance at or beyond it');
+  }
+  if (apertures.length === 0) {
+    throw new Error('No apertures to choose from');
+  }
+  
+  const focusDistance = options.focusDistance || calculateBandFocusDistance(nearDistance, farDistance);
+  
+  let best = null;
+  const candidates = apertures.map(aperture => {
+    // Defocus is largest at the ends of the band, diffraction is the same everywhere
+    const ends = [nearDistance, farDistance].map(subjectDistance => (
+      calculateBlurBudget({ ...options, aperture, focusDistance, subjectDistance })
+    ));
+    const blur = ends[0].total >= ends[1].total ? ends[0] : ends[1];
+    
+    if (!best || blur.total < best.worstBlur) {
+      best = { aperture, focusDistance, worstBlur: blur.total, blur };
+    }
+    return { aperture, worstBlur: blur.total };
+  });
+  
+  return { ...best, candidates };
+};
+
+/**
+ * Find every aperture and focus distance that keeps a required band sharp
+ * The inverse of calculateNearLimit/calculateFarLimit: for each f-number the focus must be
+ * far enough for the far limit to reach the band and near enough for the near limit to cover it
+ * Both the diffraction penalty and the exposure cost grow as the lens is stopped down, so the
+ * widest aperture that holds the band ranks first and the scores show what each narrower one costs
+ * @param {Object} options - Solver options
+ * @param {number} options.nearDistance - Nearest distance that must be sharp, in meters
+ * @param {number} options.farDistance - Farthest distance that must be sharp, in meters (Infinity allowed)
+ * @param {number} options.focalLength - Focal length in mm
+ * @param {number} options.cropFactor - Sensor crop factor
+ * @param {Array<number>} options.apertures - Candidate f-numbers, already limited to the lens range
+ * @param {number} options.sensorWidth - Optional sensor width in mm for the diffraction penalty
+ * @param {number} options.imageWidth - Optional image width in pixels for the diffraction penalty
+ * @param {number} options.wavelength - Light wavelength in mm
+ * @returns {Array<Object>} Solutions { aperture, focusDistance, focusRange { min, max }, nearLimit, farLimit,
+ *                          diffractionBlur (pixels or null), diffractionPenalty (pixels past 2 px),
+ *                          exposureCost (stops slower than the widest candidate), score }, best first
+ */
+export const solveInverseDOF = (options) => {
+  const {
+    nearDistance,
+    farDistance,
+    focalLength,
+    cropFactor,
+    apertures = STANDARD_APERTURES,
+    sensorWidth,
+    imageWidth,
+    wavelength = DEFAULT_WAVELENGTH
+  } = options;
+  if (!(nearDistance > 0) || !(farDistance > nearDistance)) {
+    throw new Error('Sharp band needs a near distance above zero and a far distance beyond it');
+  }
+  if (nearDistance * 1000 <= focalLength) {
+    throw new Error('Near distance must be beyond the focal length');
+  }
+  
+  const coc = calculateCircleOfConfusion(cropFactor);
+  const f = focalLength / 1000;
+  const widest = Math.min(...apertures);
+  const pixelPitch = sensorWidth > 0 && imageWidth > 0 ? calculatePixelPitch(sensorWidth, imageWidth) : null;
+  
+  const solutions = [];
+  apertures.forEach(aperture => {
+    const hyperfocal = calculateHyperfocalDistance(focalLength, aperture, coc);
+    
+    // Closest focus whose far limit reaches the band, and farthest whose near limit still covers it
+    const minFocus = farDistance === Infinity ? hyperfocal : (farDistance * hyperfocal) / (hyperfocal - f + farDistance);
+    const maxFocus = hyperfocal - f - nearDistance > 0
+      ? (nearDistance * (hyperfocal - 2 * f)) / (hyperfocal - f - nearDistance)
+      : Infinity;
+    if (minFocus > maxFocus) return;
+    
+    // Focus where defocus is even at both ends of the band, kept inside the valid range
+    const focusDistance = Math.min(Math.max(calculateBandFocusDistance(nearDistance, farDistance), minFocus), maxFocus);
+    const nearLimit = calculateNearLimit(focusDistance, focalLength, aperture, coc);
+    const farLimit = calculateFarLimit(focusDistance, focalLength, aperture, coc);
+    if (nearLimit > nearDistance * (1 + 1e-9) || farLimit < farDistance * (1 - 1e-9)) return;
+    
+    const diffractionBlur = pixelPitch ? calculateDiffractionBlur(aperture, wavelength) / pixelPitch : null;
+    const diffractionPenalty = diffractionBlur !== null ? Math.max(0, diffractionBlur - 2) : 0;
+    const exposureCost = 2 * Math.log2(aperture / widest);
+    
+    solutions.push({
+      aperture,
+      focusDistance,
+      focusRange: { min: minFocus, max: maxFocus },
+      nearLimit,
+      farLimit,
+      diffractionBlur,
+      diffractionPenalty,
+      exposureCost,
+      score: diffractionPenalty + exposureCost
+    });
+  });
+  
+  return solutions.sort((a, b) => a.score - b.score || a.aperture - b.aperture);
 };
 
 /**
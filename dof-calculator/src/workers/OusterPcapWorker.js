@@ -0,0 +1,69 @@
+// Web Worker for streaming Ouster PCAP captures through WorkerPool
+// Decodes off the main thread and posts each frame as transferable typed arrays
+// so the viewer can grow its geometry without holding the whole capture
+
+import OusterPcapProcessor from '../utils/OusterPcapProcessor';
+
+// Active processors by task id, for pause/resume/cancel messages
+const processors = new Map();
+
+async function streamPcap(id, data) {
+  const { file, options = {} } = data;
+  // De-skew inline; this already is a worker
+  const processor = new OusterPcapProcessor({ ...options, useWorker: false });
+  processors.set(id, processor);
+
+  try {
+    const summary = await processor.streamFile(file, {
+      chunkPoints: options.chunkPoints,
+      onChunk: (chunk) => {
+        self.postMessage(
+          { type: 'chunk', id, chunk },
+          [chunk.positions.buffer, chunk.colors.buffer, chunk.intensity.buffer]
+        );
+      },
+      onProgress: ({ processed, total }) => {
+        self.postMessage({
+          type: 'progress',
+          id,
+          progress: total ? Math.round((processed / total) * 100) : 0,
+          processed,
+          total
+        });
+      }
+    });
+
+    self.postMessage({ type: 'result', id, result: summary });
+  } catch (error) {
+    if (error.message === 'Processing cancelled') {
+      self.postMessage({ type: 'cancelled', id });
+    } else {
+      self.postMessage({ type: 'error', id, error: error.message });
+    }
+  } finally {
+    processors.delete(id);
+  }
+}
+
+self.onmessage = function(e) {
+  const { type, data, id } = e.data;
+
+  switch (type) {
+    case 'stream_pcap':
+      streamPcap(id, data);
+      break;
+    case 'pause':
+      processors.get(id)?.pause();
+      break;
+    case 'resume':
+      processors.get(id)?.resume();
+      break;
+    case 'cancel':
+      processors.get(id)?.cancel();
+      break;
+    case 'clear_cache':
+      break;
+    default:
+      self.postMessage({ type: 'error', id, error: `Unknown command: ${type}` });
+  }
+};
@@ -0,0 +1,36 @@
+// Web Worker for capture-point route optimisation through WorkerPool
+// 2-opt and Or-opt passes are quadratic in the station count, so large
+// missions are ordered here instead of on the UI thread
+
+import { optimizeRoute } from '../utils/RouteOptimizer';
+
+function optimize(id, data) {
+  const { positions, options = {} } = data;
+
+  try {
+    const result = optimizeRoute(positions, {
+      ...options,
+      onProgress: ({ pass, time }) => {
+        self.postMessage({ type: 'progress', id, pass, time });
+      }
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: error.message });
+  }
+}
+
+self.onmessage = function(e) {
+  const { type, data, id } = e.data;
+
+  switch (type) {
+    case 'optimize_route':
+      optimize(id, data);
+      break;
+    case 'cancel':
+    case 'clear_cache':
+      break;
+    default:
+      self.postMessage({ type: 'error', id, error: `Unknown command: ${type}` });
+  }
+};